@@ -0,0 +1,3 @@
+import { createAccountHandler } from '../server/accountHandlers.js';
+
+export default createAccountHandler({ getEnv: () => process.env });
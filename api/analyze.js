@@ -0,0 +1,3 @@
+import { createAnalyzeHandler } from '../server/handlers.js';
+
+export default createAnalyzeHandler({ getEnv: () => process.env });
@@ -0,0 +1,3 @@
+import { createAuthHandler } from '../../server/accountHandlers.js';
+
+export default createAuthHandler({ getEnv: () => process.env });
@@ -0,0 +1,3 @@
+import { createBillingHandler } from '../../server/billingHandlers.js';
+
+export default createBillingHandler({ getEnv: () => process.env });
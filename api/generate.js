@@ -0,0 +1,3 @@
+import { createGenerateHandler } from '../server/handlers.js';
+
+export default createGenerateHandler({ getEnv: () => process.env });
@@ -0,0 +1,3 @@
+import { createHealthHandler } from '../server/handlers.js';
+
+export default createHealthHandler({ getEnv: () => process.env });
@@ -0,0 +1,3 @@
+import { createPersonaHandler } from '../server/handlers.js';
+
+export default createPersonaHandler({ getEnv: () => process.env });
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+// ==========================================
+// 💻 CV PULSE CLI
+//   cv-pulse analyze resume.txt [--jd jd.txt] [--rubric nursing] [--language de] [--format json|markdown] [--threshold 70]
+// Providers are configured from the same environment variables as the API
+// (GEMINI_API_KEY, OPENAI_API_KEY, OLLAMA_BASE_URL, AI_FAKE_MODEL, ...).
+// Exit codes: 0 done, 1 score below --threshold, 2 usage or analysis error.
+// ==========================================
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { runAnalysis, overallScore, reportToJson } from '../src/lib/pipeline.js';
+import { reportToMarkdown } from '../src/lib/report/markdown.js';
+import { extractPlainText } from '../src/lib/import/text.js';
+import { analyzeResume } from '../server/analyze.js';
+import { defaultProviderId, resolveProvider } from '../server/providers/index.js';
+import { classifyError } from '../server/errors.js';
+import { RUBRIC_PROFILES, getRubric, resolveRubric } from '../src/lib/rubrics.js';
+import { LANGUAGES } from '../src/lib/language.js';
+
+const USAGE = `Usage: cv-pulse analyze <resume.txt|resume.md> [options]
+
+Options:
+  --jd <file>          Job description to match keywords against
+  --rubric <profile>   Scoring profile: ${Object.keys(RUBRIC_PROFILES).join(', ')}
+                       (default software), or a .json profile file
+  --language <code>    Language the resume is written in: ${Object.keys(LANGUAGES).join(', ')}
+                       (detected when omitted)
+  --format <format>    markdown (default) or json
+  --threshold <score>  Exit with code 1 when the overall score is below this
+  --provider <id>      AI provider (gemini, openai, ollama, fake); defaults to
+                       the first one configured in the environment
+  --model <name>       Model to use with that provider
+  --offline            Use the built-in offline analyzer even when a provider
+                       is configured
+  -h, --help           Show this help
+`;
+
+const EXIT = { ok: 0, belowThreshold: 1, error: 2 };
+
+class UsageError extends Error {}
+
+// PDF and Word import rely on browser APIs (pdf.js workers, DOMParser)
+const readResume = async (path) => {
+  if (/\.(pdf|docx?)$/i.test(path)) {
+    throw new UsageError(`${basename(path)}: only .txt and .md resumes can be read from the command line. Export PDF and Word files to text first.`);
+  }
+  const { text } = await extractPlainText({ name: path, text: () => readFile(path, 'utf8') });
+  return text;
+};
+
+const parseCommandLine = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      jd: { type: 'string' },
+      rubric: { type: 'string' },
+      language: { type: 'string' },
+      format: { type: 'string', default: 'markdown' },
+      threshold: { type: 'string' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) return { help: true };
+  const [command, resumePath, ...extra] = positionals;
+  if (command !== 'analyze') throw new UsageError(command ? `Unknown command "${command}".` : "Missing command.");
+  if (!resumePath) throw new UsageError("Missing resume file.");
+  if (extra.length) throw new UsageError(`Unexpected argument "${extra[0]}".`);
+  if (!['json', 'markdown'].includes(values.format)) throw new UsageError(`Unknown format "${values.format}". Use json or markdown.`);
+  if (values.language !== undefined && !Object.hasOwn(LANGUAGES, values.language)) {
+    throw new UsageError(`Unknown language "${values.language}". Use one of ${Object.keys(LANGUAGES).join(', ')}.`);
+  }
+
+  const threshold = values.threshold === undefined ? null : Number(values.threshold);
+  if (threshold !== null && (!Number.isFinite(threshold) || threshold < 0 || threshold > 100)) {
+    throw new UsageError("--threshold must be a number from 0 to 100.");
+  }
+  if (values.offline && (values.provider || values.model)) {
+    throw new UsageError("--offline cannot be combined with --provider or --model.");
+  }
+
+  return { ...values, resumePath, threshold };
+};
+
+// A built-in profile by id, or an imported profile from a JSON file
+const readRubric = async (value) => {
+  if (value === undefined || getRubric(value)) return resolveRubric(value).value;
+  if (!/\.json$/i.test(value)) {
+    throw new UsageError(`Unknown scoring profile "${value}". Use one of ${Object.keys(RUBRIC_PROFILES).join(', ')} or a .json file.`);
+  }
+  let input;
+  try {
+    input = JSON.parse(await readFile(value, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw error;
+    throw new UsageError(`${basename(value)}: not valid JSON.`);
+  }
+  const { valid, errors, value: rubric } = resolveRubric(input);
+  if (!valid) throw new UsageError(`${basename(value)}: ${errors.join('; ')}.`);
+  return rubric;
+};
+
+// Talks to the provider directly; no HTTP server is involved.
+const createAiStep = ({ provider, model, offline }) => {
+  if (offline) return null;
+  if (!provider && !model && !defaultProviderId(process.env)) return null;
+  const instance = resolveProvider(process.env, { id: provider, model });
+  return async (text, jobDesc, { signal, rubric, language }) => (await analyzeResume(instance, { text, jobDesc, rubric, language }, { signal })).result;
+};
+
+const main = async (argv) => {
+  const options = parseCommandLine(argv);
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return EXIT.ok;
+  }
+
+  const resumeText = await readResume(options.resumePath);
+  if (resumeText.trim().length < 50) throw new UsageError(`${basename(options.resumePath)}: resume is too short (minimum 50 characters).`);
+  const jobDesc = options.jd ? await readFile(options.jd, 'utf8') : '';
+  const rubric = await readRubric(options.rubric);
+
+  const analyzeWithAi = createAiStep(options);
+  if (!analyzeWithAi && !options.offline) console.error("No AI provider configured: using the offline analyzer.");
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  const report = await runAnalysis(resumeText, jobDesc, { analyzeWithAi, rubric, language: options.language, signal: controller.signal });
+
+  process.stdout.write(options.format === 'json'
+    ? JSON.stringify(reportToJson(report), null, 2) + '\n'
+    : reportToMarkdown(report));
+
+  if (options.threshold === null) return EXIT.ok;
+  const score = overallScore(report);
+  if (score < options.threshold) {
+    console.error(`Score ${score} is below the threshold of ${options.threshold}.`);
+    return EXIT.belowThreshold;
+  }
+  return EXIT.ok;
+};
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+      console.error(`${error.message}\n\n${USAGE}`);
+    } else if (error.code === 'ENOENT') {
+      console.error(`File not found: ${error.path}`);
+    } else {
+      const { message, code } = classifyError(error);
+      console.error(`Analysis failed (${code}): ${message}`);
+    }
+    process.exitCode = EXIT.error;
+  });
@@ -0,0 +1,132 @@
+// ==========================================
+// 🪪 ACCOUNT HANDLERS
+//   POST /api/auth/signup | /api/auth/signin | /api/auth/signout
+//   GET  /api/auth/session
+//   GET  /api/auth/oauth-start?provider=<id>  -> provider consent screen
+//   GET  /api/auth/oauth-callback             -> back to the app with #signin_code=<code>
+//                                                (the redirect URL to register with each provider)
+//   POST /api/auth/oauth-exchange { code }    -> { user, token }
+//   GET | PATCH | POST /api/account           -> profile + data, rename, sync
+// Sessions are bearer tokens the client keeps in localStorage. They never
+// travel in a URL: the OAuth callback leaves a one-time code that only the
+// browser holding the matching cookie can exchange.
+// ==========================================
+import { randomBytes } from 'node:crypto';
+import { resolveAuthAdapter } from './auth/index.js';
+import { AuthError, SIGN_IN_CODE_TTL_SECONDS, signUp, signIn, signInWithOAuth, redeemSignInCode, userForToken, updateProfile, syncAccountData, publicUser } from './auth/accounts.js';
+import { SYNC_LIMITS } from '../src/lib/syncLimits.js';
+import { BodyError, readJsonBody, sendJson, sendJsonError, bearerToken, originOf, redirect } from './http.js';
+
+// "<provider>.<state>": providers only send the state back, so the cookie
+// also remembers which one the sign-in started with
+const STATE_COOKIE = 'cv_pulse_oauth_state';
+// Binds the one-time sign-in code to the browser that finished OAuth
+const CODE_COOKIE = 'cv_pulse_oauth_code';
+
+const readCookie = (req, name) => (req.headers.cookie || '')
+  .split(';')
+  .map(part => part.trim().split('='))
+  .find(([key]) => key === name)?.[1] || null;
+
+const methodNotAllowed = (res, allowed) => {
+  res.setHeader('Allow', allowed);
+  return sendJson(res, 405, { error: "Method not allowed" });
+};
+
+// Runs `work` with the configured adapter and turns AuthErrors into responses
+const withAdapter = (getEnv, work) => async (req, res) => {
+  const adapter = resolveAuthAdapter(getEnv());
+  if (!adapter) return sendJson(res, 503, { error: "Accounts are not configured on this server.", code: 'auth_unavailable' });
+  try {
+    return await work(adapter, req, res);
+  } catch (error) {
+    if (error instanceof AuthError) return sendJson(res, error.status, { error: error.message, code: error.code });
+    if (error instanceof BodyError) return sendJsonError(res, error);
+    console.error("Account request failed:", error.message);
+    return sendJson(res, 500, { error: "Something went wrong. Try again.", code: 'server_error' });
+  }
+};
+
+const cookie = (req, name, value, maxAge) => {
+  const secure = originOf(req).startsWith('https:') ? '; Secure' : '';
+  return `${name}=${value}; Path=/api/auth; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+};
+
+const startOAuth = async (adapter, req, res, url) => {
+  const provider = url.searchParams.get('provider');
+  if (!adapter.oauthProviders.includes(provider)) {
+    return sendJson(res, 400, { error: `Sign-in with "${provider}" is not available.`, code: 'oauth_unavailable' });
+  }
+  const state = randomBytes(16).toString('hex');
+  res.setHeader('Set-Cookie', cookie(req, STATE_COOKIE, `${provider}.${state}`, 600));
+  const redirectUri = `${originOf(req)}/api/auth/oauth-callback`;
+  return redirect(res, await adapter.startOAuth(provider, { redirectUri, state }));
+};
+
+const finishOAuth = async (adapter, req, res, url) => {
+  const state = url.searchParams.get('state');
+  const [provider, expected] = (readCookie(req, STATE_COOKIE) || '').split('.');
+  res.setHeader('Set-Cookie', cookie(req, STATE_COOKIE, '', 0));
+  try {
+    if (!adapter.oauthProviders.includes(provider) || !state || state !== expected) {
+      throw new AuthError("The sign-in link expired. Try again.", 'oauth_failed', 400);
+    }
+    const profile = await adapter.finishOAuth(provider, {
+      code: url.searchParams.get('code'),
+      redirectUri: `${originOf(req)}/api/auth/oauth-callback`,
+    });
+    const binding = randomBytes(16).toString('hex');
+    const { code } = await signInWithOAuth(adapter, provider, profile, { binding });
+    res.setHeader('Set-Cookie', [cookie(req, STATE_COOKIE, '', 0), cookie(req, CODE_COOKIE, binding, SIGN_IN_CODE_TTL_SECONDS)]);
+    return redirect(res, `/#signin_code=${code}`);
+  } catch (error) {
+    if (!(error instanceof AuthError)) console.error("OAuth sign-in failed:", error.message);
+    const message = error instanceof AuthError ? error.message : "Sign-in failed. Try again.";
+    return redirect(res, `/#auth_error=${encodeURIComponent(message)}`);
+  }
+};
+
+export const createAuthHandler = ({ getEnv }) => withAdapter(getEnv, async (adapter, req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const action = url.pathname.split('/').filter(Boolean).pop();
+
+  if (action === 'oauth-start' || action === 'oauth-callback' || action === 'session') {
+    if (req.method !== 'GET') return methodNotAllowed(res, 'GET');
+    if (action === 'oauth-start') return startOAuth(adapter, req, res, url);
+    if (action === 'oauth-callback') return finishOAuth(adapter, req, res, url);
+    const user = await userForToken(adapter, bearerToken(req));
+    return sendJson(res, 200, { user: publicUser(user) });
+  }
+
+  if (req.method !== 'POST') return methodNotAllowed(res, 'POST');
+  if (action === 'signup') return sendJson(res, 201, await signUp(adapter, await readJsonBody(req)));
+  if (action === 'signin') return sendJson(res, 200, await signIn(adapter, await readJsonBody(req)));
+  if (action === 'oauth-exchange') {
+    const binding = readCookie(req, CODE_COOKIE);
+    res.setHeader('Set-Cookie', cookie(req, CODE_COOKIE, '', 0));
+    const { code } = await readJsonBody(req);
+    return sendJson(res, 200, await redeemSignInCode(adapter, code, binding));
+  }
+  if (action === 'signout') {
+    const token = bearerToken(req);
+    if (token) await adapter.deleteSession(token);
+    return sendJson(res, 200, { ok: true });
+  }
+  return sendJson(res, 404, { error: "Not found" });
+});
+
+export const createAccountHandler = ({ getEnv }) => withAdapter(getEnv, async (adapter, req, res) => {
+  const user = await userForToken(adapter, bearerToken(req));
+
+  if (req.method === 'GET') {
+    return sendJson(res, 200, { user: publicUser(user), data: await adapter.loadData(user.id) });
+  }
+  if (req.method === 'PATCH') {
+    return sendJson(res, 200, { user: await updateProfile(adapter, user.id, await readJsonBody(req)) });
+  }
+  if (req.method === 'POST') {
+    const data = await syncAccountData(adapter, user.id, await readJsonBody(req, { limit: SYNC_LIMITS.requestBytes }));
+    return sendJson(res, 200, { user: publicUser(user), data });
+  }
+  return methodNotAllowed(res, 'GET, PATCH, POST');
+});
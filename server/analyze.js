@@ -0,0 +1,150 @@
+// ==========================================
+// 🔬 ANALYSIS SERVICE
+// ==========================================
+import { buildPrompt, buildRepairPrompt, buildContinuationPrompt, buildPersonaPrompt, buildDocumentPrompt, buildParagraphPrompt } from './prompt.js';
+import { parseModelJson, validateAnalysis, toPartialAnalysis, ANALYSIS_RESPONSE_SCHEMA } from '../src/lib/analysisSchema.js';
+import { validatePersonaReview, PERSONA_RESPONSE_SCHEMA } from '../src/lib/personas.js';
+import { validateDocument, validateParagraph, DOCUMENT_RESPONSE_SCHEMA, PARAGRAPH_RESPONSE_SCHEMA } from '../src/lib/generate/documents.js';
+
+// How many times we go back to the model after an unusable answer
+export const MAX_REASKS = 1;
+
+// How many times a streamed answer may be continued after hitting the
+// provider's output-token limit
+export const MAX_CONTINUATIONS = 2;
+
+export class AnalysisError extends Error {
+  constructor(message, code, details = []) {
+    super(message);
+    this.name = 'AnalysisError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Parse, repair and validate one model reply. Returns { value, repaired }
+// or { problems } describing why it could not be used.
+export const interpretResponse = (textResponse, validate = validateAnalysis) => {
+  let parsed;
+  try {
+    parsed = parseModelJson(textResponse);
+  } catch (error) {
+    return { problems: [error.message] };
+  }
+
+  const { valid, errors, warnings, value } = validate(parsed.data);
+  if (!valid) return { problems: errors };
+  return { value, repaired: parsed.repaired || warnings.length > 0, warnings };
+};
+
+const reaskUntilValid = async (provider, prompt, textResponse, outcome, signal, { schema = ANALYSIS_RESPONSE_SCHEMA, validate = validateAnalysis } = {}) => {
+  let current = { textResponse, outcome };
+  for (let attempt = 1; current.outcome.problems && attempt <= MAX_REASKS; attempt++) {
+    console.warn(`Model response rejected (${current.outcome.problems.join('; ')}), re-asking (${attempt}/${MAX_REASKS})`);
+    const reply = await provider.generate(buildRepairPrompt(prompt, current.textResponse, current.outcome.problems), { schema, signal });
+    current = { textResponse: reply, outcome: interpretResponse(reply, validate) };
+  }
+
+  if (current.outcome.problems) {
+    throw new AnalysisError("The AI returned a response we could not understand.", 'invalid_response', current.outcome.problems);
+  }
+  const { value, repaired, warnings } = current.outcome;
+  return { result: value, repaired, warnings };
+};
+
+// `provider` is any object from providers/index.js; `rubric` is a profile
+// from src/lib/rubrics.js (the default one when omitted) and `language` the
+// resume's language from src/lib/language.js
+export const analyzeResume = async (provider, { text, jobDesc, rubric, language }, { signal } = {}) => {
+  const prompt = buildPrompt(text, jobDesc, rubric, language);
+  const textResponse = await provider.generate(prompt, { schema: ANALYSIS_RESPONSE_SCHEMA, signal });
+  return reaskUntilValid(provider, prompt, textResponse, interpretResponse(textResponse), signal);
+};
+
+// One recruiter persona's review (see PERSONA_PROMPTS); same repair and
+// re-ask rules as a full analysis.
+export const reviewAsPersona = async (provider, { text, jobDesc, persona, language }, { signal } = {}) => {
+  const prompt = buildPersonaPrompt(persona, text, jobDesc, language);
+  const options = { schema: PERSONA_RESPONSE_SCHEMA, validate: validatePersonaReview };
+  const textResponse = await provider.generate(prompt, { schema: PERSONA_RESPONSE_SCHEMA, signal });
+  return reaskUntilValid(provider, prompt, textResponse, interpretResponse(textResponse, validatePersonaReview), signal, options);
+};
+
+// A cover letter or LinkedIn profile (see buildDocumentPrompt); same repair
+// and re-ask rules as a full analysis.
+export const generateDocument = async (provider, input, { signal } = {}) => {
+  const prompt = buildDocumentPrompt(input);
+  const validate = (data) => validateDocument(data, input.type, input.tone);
+  const textResponse = await provider.generate(prompt, { schema: DOCUMENT_RESPONSE_SCHEMA, signal });
+  return reaskUntilValid(provider, prompt, textResponse, interpretResponse(textResponse, validate), signal, { schema: DOCUMENT_RESPONSE_SCHEMA, validate });
+};
+
+// One new paragraph for an existing document; `input` also carries the
+// current `paragraphs` and the `index` to replace
+export const regenerateParagraph = async (provider, input, { signal } = {}) => {
+  const prompt = buildParagraphPrompt(input);
+  const options = { schema: PARAGRAPH_RESPONSE_SCHEMA, validate: validateParagraph };
+  const textResponse = await provider.generate(prompt, { schema: PARAGRAPH_RESPONSE_SCHEMA, signal });
+  return reaskUntilValid(provider, prompt, textResponse, interpretResponse(textResponse, validateParagraph), signal, options);
+};
+
+// Models sometimes repeat the last few characters when asked to continue
+const stripOverlap = (base, continuation) => {
+  const max = Math.min(200, base.length, continuation.length);
+  for (let size = max; size > 0; size--) {
+    if (base.endsWith(continuation.slice(0, size))) return continuation.slice(size);
+  }
+  return continuation;
+};
+
+// Streams the answer, calling `onPartial` with every new best-effort view of
+// the result. When the provider stops at its output limit the answer is
+// continued rather than returned truncated.
+export const streamAnalysis = async (provider, { text, jobDesc, rubric, language }, { onPartial, signal }) => {
+  const prompt = buildPrompt(text, jobDesc, rubric, language);
+  let accumulated = '';
+  let lastPartial = '';
+
+  const emitPartial = () => {
+    let parsed;
+    try {
+      parsed = parseModelJson(accumulated);
+    } catch {
+      return;
+    }
+    const partial = toPartialAnalysis(parsed.data);
+    const serialized = JSON.stringify(partial);
+    if (serialized !== lastPartial && Object.keys(partial).length) {
+      lastPartial = serialized;
+      onPartial(partial);
+    }
+  };
+
+  let { truncated } = await provider.stream(prompt, {
+    schema: ANALYSIS_RESPONSE_SCHEMA,
+    signal,
+    onText: (chunk) => {
+      accumulated += chunk;
+      emitPartial();
+    },
+  });
+
+  for (let attempt = 1; truncated && attempt <= MAX_CONTINUATIONS; attempt++) {
+    console.warn(`Output limit reached, continuing (${attempt}/${MAX_CONTINUATIONS})`);
+    const base = accumulated;
+    let continuation = '';
+    // No schema here: structured mode would force the model to start a new object
+    ({ truncated } = await provider.stream(buildContinuationPrompt(prompt, base), {
+      signal,
+      onText: (chunk) => {
+        continuation += chunk;
+        accumulated = base + stripOverlap(base, continuation.replace(/^```(json)?/, ''));
+        emitPartial();
+      },
+    }));
+  }
+
+  return reaskUntilValid(provider, prompt, accumulated, interpretResponse(accumulated), signal);
+};
+
+export const pingProvider = (provider, { signal } = {}) => provider.generate("Hello, respond with 'OK' if working", { signal });
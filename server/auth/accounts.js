@@ -0,0 +1,189 @@
+// ==========================================
+// 👤 ACCOUNTS
+// Sign-up, sign-in and data sync on top of any auth adapter.
+// ==========================================
+import { hashPassword, verifyPassword } from './passwords.js';
+import { DEFAULT_PLAN } from '../../src/lib/entitlements.js';
+import { SYNC_LIMITS, jsonBytes } from '../../src/lib/syncLimits.js';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Sessions end this long after sign-in; the client then asks to sign in again
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// An OAuth callback hands the browser a one-time code, not a session; the
+// code has to be exchanged this soon, from the browser that started sign-in
+export const SIGN_IN_CODE_TTL_SECONDS = 120;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class AuthError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Never send the password hash (or anything else internal) to the client
+export const publicUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  plan: user.plan || DEFAULT_PLAN,
+  providers: user.providers || [],
+  createdAt: user.createdAt,
+});
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+// `generation` moves when every session of an account is revoked at once
+const startSession = (adapter, user) => adapter.createSession(user.id, {
+  expiresAt: Date.now() + SESSION_TTL_MS,
+  generation: user.sessionGeneration || 0,
+});
+
+export const signUp = async (adapter, { email, password, name }) => {
+  const address = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(address)) throw new AuthError("Enter a valid email address.", 'invalid_email', 400);
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`, 'weak_password', 400);
+  }
+  if (await adapter.findUserByEmail(address)) {
+    throw new AuthError("An account with this email already exists. Sign in instead.", 'email_taken', 409);
+  }
+
+  const user = await adapter.createUser({
+    email: address,
+    name: (typeof name === 'string' && name.trim()) || address.split('@')[0],
+    passwordHash: await hashPassword(password),
+    // Nothing proves the sign-up owns this address (see signInWithOAuth)
+    emailVerified: false,
+    plan: DEFAULT_PLAN,
+    providers: ['password'],
+  });
+  return { user: publicUser(user), token: await startSession(adapter, user) };
+};
+
+export const signIn = async (adapter, { email, password }) => {
+  const user = await adapter.findUserByEmail(normalizeEmail(email));
+  const valid = user?.passwordHash && typeof password === 'string' && await verifyPassword(password, user.passwordHash);
+  if (!valid) throw new AuthError("Email or password is incorrect.", 'invalid_credentials', 401);
+  return { user: publicUser(user), token: await startSession(adapter, user) };
+};
+
+// Accounts from before `emailVerified` was stored: only password sign-ups
+// never had their address checked
+const hasVerifiedEmail = (user) => user.emailVerified ?? !(user.providers || []).includes('password');
+
+// An OAuth sign-in for an email we already know links to that account, so
+// the provider must have verified the address: otherwise anyone could add
+// someone else's email to a provider account and take over theirs. Unverified
+// addresses cannot start a new account either, or they could claim an
+// address before its owner signs up.
+// The same goes the other way: a password sign-up never proved it owns its
+// address, so linking into one drops the password and ends its sessions.
+// Resolves with { code } for redeemSignInCode; `binding` is the secret the
+// browser that started this sign-in holds in a cookie.
+export const signInWithOAuth = async (adapter, provider, profile, { binding }) => {
+  const email = normalizeEmail(profile.email);
+  if (!EMAIL_PATTERN.test(email)) throw new AuthError("The sign-in provider did not share an email address.", 'oauth_failed', 400);
+  if (profile.emailVerified !== true) {
+    throw new AuthError("Verify your email address with the sign-in provider first, or sign in with your password.", 'email_unverified', 403);
+  }
+
+  let user = await adapter.findUserByEmail(email);
+  if (!user) {
+    user = await adapter.createUser({ email, name: profile.name || email.split('@')[0], emailVerified: true, plan: DEFAULT_PLAN, providers: [provider] });
+  } else if (!hasVerifiedEmail(user)) {
+    const providers = (user.providers || []).filter(id => id !== 'password' && id !== provider);
+    user = await adapter.updateUser(user.id, {
+      passwordHash: null,
+      emailVerified: true,
+      providers: [...providers, provider],
+      sessionGeneration: (user.sessionGeneration || 0) + 1,
+    });
+  } else if (!(user.providers || []).includes(provider)) {
+    user = await adapter.updateUser(user.id, { providers: [...(user.providers || []), provider] });
+  }
+  return { code: await adapter.createSignInCode(user.id, { binding, ttlSeconds: SIGN_IN_CODE_TTL_SECONDS }) };
+};
+
+// A link carrying someone else's code fails here: the code is bound to the
+// browser the sign-in started in, and works once.
+export const redeemSignInCode = async (adapter, code, binding) => {
+  const userId = typeof code === 'string' && binding && await adapter.redeemSignInCode(code, binding, { ttlSeconds: SIGN_IN_CODE_TTL_SECONDS });
+  const user = userId && await adapter.findUserById(userId);
+  if (!user) throw new AuthError("The sign-in link expired. Try again.", 'oauth_failed', 400);
+  return { user: publicUser(user), token: await startSession(adapter, user) };
+};
+
+// The signed-in user, or null for a missing, expired or revoked session.
+// Dropping the password (see signInWithOAuth) ends the sessions started before.
+export const sessionUser = async (adapter, token) => {
+  const session = token && await adapter.getSession(token);
+  const user = session && await adapter.findUserById(session.userId);
+  return user && (session.generation || 0) === (user.sessionGeneration || 0) ? user : null;
+};
+
+export const userForToken = async (adapter, token) => {
+  const user = await sessionUser(adapter, token);
+  if (!user) throw new AuthError("Your session has expired. Sign in again.", 'unauthenticated', 401);
+  return user;
+};
+
+export const updateProfile = async (adapter, userId, { name }) => {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw new AuthError("Name must be between 1 and 100 characters.", 'invalid_profile', 400);
+  }
+  return publicUser(await adapter.updateUser(userId, { name: name.trim() }));
+};
+
+const isStamp = (value) => value === undefined || (typeof value === 'number' && Number.isFinite(value));
+
+// Every synced item is a JSON object with a short uid, numeric timestamps
+// and its own text field (`resumeText` for scans, `text` for resumes), and
+// is no larger than SYNC_LIMITS.itemBytes
+const checkItems = (items, kind, textField) => {
+  items.forEach(item => {
+    const valid = item && typeof item === 'object' && !Array.isArray(item) &&
+      typeof item.uid === 'string' && item.uid.length > 0 && item.uid.length <= 100 &&
+      isStamp(item.createdAt) && isStamp(item.updatedAt) && typeof item[textField] === 'string';
+    if (!valid) throw new AuthError(`Every synced ${kind} needs a uid and its ${textField}.`, 'invalid_sync', 400);
+    if (jsonBytes(item) > SYNC_LIMITS.itemBytes) {
+      throw new AuthError(`A synced ${kind} is larger than ${SYNC_LIMITS.itemBytes / 1024} KB.`, 'sync_too_large', 413);
+    }
+  });
+};
+
+// Union by `uid`; for the same uid the most recently updated copy wins.
+const mergeByUid = (stored, incoming, max) => {
+  const byUid = new Map(stored.map(item => [item.uid, item]));
+  incoming.forEach(item => {
+    const existing = byUid.get(item.uid);
+    const stamp = (entry) => entry.updatedAt || entry.createdAt || 0;
+    if (!existing || stamp(item) > stamp(existing)) byUid.set(item.uid, item);
+  });
+  return Array.from(byUid.values())
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    .slice(-max);
+};
+
+export const syncAccountData = async (adapter, userId, { resumes = [], scans = [] } = {}) => {
+  if (!Array.isArray(resumes) || !Array.isArray(scans)) {
+    throw new AuthError("resumes and scans must be arrays.", 'invalid_sync', 400);
+  }
+  if (resumes.length > SYNC_LIMITS.resumes || scans.length > SYNC_LIMITS.scans) {
+    throw new AuthError(`Sync at most ${SYNC_LIMITS.resumes} resumes and ${SYNC_LIMITS.scans} scans at a time.`, 'sync_too_large', 413);
+  }
+  checkItems(resumes, 'resume', 'text');
+  checkItems(scans, 'scan', 'resumeText');
+  const stored = await adapter.loadData(userId);
+  const merged = {
+    resumes: mergeByUid(stored.resumes, resumes, SYNC_LIMITS.resumes),
+    scans: mergeByUid(stored.scans, scans, SYNC_LIMITS.scans),
+  };
+  await adapter.saveData(userId, merged);
+  return merged;
+};
@@ -0,0 +1,53 @@
+// ==========================================
+// 🪪 AUTH ADAPTER REGISTRY
+// Accounts are stored behind an adapter so the backing service can change
+// without touching the handlers. Every adapter exposes:
+//   findUserByEmail, findUserById, createUser, updateUser,
+//   createSession(userId, { expiresAt, generation }), getSession (null once expired),
+//   deleteSession, loadData, saveData,
+//   createSignInCode(userId, { binding, ttlSeconds }),
+//   redeemSignInCode(code, binding, { ttlSeconds }) -> userId or null,
+//   oauthProviders, startOAuth(provider, { redirectUri, state }),
+//   finishOAuth(provider, { code, redirectUri }) -> { email, name, emailVerified }
+// Which adapter is used is decided by AUTH_ADAPTER.
+// ==========================================
+import { createMemoryAuthAdapter } from './memory.js';
+import { createStoreAuthAdapter } from './storeAdapter.js';
+import { createOAuthClient } from './oauth.js';
+import { STORES } from '../storage/index.js';
+
+export const AUTH_ADAPTERS = {
+  redis: {
+    label: "Redis (Upstash / Vercel KV)",
+    // Used by default wherever Redis is configured, production included
+    isConfigured: (env) => env.AUTH_ADAPTER === 'redis' || (!env.AUTH_ADAPTER && STORES.redis.isConfigured(env)),
+    create: (env) => createStoreAuthAdapter({ id: 'redis', store: STORES.redis.create(env), oauth: createOAuthClient(env) }),
+  },
+  memory: {
+    label: "In-memory (development only)",
+    // Used by default outside production, so `npm run dev` has working accounts
+    isConfigured: (env) => env.AUTH_ADAPTER === 'memory' || (!env.AUTH_ADAPTER && env.NODE_ENV !== 'production'),
+    create: (env) => createMemoryAuthAdapter(env),
+  },
+};
+
+// Adapters hold state (the memory one holds everything), so one instance
+// per adapter id is shared by every request in this process.
+const instances = new Map();
+
+export const authAdapterId = (env) => Object.keys(AUTH_ADAPTERS).find(id => AUTH_ADAPTERS[id].isConfigured(env)) || null;
+
+export const resolveAuthAdapter = (env) => {
+  const id = authAdapterId(env);
+  if (!id) return null;
+  if (!instances.has(id)) instances.set(id, AUTH_ADAPTERS[id].create(env));
+  return instances.get(id);
+};
+
+// Public description for the client, reported by /api/health
+export const describeAuth = (env) => {
+  const adapter = resolveAuthAdapter(env);
+  return adapter
+    ? { enabled: true, adapter: adapter.id, oauthProviders: adapter.oauthProviders }
+    : { enabled: false, adapter: null, oauthProviders: [] };
+};
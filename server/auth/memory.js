@@ -0,0 +1,37 @@
+// ==========================================
+// 🧠 IN-MEMORY AUTH ADAPTER (development and tests)
+// The store-backed adapter on a process-local store, so everything is gone
+// when the server restarts. Unless GitHub or Google credentials are set,
+// OAuth is simulated: the "provider" signs you straight back in as a fixed,
+// verified test user for that provider.
+// ==========================================
+import { createStoreAuthAdapter } from './storeAdapter.js';
+import { createOAuthClient, hasOAuthProviders } from './oauth.js';
+import { createMemoryStore } from '../storage/memory.js';
+
+export const MEMORY_OAUTH_PROVIDERS = ['github', 'google'];
+
+const simulatedOAuth = {
+  oauthProviders: MEMORY_OAUTH_PROVIDERS,
+
+  // A real provider shows its consent screen; we come straight back with a
+  // code that names the provider
+  startOAuth: async (provider, { redirectUri, state }) => {
+    const params = new URLSearchParams({ state, code: `dev-${provider}` });
+    return `${redirectUri}?${params}`;
+  },
+  finishOAuth: async (provider, { code }) => {
+    if (code !== `dev-${provider}`) throw new Error("Invalid OAuth code.");
+    return {
+      email: `dev-${provider}@example.com`,
+      name: `Dev ${provider.charAt(0).toUpperCase()}${provider.slice(1)} User`,
+      emailVerified: true,
+    };
+  },
+};
+
+export const createMemoryAuthAdapter = (env = {}) => createStoreAuthAdapter({
+  id: 'memory',
+  store: createMemoryStore(),
+  oauth: hasOAuthProviders(env) ? createOAuthClient(env) : simulatedOAuth,
+});
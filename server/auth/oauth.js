@@ -0,0 +1,107 @@
+// ==========================================
+// 🔐 OAUTH PROVIDERS
+// The authorization-code flow against GitHub and Google with fetch (no SDK).
+// A provider is offered once its client id and secret are set. Profiles
+// come back as { email, name, emailVerified }; only an address the provider
+// has verified may sign in to (or link to) an account.
+// ==========================================
+import { AuthError } from './accounts.js';
+
+const failed = (message) => new AuthError(message, 'oauth_failed', 400);
+
+// POST form fields, read a JSON answer
+const postForm = async (url, params) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params),
+  });
+  return { ok: response.ok, data: await response.json().catch(() => ({})) };
+};
+
+const getJson = async (url, accessToken) => {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json', Authorization: `Bearer ${accessToken}`, 'User-Agent': 'cv-pulse' },
+  });
+  if (!response.ok) throw failed(`The sign-in provider did not share your profile (${response.status}).`);
+  return response.json();
+};
+
+export const OAUTH_PROVIDERS = {
+  github: {
+    label: "GitHub",
+    credentials: (env) => ({ clientId: env.GITHUB_CLIENT_ID, clientSecret: env.GITHUB_CLIENT_SECRET }),
+    authorizeUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    scope: 'read:user user:email',
+    // The profile email may be hidden or unverified; /user/emails says which
+    // address is the primary one and whether it is verified
+    profile: async (accessToken) => {
+      const [user, emails] = await Promise.all([
+        getJson('https://api.github.com/user', accessToken),
+        getJson('https://api.github.com/user/emails', accessToken),
+      ]);
+      const primary = emails.find(entry => entry.primary) || emails.find(entry => entry.verified) || null;
+      return { email: primary?.email || null, name: user.name || user.login, emailVerified: Boolean(primary?.verified) };
+    },
+  },
+  google: {
+    label: "Google",
+    credentials: (env) => ({ clientId: env.GOOGLE_CLIENT_ID, clientSecret: env.GOOGLE_CLIENT_SECRET }),
+    authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    scope: 'openid email profile',
+    profile: async (accessToken) => {
+      const user = await getJson('https://openidconnect.googleapis.com/v1/userinfo', accessToken);
+      return { email: user.email || null, name: user.name, emailVerified: user.email_verified === true };
+    },
+  },
+};
+
+const configured = (env) => Object.keys(OAUTH_PROVIDERS).filter(id => {
+  const { clientId, clientSecret } = OAUTH_PROVIDERS[id].credentials(env);
+  return Boolean(clientId && clientSecret);
+});
+
+export const hasOAuthProviders = (env) => configured(env).length > 0;
+
+// The oauthProviders / startOAuth / finishOAuth part of an auth adapter
+export const createOAuthClient = (env) => {
+  const providers = configured(env);
+  const providerFor = (id) => {
+    if (!providers.includes(id)) throw failed(`Sign-in with "${id}" is not available.`);
+    return { ...OAUTH_PROVIDERS[id], ...OAUTH_PROVIDERS[id].credentials(env) };
+  };
+
+  return {
+    oauthProviders: providers,
+
+    startOAuth: async (id, { redirectUri, state }) => {
+      const provider = providerFor(id);
+      const params = new URLSearchParams({
+        client_id: provider.clientId,
+        redirect_uri: redirectUri,
+        response_type: 'code',
+        scope: provider.scope,
+        state,
+      });
+      return `${provider.authorizeUrl}?${params}`;
+    },
+
+    finishOAuth: async (id, { code, redirectUri }) => {
+      const provider = providerFor(id);
+      if (!code) throw failed("Sign-in was cancelled.");
+      const { ok, data } = await postForm(provider.tokenUrl, {
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        code,
+        redirect_uri: redirectUri,
+        grant_type: 'authorization_code',
+      });
+      if (!ok || !data.access_token) {
+        throw failed(data.error_description || "The sign-in provider rejected the request. Try again.");
+      }
+      return provider.profile(data.access_token);
+    },
+  };
+};
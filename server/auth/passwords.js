@@ -0,0 +1,25 @@
+// ==========================================
+// 🔑 PASSWORD HASHING
+// scrypt with a per-password salt, stored as "scrypt$<salt>$<hash>".
+// ==========================================
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+
+const KEY_LENGTH = 64;
+
+const derive = (password, salt) => new Promise((resolve, reject) => {
+  scrypt(password, salt, KEY_LENGTH, (error, key) => (error ? reject(error) : resolve(key)));
+});
+
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16).toString('hex');
+  const hash = await derive(password, salt);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await derive(password, salt);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
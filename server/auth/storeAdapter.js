@@ -0,0 +1,129 @@
+// ==========================================
+// 🗝️ STORE-BACKED AUTH ADAPTER
+// Accounts, sessions and synced data on any key-value store from
+// server/storage. Keys:
+//   user:<id>                    the account
+//   email:<address>              -> user id, claimed once so two sign-ups
+//                                   cannot race to the same address
+//   session:<sha256 of token>    { userId, generation, createdAt, expiresAt }, expires
+//                                   with the session; a leaked store does
+//                                   not leak usable tokens
+//   signin-code:<sha256 of code> { userId, binding }, a one-time OAuth
+//                                   sign-in code, short-lived
+//   signin-used:<sha256 of code> claimed on redemption so a code works once
+//   data:<userId>                index of synced items: { resumes, scans }
+//                                   as [{ uid, stamp }]
+//   item:<userId>:<kind>:<uid>   one synced resume or scan
+// Synced items get a key each so a sync only writes what changed and no
+// single value grows with the history.
+// ==========================================
+import { createHash, randomBytes, randomUUID } from 'node:crypto';
+import { AuthError } from './accounts.js';
+
+const DATA_KINDS = ['resumes', 'scans'];
+
+// Items written per round trip when syncing
+const WRITE_BATCH = 25;
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const stampOf = (item) => item.updatedAt || item.createdAt || 0;
+
+const chunk = (list, size) => Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+
+export const createStoreAuthAdapter = ({ id, store, oauth }) => {
+  const itemKey = (userId, kind, uid) => `item:${userId}:${kind}:${uid}`;
+  const emptyIndex = () => Object.fromEntries(DATA_KINDS.map(kind => [kind, []]));
+
+  const findUserById = async (userId) => store.get(`user:${userId}`);
+
+  return {
+    id,
+    ...oauth,
+
+    findUserById,
+    findUserByEmail: async (email) => {
+      const userId = await store.get(`email:${email.toLowerCase()}`);
+      return userId ? findUserById(userId) : null;
+    },
+
+    createUser: async (fields) => {
+      const user = { id: randomUUID(), createdAt: Date.now(), ...fields, email: fields.email.toLowerCase() };
+      if (!await store.add(`email:${user.email}`, user.id)) {
+        throw new AuthError("An account with this email already exists. Sign in instead.", 'email_taken', 409);
+      }
+      await store.set(`user:${user.id}`, user);
+      return user;
+    },
+
+    updateUser: async (userId, patch) => {
+      const user = await findUserById(userId);
+      if (!user) return null;
+      const updated = { ...user, ...patch };
+      await store.set(`user:${userId}`, updated);
+      return updated;
+    },
+
+    createSession: async (userId, { expiresAt, generation = 0 }) => {
+      const token = randomBytes(32).toString('hex');
+      const ttlSeconds = Math.max(1, (expiresAt - Date.now()) / 1000);
+      await store.set(`session:${hashToken(token)}`, { userId, generation, createdAt: Date.now(), expiresAt }, { ttlSeconds });
+      return token;
+    },
+    getSession: async (token) => {
+      const session = await store.get(`session:${hashToken(token)}`);
+      return session && session.expiresAt > Date.now() ? session : null;
+    },
+    deleteSession: async (token) => {
+      await store.delete(`session:${hashToken(token)}`);
+    },
+
+    createSignInCode: async (userId, { binding, ttlSeconds }) => {
+      const code = randomBytes(32).toString('hex');
+      await store.set(`signin-code:${hashToken(code)}`, { userId, binding }, { ttlSeconds });
+      return code;
+    },
+    // Resolves with the user id once per code, and only for the same binding
+    redeemSignInCode: async (code, binding, { ttlSeconds }) => {
+      const key = hashToken(code);
+      const entry = await store.get(`signin-code:${key}`);
+      if (!entry || !await store.add(`signin-used:${key}`, true, { ttlSeconds })) return null;
+      await store.delete(`signin-code:${key}`);
+      return entry.binding === binding ? entry.userId : null;
+    },
+
+    loadData: async (userId) => {
+      const index = (await store.get(`data:${userId}`)) || emptyIndex();
+      const data = {};
+      for (const kind of DATA_KINDS) {
+        const items = await store.getMany(index[kind].map(entry => itemKey(userId, kind, entry.uid)));
+        data[kind] = items.filter(Boolean);
+      }
+      return data;
+    },
+
+    // Replaces the synced data with `value`, writing only new or changed items
+    saveData: async (userId, value) => {
+      const previous = (await store.get(`data:${userId}`)) || emptyIndex();
+      const index = {};
+      const writes = [];
+      const removed = [];
+      DATA_KINDS.forEach(kind => {
+        const items = value[kind] || [];
+        const before = new Map(previous[kind].map(entry => [entry.uid, entry.stamp]));
+        const kept = new Set(items.map(item => item.uid));
+        items
+          .filter(item => before.get(item.uid) !== stampOf(item))
+          .forEach(item => writes.push([itemKey(userId, kind, item.uid), item]));
+        previous[kind]
+          .filter(entry => !kept.has(entry.uid))
+          .forEach(entry => removed.push(itemKey(userId, kind, entry.uid)));
+        index[kind] = items.map(item => ({ uid: item.uid, stamp: stampOf(item) }));
+      });
+
+      for (const batch of chunk(writes, WRITE_BATCH)) await store.setMany(Object.fromEntries(batch));
+      await store.set(`data:${userId}`, index);
+      if (removed.length) await store.delete(...removed);
+    },
+  };
+};
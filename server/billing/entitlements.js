@@ -0,0 +1,132 @@
+// ==========================================
+// 🎟️ ENTITLEMENTS
+// A user's plan is only ever changed here, from a verified payment webhook.
+// Everything the client is allowed to use is derived from that plan and the
+// shared map in src/lib/entitlements.js.
+// ==========================================
+import { DEFAULT_PLAN, PLANS, QUOTAS, FEATURES, planFeatures, quotaLimit, quotaPeriod } from '../../src/lib/entitlements.js';
+import { bearerToken } from '../http.js';
+import { sessionUser } from '../auth/accounts.js';
+import { BillingError } from './errors.js';
+
+// Subscription states that keep a paid plan active
+const ACTIVE_STATUSES = ['active', 'trialing'];
+
+// Quotas are counted per account, or per IP address for anonymous use. The
+// address must come from a hop we trust: clients can send any
+// X-Forwarded-For they like, so its first entry is never used.
+//   Vercel:           x-real-ip, which the platform sets itself
+//   TRUST_PROXY=1:    the last X-Forwarded-For entry, appended by our proxy
+//   otherwise:        the connection's own address
+export const clientAddress = (req, env) => {
+  if (env.VERCEL && req.headers['x-real-ip']) return req.headers['x-real-ip'];
+  const hops = (req.headers['x-forwarded-for'] || '').split(',').map(hop => hop.trim()).filter(Boolean);
+  if (env.TRUST_PROXY && hops.length) return hops[hops.length - 1];
+  return req.socket?.remoteAddress || 'unknown';
+};
+
+// Features always follow the plan, even where Pro cannot be bought: a
+// missing payment or account setting must not make Pro free. For local
+// development only, PRO_FEATURES_OPEN=1 opens every feature (usage quotas
+// still apply); it is ignored in production.
+const featuresOpen = (env) => env.PRO_FEATURES_OPEN === '1' && env.NODE_ENV !== 'production';
+
+const featuresFor = (plan, env) => (
+  featuresOpen(env) ? Object.fromEntries(Object.keys(FEATURES).map(id => [id, true])) : planFeatures(plan)
+);
+
+// Who is making this request: { key, plan, features, user }. A missing or
+// expired token, or no accounts on this server (`authAdapter` null), is
+// treated as anonymous rather than an error.
+export const resolveSubject = async (authAdapter, req, env) => {
+  const token = bearerToken(req);
+  const user = authAdapter && await sessionUser(authAdapter, token);
+  const plan = user?.plan || DEFAULT_PLAN;
+  return {
+    key: user ? `user:${user.id}` : `ip:${clientAddress(req, env)}`,
+    plan,
+    features: featuresFor(plan, env),
+    user: user || null,
+  };
+};
+
+const publicSubscription = (subscription) => subscription && {
+  plan: subscription.plan,
+  status: subscription.status,
+  provider: subscription.provider,
+  currentPeriodEnd: subscription.currentPeriodEnd || null,
+};
+
+// Usage counters live in the server store (see server/storage), not with
+// the accounts, so anonymous use is limited even on servers without them.
+// A counter expires an hour after its period ends.
+const usageKey = (subject, periodKey) => `usage:${subject.key}|${periodKey}`;
+const usageTtl = (resetsAt) => (resetsAt - Date.now()) / 1000 + 60 * 60;
+
+export const entitlementsFor = async (store, subject) => {
+  const quotas = {};
+  for (const quotaId of Object.keys(QUOTAS)) {
+    const { key, resetsAt } = quotaPeriod(quotaId);
+    quotas[quotaId] = {
+      used: Math.max(0, (await store.get(usageKey(subject, key))) || 0),
+      limit: quotaLimit(subject.plan, quotaId),
+      resetsAt,
+    };
+  }
+  return {
+    plan: subject.plan,
+    features: subject.features,
+    quotas,
+    subscription: publicSubscription(subject.user?.subscription),
+  };
+};
+
+// Counts one use up front so parallel requests cannot overshoot the limit.
+// Resolves with { allowed, used, limit, resetsAt, release }; `release` gives
+// the use back when the work it paid for failed.
+export const claimQuota = async (store, subject, quotaId) => {
+  const limit = quotaLimit(subject.plan, quotaId);
+  const { key, resetsAt } = quotaPeriod(quotaId);
+  const counter = usageKey(subject, key);
+  const used = await store.increment(counter, 1, { ttlSeconds: usageTtl(resetsAt) });
+  let released = false;
+  const release = async () => {
+    if (released) return;
+    released = true;
+    await store.increment(counter, -1);
+  };
+
+  if (limit !== null && used > limit) {
+    await release();
+    return { allowed: false, used: limit, limit, resetsAt, release };
+  }
+  return { allowed: true, used, limit, resetsAt, release };
+};
+
+// Applies a normalized subscription event from a payment adapter:
+//   { userId, plan, status, provider, customerId, subscriptionId, currentPeriodEnd, createdAt }
+// Providers may deliver events out of order, so older events are ignored.
+export const applySubscriptionEvent = async (authAdapter, event) => {
+  const user = await authAdapter.findUserById(event.userId);
+  if (!user) throw new BillingError(`No account for user ${event.userId}.`, 'unknown_user', 404);
+  if (!PLANS[event.plan] || event.plan === DEFAULT_PLAN) {
+    throw new BillingError(`Unknown paid plan "${event.plan}".`, 'unknown_plan', 400);
+  }
+
+  const current = user.subscription;
+  if (current && current.updatedAt > event.createdAt) return user;
+
+  const subscription = {
+    plan: event.plan,
+    status: event.status,
+    provider: event.provider,
+    customerId: event.customerId || current?.customerId || null,
+    subscriptionId: event.subscriptionId || current?.subscriptionId || null,
+    currentPeriodEnd: event.currentPeriodEnd ?? current?.currentPeriodEnd ?? null,
+    updatedAt: event.createdAt,
+  };
+  return authAdapter.updateUser(user.id, {
+    subscription,
+    plan: ACTIVE_STATUSES.includes(event.status) ? event.plan : DEFAULT_PLAN,
+  });
+};
@@ -0,0 +1,14 @@
+// ==========================================
+// 🧯 BILLING ERRORS
+// Raised by the payment adapters and the entitlement logic; the billing
+// handlers answer with the message, code and status as they are.
+// ==========================================
+
+export class BillingError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'BillingError';
+    this.code = code;
+    this.status = status;
+  }
+}
@@ -0,0 +1,82 @@
+// ==========================================
+// 🧪 FAKE PAYMENT ADAPTER (development and tests)
+// No money moves. Checkout and the billing portal point back at
+// /api/billing/simulate, which completes (or cancels) the subscription on
+// the spot. Webhooks are accepted when signed with the configured secret
+// (FAKE_PAYMENT_WEBHOOK_SECRET), so tests can post subscription events like
+// a real provider would. Anyone who knows the secret can grant any account
+// a plan, so there is no built-in default.
+// ==========================================
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { BillingError } from './errors.js';
+
+export const FAKE_SIGNATURE_HEADER = 'x-fake-signature';
+
+const PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const signFakeWebhook = (payload, secret) => (
+  createHmac('sha256', secret).update(payload).digest('hex')
+);
+
+export const createFakePaymentAdapter = ({ secret }) => {
+  if (!secret) throw new BillingError("The fake payment adapter needs a webhook secret.", 'not_configured', 500);
+
+  // Pending checkouts and portal sessions, by id
+  const checkouts = new Map();
+  const portals = new Map();
+
+  const subscriptionEvent = (userId, plan, status) => ({
+    userId,
+    plan,
+    status,
+    provider: 'fake',
+    customerId: `fake_cus_${userId}`,
+    subscriptionId: `fake_sub_${userId}`,
+    currentPeriodEnd: status === 'active' ? Date.now() + PERIOD_MS : null,
+    createdAt: Date.now(),
+  });
+
+  return {
+    id: 'fake',
+
+    createCheckout: async ({ userId, plan, successUrl, cancelUrl, origin }) => {
+      const id = randomUUID();
+      checkouts.set(id, { userId, plan, successUrl, cancelUrl });
+      return { url: `${origin}/api/billing/simulate?checkout=${id}` };
+    },
+
+    createPortal: async ({ userId, plan, returnUrl, origin }) => {
+      const id = randomUUID();
+      portals.set(id, { userId, plan, returnUrl });
+      return { url: `${origin}/api/billing/simulate?portal=${id}` };
+    },
+
+    // Completing a checkout subscribes; visiting the portal cancels.
+    // Resolves with { event, redirectTo }.
+    simulate: async (params) => {
+      const checkout = checkouts.get(params.get('checkout'));
+      if (checkout) {
+        checkouts.delete(params.get('checkout'));
+        if (params.get('outcome') === 'cancel') return { event: null, redirectTo: checkout.cancelUrl };
+        return { event: subscriptionEvent(checkout.userId, checkout.plan, 'active'), redirectTo: checkout.successUrl };
+      }
+      const portal = portals.get(params.get('portal'));
+      if (portal) {
+        portals.delete(params.get('portal'));
+        return { event: subscriptionEvent(portal.userId, portal.plan, 'canceled'), redirectTo: portal.returnUrl };
+      }
+      throw new BillingError("This checkout link has expired.", 'checkout_expired', 404);
+    },
+
+    // The body is already a normalized subscription event
+    parseWebhook: async (rawBody, headers) => {
+      const expected = Buffer.from(signFakeWebhook(rawBody, secret));
+      const given = Buffer.from(String(headers[FAKE_SIGNATURE_HEADER] || ''));
+      if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+        throw new BillingError("Webhook signature did not match.", 'invalid_signature', 400);
+      }
+      const event = JSON.parse(rawBody);
+      return { provider: 'fake', createdAt: Date.now(), ...event };
+    },
+  };
+};
@@ -0,0 +1,49 @@
+// ==========================================
+// 💳 PAYMENT ADAPTER REGISTRY
+// Every adapter exposes:
+//   createCheckout({ userId, email, customerId, plan, successUrl, cancelUrl, origin }) -> { url }
+//   createPortal({ userId, customerId, plan, returnUrl, origin }) -> { url }
+//   parseWebhook(rawBody, headers) -> normalized subscription event or null
+// and optionally simulate(searchParams) -> { event, redirectTo } for local
+// testing. Which adapter is used is decided by PAYMENT_ADAPTER; an adapter
+// whose secrets are missing is never used.
+// ==========================================
+import { createFakePaymentAdapter } from './fake.js';
+import { createStripePaymentAdapter } from './stripe.js';
+import { resolveAuthAdapter } from '../auth/index.js';
+import { PLANS } from '../../src/lib/entitlements.js';
+
+export const PAYMENT_ADAPTERS = {
+  stripe: {
+    label: "Stripe",
+    isConfigured: (env) => (!env.PAYMENT_ADAPTER || env.PAYMENT_ADAPTER === 'stripe') &&
+      Boolean(env.STRIPE_SECRET_KEY && env.STRIPE_WEBHOOK_SECRET && env.STRIPE_PRICE_PRO),
+    create: (env) => createStripePaymentAdapter(env),
+  },
+  fake: {
+    label: "Fake payments (development only)",
+    // It hands out plans for free, so only ever on explicit request
+    isConfigured: (env) => env.PAYMENT_ADAPTER === 'fake' && Boolean(env.FAKE_PAYMENT_WEBHOOK_SECRET),
+    create: (env) => createFakePaymentAdapter({ secret: env.FAKE_PAYMENT_WEBHOOK_SECRET }),
+  },
+};
+
+// The fake adapter keeps pending checkouts in memory, so instances are shared
+const instances = new Map();
+
+export const paymentAdapterId = (env) => Object.keys(PAYMENT_ADAPTERS).find(id => PAYMENT_ADAPTERS[id].isConfigured(env)) || null;
+
+export const resolvePaymentAdapter = (env) => {
+  const id = paymentAdapterId(env);
+  if (!id) return null;
+  if (!instances.has(id)) instances.set(id, PAYMENT_ADAPTERS[id].create(env));
+  return instances.get(id);
+};
+
+// Public description for the client, reported by /api/health. Upgrading
+// needs both a payment adapter and accounts to attach the plan to.
+export const describeBilling = (env) => {
+  const adapter = resolvePaymentAdapter(env);
+  const enabled = Boolean(adapter && resolveAuthAdapter(env));
+  return { enabled, adapter: enabled ? adapter.id : null, plans: PLANS };
+};
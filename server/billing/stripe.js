@@ -0,0 +1,113 @@
+// ==========================================
+// 💳 STRIPE PAYMENT ADAPTER
+// Talks to Stripe's REST API with fetch (no SDK). Checkout sessions carry
+// the user id in client_reference_id and in the subscription metadata, so
+// every webhook can be tied back to an account.
+// ==========================================
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { BillingError } from './errors.js';
+
+const API_BASE = 'https://api.stripe.com/v1';
+
+// Signed webhooks older than this are rejected as possible replays
+const SIGNATURE_TOLERANCE_SEC = 300;
+
+// Stripe price id for each paid plan
+const priceIds = (env) => ({ pro: env.STRIPE_PRICE_PRO });
+
+const verifySignature = (rawBody, header, secret) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) throw new BillingError("Missing Stripe signature.", 'invalid_signature', 400);
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SEC) {
+    throw new BillingError("Stripe signature is too old.", 'invalid_signature', 400);
+  }
+  const expected = Buffer.from(createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex'));
+  const given = Buffer.from(parts.v1);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    throw new BillingError("Stripe signature did not match.", 'invalid_signature', 400);
+  }
+};
+
+const toEvent = (stripeEvent) => {
+  const object = stripeEvent.data?.object || {};
+  const createdAt = (stripeEvent.created || 0) * 1000;
+
+  if (stripeEvent.type === 'checkout.session.completed') {
+    return {
+      userId: object.client_reference_id,
+      plan: object.metadata?.plan,
+      status: 'active',
+      provider: 'stripe',
+      customerId: object.customer,
+      subscriptionId: object.subscription,
+      createdAt,
+    };
+  }
+  if (/^customer\.subscription\.(created|updated|deleted)$/.test(stripeEvent.type)) {
+    const periodEnd = object.current_period_end ?? object.items?.data?.[0]?.current_period_end;
+    return {
+      userId: object.metadata?.userId,
+      plan: object.metadata?.plan,
+      status: stripeEvent.type === 'customer.subscription.deleted' ? 'canceled' : object.status,
+      provider: 'stripe',
+      customerId: object.customer,
+      subscriptionId: object.id,
+      currentPeriodEnd: periodEnd ? periodEnd * 1000 : null,
+      createdAt,
+    };
+  }
+  // Other event types are acknowledged and ignored
+  return null;
+};
+
+export const createStripePaymentAdapter = (env) => {
+  const post = async (path, params) => {
+    const response = await fetch(`${API_BASE}${path}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams(params),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new BillingError(data.error?.message || `Stripe request failed with status ${response.status}`, 'payment_provider_error', 502);
+    }
+    return data;
+  };
+
+  return {
+    id: 'stripe',
+
+    createCheckout: async ({ userId, email, customerId, plan, successUrl, cancelUrl }) => {
+      const price = priceIds(env)[plan];
+      if (!price) throw new BillingError(`No Stripe price is configured for the ${plan} plan.`, 'unknown_plan', 400);
+      const session = await post('/checkout/sessions', {
+        mode: 'subscription',
+        'line_items[0][price]': price,
+        'line_items[0][quantity]': '1',
+        client_reference_id: userId,
+        ...(customerId ? { customer: customerId } : { customer_email: email }),
+        'metadata[plan]': plan,
+        'subscription_data[metadata][userId]': userId,
+        'subscription_data[metadata][plan]': plan,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+      });
+      return { url: session.url };
+    },
+
+    createPortal: async ({ customerId, returnUrl }) => {
+      if (!customerId) throw new BillingError("There is no subscription to manage yet.", 'no_subscription', 400);
+      const session = await post('/billing_portal/sessions', { customer: customerId, return_url: returnUrl });
+      return { url: session.url };
+    },
+
+    parseWebhook: async (rawBody, headers) => {
+      verifySignature(rawBody, headers['stripe-signature'], env.STRIPE_WEBHOOK_SECRET);
+      return toEvent(JSON.parse(rawBody));
+    },
+  };
+};
@@ -0,0 +1,102 @@
+// ==========================================
+// 💳 BILLING HANDLERS
+//   GET  /api/billing/entitlements -> plan, features and quota usage (signed in or not)
+//   POST /api/billing/checkout     -> { url } of the provider's checkout page
+//   POST /api/billing/portal       -> { url } to manage or cancel the subscription
+//   POST /api/billing/webhook      -> signed subscription events from the provider
+//   GET  /api/billing/simulate     -> fake provider only: finish a checkout or portal visit
+// The provider sends the browser back to /#billing=success|cancelled|updated.
+// ==========================================
+import { resolveAuthAdapter } from './auth/index.js';
+import { AuthError, userForToken } from './auth/accounts.js';
+import { resolvePaymentAdapter } from './billing/index.js';
+import { resolveSubject, entitlementsFor, applySubscriptionEvent } from './billing/entitlements.js';
+import { BillingError } from './billing/errors.js';
+import { resolveStore } from './storage/index.js';
+import { BodyError, readJsonBody, readRawBody, sendJson, sendJsonError, bearerToken, originOf, redirect } from './http.js';
+import { PLANS, DEFAULT_PLAN } from '../src/lib/entitlements.js';
+
+const methodNotAllowed = (res, allowed) => {
+  res.setHeader('Allow', allowed);
+  return sendJson(res, 405, { error: "Method not allowed" });
+};
+
+const unavailable = (res) => sendJson(res, 503, { error: "Upgrades are not available on this server.", code: 'billing_unavailable' });
+
+const startCheckout = async (authAdapter, payments, req, res) => {
+  const user = await userForToken(authAdapter, bearerToken(req));
+  const { plan = 'pro' } = await readJsonBody(req);
+  if (!PLANS[plan] || plan === DEFAULT_PLAN) throw new BillingError(`Unknown plan "${plan}".`, 'unknown_plan', 400);
+  if (user.plan === plan) throw new BillingError("You are already on this plan.", 'already_subscribed', 409);
+
+  const origin = originOf(req);
+  const checkout = await payments.createCheckout({
+    userId: user.id,
+    email: user.email,
+    customerId: user.subscription?.customerId || null,
+    plan,
+    successUrl: `${origin}/#billing=success`,
+    cancelUrl: `${origin}/#billing=cancelled`,
+    origin,
+  });
+  return sendJson(res, 200, { url: checkout.url });
+};
+
+const openPortal = async (authAdapter, payments, req, res) => {
+  const user = await userForToken(authAdapter, bearerToken(req));
+  const origin = originOf(req);
+  const portal = await payments.createPortal({
+    userId: user.id,
+    customerId: user.subscription?.customerId || null,
+    plan: user.subscription?.plan || user.plan,
+    returnUrl: `${origin}/#billing=updated`,
+    origin,
+  });
+  return sendJson(res, 200, { url: portal.url });
+};
+
+const receiveWebhook = async (authAdapter, payments, req, res) => {
+  const event = await payments.parseWebhook(await readRawBody(req), req.headers);
+  if (event) await applySubscriptionEvent(authAdapter, event);
+  return sendJson(res, 200, { received: true });
+};
+
+const simulate = async (authAdapter, payments, req, res, url) => {
+  const { event, redirectTo } = await payments.simulate(url.searchParams);
+  if (event) await applySubscriptionEvent(authAdapter, event);
+  return redirect(res, redirectTo);
+};
+
+export const createBillingHandler = ({ getEnv }) => async (req, res) => {
+  const env = getEnv();
+  const authAdapter = resolveAuthAdapter(env);
+  const url = new URL(req.url, 'http://localhost');
+  const action = url.pathname.split('/').filter(Boolean).pop();
+  const expectedMethod = action === 'entitlements' || action === 'simulate' ? 'GET' : 'POST';
+  if (req.method !== expectedMethod) return methodNotAllowed(res, expectedMethod);
+
+  try {
+    // Quota usage is reported with or without accounts
+    if (action === 'entitlements') {
+      return sendJson(res, 200, await entitlementsFor(resolveStore(env), await resolveSubject(authAdapter, req, env)));
+    }
+
+    if (!authAdapter) return unavailable(res);
+
+    const payments = resolvePaymentAdapter(env);
+    if (!payments) return unavailable(res);
+    if (action === 'checkout') return await startCheckout(authAdapter, payments, req, res);
+    if (action === 'portal') return await openPortal(authAdapter, payments, req, res);
+    if (action === 'webhook') return await receiveWebhook(authAdapter, payments, req, res);
+    if (action === 'simulate' && payments.simulate) return await simulate(authAdapter, payments, req, res, url);
+    return sendJson(res, 404, { error: "Not found" });
+  } catch (error) {
+    if (error instanceof AuthError || error instanceof BillingError) {
+      return sendJson(res, error.status, { error: error.message, code: error.code });
+    }
+    if (error instanceof BodyError) return sendJsonError(res, error);
+    if (error instanceof SyntaxError) return sendJson(res, 400, { error: "Webhook body must be JSON." });
+    console.error("Billing request failed:", error.message);
+    return sendJson(res, 500, { error: "Something went wrong. Try again.", code: 'server_error' });
+  }
+};
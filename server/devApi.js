@@ -0,0 +1,49 @@
+// ==========================================
+// 🛠️ VITE DEV MIDDLEWARE
+// Serves the /api routes from `vite dev` and `vite preview`, so local
+// development behaves like the deployed serverless functions.
+// ==========================================
+import { createAnalyzeHandler, createHealthHandler, createPersonaHandler, createGenerateHandler } from './handlers.js';
+import { createAuthHandler, createAccountHandler } from './accountHandlers.js';
+import { createBillingHandler } from './billingHandlers.js';
+import { sendJson } from './http.js';
+
+export const devApiPlugin = (env) => {
+  const getEnv = () => env;
+
+  const routes = {
+    '/api/analyze': createAnalyzeHandler({ getEnv }),
+    '/api/health': createHealthHandler({ getEnv }),
+    '/api/persona': createPersonaHandler({ getEnv }),
+    '/api/generate': createGenerateHandler({ getEnv }),
+    '/api/auth': createAuthHandler({ getEnv }),
+    '/api/account': createAccountHandler({ getEnv }),
+    '/api/billing': createBillingHandler({ getEnv }),
+  };
+
+  const mount = (middlewares) => {
+    Object.entries(routes).forEach(([path, handler]) => {
+      middlewares.use(path, (req, res) => {
+        // connect strips the mount path; handlers expect the full URL
+        req.url = req.originalUrl || req.url;
+        // On Vercel the platform answers a function that throws; here the
+        // request would hang
+        handler(req, res).catch(error => {
+          console.error(`${path} failed:`, error);
+          if (!res.headersSent) sendJson(res, 500, { error: "Something went wrong. Try again.", code: 'server_error' });
+          else res.end();
+        });
+      });
+    });
+  };
+
+  return {
+    name: 'cv-pulse-dev-api',
+    configureServer(server) {
+      mount(server.middlewares);
+    },
+    configurePreviewServer(server) {
+      mount(server.middlewares);
+    },
+  };
+};
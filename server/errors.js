@@ -0,0 +1,43 @@
+// ==========================================
+// 🧯 ERROR CLASSIFICATION
+// Maps whatever a provider threw onto the small set of error codes the
+// client knows how to present (see src/lib/errors.js).
+// ==========================================
+import { AnalysisError } from './analyze.js';
+
+const classify = (code, status, retryable, message) => ({ code, status, retryable, message });
+
+export const classifyError = (error) => {
+  if (error instanceof AnalysisError) {
+    return { ...classify(error.code, 502, true, error.message), details: error.details };
+  }
+
+  const status = error.status || error.statusCode;
+  const text = `${error.message || ''} ${error.errorDetails ? JSON.stringify(error.errorDetails) : ''}`;
+
+  if (error.name === 'AbortError') {
+    return classify('cancelled', 499, false, "The request was cancelled.");
+  }
+  if (/blocked|SAFETY|RECITATION|PROHIBITED_CONTENT|content_filter|content policy/i.test(text)) {
+    return classify('blocked_content', 422, false, "The AI provider refused to process this content.");
+  }
+  if (status === 401 || status === 403 || /API key not valid|invalid api key|incorrect api key|PERMISSION_DENIED|unauthorized/i.test(text)) {
+    return classify('invalid_key', 502, false, "The AI provider rejected the server's API key.");
+  }
+  if (/quota|RESOURCE_EXHAUSTED|billing|insufficient_quota/i.test(text)) {
+    return classify('quota_exceeded', 429, false, "The AI provider's usage quota has been used up.");
+  }
+  if (status === 429 || /rate limit|too many requests/i.test(text)) {
+    return classify('rate_limited', 429, true, "The AI provider is rate limiting requests.");
+  }
+  if (status === 404 || /model.*not found|not found.*model/i.test(text)) {
+    return classify('model_unavailable', 502, false, "The selected model is not available from this provider.");
+  }
+  if (status >= 500 || /overloaded|UNAVAILABLE|internal error/i.test(text)) {
+    return classify('server_error', 502, true, "The AI provider had a temporary problem.");
+  }
+  if (/fetch failed|ECONNREFUSED|ENOTFOUND|ETIMEDOUT|ECONNRESET|network/i.test(text)) {
+    return classify('network', 502, true, "The server could not reach the AI provider.");
+  }
+  return classify('model_error', 502, false, error.message || "The AI request failed.");
+};
@@ -0,0 +1,320 @@
+// ==========================================
+// 🚦 API HANDLERS
+// `getEnv` returns the server-side environment (process.env on Vercel, the
+// loaded .env files under Vite) from which providers are configured.
+// ==========================================
+import { analyzeResume, streamAnalysis, reviewAsPersona, generateDocument, regenerateParagraph, pingProvider } from './analyze.js';
+import { describeProviders, defaultProviderId, resolveProvider, MAX_TOKENS_RANGE } from './providers/index.js';
+import { classifyError } from './errors.js';
+import { describeAuth, resolveAuthAdapter } from './auth/index.js';
+import { describeBilling } from './billing/index.js';
+import { resolveSubject, claimQuota } from './billing/entitlements.js';
+import { resolveStore } from './storage/index.js';
+import { readJsonBody, sendJson, sendJsonError, startNdjson } from './http.js';
+import { PERSONAS } from '../src/lib/personas.js';
+import { resolveRubric } from '../src/lib/rubrics.js';
+import { resolveLanguage } from '../src/lib/language.js';
+import { DOCUMENT_TYPES, TONES, LENGTHS, DEFAULT_TONE, DEFAULT_LENGTH } from '../src/lib/generate/documents.js';
+import { QUOTAS, FREE_REWRITES } from '../src/lib/entitlements.js';
+
+const MAX_RESUME_CHARS = 30000;
+const MAX_JOB_DESC_CHARS = 15000;
+const MAX_DOCUMENT_CHARS = 10000;
+const MAX_LIST_ITEMS = 20;
+
+// Shared checks for every route that sends a resume to a provider
+const inputProblem = (text, jobDesc) => {
+  if (text.trim().length < 50) return { status: 400, error: "Resume text must be at least 50 characters." };
+  if (text.length > MAX_RESUME_CHARS || jobDesc.length > MAX_JOB_DESC_CHARS) {
+    return { status: 413, error: "Resume or job description is too long." };
+  }
+  return null;
+};
+
+const errorPayload = (error) => {
+  const { code, message, retryable, details } = classifyError(error);
+  return { error: message, code, retryable, details };
+};
+
+// Aborts provider work when the client goes away (cancel button, timeout,
+// closed tab) so we stop paying for tokens nobody will read.
+const abortOnDisconnect = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+};
+
+// Who is calling: an account, or an IP address when there is none (or no
+// accounts on this server at all)
+const subjectOf = (env, req) => resolveSubject(resolveAuthAdapter(env), req, env);
+
+// Free-tier model calls are counted against that subject. A use is given
+// back when the provider failed, never when the client hung up: the model
+// ran either way, and a refund on disconnect would make every call free.
+const claimUsage = (env, subject, quotaId) => claimQuota(resolveStore(env), subject, quotaId);
+
+// Without allRewrites only the free rewrites leave the server. Returns
+// { result, lockedRewrites }: how many more there were, so the client
+// can offer the upgrade.
+const limitRewrites = (result, features) => {
+  if (features.allRewrites || !Array.isArray(result.bulletPoints)) return { result, lockedRewrites: 0 };
+  return {
+    result: { ...result, bulletPoints: result.bulletPoints.slice(0, FREE_REWRITES) },
+    lockedRewrites: Math.max(0, result.bulletPoints.length - FREE_REWRITES),
+  };
+};
+
+const planLimit = (res, quotaId, quota) => sendJson(res, 429, {
+  error: `The free plan includes ${quota.limit} ${QUOTAS[quotaId].label} per ${QUOTAS[quotaId].period}.`,
+  code: 'plan_limit',
+  retryable: false,
+  quota: { id: quotaId, used: quota.used, limit: quota.limit, resetsAt: quota.resetsAt },
+});
+
+// Streamed variant: `partial` events while the model writes, then one
+// `result` or `error` event. Partials carry most of the analysis, so the use
+// is only given back when the provider failed before any of them went out;
+// a client that hangs up keeps paying for what it read.
+const streamToClient = async (res, provider, input, signal, { quota, features }) => {
+  const send = startNdjson(res);
+  let delivered = false;
+  try {
+    const { result, repaired, warnings } = await streamAnalysis(provider, input, {
+      signal,
+      onPartial: (partial) => {
+        delivered = true;
+        send({ type: 'partial', ...limitRewrites(partial, features) });
+      },
+    });
+    send({ type: 'result', ...limitRewrites(result, features), repaired, warnings, provider: provider.id, model: provider.model });
+  } catch (error) {
+    if (signal.aborted) return res.end();
+    if (!delivered) await quota.release();
+    console.error("Streamed analysis failed:", error.message, error.details || '');
+    send({ type: 'error', ...errorPayload(error) });
+  }
+  res.end();
+};
+
+export const createAnalyzeHandler = ({ getEnv }) => async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    return sendJsonError(res, error);
+  }
+
+  const text = typeof body.text === 'string' ? body.text : '';
+  const jobDesc = typeof body.jobDesc === 'string' ? body.jobDesc : '';
+  const problem = inputProblem(text, jobDesc);
+  if (problem) return sendJson(res, problem.status, { error: problem.error });
+
+  // A built-in profile id or an imported profile, checked like a model answer
+  const rubric = resolveRubric(body.rubric);
+  if (!rubric.valid) {
+    return sendJson(res, 400, { error: "The scoring profile is not valid.", code: 'invalid_rubric', retryable: false, details: rubric.errors });
+  }
+  // The language the client detected or was told, else detected here
+  const language = resolveLanguage(body.language, text);
+
+  const env = getEnv();
+  let provider;
+  try {
+    provider = resolveProvider(env, body.provider);
+  } catch (error) {
+    return sendJson(res, 503, { error: error.message, code: 'provider_unavailable', retryable: false });
+  }
+
+  const subject = await subjectOf(env, req);
+  const quota = await claimUsage(env, subject, 'analyses');
+  if (!quota.allowed) return planLimit(res, 'analyses', quota);
+
+  const signal = abortOnDisconnect(res);
+  if (body.stream) {
+    return streamToClient(res, provider, { text, jobDesc, rubric: rubric.value, language }, signal, { quota, features: subject.features });
+  }
+
+  try {
+    const { result, repaired, warnings } = await analyzeResume(provider, { text, jobDesc, rubric: rubric.value, language }, { signal });
+    return sendJson(res, 200, { ...limitRewrites(result, subject.features), repaired, warnings, provider: provider.id, model: provider.model });
+  } catch (error) {
+    if (signal.aborted) return res.end();
+    await quota.release();
+    console.error("Analysis failed:", error.message, error.details || '');
+    return sendJson(res, classifyError(error).status, errorPayload(error));
+  }
+};
+
+// POST /api/persona { text, jobDesc, persona, language, provider } -> one recruiter persona's review.
+// Persona reviews are a Pro metric, so the plan is checked here rather than
+// trusted from the client. Each one counts as an analysis.
+export const createPersonaHandler = ({ getEnv }) => async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    return sendJsonError(res, error);
+  }
+
+  const text = typeof body.text === 'string' ? body.text : '';
+  const jobDesc = typeof body.jobDesc === 'string' ? body.jobDesc : '';
+  const problem = inputProblem(text, jobDesc);
+  if (problem) return sendJson(res, problem.status, { error: problem.error });
+  if (!Object.hasOwn(PERSONAS, body.persona)) {
+    return sendJson(res, 400, { error: `Unknown persona "${body.persona}".` });
+  }
+
+  const env = getEnv();
+  const subject = await subjectOf(env, req);
+  if (!subject.features.proMetrics) {
+    return sendJson(res, 403, { error: "Recruiter persona reviews are part of Pro.", code: 'plan_required', retryable: false });
+  }
+
+  let provider;
+  try {
+    provider = resolveProvider(env, body.provider);
+  } catch (error) {
+    return sendJson(res, 503, { error: error.message, code: 'provider_unavailable', retryable: false });
+  }
+
+  const quota = await claimUsage(env, subject, 'analyses');
+  if (!quota.allowed) return planLimit(res, 'analyses', quota);
+
+  const signal = abortOnDisconnect(res);
+  try {
+    const { result, repaired, warnings } = await reviewAsPersona(provider, { text, jobDesc, persona: body.persona, language: resolveLanguage(body.language, text) }, { signal });
+    return sendJson(res, 200, { result, repaired, warnings, provider: provider.id, model: provider.model });
+  } catch (error) {
+    if (signal.aborted) return res.end();
+    await quota.release();
+    console.error("Persona review failed:", error.message, error.details || '');
+    return sendJson(res, classifyError(error).status, errorPayload(error));
+  }
+};
+
+// Keyword and skill lists from the analysis, trimmed to something sane
+const stringList = (value) => (Array.isArray(value) ? value : [])
+  .filter(item => typeof item === 'string' && item.trim())
+  .slice(0, MAX_LIST_ITEMS)
+  .map(item => item.trim().slice(0, 100));
+
+// POST /api/generate { type, text, jobDesc, tone, length, missingKeywords, softSkills, language, provider }
+//   -> a cover letter or LinkedIn profile
+// With { paragraphs, index } as well -> a new version of that one paragraph
+export const createGenerateHandler = ({ getEnv }) => async (req, res) => {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    return sendJsonError(res, error);
+  }
+
+  const text = typeof body.text === 'string' ? body.text : '';
+  const jobDesc = typeof body.jobDesc === 'string' ? body.jobDesc : '';
+  const problem = inputProblem(text, jobDesc);
+  if (problem) return sendJson(res, problem.status, { error: problem.error });
+  if (!Object.hasOwn(DOCUMENT_TYPES, body.type)) {
+    return sendJson(res, 400, { error: `Unknown document type "${body.type}".` });
+  }
+  const tone = body.tone ?? DEFAULT_TONE;
+  const length = body.length ?? DEFAULT_LENGTH;
+  if (!Object.hasOwn(TONES, tone) || !Object.hasOwn(LENGTHS, length)) {
+    return sendJson(res, 400, { error: "Unknown tone or length." });
+  }
+
+  const isParagraph = body.paragraphs !== undefined;
+  const paragraphs = stringList(body.paragraphs);
+  if (isParagraph) {
+    const fits = paragraphs.length === body.paragraphs.length && paragraphs.join('').length <= MAX_DOCUMENT_CHARS;
+    if (!fits || !Number.isInteger(body.index) || body.index < 0 || body.index >= paragraphs.length) {
+      return sendJson(res, 400, { error: "paragraphs must be the current document and index one of its paragraphs." });
+    }
+  }
+
+  const env = getEnv();
+  let provider;
+  try {
+    provider = resolveProvider(env, body.provider);
+  } catch (error) {
+    return sendJson(res, 503, { error: error.message, code: 'provider_unavailable', retryable: false });
+  }
+
+  const quota = await claimUsage(env, await subjectOf(env, req), 'documents');
+  if (!quota.allowed) return planLimit(res, 'documents', quota);
+
+  const input = {
+    type: body.type,
+    text,
+    jobDesc,
+    tone,
+    length,
+    missingKeywords: stringList(body.missingKeywords),
+    softSkills: stringList(body.softSkills),
+    language: resolveLanguage(body.language, text),
+  };
+  const signal = abortOnDisconnect(res);
+  try {
+    const { result, repaired, warnings } = isParagraph
+      ? await regenerateParagraph(provider, { ...input, paragraphs, index: body.index }, { signal })
+      : await generateDocument(provider, input, { signal });
+    return sendJson(res, 200, { result, repaired, warnings, provider: provider.id, model: provider.model });
+  } catch (error) {
+    if (signal.aborted) return res.end();
+    await quota.release();
+    console.error("Document generation failed:", error.message, error.details || '');
+    return sendJson(res, classifyError(error).status, errorPayload(error));
+  }
+};
+
+// GET /api/health                                  -> which providers are configured?
+// GET /api/health?ping=1&provider=<id>&model=<m>   -> round trip to one of them
+// A ping is a real model call, so it counts as an analysis and is kept to
+// the smallest answer the provider allows.
+export const createHealthHandler = ({ getEnv }) => async (req, res) => {
+  const env = getEnv();
+  const providers = describeProviders(env);
+  const status = { configured: providers.length > 0, providers, defaultProvider: defaultProviderId(env), auth: describeAuth(env), billing: describeBilling(env) };
+
+  const url = new URL(req.url, 'http://localhost');
+  if (!url.searchParams.has('ping')) return sendJson(res, 200, status);
+
+  let provider;
+  try {
+    provider = resolveProvider(env, {
+      id: url.searchParams.get('provider') || undefined,
+      model: url.searchParams.get('model') || undefined,
+      maxTokens: MAX_TOKENS_RANGE[0],
+    });
+  } catch (error) {
+    return sendJson(res, 200, { ...status, ping: { ok: false, error: error.message, code: 'provider_unavailable', latencyMs: 0 } });
+  }
+
+  const quota = await claimUsage(env, await subjectOf(env, req), 'analyses');
+  if (!quota.allowed) return planLimit(res, 'analyses', quota);
+
+  const started = Date.now();
+  try {
+    const reply = await pingProvider(provider);
+    return sendJson(res, 200, { ...status, ping: { ok: true, provider: provider.id, model: provider.model, reply, latencyMs: Date.now() - started } });
+  } catch (error) {
+    await quota.release();
+    return sendJson(res, 200, { ...status, ping: { ok: false, error: error.message, code: classifyError(error).code, latencyMs: Date.now() - started } });
+  }
+};
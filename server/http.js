@@ -0,0 +1,102 @@
+// ==========================================
+// 🌐 HTTP HELPERS
+// Handlers are plain (req, res) functions so the same code runs as a Vercel
+// serverless function and as Vite dev-server middleware.
+// ==========================================
+
+// Request bodies larger than this are refused before they are parsed
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+// A body that is too large, not JSON or not a JSON object
+export class BodyError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'BodyError';
+    this.status = status;
+  }
+}
+
+const tooLarge = () => new BodyError("Request body is too large.", 413);
+
+const asObject = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new BodyError("Request body must be a JSON object.", 400);
+  }
+  return value;
+};
+
+const parseJson = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    throw new BodyError("Request body must be JSON.", 400);
+  }
+};
+
+// Resolves with the body as a plain object; throws BodyError otherwise.
+// Vercel parses JSON bodies for us; connect (Vite) does not.
+export const readJsonBody = async (req, { limit = MAX_BODY_BYTES } = {}) => {
+  if (Number(req.headers['content-length']) > limit) throw tooLarge();
+  if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+    if (Buffer.byteLength(req.body) > limit) throw tooLarge();
+    return asObject(parseJson(req.body.toString('utf8')));
+  }
+  if (req.body !== undefined) return asObject(req.body);
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return asObject(parseJson(Buffer.concat(chunks).toString('utf8')));
+};
+
+// Payment webhooks are signed over the exact bytes sent, so they are read
+// straight from the stream (touching req.body on Vercel would parse it).
+export const readRawBody = async (req, { limit = MAX_BODY_BYTES } = {}) => {
+  if (Number(req.headers['content-length']) > limit) throw tooLarge();
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw tooLarge();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+export const bearerToken = (req) => (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i)?.[1] || null;
+
+export const sendJson = (res, status, data) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(data));
+};
+
+// The answer to a failed readJsonBody
+export const sendJsonError = (res, error) => (error instanceof BodyError
+  ? sendJson(res, error.status, { error: error.message, code: error.status === 413 ? 'body_too_large' : 'invalid_body' })
+  : sendJson(res, 400, { error: "Request body could not be read.", code: 'invalid_body' }));
+
+export const originOf = (req) => {
+  const proto = req.headers['x-forwarded-proto'] || (req.socket?.encrypted ? 'https' : 'http');
+  return `${proto}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+};
+
+export const redirect = (res, location) => {
+  res.statusCode = 302;
+  res.setHeader('Location', location);
+  res.end();
+};
+
+// Newline-delimited JSON: one event object per line, flushed as it happens
+export const startNdjson = (res) => {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Accel-Buffering', 'no');
+  return (event) => res.write(`${JSON.stringify(event)}\n`);
+};
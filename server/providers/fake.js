@@ -0,0 +1,102 @@
+// ==========================================
+// 🎭 FAKE PROVIDER (tests and offline development)
+// Behaves like a real provider but answers locally and deterministically.
+// Pass `reply` (a string or a function of the prompt) to script a response,
+// and `maxChars` to simulate a provider that stops at its output-token limit.
+// ==========================================
+
+const resumeFromPrompt = (prompt) => {
+  const match = prompt.match(/Resume Text: ([\s\S]*?)\nJob Description:/);
+  return match ? match[1] : '';
+};
+
+// Persona prompts get a fixed, middle-of-the-road review
+const personaReply = () => JSON.stringify({
+  verdict: 'maybe',
+  score: 60,
+  headline: "Fake persona review for local development.",
+  strengths: ["Clear structure"],
+  concerns: ["Configure a real provider on the server for a real review"],
+});
+
+const resumeLines = (prompt) => resumeFromPrompt(prompt)
+  .split('\n')
+  .map(line => line.replace(/^[•\-*]\s*/, '').trim())
+  .filter(line => line.split(/\s+/).length >= 4);
+
+// Cover letters and LinkedIn profiles quote the resume, so their claims trace
+const documentReply = (prompt) => {
+  const lines = resumeLines(prompt);
+  if (prompt.includes('CURRENT DOCUMENT:')) {
+    return JSON.stringify({ paragraph: `Fake rewritten paragraph for local development. ${lines[lines.length - 1] || ''}`.trim() });
+  }
+  const isLetter = prompt.includes('cover letter');
+  return JSON.stringify({
+    headline: isLetter ? '' : "Fake headline for local development",
+    greeting: isLetter ? "Dear Hiring Manager," : '',
+    paragraphs: ["Fake document for local development. Configure a real provider on the server for a real one.", ...lines.slice(0, 2)],
+    signOff: isLetter ? "Sincerely," : '',
+  });
+};
+
+const defaultReply = (prompt) => {
+  if (!prompt.includes('Resume Text:')) return 'OK';
+  if (prompt.includes('RECRUITER PERSONA:')) return personaReply();
+  if (prompt.includes('GROUND RULES:')) return documentReply(prompt);
+
+  const lines = resumeLines(prompt);
+
+  return JSON.stringify({
+    score: Math.min(100, 40 + lines.length * 5),
+    summary: "Fake model response for local development. Configure a real provider on the server for a real analysis.",
+    bulletPoints: lines.slice(0, 3).map(original => ({
+      original,
+      improved: `Accomplished measurable results as measured by a key metric, by doing: ${original}`,
+    })),
+    missingKeywords: [],
+    softSkills: ['Communication'],
+  });
+};
+
+export const FAKE_MODELS = ['fake'];
+
+const CHUNK_SIZE = 24;
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+  if (!ms) return resolve();
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+export const createFakeProvider = ({ model = 'fake', reply = defaultReply, delay = 0, maxChars = Infinity } = {}) => {
+  // Continuation prompts pick up the reply where the previous stream stopped
+  let pending = '';
+
+  return {
+    id: 'fake',
+    model,
+    calls: [],
+    async generate(prompt, { signal } = {}) {
+      this.calls.push(prompt);
+      await wait(delay, signal);
+      return typeof reply === 'function' ? reply(prompt) : reply;
+    },
+    async stream(prompt, { signal, onText }) {
+      this.calls.push(prompt);
+      const isContinuation = pending && prompt.includes('YOUR RESPONSE SO FAR');
+      const full = isContinuation ? pending : (typeof reply === 'function' ? reply(prompt) : reply);
+      const emitted = full.slice(0, maxChars);
+      pending = full.slice(emitted.length);
+
+      for (let i = 0; i < emitted.length; i += CHUNK_SIZE) {
+        await wait(delay, signal);
+        onText(emitted.slice(i, i + CHUNK_SIZE));
+      }
+      return { truncated: pending.length > 0 };
+    },
+  };
+};
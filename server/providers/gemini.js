@@ -0,0 +1,40 @@
+// ==========================================
+// ♊ GEMINI PROVIDER (@google/generative-ai)
+// ==========================================
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export const GEMINI_MODELS = ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-2.0-flash'];
+
+export const createGeminiProvider = ({ apiKey, model, temperature, maxTokens }) => {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const modelFor = (schema) => genAI.getGenerativeModel({
+    model,
+    generationConfig: {
+      temperature,
+      maxOutputTokens: maxTokens,
+      // Structured output: the model is constrained to our JSON schema
+      ...(schema && { responseMimeType: 'application/json', responseSchema: schema }),
+    }
+  });
+
+  return {
+    id: 'gemini',
+    model,
+    async generate(prompt, { schema, signal } = {}) {
+      const result = await modelFor(schema).generateContent(prompt, { signal });
+      const response = await result.response;
+      return response.text();
+    },
+    async stream(prompt, { schema, signal, onText }) {
+      const result = await modelFor(schema).generateContentStream(prompt, { signal });
+      let finishReason;
+      for await (const chunk of result.stream) {
+        finishReason = chunk.candidates?.[0]?.finishReason || finishReason;
+        const text = chunk.text();
+        if (text) onText(text);
+      }
+      return { truncated: finishReason === 'MAX_TOKENS' };
+    },
+  };
+};
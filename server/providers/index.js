@@ -0,0 +1,100 @@
+// ==========================================
+// 🔌 PROVIDER REGISTRY
+// Every provider exposes the same surface:
+//   { id, model, generate(prompt, { schema }) -> Promise<string> }
+// Which providers are available is decided by server-side environment
+// variables; the client only picks among them.
+// ==========================================
+import { createGeminiProvider, GEMINI_MODELS } from './gemini.js';
+import { createOpenAIProvider, OPENAI_MODELS } from './openai.js';
+import { createOllamaProvider, OLLAMA_MODELS } from './ollama.js';
+import { createFakeProvider, FAKE_MODELS } from './fake.js';
+
+const listFromEnv = (value, fallback) => (value ? value.split(',').map(s => s.trim()).filter(Boolean) : fallback);
+
+export const PROVIDERS = {
+  gemini: {
+    label: "Google Gemini",
+    isConfigured: (env) => Boolean(env.GEMINI_API_KEY),
+    models: (env) => listFromEnv(env.GEMINI_MODELS, GEMINI_MODELS),
+    // Self-hosted endpoints can serve any model name; hosted ones are fixed lists
+    allowCustomModel: false,
+    defaults: { temperature: 0.1, maxTokens: 1000 },
+    create: (env, config) => createGeminiProvider({ apiKey: env.GEMINI_API_KEY, ...config }),
+  },
+  openai: {
+    label: "OpenAI-compatible",
+    isConfigured: (env) => Boolean(env.OPENAI_API_KEY || env.OPENAI_BASE_URL),
+    models: (env) => listFromEnv(env.OPENAI_MODELS, OPENAI_MODELS),
+    allowCustomModel: true,
+    defaults: { temperature: 0.1, maxTokens: 1500 },
+    create: (env, config) => createOpenAIProvider({
+      apiKey: env.OPENAI_API_KEY,
+      baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      ...config,
+    }),
+  },
+  ollama: {
+    label: "Ollama (self-hosted)",
+    isConfigured: (env) => Boolean(env.OLLAMA_BASE_URL),
+    models: (env) => listFromEnv(env.OLLAMA_MODELS, OLLAMA_MODELS),
+    allowCustomModel: true,
+    defaults: { temperature: 0.1, maxTokens: 2000 },
+    create: (env, config) => createOllamaProvider({ baseUrl: env.OLLAMA_BASE_URL, ...config }),
+  },
+  fake: {
+    label: "Fake (local testing)",
+    isConfigured: (env) => env.AI_FAKE_MODEL === '1' || env.AI_FAKE_MODEL === 'true',
+    models: () => FAKE_MODELS,
+    allowCustomModel: false,
+    defaults: { temperature: 0, maxTokens: 1000 },
+    create: (env, config) => createFakeProvider(config),
+  },
+};
+
+export const TEMPERATURE_RANGE = [0, 1];
+export const MAX_TOKENS_RANGE = [256, 8192];
+
+const clamp = (value, [min, max], fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+// Public description of what this server offers, for the model picker.
+export const describeProviders = (env) => Object.entries(PROVIDERS)
+  .filter(([, provider]) => provider.isConfigured(env))
+  .map(([id, provider]) => ({
+    id,
+    label: provider.label,
+    models: provider.models(env),
+    allowCustomModel: provider.allowCustomModel,
+    defaults: provider.defaults,
+  }));
+
+export const defaultProviderId = (env) => {
+  const available = describeProviders(env).map(p => p.id);
+  return available.includes(env.AI_DEFAULT_PROVIDER) ? env.AI_DEFAULT_PROVIDER : available[0] || null;
+};
+
+// Build a provider from a client request ({ id, model, temperature, maxTokens }),
+// falling back to defaults and rejecting anything the server does not offer.
+export const resolveProvider = (env, request = {}) => {
+  const id = request.id || defaultProviderId(env);
+  const provider = PROVIDERS[id];
+  if (!provider || !provider.isConfigured(env)) {
+    throw new Error(id ? `Provider "${id}" is not configured on this server.` : "No AI provider is configured on this server.");
+  }
+
+  const models = provider.models(env);
+  const model = request.model || models[0];
+  const validName = typeof model === 'string' && /^[\w.:/-]{1,100}$/.test(model);
+  if (!validName || (!provider.allowCustomModel && !models.includes(model))) {
+    throw new Error(`Model "${model}" is not available for ${provider.label}.`);
+  }
+
+  return provider.create(env, {
+    model,
+    temperature: clamp(request.temperature, TEMPERATURE_RANGE, provider.defaults.temperature),
+    maxTokens: Math.round(clamp(request.maxTokens, MAX_TOKENS_RANGE, provider.defaults.maxTokens)),
+  });
+};
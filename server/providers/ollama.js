@@ -0,0 +1,38 @@
+// ==========================================
+// 🦙 OLLAMA PROVIDER (self-hosted)
+// Resume text never leaves the machine running Ollama.
+// ==========================================
+import { providerRequest, providerStream } from './request.js';
+
+export const OLLAMA_MODELS = ['llama3.1', 'qwen2.5', 'mistral'];
+
+export const createOllamaProvider = ({ baseUrl, model, temperature, maxTokens }) => {
+  const url = `${baseUrl.replace(/\/$/, '')}/api/generate`;
+  const bodyFor = (prompt, schema, stream) => ({
+    model,
+    prompt,
+    stream,
+    // Ollama accepts a JSON schema here to constrain the output
+    ...(schema && { format: schema }),
+    options: { temperature, num_predict: maxTokens },
+  });
+
+  return {
+    id: 'ollama',
+    model,
+    async generate(prompt, { schema, signal } = {}) {
+      const data = await providerRequest(url, { signal, body: bodyFor(prompt, schema, false) });
+      return data.response || '';
+    },
+    // Newline-delimited JSON, one { response, done } object per line
+    async stream(prompt, { schema, signal, onText }) {
+      let doneReason;
+      await providerStream(url, { signal, body: bodyFor(prompt, schema, true) }, line => {
+        const data = JSON.parse(line);
+        if (data.response) onText(data.response);
+        if (data.done) doneReason = data.done_reason;
+      });
+      return { truncated: doneReason === 'length' };
+    },
+  };
+};
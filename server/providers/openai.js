@@ -0,0 +1,43 @@
+// ==========================================
+// 🤖 OPENAI-COMPATIBLE PROVIDER
+// Works with OpenAI itself and with any server exposing /v1/chat/completions
+// (vLLM, LM Studio, LiteLLM, Together, Groq, ...).
+// ==========================================
+import { providerRequest, providerStream } from './request.js';
+
+export const OPENAI_MODELS = ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini'];
+
+export const createOpenAIProvider = ({ apiKey, baseUrl, model, temperature, maxTokens }) => {
+  const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const bodyFor = (prompt, schema) => ({
+    model,
+    temperature,
+    max_tokens: maxTokens,
+    messages: [{ role: 'user', content: prompt }],
+    ...(schema && {
+      response_format: { type: 'json_schema', json_schema: { name: 'analysis', schema } },
+    }),
+  });
+
+  return {
+    id: 'openai',
+    model,
+    async generate(prompt, { schema, signal } = {}) {
+      const data = await providerRequest(url, { headers, signal, body: bodyFor(prompt, schema) });
+      return data.choices?.[0]?.message?.content || '';
+    },
+    // Server-sent events: `data: {...}` lines, terminated by `data: [DONE]`
+    async stream(prompt, { schema, signal, onText }) {
+      let finishReason;
+      await providerStream(url, { headers, signal, body: { ...bodyFor(prompt, schema), stream: true } }, line => {
+        const payload = line.replace(/^data:\s*/, '');
+        if (!line.startsWith('data:') || payload === '[DONE]') return;
+        const choice = JSON.parse(payload).choices?.[0];
+        finishReason = choice?.finish_reason || finishReason;
+        if (choice?.delta?.content) onText(choice.delta.content);
+      });
+      return { truncated: finishReason === 'length' };
+    },
+  };
+};
@@ -0,0 +1,54 @@
+// ==========================================
+// 📨 PROVIDER HTTP REQUESTS
+// ==========================================
+
+export class ProviderError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+export const providerRequest = async (url, { headers = {}, body, signal }) => {
+  const response = await fetch(url, {
+    signal,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = data.error?.message || data.error || `${response.status} ${response.statusText}`;
+    throw new ProviderError(String(message), response.status);
+  }
+  return data;
+};
+
+// POST and hand every non-empty line of the streamed body to `onLine`.
+// Used for both SSE ("data: {...}") and NDJSON streams.
+export const providerStream = async (url, { headers = {}, body, signal }, onLine) => {
+  const response = await fetch(url, {
+    signal,
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const message = data.error?.message || data.error || `${response.status} ${response.statusText}`;
+    throw new ProviderError(String(message), response.status);
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(line => line.trim()).forEach(onLine);
+  }
+  if (buffer.trim()) onLine(buffer);
+};
@@ -0,0 +1,51 @@
+// ==========================================
+// 🗄️ STORE REGISTRY
+// Server-side state (accounts, sessions, synced data, usage counters) goes
+// through a small key-value store so it survives restarts and is shared by
+// every serverless instance. Every store exposes:
+//   get(key), getMany(keys), set(key, value, { ttlSeconds }),
+//   setMany({ key: value }, { ttlSeconds }), add(key, value, { ttlSeconds })
+//   -> false when the key exists, delete(...keys),
+//   increment(key, amount, { ttlSeconds }) -> count after adding
+// Redis is used when its REST credentials are set (Vercel KV sets KV_*,
+// Upstash sets UPSTASH_REDIS_*); otherwise state is kept in memory.
+// ==========================================
+import { createMemoryStore } from './memory.js';
+import { createRedisStore } from './redis.js';
+
+const redisConfig = (env) => {
+  const url = env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL;
+  const token = env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN;
+  return url && token ? { url, token } : null;
+};
+
+export const STORES = {
+  redis: {
+    label: "Redis (Upstash / Vercel KV)",
+    isConfigured: (env) => Boolean(redisConfig(env)),
+    create: (env) => createRedisStore(redisConfig(env)),
+  },
+  memory: {
+    label: "In-memory (development only)",
+    isConfigured: () => true,
+    create: () => createMemoryStore(),
+  },
+};
+
+// The memory store is the state itself, so one instance per store id is
+// shared by every request in this process
+const instances = new Map();
+
+export const storeId = (env) => Object.keys(STORES).find(id => STORES[id].isConfigured(env));
+
+export const resolveStore = (env) => {
+  const id = storeId(env);
+  if (!instances.has(id)) {
+    // Each serverless instance would count usage on its own
+    if (id === 'memory' && env.NODE_ENV === 'production') {
+      console.warn('No Redis configured: usage limits and accounts are kept in memory and are not shared between instances.');
+    }
+    instances.set(id, STORES[id].create(env));
+  }
+  return instances.get(id);
+};
@@ -0,0 +1,63 @@
+// ==========================================
+// 🧠 IN-MEMORY STORE (development and tests)
+// Values live in this process only: they are gone on restart, and every
+// serverless instance has its own copy. Values are kept serialized so a
+// caller can never change what is stored by mutating what it read.
+// ==========================================
+
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const expiry = (ttlSeconds) => (ttlSeconds ? Date.now() + ttlSeconds * 1000 : null);
+
+  return {
+    id: 'memory',
+    isPersistent: false,
+
+    get: async (key) => {
+      const entry = read(key);
+      return entry ? JSON.parse(entry.value) : null;
+    },
+
+    getMany: async (keys) => keys.map(key => {
+      const entry = read(key);
+      return entry ? JSON.parse(entry.value) : null;
+    }),
+
+    set: async (key, value, { ttlSeconds } = {}) => {
+      entries.set(key, { value: JSON.stringify(value), expiresAt: expiry(ttlSeconds) });
+    },
+
+    setMany: async (values, { ttlSeconds } = {}) => {
+      Object.entries(values).forEach(([key, value]) => {
+        entries.set(key, { value: JSON.stringify(value), expiresAt: expiry(ttlSeconds) });
+      });
+    },
+
+    add: async (key, value, { ttlSeconds } = {}) => {
+      if (read(key)) return false;
+      entries.set(key, { value: JSON.stringify(value), expiresAt: expiry(ttlSeconds) });
+      return true;
+    },
+
+    delete: async (...keys) => {
+      keys.forEach(key => entries.delete(key));
+    },
+
+    increment: async (key, amount, { ttlSeconds } = {}) => {
+      const entry = read(key);
+      const count = (entry ? JSON.parse(entry.value) : 0) + amount;
+      entries.set(key, { value: JSON.stringify(count), expiresAt: entry?.expiresAt || expiry(ttlSeconds) });
+      return count;
+    },
+  };
+};
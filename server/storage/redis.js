@@ -0,0 +1,81 @@
+// ==========================================
+// 🗃️ REDIS STORE (Upstash / Vercel KV)
+// Talks to Redis over the Upstash REST API with fetch (no client library),
+// which works from serverless functions that cannot hold a connection open.
+// Values are stored as JSON strings.
+// ==========================================
+
+export class StoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoreError';
+  }
+}
+
+export const createRedisStore = ({ url, token }) => {
+  const base = url.replace(/\/+$/, '');
+
+  const request = async (path, body) => {
+    const response = await fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) throw new StoreError(`Redis request failed (${response.status}): ${data?.error || 'no details'}`);
+    return data;
+  };
+
+  const command = async (...args) => {
+    const { result, error } = await request('', args);
+    if (error) throw new StoreError(`Redis ${args[0]} failed: ${error}`);
+    return result;
+  };
+
+  // Several commands in one round trip; resolves with their results in order
+  const pipeline = async (commands) => {
+    if (!commands.length) return [];
+    const replies = await request('/pipeline', commands);
+    return replies.map(({ result, error }, i) => {
+      if (error) throw new StoreError(`Redis ${commands[i][0]} failed: ${error}`);
+      return result;
+    });
+  };
+
+  const parse = (raw) => (raw === null || raw === undefined ? null : JSON.parse(raw));
+  const expiry = (ttlSeconds) => (ttlSeconds ? ['EX', Math.ceil(ttlSeconds)] : []);
+
+  return {
+    id: 'redis',
+    isPersistent: true,
+
+    get: async (key) => parse(await command('GET', key)),
+
+    getMany: async (keys) => (keys.length ? (await command('MGET', ...keys)).map(parse) : []),
+
+    set: async (key, value, { ttlSeconds } = {}) => {
+      await command('SET', key, JSON.stringify(value), ...expiry(ttlSeconds));
+    },
+
+    setMany: async (values, { ttlSeconds } = {}) => {
+      await pipeline(Object.entries(values).map(([key, value]) => ['SET', key, JSON.stringify(value), ...expiry(ttlSeconds)]));
+    },
+
+    // SET NX: resolves true when the key was free
+    add: async (key, value, { ttlSeconds } = {}) => (
+      (await command('SET', key, JSON.stringify(value), 'NX', ...expiry(ttlSeconds))) === 'OK'
+    ),
+
+    delete: async (...keys) => {
+      if (keys.length) await command('DEL', ...keys);
+    },
+
+    // The expiry is set when the counter is created and not extended after
+    increment: async (key, amount, { ttlSeconds } = {}) => {
+      const commands = [['INCRBY', key, amount]];
+      if (ttlSeconds) commands.push(['EXPIRE', key, Math.ceil(ttlSeconds), 'NX']);
+      const [count] = await pipeline(commands);
+      return Number(count);
+    },
+  };
+};
@@ -1,237 +1,713 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
 import { Analytics } from "@vercel/analytics/react";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { 
   Upload, FileText, CheckCircle, AlertTriangle, XCircle, 
   BarChart2, Lock, Zap, Search, ChevronRight, Award, 
-  TrendingUp, Type, RefreshCw
+  TrendingUp, Type, RefreshCw, History, Scale, Plus, KeyRound, Gauge, ShieldAlert, WifiOff, Clock, X, Users, UserCircle, PenLine
 } from 'lucide-react';
+import { importResumeFile, sectionsFromText, ACCEPTED_FILE_TYPES } from './lib/import/index.js';
+import { calculateStats } from './lib/stats.js';
+import { matchKeywords } from './lib/keywords.js';
+import { analyzeAts } from './lib/ats.js';
+import { detectFatalFlaws } from './lib/flaws.js';
+import { analyzeLocally } from './lib/pipeline.js';
+import { prepareDictionary, loadedDictionary } from './lib/dictionary.js';
+import { analyzeOffline } from './lib/offlineAnalysis.js';
+import { redactPii, restoreAnalysis, restorePii, reapplyRedactions } from './lib/redact.js';
+import { streamAnalysis, requestAnalysis, requestPersonaReview, requestDocument, requestParagraph, checkApiHealth } from './lib/api.js';
+import { runWithRetry, requestSettingsFrom } from './lib/retry.js';
+import { describeError } from './lib/errors.js';
+import { loadProviderSettings, saveProviderSettings, reconcileProviderSettings } from './lib/providerSettings.js';
+import { loadPrivacySettings, savePrivacySettings } from './lib/privacySettings.js';
+import { loadRubricSettings, saveRubricSettings, selectedRubric } from './lib/rubricSettings.js';
+import { applyRewrite, revertRewrite } from './lib/rewrites.js';
+import { saveScan, getScan } from './lib/history.js';
+import { loadDraft, saveDraft } from './lib/draft.js';
+import {
+  loadSessionToken, saveSessionToken, clearSessionToken, fetchSession, signOut, readOAuthRedirect, clearOAuthRedirect,
+  exchangeOAuthCode, takeOAuthStarted,
+} from './lib/auth.js';
+import { syncLocalData, pushScan } from './lib/sync.js';
+import { FREE_ENTITLEMENTS, FREE_REWRITES, DEFAULT_PLAN, hasFeature } from './lib/entitlements.js';
+import { fetchEntitlements, waitForPaidPlan, readBillingRedirect, openBillingPortal } from './lib/billing.js';
+import { guessRoleTitle, MAX_ROLES } from './lib/compare.js';
+import { LANGUAGES, detectLanguage } from './lib/language.js';
+import { localizeError, importMessage } from './lib/i18n.js';
+import { useTranslation } from './lib/i18nContext.js';
+import ModelPicker from './components/ModelPicker.jsx';
+import PrivacyPanel from './components/PrivacyPanel.jsx';
+import RubricPicker from './components/RubricPicker.jsx';
+import SuggestionCard from './components/SuggestionCard.jsx';
+import RescanDiff from './components/RescanDiff.jsx';
+import ScanHistory from './components/ScanHistory.jsx';
+import FatalFlawsPanel from './components/FatalFlawsPanel.jsx';
+import ResumeHighlights from './components/ResumeHighlights.jsx';
+import RoleComparison from './components/RoleComparison.jsx';
+import BatchMode from './components/BatchMode.jsx';
+import AuthModal from './components/AuthModal.jsx';
+import AccountView from './components/AccountView.jsx';
+import UpgradeModal from './components/UpgradeModal.jsx';
+import ProMetrics from './components/ProMetrics.jsx';
+import LanguageSwitcher from './components/LanguageSwitcher.jsx';
+import DocumentGenerator from './components/DocumentGenerator.jsx';
+
+// Error screen icon per error code (see src/lib/errors.js)
+const ERROR_ICONS = {
+  invalid_key: KeyRound,
+  quota_exceeded: Gauge,
+  plan_limit: Gauge,
+  rate_limited: Gauge,
+  blocked_content: ShieldAlert,
+  network: WifiOff,
+  timeout: Clock,
+};
 
 // ==========================================
-// ⚙️ CONFIGURATION SECTION
+// 🚀 MAIN APP COMPONENT
 // ==========================================
+const App = () => {
+  const { t, locale } = useTranslation();
+  const [step, setStep] = useState(1); 
+  const [resumeText, setResumeText] = useState(() => loadDraft()?.resumeText || '');
+  const [jobDesc, setJobDesc] = useState(() => loadDraft()?.jobDesc || '');
+  const [stats, setStats] = useState(null);
+  const [aiResult, setAiResult] = useState(null);
+  const [keywordMatch, setKeywordMatch] = useState(null);
+  const [atsReport, setAtsReport] = useState(null);
+  const [fatalFlaws, setFatalFlaws] = useState(null);
+  // Plan, features and quota usage as verified by the server
+  const [entitlements, setEntitlements] = useState(FREE_ENTITLEMENTS);
+  const [showUpgradeModal, setShowUpgradeModal] = useState(false);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [analysisError, setAnalysisError] = useState(null);
+  // Bumped on every new scan so a stream that is still running cannot write
+  // into the state of a scan the user has already left
+  const analysisRunRef = useRef(0);
+  const abortControllerRef = useRef(null);
+  const [retryStatus, setRetryStatus] = useState(null);
+  const [inputError, setInputError] = useState('');
+  // Accept/Reject state per suggestion index, the text the current results
+  // were computed from, and the run before the last rescan (for the diff)
+  const [decisions, setDecisions] = useState({});
+  const [scannedText, setScannedText] = useState('');
+  const [previousRun, setPreviousRun] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  // Multi-role mode: several postings in, one ranked comparison out
+  const [jobMode, setJobMode] = useState('single');
+  const [roleInputs, setRoleInputs] = useState([{ id: 1, title: '', text: '' }, { id: 2, title: '', text: '' }]);
+  const nextRoleIdRef = useRef(3);
+  const [comparison, setComparison] = useState(null);
+  const [showComparison, setShowComparison] = useState(false);
+  const [showBatch, setShowBatch] = useState(false);
+  const [showGenerator, setShowGenerator] = useState(false);
+  const [includeAnnotations, setIncludeAnnotations] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+  const [inputMode, setInputMode] = useState('paste');
+  const [isImporting, setIsImporting] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [importedFile, setImportedFile] = useState(null);
+  const [importWarnings, setImportWarnings] = useState([]);
+  const [importError, setImportError] = useState('');
+  const [resumeSections, setResumeSections] = useState(null);
+  // Where each page of an imported PDF starts; dropped with the sections once the text changes
+  const [pageBreaks, setPageBreaks] = useState(null);
+  const [apiStatus, setApiStatus] = useState(null);
+  const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+  const [privacy, setPrivacy] = useState(loadPrivacySettings);
+  // Scoring profile for the target role, used by the local stats and the prompt
+  const [rubricSettings, setRubricSettings] = useState(loadRubricSettings);
+  // The resume's language ('auto' follows detection)
+  const [resumeLanguage, setResumeLanguage] = useState('auto');
+  // Signed-in account ({ user, token }) and the state of its data sync
+  const [session, setSession] = useState(null);
+  const [oauthRedirect] = useState(readOAuthRedirect);
+  const [authError, setAuthError] = useState(oauthRedirect.error || '');
+  const [showAuthModal, setShowAuthModal] = useState(Boolean(oauthRedirect.error));
+  const [showAccount, setShowAccount] = useState(false);
+  const [sync, setSync] = useState({ status: 'idle', result: null, error: null });
+  const [billingRedirect] = useState(readBillingRedirect);
+  const [showBillingNotice, setShowBillingNotice] = useState(Boolean(billingRedirect));
 
-// 1. API KEY LOGIC
-// We use the secure environment variable if available, otherwise default to empty string (Safe Mode)
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY || "";
-
-// 2. THE BRAIN (System Prompt)
-const SYSTEM_PROMPT = `
-ROLE:
-You are "CV Pulse," an elite Technical Recruiter and Resume Strategist with 15 years of experience at FAANG companies. You are critical, data-driven, and strictly professional.
-
-OBJECTIVE:
-Analyze the provided resume text against the provided Job Description (if any).
-
-ANALYSIS RULES:
-1. FATAL FLAWS: Identify any use of personal pronouns (I, me), photos, or charts.
-2. IMPACT CHECK: Calculate the ratio of bullet points that contain numbers ($, %, +) vs those that don't.
-3. ACTION VERBS: Flag any bullet point starting with weak verbs like "Helped," "Worked," "Responsible for."
-4. REWRITE: For the 3 weakest bullet points, provide a "Before" and "After" version. The "After" version MUST use the Google XYZ formula: "Accomplished [X] as measured by [Y], by doing [Z]."
-
-OUTPUT FORMAT (JSON ONLY):
-{
-  "score": (Integer 0-100),
-  "summary": (String, max 2 sentences, brutally honest),
-  "bulletPoints": [
-    { "original": "...", "improved": "..." }
-  ],
-  "missingKeywords": [Array of strings],
-  "softSkills": [Array of strings]
-}
-`;
+  // Ask the backend which providers are configured; without one we run the offline analyzer
+  useEffect(() => {
+    checkApiHealth()
+      .then(status => {
+        setApiStatus(status);
+        setProviderSettings(saved => reconcileProviderSettings(status, saved));
+      })
+      .catch(() => setApiStatus({ configured: false, providers: [] }));
+  }, []);
 
-// ==========================================
-// 🧠 REAL AI SERVICE (Gemini) - CORRECTED VERSION
-// ==========================================
-const realGeminiAnalysis = async (text, jobDesc) => {
-  try {
-    console.log("Using API Key:", API_KEY ? "Present" : "Missing");
-    
-    const genAI = new GoogleGenerativeAI(API_KEY);
-    
-    // Correct model configuration
-    const model = genAI.getGenerativeModel({ 
-      model: "gemini-1.5-flash",
-      generationConfig: {
-        temperature: 0.1,
-        maxOutputTokens: 1000,
+  // Keep the resume being worked on across reloads (and for account sync)
+  useEffect(() => {
+    saveDraft({ resumeText, jobDesc });
+  }, [resumeText, jobDesc]);
+
+  const endSession = () => {
+    if (session) signOut(session.token).catch(() => {});
+    clearSessionToken();
+    setSession(null);
+    setShowAccount(false);
+    setSync({ status: 'idle', result: null, error: null });
+  };
+
+  // Syncing uploads the draft and every saved scan as written, so it waits
+  // while local-only mode promises that nothing leaves the browser
+  const runSync = async (token) => {
+    if (privacy.localOnly) return;
+    setSync(current => ({ ...current, status: 'syncing', error: null }));
+    try {
+      const result = await syncLocalData(token);
+      setSync({ status: 'done', result, error: null });
+      setSession(current => current && { ...current, user: result.user });
+      // A newer draft from another device only replaces the editor on step 1
+      if (result.restoredDraft && step === 1) {
+        setResumeText(result.restoredDraft.resumeText);
+        setJobDesc(result.restoredDraft.jobDesc);
       }
-    });
+    } catch (error) {
+      if (error.status === 401) {
+        endSession();
+        return;
+      }
+      setSync(current => ({ ...current, status: 'error', error: error.message }));
+    }
+  };
 
-    // Combine system prompt with user input
-    const fullPrompt = `
-SYSTEM INSTRUCTIONS:
-${SYSTEM_PROMPT}
+  // Local data is only uploaded on its own into a session the user started
+  // in this tab; otherwise it waits for the Sync button
+  const startSession = ({ user, token }, { sync: syncNow = true } = {}) => {
+    saveSessionToken(token);
+    setSession({ user, token });
+    setShowAuthModal(false);
+    if (syncNow) runSync(token);
+  };
 
-USER INPUT:
-Resume Text: ${text}
-Job Description: ${jobDesc || "General Software Engineering role"}
+  const restoreSession = useEffectEvent((token) => {
+    fetchSession(token)
+      .then(user => startSession({ user, token }, { sync: false }))
+      .catch(error => {
+        if (error.status === 401) clearSessionToken();
+      });
+  });
 
-Please analyze the resume above and provide your response in the exact JSON format specified.
-`;
+  const finishOAuthSignIn = useEffectEvent((code) => {
+    const startedHere = takeOAuthStarted();
+    exchangeOAuthCode(code)
+      .then(next => startSession(next, { sync: startedHere }))
+      .catch(error => {
+        setAuthError(error.message);
+        setShowAuthModal(true);
+      });
+  });
 
-    console.log("Sending request to Gemini API...");
-    
-    const result = await model.generateContent(fullPrompt);
-    const response = await result.response;
-    const textResponse = response.text();
+  // Finish an OAuth sign-in the redirect left a code for, or sign back in
+  // with the stored token
+  useEffect(() => {
+    clearOAuthRedirect();
+    if (oauthRedirect.code) {
+      finishOAuthSignIn(oauthRedirect.code);
+      return;
+    }
+    const token = loadSessionToken();
+    if (token) restoreSession(token);
+  }, [oauthRedirect]);
 
-    console.log("Raw API Response:", textResponse);
+  // Entitlements follow the session; right after a checkout, wait for the
+  // provider's webhook to upgrade the plan
+  const sessionToken = session?.token;
+  useEffect(() => {
+    let active = true;
+    const load = billingRedirect === 'success' && sessionToken ? waitForPaidPlan(sessionToken) : fetchEntitlements(sessionToken);
+    load
+      .then(next => {
+        if (active) setEntitlements(next);
+      })
+      .catch(() => {});
+    return () => {
+      active = false;
+    };
+  }, [sessionToken, billingRedirect]);
 
-    // Clean up the response to ensure it's pure JSON
-    const jsonString = textResponse.replace(/```json|```/g, '').trim();
-    const parsedResult = JSON.parse(jsonString);
-    
-    console.log("Parsed Result:", parsedResult);
-    return parsedResult;
-
-  } catch (error) {
-    console.error("Gemini API Error Details:", {
-      message: error.message,
-      name: error.name,
-      stack: error.stack
+  // Quota usage changes with every AI analysis
+  const refreshEntitlements = () => {
+    fetchEntitlements(sessionToken).then(setEntitlements).catch(() => {});
+  };
+
+  const manageBilling = async () => {
+    window.location.assign(await openBillingPortal(sessionToken));
+  };
+
+  const aiAvailable = Boolean(apiStatus?.configured && providerSettings);
+  const aiEnabled = aiAvailable && !privacy.localOnly;
+
+  const handleProviderChange = (settings) => {
+    setProviderSettings(settings);
+    saveProviderSettings(settings);
+  };
+
+  const handlePrivacyChange = (settings) => {
+    setPrivacy(settings);
+    savePrivacySettings(settings);
+  };
+
+  const rubric = selectedRubric(rubricSettings);
+  const handleRubricChange = (settings) => {
+    setRubricSettings(settings);
+    saveRubricSettings(settings);
+  };
+
+  // Scored, and rewritten by the model, in the language the resume is written in
+  const detectedLanguage = detectLanguage(resumeText);
+  const language = resumeLanguage === 'auto' ? detectedLanguage : resumeLanguage;
+
+  // The typo check's word list (~3 MB) downloads in the background as soon
+  // as there is an English resume to check, so no scan waits for it
+  const hasResume = resumeText.trim().length >= 50;
+  useEffect(() => {
+    if (hasResume) prepareDictionary(language);
+  }, [hasResume, language]);
+
+  // Scans run with whatever dictionary is loaded; if it is still on its way,
+  // the typo check runs again when it arrives. `onFlaws` gets the new report.
+  const recheckFlawsWithDictionary = (text, isCurrentRun, onFlaws) => {
+    if (loadedDictionary()) return;
+    prepareDictionary(language).then(dictionary => {
+      if (!dictionary || !isCurrentRun()) return;
+      const flaws = detectFatalFlaws(text, { language, dictionary, t });
+      setFatalFlaws(flaws);
+      onFlaws?.(flaws);
     });
-    
-    // Fall back to mock data with a warning
-    alert("API Error: " + error.message + ". Falling back to mock data.");
-    return await mockAIAnalysis(text, jobDesc);
-  }
-};
+  };
 
-// ==========================================
-// 🎭 MOCK AI SERVICE (Free Testing)
-// ==========================================
-const mockAIAnalysis = (text, jobDesc) => {
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      resolve({
-        summary: "This candidate shows strong technical potential but lacks quantitative evidence. The structure is ATS-friendly, but the language is too passive. (MOCK DATA - Add API Key to see real results)",
-        bulletPoints: [
-          { original: "Worked on a React project for a client.", improved: "Architected a scalable React application for a Fortune 500 client, reducing page load time by 40%." },
-          { original: "Responsible for managing a team.", improved: "Spearheaded a cross-functional team of 10 engineers, delivering the Q4 roadmap 2 weeks ahead of schedule." },
-          { original: "Helped with customer support.", improved: "Resolved 95% of customer issues within 24 hours, improving customer satisfaction scores by 30%." }
-        ],
-        missingKeywords: jobDesc ? ['Kubernetes', 'CI/CD', 'System Design'] : ['Leadership', 'Optimization', 'Project Management'],
-        softSkills: ['Communication', 'Problem Solving', 'Team Collaboration'],
-        score: 72
-      });
-    }, 1500);
-  });
-};
+  // What actually leaves the browser: with redaction on, personal details
+  // are swapped for tokens that restoreAnalysis puts back into the result
+  const outgoingResume = (text) => (privacy.redact ? redactPii(text) : { text, replacements: [] });
 
-// ==========================================
-// 🧮 REAL-TIME STATS ENGINE
-// ==========================================
-const calculateStats = (text) => {
-  if (!text) return null;
-  
-  const words = text.split(/\s+/).filter(w => w.length > 0);
-  const sentences = text.split(/[.!?]+/).filter(s => s.length > 0);
-  
-  // Impact Score: Detect numbers, percentages, currency
-  const quantifiers = text.match(/(\d+%|\$\d+|\d+k|\d+m|\d+\+)/gi) || [];
-  const impactScore = Math.min(100, Math.round((quantifiers.length / (sentences.length || 1)) * 100 * 1.5));
-
-  // Action Verbs
-  const strongVerbs = ['spearheaded', 'orchestrated', 'developed', 'engineered', 'implemented', 'generated', 'increased', 'reduced', 'launched', 'optimized', 'automated'];
-  const weakVerbs = ['helped', 'worked', 'responsible', 'assisted', 'participated', 'involved', 'contributed'];
-  
-  let strongCount = 0;
-  let weakCount = 0;
-  words.forEach(w => {
-    if (strongVerbs.includes(w.toLowerCase())) strongCount++;
-    if (weakVerbs.includes(w.toLowerCase())) weakCount++;
-  });
-  
-  const verbScore = Math.min(100, Math.round((strongCount / (strongCount + weakCount + 1)) * 100));
+  const handleFileImport = async (file) => {
+    if (!file) return;
 
-  // Brevity
-  const avgSentenceLength = words.length / (sentences.length || 1);
-  const brevityScore = avgSentenceLength > 25 ? 40 : avgSentenceLength > 15 ? 100 : 80;
+    setIsImporting(true);
+    setImportError('');
+    setImportWarnings([]);
 
-  return { wordCount: words.length, impactScore, verbScore, brevityScore };
-};
+    try {
+      const { text, sections, pageBreaks: importedPageBreaks, pageCount, warnings } = await importResumeFile(file);
+      setResumeText(text);
+      setResumeSections(sections);
+      setPageBreaks(importedPageBreaks || null);
+      setImportWarnings(warnings);
+      setImportedFile({ name: file.name, pageCount });
+      // Show the extracted text so the user can check and fix it before scanning
+      if (text) setInputMode('paste');
+    } catch (error) {
+      console.error("Resume import failed:", error);
+      setImportError(t('input.importFailed', { message: importMessage(error, t) }));
+    } finally {
+      setIsImporting(false);
+    }
+  };
 
-// ==========================================
-// 🚀 MAIN APP COMPONENT
-// ==========================================
-const App = () => {
-  const [step, setStep] = useState(1); 
-  const [resumeText, setResumeText] = useState('');
-  const [jobDesc, setJobDesc] = useState('');
-  const [stats, setStats] = useState(null);
-  const [aiResult, setAiResult] = useState(null);
-  const [isPro, setIsPro] = useState(false);
-  const [showUpgradeModal, setShowUpgradeModal] = useState(false);
-  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFileImport(e.dataTransfer.files?.[0]);
+  };
 
-  const handleAnalyze = async () => {
-    if (resumeText.length < 50) {
-      alert("Please enter a longer resume text (minimum 50 characters).");
+  // `previous` is the run a rescan is compared against
+  const handleAnalyze = async ({ previous = null } = {}) => {
+    if (resumeText.trim().length < 50) {
+      setInputError(t('input.tooShort'));
       return;
     }
+    setInputError('');
     
+    const runId = ++analysisRunRef.current;
+    const isCurrentRun = () => runId === analysisRunRef.current;
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
     setStep(2);
     setIsAnalyzing(true);
-    
+    setAnalysisError(null);
+    setRetryStatus(null);
+    setAiResult(null);
+    setDecisions({});
+    setScannedText(resumeText);
+    setPreviousRun(previous);
+
     // 1. Local Stats (Free/Instant)
-    const computedStats = calculateStats(resumeText);
-    setStats(computedStats);
+    const local = analyzeLocally(resumeText, jobDesc, { sections: resumeSections, pageBreaks, rubric, language, t });
+    setStats(local.stats);
+    setKeywordMatch(local.keywordMatch);
+    setResumeSections(local.sections);
+    setAtsReport(local.atsReport);
+    setFatalFlaws(local.fatalFlaws);
+    let scanFlaws = local.fatalFlaws;
+    recheckFlawsWithDictionary(resumeText, isCurrentRun, flaws => {
+      scanFlaws = flaws;
+    });
 
     try {
       // 2. AI Analysis (Real vs Mock)
       let aiData;
-      if (API_KEY) {
-        console.log("Attempting real Gemini analysis...");
-        aiData = await realGeminiAnalysis(resumeText, jobDesc);
+      if (aiEnabled) {
+        console.log("Attempting real AI analysis...");
+        const outgoing = outgoingResume(resumeText);
+        // Stay on the loading screen until the model starts answering, then
+        // show the results view and let the AI sections fill in as it streams
+        aiData = await runWithRetry(({ signal, touch }) => streamAnalysis(outgoing.text, jobDesc, providerSettings, {
+          signal,
+          token: sessionToken,
+          rubric,
+          language,
+          onPartial: (partial) => {
+            touch();
+            if (!isCurrentRun()) return;
+            setRetryStatus(null);
+            setAiResult(restoreAnalysis(partial, outgoing.replacements));
+            setStep(3);
+          },
+        }), {
+          ...requestSettingsFrom(providerSettings),
+          signal: controller.signal,
+          onRetry: (retry) => {
+            if (!isCurrentRun()) return;
+            setRetryStatus({ ...retry, code: describeError(retry.error).code });
+            // A retry starts the answer over, so drop what the failed attempt streamed
+            setAiResult(previous => previous && {});
+          },
+        });
+        aiData = restoreAnalysis(aiData, outgoing.replacements);
       } else {
-        console.log("No API Key found. Using Mock Service.");
-        aiData = await mockAIAnalysis(resumeText, jobDesc);
+        console.log(aiAvailable ? "Local-only mode. Using the offline analyzer." : "No AI backend configured. Using the offline analyzer.");
+        aiData = analyzeOffline(resumeText, jobDesc, { rubric, language, t });
       }
+      if (!isCurrentRun()) return;
       
       setAiResult(aiData);
       setStep(3);
+
+      // 3. Keep the finished scan in local history for the trend view
+      saveScan({
+        resumeText,
+        jobDesc,
+        stats: local.stats,
+        aiResult: aiData,
+        keywordMatch: local.keywordMatch,
+        atsReport: local.atsReport,
+        fatalFlaws: scanFlaws,
+      })
+        .then(async id => {
+          if (session && !privacy.localOnly) await pushScan(session.token, await getScan(id));
+        })
+        .catch(error => console.warn("Could not save scan to history:", error));
     } catch (error) {
+      if (!isCurrentRun()) return;
       console.error("Analysis failed:", error);
-      // Ensure we still show results even if there's an error
-      const mockData = await mockAIAnalysis(resumeText, jobDesc);
-      setAiResult(mockData);
-      setStep(3);
+      // Show the error on the loading step; never substitute mock or half-streamed data
+      setAiResult(null);
+      setStep(2);
+      setAnalysisError(describeError(error));
     } finally {
-      setIsAnalyzing(false);
+      if (isCurrentRun()) {
+        setIsAnalyzing(false);
+        setRetryStatus(null);
+      }
+      if (aiEnabled) refreshEntitlements();
     }
   };
 
+  // Runs the keyword match for every posting at once, then the AI analysis
+  // one role at a time so several postings don't trip provider rate limits.
+  const handleCompare = async () => {
+    const postings = roleInputs.filter(role => role.text.trim());
+    if (resumeText.trim().length < 50) {
+      setInputError(t('input.tooShort'));
+      return;
+    }
+    if (postings.length < 2) {
+      setInputError(t('input.needTwoRoles'));
+      return;
+    }
+    setInputError('');
+
+    const runId = ++analysisRunRef.current;
+    const isCurrentRun = () => runId === analysisRunRef.current;
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    // The JD-independent checks are shared by every role's full report
+    const sections = resumeSections || sectionsFromText(resumeText);
+    setResumeSections(sections);
+    setStats(calculateStats(resumeText, rubric, language));
+    setAtsReport(analyzeAts(resumeText, sections, { t, pageBreaks }));
+    setFatalFlaws(detectFatalFlaws(resumeText, { language, t }));
+    recheckFlawsWithDictionary(resumeText, isCurrentRun);
+    setScannedText(resumeText);
+    setDecisions({});
+    setPreviousRun(null);
+
+    const roles = postings.map((posting, i) => ({
+      id: posting.id,
+      title: posting.title.trim() || guessRoleTitle(posting.text, t('jd.role', { number: i + 1 })),
+      jobDesc: posting.text,
+      status: 'pending',
+      keywordMatch: matchKeywords(posting.text, resumeText),
+      aiResult: null,
+      error: null,
+    }));
+    setComparison(roles);
+    setShowComparison(true);
+    setIsAnalyzing(true);
+
+    const updateRole = (id, patch) => {
+      if (isCurrentRun()) setComparison(current => current.map(role => (role.id === id ? { ...role, ...patch } : role)));
+    };
+
+    const outgoing = outgoingResume(resumeText);
+    for (const role of roles) {
+      if (!isCurrentRun()) return;
+      updateRole(role.id, { status: 'running' });
+      try {
+        const aiResult = aiEnabled
+          ? restoreAnalysis(await runWithRetry(({ signal }) => requestAnalysis(outgoing.text, role.jobDesc, providerSettings, { signal, token: sessionToken, rubric, language }), {
+            ...requestSettingsFrom(providerSettings),
+            signal: controller.signal,
+          }), outgoing.replacements)
+          : analyzeOffline(resumeText, role.jobDesc, { rubric, language, t });
+        updateRole(role.id, { status: 'done', aiResult });
+      } catch (error) {
+        if (!isCurrentRun()) return;
+        updateRole(role.id, { status: 'error', error: describeError(error) });
+      }
+    }
+    if (isCurrentRun()) setIsAnalyzing(false);
+    if (aiEnabled) refreshEntitlements();
+  };
+
+  const cancelComparison = () => {
+    analysisRunRef.current++;
+    abortControllerRef.current?.abort();
+    setIsAnalyzing(false);
+    setComparison(current => current?.map(role => (
+      role.status === 'pending' || role.status === 'running' ? { ...role, status: 'cancelled' } : role
+    )));
+  };
+
+  // Batch mode talks to the same provider as a single scan; the scope keeps
+  // cached answers from one model out of another model's ranking.
+  const analyzeForBatch = async (text, batchJobDesc, { signal, language: candidateLanguage = detectLanguage(text) }) => {
+    if (!aiEnabled) return analyzeOffline(text, batchJobDesc, { rubric, language: candidateLanguage, t });
+    const outgoing = outgoingResume(text);
+    const result = await runWithRetry(({ signal: attemptSignal }) => requestAnalysis(outgoing.text, batchJobDesc, providerSettings, { signal: attemptSignal, token: sessionToken, rubric, language: candidateLanguage }), {
+      ...requestSettingsFrom(providerSettings),
+      signal,
+    });
+    return restoreAnalysis(result, outgoing.replacements);
+  };
+  // Recruiter persona reviews for the Pro metrics; names and contact details
+  // are restored in the recruiter's copy just like in the analysis
+  const reviewPersona = async (persona, { signal }) => {
+    const outgoing = outgoingResume(scannedText);
+    const review = await runWithRetry(({ signal: attemptSignal }) => requestPersonaReview(outgoing.text, jobDesc, persona, providerSettings, { signal: attemptSignal, token: sessionToken, language }), {
+      ...requestSettingsFrom(providerSettings),
+      signal,
+    });
+    const restore = (text) => restorePii(text, outgoing.replacements);
+    return { ...review, headline: restore(review.headline), strengths: review.strengths.map(restore), concerns: review.concerns.map(restore) };
+  };
+  // Cover letters and LinkedIn profiles go out redacted too. A paragraph
+  // rewrite sends the current draft back, so its restored details are
+  // swapped for their tokens again first.
+  const writeDocument = async (brief, { signal }) => {
+    const outgoing = outgoingResume(scannedText);
+    const generated = await runWithRetry(({ signal: attemptSignal }) => requestDocument(outgoing.text, jobDesc, brief, providerSettings, { signal: attemptSignal, token: sessionToken, language }), {
+      ...requestSettingsFrom(providerSettings),
+      signal,
+    });
+    const restore = (text) => restorePii(text, outgoing.replacements);
+    return {
+      ...generated,
+      headline: restore(generated.headline),
+      greeting: restore(generated.greeting),
+      paragraphs: generated.paragraphs.map(restore),
+      signOff: restore(generated.signOff),
+    };
+  };
+  const rewriteParagraph = async (brief, { paragraphs, index }, { signal }) => {
+    const outgoing = outgoingResume(scannedText);
+    const draft = { paragraphs: paragraphs.map(paragraph => reapplyRedactions(paragraph, outgoing.replacements)), index };
+    const paragraph = await runWithRetry(({ signal: attemptSignal }) => requestParagraph(outgoing.text, jobDesc, brief, draft, providerSettings, { signal: attemptSignal, token: sessionToken, language }), {
+      ...requestSettingsFrom(providerSettings),
+      signal,
+    });
+    return restorePii(paragraph, outgoing.replacements);
+  };
+
+  // Offline summaries are written in the interface language
+  const providerScope = aiEnabled
+    ? `${providerSettings.id}:${providerSettings.model}:${providerSettings.temperature}`
+    : `offline:${locale}`;
+  // A different scoring profile gives a different answer from the same model
+  const batchCacheScope = `${providerScope}:${rubric.id}`;
+
+  const updateRoleInput = (id, patch) => {
+    setRoleInputs(current => current.map(role => (role.id === id ? { ...role, ...patch } : role)));
+  };
+
+  const addRoleInput = () => {
+    setRoleInputs(current => [...current, { id: nextRoleIdRef.current++, title: '', text: '' }]);
+  };
+
+  // From the loading screen this returns to the (untouched) input form; from
+  // the results view it keeps the local checks and drops the partial AI answer.
+  const cancelAnalysis = () => {
+    analysisRunRef.current++;
+    abortControllerRef.current?.abort();
+    setIsAnalyzing(false);
+    setRetryStatus(null);
+    setAiResult(null);
+    if (step === 2) setStep(1);
+  };
+
+  const acceptSuggestion = (index, item, text) => {
+    const applied = applyRewrite(resumeText, item.original, text);
+    if (!applied) {
+      setDecisions(current => ({ ...current, [index]: { error: t('suggestions.notFound') } }));
+      return;
+    }
+    setResumeText(applied.text);
+    setResumeSections(null);
+    setPageBreaks(null);
+    setDecisions(current => ({ ...current, [index]: { status: 'accepted', text, change: applied.change } }));
+  };
+
+  const undoSuggestion = (index) => {
+    const { change } = decisions[index] || {};
+    if (change) {
+      const reverted = revertRewrite(resumeText, change);
+      if (reverted !== null) {
+        setResumeText(reverted);
+        setResumeSections(null);
+        setPageBreaks(null);
+      }
+    }
+    setDecisions(current => {
+      const next = { ...current };
+      delete next[index];
+      return next;
+    });
+  };
+
+  const handleRescan = () => handleAnalyze({
+    previous: {
+      resumeText: scannedText,
+      stats,
+      score: aiResult?.score ?? null,
+    },
+  });
+
+  // Rendered here, from the scan as shown, so nothing about it is uploaded.
+  // The Pro check is a UI gate only: the report is built from data the
+  // browser already holds, so the server cannot enforce it.
+  const handleDownloadReport = async (aiKeywords) => {
+    if (!hasFeature(entitlements, 'pdfReport')) {
+      setShowUpgradeModal(true);
+      return;
+    }
+    setIsExporting(true);
+    setExportError('');
+    try {
+      // The report's pdf module (and jsPDF) is only fetched on first download
+      const { downloadReportPdf } = await import('./lib/report/pdfReport.js');
+      await downloadReportPdf(
+        { stats, aiResult, keywordMatch, atsReport, aiKeywords, resumeText: scannedText, jobDesc },
+        { annotate: includeAnnotations },
+      );
+    } catch (error) {
+      console.error("Report export failed:", error);
+      setExportError(t('report.failed', { message: error.message }));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Load a past scan from history back into the results view as it was
+  const openScan = (scan) => {
+    analysisRunRef.current++;
+    abortControllerRef.current?.abort();
+    setResumeText(scan.resumeText);
+    setJobDesc(scan.jobDesc || '');
+    setStats(scan.stats);
+    setAiResult(scan.aiResult);
+    setKeywordMatch(scan.keywordMatch);
+    setAtsReport(scan.atsReport);
+    // Scans saved before the flaw detector existed are checked on the spot
+    setFatalFlaws(scan.fatalFlaws || detectFatalFlaws(scan.resumeText, { t }));
+    setResumeSections(null);
+    setPageBreaks(null);
+    setScannedText(scan.resumeText);
+    setDecisions({});
+    setPreviousRun(null);
+    setAnalysisError(null);
+    setIsAnalyzing(false);
+    setRetryStatus(null);
+    setShowHistory(false);
+    setShowComparison(false);
+    setShowGenerator(false);
+    setStep(3);
+  };
+
+  // A compared role opens as a normal report; the JD-independent checks
+  // were already computed by handleCompare
+  const openRole = (role) => openScan({
+    resumeText: scannedText,
+    jobDesc: role.jobDesc,
+    stats,
+    aiResult: role.aiResult,
+    keywordMatch: role.keywordMatch,
+    atsReport,
+    fatalFlaws,
+  });
+
   const reset = () => {
+    analysisRunRef.current++;
+    abortControllerRef.current?.abort();
     setStep(1);
     setResumeText('');
     setJobDesc('');
     setStats(null);
     setAiResult(null);
+    setKeywordMatch(null);
+    setAtsReport(null);
+    setFatalFlaws(null);
+    setAnalysisError(null);
     setIsAnalyzing(false);
-  };
-
-  // Temporary API test function
-  const testAPI = async () => {
-    try {
-      const genAI = new GoogleGenerativeAI(API_KEY);
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-      const result = await model.generateContent("Hello, respond with 'OK' if working");
-      const response = await result.response;
-      console.log('API Test Successful:', response.text());
-      alert('API Test Successful: ' + response.text());
-      return true;
-    } catch (error) {
-      console.error('API Test Failed:', error.message);
-      alert('API Test Failed: ' + error.message);
-      return false;
-    }
+    setRetryStatus(null);
+    setInputError('');
+    setDecisions({});
+    setScannedText('');
+    setPreviousRun(null);
+    setExportError('');
+    setComparison(null);
+    setShowComparison(false);
+    setShowGenerator(false);
+    setInputMode('paste');
+    setImportedFile(null);
+    setImportWarnings([]);
+    setImportError('');
+    setResumeSections(null);
+    setPageBreaks(null);
+    setResumeLanguage('auto');
   };
 
   // --- UI COMPONENTS ---
 
-  const ProgressBar = ({ label, value, color = "bg-blue-600", locked = false }) => (
+  const ProgressBar = ({ label, value, color = "bg-blue-600", locked = false, deductions = [] }) => (
     <div className="mb-4 relative">
       <div className="flex justify-between mb-1">
         <span className="text-sm font-medium text-slate-700 flex items-center gap-2">
@@ -247,86 +723,149 @@ const App = () => {
           style={{ width: locked ? '0%' : `${value}%` }}
         ></div>
       </div>
+      {!locked && deductions.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {deductions.map((d, i) => (
+            <li key={i} className="flex gap-2 text-xs text-slate-500" title={d.detail}>
+              <span className="font-semibold text-rose-500 w-8 flex-shrink-0">-{d.points}</span>
+              <span>{d.label}</span>
+            </li>
+          ))}
+        </ul>
+      )}
       {locked && (
         <div 
           onClick={() => setShowUpgradeModal(true)}
           className="absolute inset-0 bg-white/50 cursor-pointer flex items-center justify-center opacity-0 hover:opacity-100 transition-opacity rounded"
         >
-          <span className="text-xs font-bold text-indigo-600 bg-indigo-50 px-2 py-1 rounded border border-indigo-100 shadow-sm">Unlock Pro</span>
+          <span className="text-xs font-bold text-indigo-600 bg-indigo-50 px-2 py-1 rounded border border-indigo-100 shadow-sm">{t('breakdown.unlock')}</span>
         </div>
       )}
     </div>
   );
 
-  const ScoreCard = ({ title, score, icon: Icon, description, color }) => (
-    <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm hover:shadow-md transition-shadow">
-      <div className="flex items-start justify-between mb-4">
-        <div className={`p-3 rounded-lg ${color} bg-opacity-10`}>
-          <Icon size={24} className={color.replace('bg-', 'text-')} />
-        </div>
-        <div className="text-2xl font-bold text-slate-800">{score}</div>
-      </div>
-      <h3 className="font-semibold text-slate-800 mb-1">{title}</h3>
-      <p className="text-xs text-slate-500 leading-relaxed">{description}</p>
-    </div>
-  );
-
-  const UpgradeModal = () => (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
-      <div className="bg-white rounded-2xl max-w-md w-full overflow-hidden shadow-2xl animate-in fade-in zoom-in duration-300">
-        <div className="bg-indigo-600 p-6 text-center">
-          <Award className="w-12 h-12 text-yellow-300 mx-auto mb-3" />
-          <h3 className="text-2xl font-bold text-white">Go Professional</h3>
-          <p className="text-indigo-100 text-sm mt-1">Unlock deep AI insights & rewrites</p>
-        </div>
-        <div className="p-6 space-y-4">
-          <div className="space-y-3">
-            {[
-              "Unlock Detailed Action Verb Analysis",
-              "Get AI-Powered Bullet Point Rewrites",
-              "Unlimited Rescans",
-              "Export to PDF Report"
-            ].map((feat, i) => (
-              <div key={i} className="flex items-center gap-3 text-slate-700">
-                <CheckCircle size={18} className="text-green-500 flex-shrink-0" />
-                <span className="text-sm font-medium">{feat}</span>
-              </div>
-            ))}
+  const ScoreCard = ({ title, score, icon, description, color }) => {
+    const Icon = icon;
+    return (
+      <div className="bg-white p-6 rounded-xl border border-slate-200 shadow-sm hover:shadow-md transition-shadow">
+        <div className="flex items-start justify-between mb-4">
+          <div className={`p-3 rounded-lg ${color} bg-opacity-10`}>
+            <Icon size={24} className={color.replace('bg-', 'text-')} />
           </div>
-          <button 
-            onClick={() => { setIsPro(true); setShowUpgradeModal(false); }}
-            className="w-full py-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg shadow-lg hover:shadow-indigo-500/30 transition-all"
-          >
-            Unlock for $9/mo
-          </button>
-          <button 
-            onClick={() => setShowUpgradeModal(false)}
-            className="w-full py-2 text-slate-400 text-sm hover:text-slate-600"
-          >
-            Maybe later
-          </button>
+          <div className="text-2xl font-bold text-slate-800">{score}</div>
         </div>
+        <h3 className="font-semibold text-slate-800 mb-1">{title}</h3>
+        <p className="text-xs text-slate-500 leading-relaxed">{description}</p>
       </div>
-    </div>
-  );
+    );
+  };
 
-  // API Debug Component
-  const APIDebug = () => (
-    <div className="fixed bottom-4 right-4 bg-yellow-100 border border-yellow-400 p-3 rounded text-xs max-w-xs">
-      <div className="font-semibold mb-1">API Debug</div>
-      <div>API Key: {API_KEY ? "✅ Present" : "❌ Missing"}</div>
-      <button 
-        onClick={testAPI}
-        className="mt-1 bg-blue-500 text-white px-2 py-1 rounded text-xs w-full"
-      >
-        Test API Connection
-      </button>
-    </div>
+  const overlays = (
+    <>
+      {showUpgradeModal && (
+        <UpgradeModal
+          billing={apiStatus?.billing}
+          session={session}
+          onSignIn={() => { setShowUpgradeModal(false); setShowAuthModal(true); }}
+          onClose={() => setShowUpgradeModal(false)}
+        />
+      )}
+      {showAuthModal && apiStatus?.auth?.enabled && (
+        <AuthModal
+          auth={apiStatus.auth}
+          initialError={authError}
+          onSignedIn={startSession}
+          onClose={() => { setShowAuthModal(false); setAuthError(''); }}
+        />
+      )}
+    </>
   );
 
+  if (showHistory) {
+    return (
+      <>
+        <ScanHistory onOpen={openScan} onBack={() => setShowHistory(false)} />
+        <Analytics />
+      </>
+    );
+  }
+
+  if (showAccount && session) {
+    return (
+      <>
+        <AccountView
+          session={session}
+          entitlements={entitlements}
+          onUpgrade={() => { setShowAccount(false); setShowUpgradeModal(true); }}
+          onManageBilling={manageBilling}
+          sync={sync}
+          syncPaused={privacy.localOnly}
+          onSync={() => runSync(session.token)}
+          onUserChange={(user) => setSession(current => ({ ...current, user }))}
+          onSignOut={endSession}
+          onBack={() => setShowAccount(false)}
+        />
+        <Analytics />
+      </>
+    );
+  }
+
+  if (showBatch) {
+    return (
+      <>
+        <BatchMode analyze={analyzeForBatch} cacheScope={batchCacheScope} rubric={rubric} onBack={() => setShowBatch(false)} />
+        <Analytics />
+      </>
+    );
+  }
+
+  if (showComparison && comparison) {
+    return (
+      <>
+        <RoleComparison
+          roles={comparison}
+          isRunning={isAnalyzing}
+          onBack={() => { cancelComparison(); setShowComparison(false); setStep(1); }}
+          onCancel={cancelComparison}
+          onOpenRole={openRole}
+        />
+        <Analytics />
+      </>
+    );
+  }
+
+  if (showGenerator) {
+    const missingKeywords = [...new Set([
+      ...(keywordMatch?.missing || []).map(kw => kw.keyword),
+      ...(aiResult?.missingKeywords || []),
+    ])];
+    return (
+      <>
+        <DocumentGenerator
+          resumeText={scannedText}
+          jobDesc={jobDesc}
+          language={language}
+          missingKeywords={missingKeywords}
+          softSkills={aiResult?.softSkills || []}
+          writeDocument={aiEnabled ? writeDocument : null}
+          rewriteParagraph={aiEnabled ? rewriteParagraph : null}
+          onBack={() => setShowGenerator(false)}
+        />
+        <Analytics />
+      </>
+    );
+  }
+
   if (step === 1) {
+    const analysisQuota = aiEnabled ? entitlements.quotas.analyses : null;
+    const billingNotice = {
+      success: entitlements.plan === DEFAULT_PLAN ? t('billing.pending') : t('billing.active'),
+      cancelled: t('billing.cancelled'),
+      updated: t('billing.updated'),
+    }[billingRedirect];
     return (
       <div className="min-h-screen bg-slate-50 flex flex-col">
+        {overlays}
         <header className="bg-white border-b border-slate-200 px-6 py-4 flex justify-between items-center">
           <div className="flex items-center gap-2">
             <div className="bg-indigo-600 p-2 rounded-lg">
@@ -334,61 +873,213 @@ const App = () => {
             </div>
             <span className="font-bold text-xl text-slate-800">CV Pulse AI</span>
           </div>
-          <button className="text-slate-600 font-medium hover:text-indigo-600 text-sm">Sign In</button>
+          <div className="flex items-center gap-4">
+            <LanguageSwitcher />
+            <button onClick={() => setShowHistory(true)} className="flex items-center gap-1.5 text-slate-600 font-medium hover:text-indigo-600 text-sm">
+              <History size={16} /> {t('nav.history')}
+            </button>
+            <button onClick={() => setShowBatch(true)} className="flex items-center gap-1.5 text-slate-600 font-medium hover:text-indigo-600 text-sm">
+              <Users size={16} /> {t('nav.batch')}
+            </button>
+            {session ? (
+              <button onClick={() => setShowAccount(true)} className="flex items-center gap-1.5 text-slate-600 font-medium hover:text-indigo-600 text-sm">
+                <UserCircle size={16} /> {session.user.name}
+              </button>
+            ) : apiStatus?.auth?.enabled && (
+              <button onClick={() => setShowAuthModal(true)} className="text-slate-600 font-medium hover:text-indigo-600 text-sm">{t('nav.signIn')}</button>
+            )}
+          </div>
         </header>
 
+        {showBillingNotice && billingNotice && (
+          <div className="bg-indigo-50 border-b border-indigo-100 px-6 py-3 flex items-center justify-center gap-3 text-sm text-indigo-700">
+            <Award size={16} /> {billingNotice}
+            <button onClick={() => setShowBillingNotice(false)} className="text-indigo-400 hover:text-indigo-700" title={t('common.dismiss')}><X size={14} /></button>
+          </div>
+        )}
+
         <main className="flex-1 flex flex-col items-center justify-center p-6 max-w-4xl mx-auto w-full">
           <div className="text-center mb-12 space-y-4">
             <h1 className="text-4xl md:text-5xl font-extrabold text-slate-900 tracking-tight">
-              Is your resume <span className="text-indigo-600">hired</span> or <span className="text-rose-500">fired?</span>
+              {t('hero.before')}<span className="text-indigo-600">{t('hero.hired')}</span>{t('hero.between')}<span className="text-rose-500">{t('hero.fired')}</span>
             </h1>
             <p className="text-lg text-slate-500 max-w-2xl mx-auto">
-              Get professional-level critique, ATS compatibility checks, and AI-powered improvement suggestions in seconds.
+              {t('hero.subtitle')}
             </p>
           </div>
 
           <div className="w-full bg-white rounded-2xl shadow-xl border border-slate-200 overflow-hidden">
             <div className="flex border-b border-slate-100">
-              <button className="flex-1 py-4 text-center font-semibold text-indigo-600 border-b-2 border-indigo-600 bg-indigo-50/50">
-                Paste Text
-              </button>
-              <button className="flex-1 py-4 text-center font-medium text-slate-400 hover:text-slate-600 cursor-not-allowed">
-                Upload PDF (Pro)
-              </button>
+              {[
+                { mode: 'paste', label: t('input.paste') },
+                { mode: 'upload', label: t('input.upload') },
+              ].map(tab => (
+                <button
+                  key={tab.mode}
+                  onClick={() => setInputMode(tab.mode)}
+                  className={inputMode === tab.mode
+                    ? "flex-1 py-4 text-center font-semibold text-indigo-600 border-b-2 border-indigo-600 bg-indigo-50/50"
+                    : "flex-1 py-4 text-center font-medium text-slate-400 hover:text-slate-600"}
+                >
+                  {tab.label}
+                </button>
+              ))}
             </div>
             <div className="p-6 space-y-6">
-              <div>
-                <label className="block text-sm font-medium text-slate-700 mb-2">Resume Content</label>
-                <textarea 
-                  className="w-full h-64 p-4 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all font-mono text-sm resize-none"
-                  placeholder="Paste your resume content here... (e.g. Achieved 20% growth...)"
-                  value={resumeText}
-                  onChange={(e) => setResumeText(e.target.value)}
-                ></textarea>
-                <div className="text-xs text-slate-400 mt-1">
-                  {resumeText.length}/50 characters minimum
+              {(importedFile || importError || importWarnings.length > 0) && (
+                <div className="space-y-2">
+                  {importedFile && !importError && (
+                    <div className="flex items-center gap-2 text-xs text-slate-500">
+                      <FileText size={14} className="text-indigo-600" />
+                      {t('input.importedFrom')} <span className="font-medium text-slate-700">{importedFile.name}</span>
+                      {importedFile.pageCount && ` ${t(importedFile.pageCount === 1 ? 'input.pages.one' : 'input.pages.other', { count: importedFile.pageCount })}`}. {t('input.review')}
+                    </div>
+                  )}
+                  {importError && (
+                    <div className="flex items-start gap-2 p-3 bg-rose-50 border border-rose-100 rounded-lg text-sm text-rose-700">
+                      <XCircle size={16} className="flex-shrink-0 mt-0.5" /> {importError}
+                    </div>
+                  )}
+                  {importWarnings.map(warning => (
+                    <div key={warning.code} className="flex items-start gap-2 p-3 bg-amber-50 border border-amber-100 rounded-lg text-sm text-amber-800">
+                      <AlertTriangle size={16} className="flex-shrink-0 mt-0.5" /> {importMessage(warning, t)}
+                    </div>
+                  ))}
                 </div>
-              </div>
+              )}
+              {inputMode === 'paste' ? (
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-2">{t('input.resumeLabel')}</label>
+                  <textarea 
+                    className="w-full h-64 p-4 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all font-mono text-sm resize-none"
+                    placeholder={t('input.resumePlaceholder')}
+                    value={resumeText}
+                    onChange={(e) => { setResumeText(e.target.value); setResumeSections(null); setPageBreaks(null); }}
+                  ></textarea>
+                  <div className="flex justify-between items-center text-xs text-slate-400 mt-1">
+                    <span>{t('input.minimum', { count: resumeText.length })}</span>
+                    <label className="flex items-center gap-1.5">
+                      {t('input.language')}
+                      <select
+                        value={resumeLanguage}
+                        onChange={(e) => setResumeLanguage(e.target.value)}
+                        className="bg-transparent font-medium text-slate-600 cursor-pointer focus:outline-none"
+                      >
+                        <option value="auto">{t('input.languageAuto', { language: LANGUAGES[detectedLanguage].nativeLabel })}</option>
+                        {Object.entries(LANGUAGES).map(([id, { nativeLabel }]) => <option key={id} value={id}>{nativeLabel}</option>)}
+                      </select>
+                    </label>
+                  </div>
+                </div>
+              ) : (
+                <label
+                  onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                  onDragLeave={() => setIsDragging(false)}
+                  onDrop={handleDrop}
+                  className={`h-64 flex flex-col items-center justify-center gap-3 border-2 border-dashed rounded-xl cursor-pointer transition-all ${isDragging ? 'border-indigo-500 bg-indigo-50' : 'border-slate-200 bg-slate-50 hover:border-indigo-300'}`}
+                >
+                  <input
+                    type="file"
+                    accept={ACCEPTED_FILE_TYPES}
+                    className="hidden"
+                    onChange={(e) => { handleFileImport(e.target.files?.[0]); e.target.value = ''; }}
+                  />
+                  {isImporting ? (
+                    <RefreshCw size={32} className="text-indigo-600 animate-spin" />
+                  ) : (
+                    <Upload size={32} className="text-indigo-600" />
+                  )}
+                  <div className="text-center">
+                    <p className="font-semibold text-slate-700">
+                      {isImporting ? t('input.extracting') : t('input.drop')}
+                    </p>
+                    <p className="text-xs text-slate-400 mt-1">{t('input.dropHint')}</p>
+                  </div>
+                </label>
+              )}
               <div>
-                <label className="block text-sm font-medium text-slate-700 mb-2">Target Job Description (Optional)</label>
-                <textarea 
-                  className="w-full h-24 p-4 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all font-mono text-sm resize-none"
-                  placeholder="Paste the job description you are applying for..."
-                  value={jobDesc}
-                  onChange={(e) => setJobDesc(e.target.value)}
-                ></textarea>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium text-slate-700">
+                    {jobMode === 'multi' ? t('jd.compareLabel') : t('jd.label')}
+                  </label>
+                  <button
+                    onClick={() => { setJobMode(jobMode === 'multi' ? 'single' : 'multi'); setInputError(''); }}
+                    className="text-xs font-medium text-indigo-600 hover:underline flex items-center gap-1"
+                  >
+                    <Scale size={12} /> {jobMode === 'multi' ? t('jd.single') : t('jd.multi')}
+                  </button>
+                </div>
+                {jobMode === 'single' ? (
+                  <textarea 
+                    className="w-full h-24 p-4 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition-all font-mono text-sm resize-none"
+                    placeholder={t('jd.placeholder')}
+                    value={jobDesc}
+                    onChange={(e) => setJobDesc(e.target.value)}
+                  ></textarea>
+                ) : (
+                  <div className="space-y-3">
+                    {roleInputs.map((role, i) => (
+                      <div key={role.id} className="p-3 bg-slate-50 border border-slate-200 rounded-xl space-y-2">
+                        <div className="flex items-center gap-2">
+                          <input
+                            className="flex-1 p-2 bg-white border border-slate-200 rounded-lg text-sm"
+                            placeholder={t('jd.roleTitle', { number: i + 1 })}
+                            value={role.title}
+                            onChange={(e) => updateRoleInput(role.id, { title: e.target.value })}
+                          />
+                          {roleInputs.length > 2 && (
+                            <button
+                              onClick={() => setRoleInputs(current => current.filter(r => r.id !== role.id))}
+                              className="p-1.5 text-slate-400 hover:text-rose-600"
+                              title={t('jd.removeRole')}
+                            >
+                              <X size={16} />
+                            </button>
+                          )}
+                        </div>
+                        <textarea
+                          className="w-full h-20 p-3 bg-white border border-slate-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent font-mono text-sm resize-none"
+                          placeholder={t('jd.rolePlaceholder')}
+                          value={role.text}
+                          onChange={(e) => updateRoleInput(role.id, { text: e.target.value })}
+                        ></textarea>
+                      </div>
+                    ))}
+                    {roleInputs.length < MAX_ROLES && (
+                      <button onClick={addRoleInput} className="text-sm font-medium text-indigo-600 hover:underline flex items-center gap-1">
+                        <Plus size={14} /> {t('jd.addRole')}
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
+              <RubricPicker settings={rubricSettings} onChange={handleRubricChange} resumeText={resumeText} jobDesc={jobDesc} />
+              {aiAvailable && (
+                <PrivacyPanel settings={privacy} onChange={handlePrivacyChange} resumeText={resumeText} />
+              )}
+              {aiEnabled && (
+                <ModelPicker status={apiStatus} settings={providerSettings} onChange={handleProviderChange} />
+              )}
               <button 
-                onClick={handleAnalyze}
+                onClick={() => (jobMode === 'multi' ? handleCompare() : handleAnalyze())}
                 disabled={isAnalyzing || resumeText.length < 50}
                 className="w-full py-4 bg-slate-900 hover:bg-slate-800 disabled:bg-slate-400 text-white font-bold rounded-xl shadow-lg flex items-center justify-center gap-2 transition-all transform active:scale-95 disabled:transform-none"
               >
                 <Search size={20} />
-                {isAnalyzing ? "Analyzing..." : "Analyze My Resume"}
+                {isAnalyzing ? t('action.analyzing') : jobMode === 'multi' ? t('action.compare') : t('action.analyze')}
               </button>
-              {!API_KEY && (
+              {inputError && (
+                <p className="text-center text-sm text-rose-600">{inputError}</p>
+              )}
+              {analysisQuota && analysisQuota.limit !== null && (
+                <p className="text-center text-xs text-slate-400">
+                  {t('quota.left', { left: Math.max(0, analysisQuota.limit - analysisQuota.used), limit: analysisQuota.limit })}{' '}
+                  <button onClick={() => setShowUpgradeModal(true)} className="text-indigo-600 font-medium hover:underline">{t('quota.upgrade')}</button>
+                </p>
+              )}
+              {apiStatus && !aiAvailable && (
                 <p className="text-center text-xs text-slate-400 italic mt-2">
-                  Running in Demo Mode (Mock Data). Add API Key to enable real AI analysis.
+                  {t('offline.notice')}
                 </p>
               )}
             </div>
@@ -396,9 +1087,9 @@ const App = () => {
           
           <div className="mt-12 grid grid-cols-1 md:grid-cols-3 gap-6 text-center w-full">
             {[
-              { icon: TrendingUp, title: "Quantify Impact", text: "We detect missing metrics." },
-              { icon: CheckCircle, title: "ATS Friendly", text: "Ensure parsability." },
-              { icon: Lock, title: "Secure & Private", text: "Data processed locally." },
+              { icon: TrendingUp, title: t('feature.impact.title'), text: t('feature.impact.text') },
+              { icon: CheckCircle, title: t('feature.ats.title'), text: t('feature.ats.text') },
+              { icon: Lock, title: t('feature.private.title'), text: t('feature.private.text') },
             ].map((item, i) => (
               <div key={i} className="flex flex-col items-center gap-2">
                 <div className="bg-white p-3 rounded-full shadow-sm border border-slate-100">
@@ -410,12 +1101,72 @@ const App = () => {
             ))}
           </div>
         </main>
-        {API_KEY && <APIDebug />}
         <Analytics />
       </div>
     );
   }
 
+  if (step === 2 && analysisError) {
+    const ErrorIcon = ERROR_ICONS[analysisError.code] || XCircle;
+    const { title, hint } = localizeError(analysisError, t);
+    return (
+      <div className="min-h-screen bg-slate-50 flex flex-col items-center justify-center p-6">
+        {overlays}
+        <div className="max-w-md w-full bg-white rounded-2xl border border-rose-100 shadow-xl p-8 text-center space-y-4">
+          <ErrorIcon className="w-12 h-12 text-rose-500 mx-auto" />
+          <h2 className="text-2xl font-bold text-slate-800">{title}</h2>
+          <p className="text-slate-500">{hint}</p>
+          {analysisError.message && (
+            <p className="text-xs text-slate-400 font-mono break-words">{analysisError.message}</p>
+          )}
+          {analysisError.details.length > 0 && (
+            <ul className="text-xs text-slate-400 text-left list-disc pl-5 space-y-1">
+              {analysisError.details.map((detail, i) => <li key={i}>{detail}</li>)}
+            </ul>
+          )}
+          <p className="text-xs text-slate-400">{t('errorScreen.noResults')}</p>
+          <div className="flex flex-col gap-2 pt-2">
+            {analysisError.code === 'plan_limit' && (
+              <button
+                onClick={() => setShowUpgradeModal(true)}
+                className="w-full py-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-xl flex items-center justify-center gap-2"
+              >
+                <Award size={16} /> {t('errorScreen.upgrade')}
+              </button>
+            )}
+            <button
+              onClick={() => handleAnalyze({ previous: previousRun })}
+              className="w-full py-3 bg-slate-900 hover:bg-slate-800 text-white font-bold rounded-xl flex items-center justify-center gap-2"
+            >
+              <RefreshCw size={16} /> {t('errorScreen.retry')}
+            </button>
+            <button
+              onClick={() => { setAnalysisError(null); setStep(3); }}
+              className="w-full py-2 text-sm font-medium text-indigo-600 hover:underline"
+            >
+              {t('errorScreen.localOnly')}
+            </button>
+            <button
+              onClick={() => { setAnalysisError(null); setStep(1); }}
+              className="w-full py-2 text-sm text-slate-400 hover:text-slate-600"
+            >
+              {t('errorScreen.edit')}
+            </button>
+          </div>
+        </div>
+        <Analytics />
+      </div>
+    );
+  }
+
+  // The retry notice on the loading screen and over streaming results
+  const retryMessage = retryStatus && t('retry.status', {
+    reason: t(`error.${retryStatus.code}.title`),
+    seconds: Math.ceil(retryStatus.delayMs / 1000),
+    attempt: retryStatus.attempt,
+    retries: retryStatus.retries,
+  });
+
   if (step === 2) {
     return (
       <div className="min-h-screen bg-slate-50 flex flex-col items-center justify-center p-6">
@@ -426,23 +1177,47 @@ const App = () => {
             <Zap className="absolute inset-0 m-auto text-indigo-600 animate-pulse" size={32} />
           </div>
           <div className="text-center space-y-2">
-            <h2 className="text-2xl font-bold text-slate-800">Analyzing Resume...</h2>
-            <p className="text-slate-500">Checking ATS compatibility, strong verbs, and impact metrics.</p>
-            {API_KEY ? (
-              <p className="text-sm text-green-600">Using real AI analysis</p>
+            <h2 className="text-2xl font-bold text-slate-800">{t('loading.title')}</h2>
+            <p className="text-slate-500">{t('loading.subtitle')}</p>
+            {aiEnabled ? (
+              <p className="text-sm text-green-600">
+                {t('loading.ai', { model: providerSettings.model })}{privacy.redact && t('loading.redacted')}
+              </p>
+            ) : aiAvailable ? (
+              <p className="text-sm text-slate-500">{t('loading.local')}</p>
             ) : (
-              <p className="text-sm text-amber-600">Using demo data</p>
+              <p className="text-sm text-amber-600">{t('loading.noProvider')}</p>
+            )}
+            {retryStatus && (
+              <p className="text-sm text-amber-600 flex items-center justify-center gap-1">
+                <RefreshCw size={14} /> {retryMessage}
+              </p>
             )}
           </div>
+          <button
+            onClick={cancelAnalysis}
+            className="px-4 py-2 text-sm font-medium text-slate-500 hover:text-slate-800 border border-slate-200 rounded-lg bg-white flex items-center gap-2"
+          >
+            <X size={16} /> {t('action.cancel')}
+          </button>
         </div>
         <Analytics />
       </div>
     );
   }
 
+  // Keywords the AI flagged that the local engine did not already list.
+  const localKeywords = new Set([
+    ...(keywordMatch?.missing || []),
+    ...(keywordMatch?.matched || []),
+  ].map(kw => kw.keyword.toLowerCase()));
+  const hasPendingEdits = Boolean(scannedText) && resumeText !== scannedText;
+
+  const aiOnlyKeywords = (aiResult?.missingKeywords || []).filter(kw => !localKeywords.has(kw.toLowerCase()));
+
   return (
     <div className="min-h-screen bg-slate-50 pb-12">
-      {showUpgradeModal && <UpgradeModal />}
+      {overlays}
       
       <nav className="bg-white border-b border-slate-200 sticky top-0 z-30">
         <div className="max-w-6xl mx-auto px-6 h-16 flex justify-between items-center">
@@ -450,80 +1225,150 @@ const App = () => {
             <Zap className="text-indigo-600 fill-current" /> CV Pulse
           </div>
           <div className="flex items-center gap-4">
-            {!isPro && (
+            <LanguageSwitcher />
+            {entitlements.plan === DEFAULT_PLAN && (
               <button 
                 onClick={() => setShowUpgradeModal(true)}
                 className="text-sm font-medium text-amber-600 bg-amber-50 px-3 py-1.5 rounded-full border border-amber-100 hover:bg-amber-100 transition-colors"
               >
-                Go Pro
+                {t('nav.goPro')}
               </button>
             )}
+            {comparison && (
+              <button onClick={() => setShowComparison(true)} className="flex items-center gap-2 text-sm font-medium text-slate-600 hover:text-slate-900">
+                <Scale size={16} /> {t('nav.comparison')}
+              </button>
+            )}
+            <button onClick={() => setShowHistory(true)} className="flex items-center gap-2 text-sm font-medium text-slate-600 hover:text-slate-900">
+              <History size={16} /> {t('nav.history')}
+            </button>
             <button onClick={reset} className="flex items-center gap-2 text-sm font-medium text-slate-600 hover:text-slate-900">
-              <RefreshCw size={16} /> New Scan
+              <RefreshCw size={16} /> {t('nav.newScan')}
             </button>
           </div>
         </div>
       </nav>
 
       <div className="max-w-6xl mx-auto px-6 py-8">
+        {aiResult?.isOffline && (
+          <div className="mb-6 flex items-start gap-3 p-4 bg-slate-100 border border-slate-200 rounded-xl text-sm text-slate-700">
+            <WifiOff size={18} className="flex-shrink-0 mt-0.5" />
+            <span>
+              <strong>{t('banner.offlineTitle')}</strong> {t('banner.offline')}
+            </span>
+          </div>
+        )}
+        {!aiResult && (
+          <div className="mb-6 flex items-start gap-3 p-4 bg-slate-100 border border-slate-200 rounded-xl text-sm text-slate-600">
+            <AlertTriangle size={18} className="flex-shrink-0 mt-0.5" />
+            <span>{t('banner.incomplete')}</span>
+          </div>
+        )}
+        {isAnalyzing && aiResult && (
+          <div className="mb-6 flex items-center justify-between gap-3 p-4 bg-indigo-50 border border-indigo-100 rounded-xl text-sm text-indigo-800">
+            <span className="flex items-center gap-2">
+              <RefreshCw size={16} className="animate-spin" />
+              {retryStatus ? retryMessage : t('banner.streaming')}
+            </span>
+            <button onClick={cancelAnalysis} className="flex items-center gap-1 font-medium hover:underline">
+              <X size={14} /> {t('action.stop')}
+            </button>
+          </div>
+        )}
+        {previousRun && (
+          <RescanDiff
+            previous={previousRun}
+            current={{
+              resumeText: scannedText,
+              stats,
+              score: isAnalyzing ? null : aiResult?.score ?? null,
+            }}
+          />
+        )}
         <div className="grid grid-cols-1 md:grid-cols-12 gap-8 mb-10">
           <div className="md:col-span-4 bg-slate-900 rounded-2xl p-8 text-white flex flex-col justify-between relative overflow-hidden shadow-xl">
             <div className="absolute top-0 right-0 w-64 h-64 bg-indigo-500 rounded-full filter blur-3xl opacity-20 -mr-16 -mt-16"></div>
             <div>
-              <h2 className="text-slate-300 font-medium mb-1">Overall Quality</h2>
+              <h2 className="text-slate-300 font-medium mb-1">{t('score.overall')}</h2>
               <div className="text-6xl font-bold tracking-tighter mb-2 flex items-baseline gap-2">
-                {aiResult?.score || 0}<span className="text-2xl text-slate-400 font-normal">/100</span>
+                {isAnalyzing && aiResult?.score === undefined ? '…' : aiResult?.score || 0}<span className="text-2xl text-slate-400 font-normal">/100</span>
               </div>
               <div className="inline-flex items-center gap-1.5 bg-white/10 px-3 py-1 rounded-full text-sm backdrop-blur-sm">
                 {(aiResult?.score || 0) > 75 ? <CheckCircle size={14} className="text-green-400"/> : <AlertTriangle size={14} className="text-amber-400"/>}
-                {(aiResult?.score || 0) > 75 ? "Top 20% of Candidates" : "Needs Improvement"}
+                {(aiResult?.score || 0) > 75 ? t('score.top') : t('score.needsWork')}
               </div>
             </div>
             <div className="space-y-3 mt-8">
               <p className="text-sm text-slate-300 leading-relaxed opacity-90">
-                "{aiResult?.summary || "No analysis available."}"
+                {isAnalyzing && !aiResult?.summary
+                  ? <span className="animate-pulse">{t('score.writingSummary')}</span>
+                  : `"${aiResult?.summary || t('score.noAnalysis')}"`}
               </p>
             </div>
           </div>
 
           <div className="md:col-span-8 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
             <ScoreCard 
-              title="Impact Score" 
+              title={t('card.impact.title')}
               score={`${stats?.impactScore || 0}/100`} 
               icon={TrendingUp} 
               color="bg-emerald-500"
-              description="Measures use of numbers, metrics, and dollar signs to prove value."
+              description={t('card.impact.description')}
             />
             <ScoreCard 
-              title="Action Verbs" 
+              title={t('card.verbs.title')}
               score={`${stats?.verbScore || 0}/100`} 
               icon={Zap} 
               color="bg-blue-500"
-              description="Ratio of strong leadership verbs (e.g. 'Spearheaded') vs passive ones."
+              description={t('card.verbs.description')}
             />
             <ScoreCard 
-              title="Brevity" 
+              title={t('card.brevity.title')}
               score={`${stats?.brevityScore || 0}/100`} 
               icon={Type} 
               color="bg-purple-500"
-              description="Readability analysis. Short, punchy sentences perform best in ATS."
+              description={t('card.brevity.description')}
             />
             <div className="sm:col-span-2 lg:col-span-3 bg-white p-6 rounded-xl border border-slate-200 shadow-sm">
               <h3 className="font-bold text-slate-800 mb-4 flex items-center gap-2">
-                <FileText size={18} className="text-indigo-600"/> Detailed Breakdown
+                <FileText size={18} className="text-indigo-600"/> {t('breakdown.title')}
               </h3>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
                 <div>
-                  <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-4">Critical Stats</h4>
-                  <ProgressBar label="ATS Readability" value={85} color="bg-green-500" />
-                  <ProgressBar label="Keyword Match" value={45} color="bg-amber-500" />
-                  <ProgressBar label="Structure & Formatting" value={92} color="bg-indigo-500" />
+                  <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-4">{t('breakdown.critical')}</h4>
+                  <ProgressBar
+                    label={t('breakdown.ats')}
+                    value={atsReport?.readability.score || 0}
+                    color="bg-green-500"
+                    deductions={atsReport?.readability.deductions}
+                  />
+                  {keywordMatch ? (
+                    <ProgressBar label={t('breakdown.keywords')} value={keywordMatch.score} color="bg-amber-500" />
+                  ) : (
+                    <div className="mb-4 flex justify-between text-sm">
+                      <span className="font-medium text-slate-700">{t('breakdown.keywords')}</span>
+                      <span className="text-xs text-slate-400">{t('breakdown.noJobDesc')}</span>
+                    </div>
+                  )}
+                  <ProgressBar
+                    label={t('breakdown.structure')}
+                    value={atsReport?.structure.score || 0}
+                    color="bg-indigo-500"
+                    deductions={atsReport?.structure.deductions}
+                  />
                 </div>
                 <div>
-                  <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-4">Pro Metrics</h4>
-                  <ProgressBar label="Industry Benchmark" value={0} locked={!isPro} />
-                  <ProgressBar label="Recruiter Persona Check" value={0} locked={!isPro} />
-                  <ProgressBar label="Tone Consistency" value={0} locked={!isPro} />
+                  <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-4">{t('breakdown.pro')}</h4>
+                  <ProMetrics
+                    local={{ stats, keywordMatch, atsReport, fatalFlaws }}
+                    resumeText={scannedText}
+                    jobDesc={jobDesc}
+                    language={language}
+                    locked={!hasFeature(entitlements, 'proMetrics')}
+                    onUnlock={() => setShowUpgradeModal(true)}
+                    reviewPersona={aiEnabled ? reviewPersona : null}
+                    aiScope={aiEnabled ? providerScope : null}
+                  />
                 </div>
               </div>
             </div>
@@ -532,47 +1377,53 @@ const App = () => {
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           <div className="lg:col-span-2 space-y-6">
+            <FatalFlawsPanel report={fatalFlaws} />
+
+            <ResumeHighlights text={scannedText} />
+
             <div className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
               <div className="px-6 py-4 border-b border-slate-100 flex justify-between items-center">
                 <h3 className="font-bold text-slate-800 flex items-center gap-2">
-                  <Award size={18} className="text-indigo-600" /> AI Improvement Suggestions
+                  <Award size={18} className="text-indigo-600" /> {t('suggestions.title')}
                 </h3>
-                <span className="text-xs font-medium bg-indigo-50 text-indigo-600 px-2 py-1 rounded">High Priority</span>
+                {hasPendingEdits && !isAnalyzing ? (
+                  <button
+                    onClick={handleRescan}
+                    className="text-xs font-semibold bg-slate-900 text-white px-3 py-1.5 rounded-lg flex items-center gap-1 hover:bg-slate-800"
+                  >
+                    <RefreshCw size={12} /> {t('suggestions.rescan')}
+                  </button>
+                ) : (
+                  <span className="text-xs font-medium bg-indigo-50 text-indigo-600 px-2 py-1 rounded">{t('suggestions.priority')}</span>
+                )}
               </div>
               <div className="divide-y divide-slate-100">
                 {aiResult?.bulletPoints?.map((item, i) => (
-                  <div key={i} className="p-6 hover:bg-slate-50 transition-colors">
-                    <div className="flex gap-4">
-                      <div className="mt-1">
-                         <XCircle className="text-rose-400" size={20} />
-                      </div>
-                      <div className="flex-1">
-                         <p className="text-slate-500 line-through text-sm mb-2">{item.original}</p>
-                         <div className="flex gap-3">
-                           <div className="mt-1"><CheckCircle className="text-green-500" size={16} /></div>
-                           <div className="flex-1">
-                             <p className={`text-slate-800 font-medium text-sm ${!isPro && i > 0 ? 'blur-sm select-none' : ''}`}>
-                               {item.improved}
-                             </p>
-                             {!isPro && i > 0 && (
-                               <div className="mt-2">
-                                 <button 
-                                   onClick={() => setShowUpgradeModal(true)} 
-                                   className="text-xs font-bold text-indigo-600 hover:underline flex items-center gap-1"
-                                 >
-                                   <Lock size={10} /> Unlock this rewrite
-                                 </button>
-                               </div>
-                             )}
-                           </div>
-                         </div>
-                      </div>
-                    </div>
-                  </div>
+                  <SuggestionCard
+                    key={`${i}-${item.original}`}
+                    item={item}
+                    locked={!hasFeature(entitlements, 'allRewrites') && i >= FREE_REWRITES}
+                    decision={decisions[i]}
+                    onAccept={(text) => acceptSuggestion(i, item, text)}
+                    onReject={() => setDecisions(current => ({ ...current, [i]: { status: 'rejected' } }))}
+                    onUndo={() => undoSuggestion(i)}
+                    onUnlock={() => setShowUpgradeModal(true)}
+                  />
                 ))}
-                {(!aiResult?.bulletPoints || aiResult.bulletPoints.length === 0) && (
+                {aiResult?.lockedRewrites > 0 && (
+                  <div className="p-6 flex items-center justify-between gap-3 text-sm text-slate-500">
+                    <span className="flex items-center gap-2"><Lock size={14} /> {t('suggestions.locked', { count: aiResult.lockedRewrites })}</span>
+                    <button onClick={() => setShowUpgradeModal(true)} className="text-xs font-bold text-indigo-600 hover:underline">{t('suggestions.unlock')}</button>
+                  </div>
+                )}
+                {isAnalyzing && (
+                  <div className="p-6 flex items-center gap-3 text-sm text-slate-400">
+                    <RefreshCw size={16} className="animate-spin text-indigo-600" /> {t('suggestions.generating')}
+                  </div>
+                )}
+                {!isAnalyzing && (!aiResult?.bulletPoints || aiResult.bulletPoints.length === 0) && (
                   <div className="p-6 text-center text-slate-400">
-                    No improvement suggestions available.
+                    {t('suggestions.none')}
                   </div>
                 )}
               </div>
@@ -580,57 +1431,106 @@ const App = () => {
             
             <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-6">
                <h3 className="font-bold text-slate-800 mb-4 flex items-center gap-2">
-                  <Search size={18} className="text-indigo-600" /> Missing Keywords
+                  <Search size={18} className="text-indigo-600" /> {t('keywords.title')}
                </h3>
                <div className="flex flex-wrap gap-2">
-                 {aiResult?.missingKeywords?.map((kw, i) => (
-                   <span key={i} className="px-3 py-1 bg-rose-50 text-rose-700 border border-rose-100 rounded-full text-sm font-medium flex items-center gap-1">
-                     {kw} <span className="opacity-50 text-xs">+5 pts</span>
+                 {keywordMatch?.missing.map(kw => (
+                   <span key={kw.keyword} title={`Weight ${kw.weight} (${kw.source})`} className="px-3 py-1 bg-rose-50 text-rose-700 border border-rose-100 rounded-full text-sm font-medium flex items-center gap-1">
+                     {kw.keyword} <span className="opacity-50 text-xs">{t('keywords.points', { points: kw.points })}</span>
+                   </span>
+                 ))}
+                 {aiOnlyKeywords.map((kw, i) => (
+                   <span key={i} title={t('keywords.aiHint')} className="px-3 py-1 bg-slate-50 text-slate-600 border border-slate-200 rounded-full text-sm font-medium flex items-center gap-1">
+                     {kw} <span className="opacity-50 text-xs">AI</span>
                    </span>
                  ))}
-                 {(!aiResult?.missingKeywords || aiResult.missingKeywords.length === 0) && (
-                   <span className="text-slate-400 text-sm">No missing keywords detected.</span>
+                 {isAnalyzing && !aiResult?.missingKeywords && (
+                   <span className="text-slate-400 text-sm animate-pulse">{t('keywords.waiting')}</span>
+                 )}
+                 {!isAnalyzing && !keywordMatch?.missing.length && aiOnlyKeywords.length === 0 && (
+                   <span className="text-slate-400 text-sm">{t('keywords.none')}</span>
                  )}
                </div>
+               {keywordMatch?.matched.length > 0 && (
+                 <div className="mt-4 pt-4 border-t border-slate-100">
+                   <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-2">
+                     {t('keywords.matched', { matched: keywordMatch.matched.length, total: keywordMatch.total })}
+                   </h4>
+                   <div className="flex flex-wrap gap-2">
+                     {keywordMatch.matched.map(kw => (
+                       <span key={kw.keyword} className="px-3 py-1 bg-green-50 text-green-700 border border-green-100 rounded-full text-sm font-medium flex items-center gap-1">
+                         <CheckCircle size={12} /> {kw.keyword}
+                       </span>
+                     ))}
+                   </div>
+                 </div>
+               )}
             </div>
           </div>
 
           <div className="space-y-6">
             <div className="bg-gradient-to-br from-indigo-600 to-violet-700 rounded-xl p-6 text-white shadow-lg">
-              <h3 className="font-bold text-lg mb-2">Pro Report PDF</h3>
-              <p className="text-indigo-100 text-sm mb-4">Download a 12-page detailed breakdown of your CV including font analysis and layout checks.</p>
+              <h3 className="font-bold text-lg mb-2">{t('report.title')}</h3>
+              <p className="text-indigo-100 text-sm mb-4">{t('report.text')}</p>
+              {hasFeature(entitlements, 'pdfReport') && (
+                <label className="flex items-center gap-2 text-sm text-indigo-100 mb-4 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={includeAnnotations}
+                    onChange={(e) => setIncludeAnnotations(e.target.checked)}
+                    className="accent-white"
+                  />
+                  {t('report.annotate')}
+                </label>
+              )}
               <button 
-                onClick={() => setShowUpgradeModal(true)}
-                className="w-full py-2 bg-white text-indigo-600 font-bold rounded-lg text-sm hover:bg-indigo-50 transition-colors"
+                onClick={() => handleDownloadReport(aiOnlyKeywords)}
+                disabled={isExporting || isAnalyzing}
+                className="w-full py-2 bg-white text-indigo-600 font-bold rounded-lg text-sm hover:bg-indigo-50 transition-colors disabled:opacity-60 flex items-center justify-center gap-2"
+              >
+                {isExporting && <RefreshCw size={14} className="animate-spin" />}
+                {isExporting ? t('report.generating') : t('report.download')}
+              </button>
+              {exportError && <p className="text-xs text-rose-100 mt-2">{exportError}</p>}
+            </div>
+
+            <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-6">
+              <h3 className="font-bold text-slate-800 mb-2 flex items-center gap-2">
+                <PenLine size={18} className="text-indigo-600" /> {t('generator.title')}
+              </h3>
+              <p className="text-sm text-slate-500 mb-4">{t('generator.text')}</p>
+              <button
+                onClick={() => setShowGenerator(true)}
+                disabled={isAnalyzing}
+                className="w-full py-2 bg-indigo-50 text-indigo-700 font-semibold rounded-lg text-sm hover:bg-indigo-100 transition-colors disabled:opacity-60"
               >
-                Download Report
+                {t('generator.open')}
               </button>
             </div>
 
             <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-6">
-               <h3 className="font-bold text-slate-800 mb-4">Recommended Skills</h3>
+               <h3 className="font-bold text-slate-800 mb-4">{t('skills.title')}</h3>
                <ul className="space-y-3">
                  <li className="flex items-center justify-between text-sm">
                    <span className="text-slate-600">Python Data Analysis</span>
-                   <a href="#" className="text-indigo-600 font-medium text-xs hover:underline">View Course</a>
+                   <a href="#" className="text-indigo-600 font-medium text-xs hover:underline">{t('skills.course')}</a>
                  </li>
                  <li className="flex items-center justify-between text-sm">
                    <span className="text-slate-600">AWS Certification</span>
-                   <a href="#" className="text-indigo-600 font-medium text-xs hover:underline">View Course</a>
+                   <a href="#" className="text-indigo-600 font-medium text-xs hover:underline">{t('skills.course')}</a>
                  </li>
                  <li className="flex items-center justify-between text-sm">
                    <span className="text-slate-600">System Design</span>
-                   <a href="#" className="text-indigo-600 font-medium text-xs hover:underline">View Course</a>
+                   <a href="#" className="text-indigo-600 font-medium text-xs hover:underline">{t('skills.course')}</a>
                  </li>
                </ul>
                <div className="mt-4 pt-4 border-t border-slate-100">
-                 <p className="text-xs text-slate-400">Affiliate recommendations help you earn commission.</p>
+                 <p className="text-xs text-slate-400">{t('skills.affiliate')}</p>
                </div>
             </div>
           </div>
         </div>
       </div>
-      {API_KEY && <APIDebug />}
       <Analytics />
     </div>
   );
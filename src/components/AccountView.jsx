@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { UserCircle, ArrowLeft, LogOut, RefreshCw, Cloud, Pencil, Check, Award } from 'lucide-react';
+import { updateProfile, OAUTH_LABELS } from '../lib/auth.js';
+import { PLANS, QUOTAS, DEFAULT_PLAN } from '../lib/entitlements.js';
+import { pluralKey } from '../lib/i18n.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 👤 ACCOUNT VIEW
+// Profile, plan and sync status for the signed-in user. `sync` is the
+// latest { status, result, error } from App's account sync, which is paused
+// (`syncPaused`) in local-only mode; `entitlements` is the plan and quota
+// usage the server verified.
+// ==========================================
+const SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due', 'canceled', 'unpaid'];
+
+const formatDate = (timestamp, locale) => new Date(timestamp).toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+
+const AccountView = ({ session, entitlements, onUpgrade, onManageBilling, sync, syncPaused, onSync, onUserChange, onSignOut, onBack }) => {
+  const { t, locale } = useTranslation();
+  const { user, token } = session;
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(user.name);
+  const [error, setError] = useState('');
+  const [billingError, setBillingError] = useState('');
+  const [isOpeningPortal, setIsOpeningPortal] = useState(false);
+  const { plan, subscription } = entitlements;
+
+  const saveName = async () => {
+    setError('');
+    try {
+      onUserChange(await updateProfile(token, { name }));
+      setIsEditing(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const manageBilling = async () => {
+    setIsOpeningPortal(true);
+    setBillingError('');
+    try {
+      await onManageBilling();
+    } catch (err) {
+      setBillingError(err.message);
+      setIsOpeningPortal(false);
+    }
+  };
+
+  const methods = user.providers.map(p => (p === 'password' ? t('account.password') : OAUTH_LABELS[p] || p));
+  const planLabel = (id) => (PLANS[id] ? t(`plan.${id}`) : id);
+  const count = (key, value) => t(pluralKey(key, value), { count: value });
+
+  return (
+    <div className="min-h-screen bg-slate-50 pb-12">
+      <nav className="bg-white border-b border-slate-200 sticky top-0 z-30">
+        <div className="max-w-6xl mx-auto px-6 h-16 flex justify-between items-center">
+          <div className="flex items-center gap-2 font-bold text-xl text-slate-800">
+            <UserCircle className="text-indigo-600" /> {t('account.title')}
+          </div>
+          <button onClick={onBack} className="flex items-center gap-2 text-sm font-medium text-slate-600 hover:text-slate-900">
+            <ArrowLeft size={16} /> {t('common.back')}
+          </button>
+        </div>
+      </nav>
+
+      <div className="max-w-3xl mx-auto px-6 py-8 space-y-6">
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-6 space-y-4">
+          <h3 className="font-bold text-slate-800">{t('account.profile')}</h3>
+          <div className="grid grid-cols-[8rem_1fr] gap-y-3 text-sm">
+            <span className="text-slate-500">{t('account.name')}</span>
+            {isEditing ? (
+              <span className="flex items-center gap-2">
+                <input
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && saveName()}
+                  className="flex-1 p-1.5 border border-slate-200 rounded-lg"
+                  autoFocus
+                />
+                <button onClick={saveName} className="text-indigo-600" title={t('common.save')}><Check size={16} /></button>
+              </span>
+            ) : (
+              <span className="flex items-center gap-2 font-medium text-slate-800">
+                {user.name}
+                <button onClick={() => setIsEditing(true)} className="text-slate-400 hover:text-indigo-600" title={t('account.editName')}><Pencil size={14} /></button>
+              </span>
+            )}
+            <span className="text-slate-500">{t('account.email')}</span>
+            <span className="font-medium text-slate-800">{user.email}</span>
+            <span className="text-slate-500">{t('account.signInMethods')}</span>
+            <span className="text-slate-800">{methods.join(', ')}</span>
+          </div>
+          {error && <p className="text-sm text-rose-600">{error}</p>}
+        </div>
+
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="font-bold text-slate-800 flex items-center gap-2"><Award size={18} className="text-indigo-600" /> {t('account.plan')}</h3>
+            {plan === DEFAULT_PLAN ? (
+              <button onClick={onUpgrade} className="px-3 py-1.5 text-sm font-bold bg-indigo-600 text-white rounded-lg hover:bg-indigo-700">
+                {t('account.upgrade')}
+              </button>
+            ) : (
+              <button
+                onClick={manageBilling}
+                disabled={isOpeningPortal}
+                className="px-3 py-1.5 text-sm font-medium bg-white border border-slate-200 rounded-lg flex items-center gap-1.5 disabled:text-slate-300"
+              >
+                {isOpeningPortal && <RefreshCw size={14} className="animate-spin" />} {t('account.manage')}
+              </button>
+            )}
+          </div>
+          <div className="grid grid-cols-[8rem_1fr] gap-y-3 text-sm">
+            <span className="text-slate-500">{t('account.currentPlan')}</span>
+            <span className="font-medium text-slate-800">{planLabel(plan)}</span>
+            {subscription && (
+              <>
+                <span className="text-slate-500">{t('account.subscription')}</span>
+                <span className="text-slate-800">
+                  {planLabel(subscription.plan)} · {SUBSCRIPTION_STATUSES.includes(subscription.status) ? t(`account.status.${subscription.status}`) : subscription.status}
+                  {subscription.currentPeriodEnd && ` · ${t(plan === DEFAULT_PLAN ? 'account.ends' : 'account.renews', { date: formatDate(subscription.currentPeriodEnd, locale) })}`}
+                </span>
+              </>
+            )}
+            {Object.entries(entitlements.quotas).map(([id, quota]) => (
+              <React.Fragment key={id}>
+                <span className="text-slate-500">{QUOTAS[id] ? t(`quota.${id}.label`) : id}</span>
+                <span className="text-slate-800">
+                  {quota.limit === null
+                    ? t('account.unlimited', { used: quota.used, period: t(`account.period.${QUOTAS[id]?.period || 'day'}`) })
+                    : t('account.quotaUsed', { used: quota.used, limit: quota.limit, date: formatDate(quota.resetsAt, locale) })}
+                </span>
+              </React.Fragment>
+            ))}
+          </div>
+          {billingError && <p className="text-sm text-rose-600">{billingError}</p>}
+        </div>
+
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-6 space-y-3">
+          <div className="flex items-center justify-between">
+            <h3 className="font-bold text-slate-800 flex items-center gap-2"><Cloud size={18} className="text-indigo-600" /> {t('account.synced')}</h3>
+            <button
+              onClick={onSync}
+              disabled={sync.status === 'syncing' || syncPaused}
+              className="px-3 py-1.5 text-sm font-medium bg-white border border-slate-200 rounded-lg flex items-center gap-1.5 disabled:text-slate-300"
+            >
+              <RefreshCw size={14} className={sync.status === 'syncing' ? 'animate-spin' : ''} /> {t('account.syncNow')}
+            </button>
+          </div>
+          <p className="text-sm text-slate-500">
+            {syncPaused ? t('account.syncPaused') : t('account.syncInfo')}
+          </p>
+          {sync.status === 'syncing' && <p className="text-sm text-slate-500">{t('account.syncing')}</p>}
+          {sync.status === 'error' && <p className="text-sm text-rose-600">{t('account.syncFailed', { message: sync.error })}</p>}
+          {sync.result && (
+            <p className="text-sm text-slate-600">
+              {t('account.totals', { scans: count('account.scans', sync.result.totals.scans), resumes: count('account.resumes', sync.result.totals.resumes) })}
+              {' '}{t('account.lastSync', { uploaded: sync.result.uploaded, downloaded: count('account.scans', sync.result.downloaded) })}
+            </p>
+          )}
+        </div>
+
+        <button onClick={onSignOut} className="flex items-center gap-2 text-sm font-medium text-rose-600 hover:underline">
+          <LogOut size={16} /> {t('account.signOut')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AccountView;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { UserCircle, X, RefreshCw, Github, LogIn } from 'lucide-react';
+import { signIn, signUp, oauthStartUrl, markOAuthStarted, OAUTH_LABELS } from '../lib/auth.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 🪪 SIGN-IN MODAL
+// Email/password sign-in and sign-up plus whichever OAuth providers the
+// server's auth adapter offers. `onSignedIn({ user, token })` gets the session.
+// ==========================================
+const OAUTH_ICONS = { github: Github };
+
+const AuthModal = ({ auth, initialError = '', onSignedIn, onClose }) => {
+  const { t } = useTranslation();
+  const [mode, setMode] = useState('signin');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(initialError);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    try {
+      const session = mode === 'signin' ? await signIn({ email, password }) : await signUp({ email, password, name });
+      onSignedIn(session);
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl max-w-md w-full overflow-hidden shadow-2xl">
+        <div className="px-6 pt-6 flex items-start justify-between">
+          <div>
+            <h3 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+              <UserCircle className="text-indigo-600" /> {mode === 'signin' ? t('auth.signIn') : t('auth.signUp')}
+            </h3>
+            <p className="text-sm text-slate-500 mt-1">{t('auth.tagline')}</p>
+          </div>
+          <button onClick={onClose} className="text-slate-400 hover:text-slate-600" title={t('common.close')}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={submit} className="p-6 space-y-3">
+          {mode === 'signup' && (
+            <input
+              className="w-full p-3 bg-slate-50 border border-slate-200 rounded-lg text-sm"
+              placeholder={t('auth.name')}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              autoComplete="name"
+            />
+          )}
+          <input
+            type="email"
+            required
+            className="w-full p-3 bg-slate-50 border border-slate-200 rounded-lg text-sm"
+            placeholder={t('auth.email')}
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="email"
+          />
+          <input
+            type="password"
+            required
+            className="w-full p-3 bg-slate-50 border border-slate-200 rounded-lg text-sm"
+            placeholder={mode === 'signup' ? t('auth.newPassword') : t('auth.password')}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+          />
+          {error && <p className="text-sm text-rose-600">{error}</p>}
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full py-3 bg-indigo-600 hover:bg-indigo-700 disabled:bg-indigo-400 text-white font-bold rounded-lg flex items-center justify-center gap-2"
+          >
+            {isSubmitting && <RefreshCw size={16} className="animate-spin" />}
+            {mode === 'signin' ? t('auth.signIn') : t('auth.signUp')}
+          </button>
+
+          {auth.oauthProviders.length > 0 && (
+            <div className="space-y-2 pt-2">
+              <p className="text-center text-xs text-slate-400">{t('auth.or')}</p>
+              {auth.oauthProviders.map(provider => {
+                const Icon = OAUTH_ICONS[provider] || LogIn;
+                return (
+                  <a
+                    key={provider}
+                    href={oauthStartUrl(provider)}
+                    onClick={markOAuthStarted}
+                    className="w-full py-2.5 border border-slate-200 rounded-lg text-sm font-medium text-slate-700 hover:bg-slate-50 flex items-center justify-center gap-2"
+                  >
+                    <Icon size={16} /> {t('auth.continueWith', { provider: OAUTH_LABELS[provider] || provider })}
+                  </a>
+                );
+              })}
+            </div>
+          )}
+
+          <p className="text-center text-sm text-slate-500 pt-2">
+            {mode === 'signin' ? t('auth.noAccount') : t('auth.haveAccount')}
+            <button
+              type="button"
+              onClick={() => { setMode(mode === 'signin' ? 'signup' : 'signin'); setError(''); }}
+              className="font-medium text-indigo-600 hover:underline"
+            >
+              {mode === 'signin' ? t('auth.createOne') : t('auth.signInInstead')}
+            </button>
+          </p>
+          {auth.adapter === 'memory' && (
+            <p className="text-center text-xs text-slate-400">{t('auth.memory')}</p>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AuthModal;
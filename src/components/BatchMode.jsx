@@ -0,0 +1,315 @@
+import React, { useState, useRef } from 'react';
+import { Users, ArrowLeft, Upload, Plus, X, RefreshCw, Download, ArrowUp, ArrowDown, Search, XCircle } from 'lucide-react';
+import { importResumeFile, ACCEPTED_FILE_TYPES } from '../lib/import/index.js';
+import { calculateStats } from '../lib/stats.js';
+import { matchKeywords } from '../lib/keywords.js';
+import { detectLanguage } from '../lib/language.js';
+import { describeError } from '../lib/errors.js';
+import { localizeError, importMessage } from '../lib/i18n.js';
+import { useTranslation } from '../lib/i18nContext.js';
+import { downloadBlob } from '../lib/download.js';
+import {
+  runPool, cacheKey, cached, guessCandidateName, sortCandidates, candidatesToCsv, candidatesToJson,
+  SORT_COLUMNS, DEFAULT_CONCURRENCY, MAX_CONCURRENCY,
+} from '../lib/batch.js';
+
+// ==========================================
+// 📦 RECRUITER BATCH VIEW
+// `analyze(text, jobDesc, { signal, language })` resolves with an AI result
+// (from a model or the offline analyzer), in the language detected for that
+// resume; `cacheScope` identifies the model so cached answers from another
+// model are never reused. `rubric` is the scoring profile for the stats columns.
+// ==========================================
+const COLUMNS = ['score', 'keywords', 'impact', 'verbs', 'brevity'];
+
+const STATUS_STYLES = {
+  queued: 'text-slate-400',
+  running: 'text-indigo-600',
+  done: 'text-green-600',
+  error: 'text-rose-600',
+  cancelled: 'text-slate-400',
+};
+
+const BatchMode = ({ analyze, cacheScope, rubric, onBack }) => {
+  const { t } = useTranslation();
+  const [jobDesc, setJobDesc] = useState('');
+  const [candidates, setCandidates] = useState([]);
+  const [pasteText, setPasteText] = useState('');
+  const [importErrors, setImportErrors] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [sort, setSort] = useState({ key: 'score', direction: 'desc' });
+  const [formError, setFormError] = useState('');
+  const nextIdRef = useRef(1);
+  const controllerRef = useRef(null);
+
+  const addCandidate = (text, source, fallbackName) => {
+    setCandidates(current => [...current, {
+      id: nextIdRef.current++,
+      name: guessCandidateName(text, fallbackName),
+      source,
+      text,
+      status: 'queued',
+      stats: null,
+      keywordMatch: null,
+      aiResult: null,
+      error: null,
+      fromCache: false,
+    }]);
+  };
+
+  // PDFs are parsed one at a time: pdf.js is heavy and runs on the main thread
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    setIsImporting(true);
+    const errors = [];
+    for (const file of files) {
+      try {
+        const { text } = await importResumeFile(file);
+        if (text.trim()) addCandidate(text, file.name, file.name);
+        else errors.push(t('batch.noText', { file: file.name }));
+      } catch (error) {
+        errors.push(t('batch.importFailed', { file: file.name, message: importMessage(error, t) }));
+      }
+    }
+    setImportErrors(errors);
+    setIsImporting(false);
+  };
+
+  const addPasted = () => {
+    if (pasteText.trim().length < 50) return;
+    addCandidate(pasteText.trim(), t('batch.pasted'), t('batch.pastedName', { number: nextIdRef.current }));
+    setPasteText('');
+  };
+
+  const update = (id, patch) => setCandidates(current => current.map(c => (c.id === id ? { ...c, ...patch } : c)));
+
+  const run = async () => {
+    if (!jobDesc.trim()) {
+      setFormError(t('batch.needJobDesc'));
+      return;
+    }
+    if (!candidates.length) {
+      setFormError(t('batch.needResume'));
+      return;
+    }
+    setFormError('');
+
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { signal } = controller;
+
+    // Local checks are instant, so every row gets its stats right away.
+    // Each resume is scored in its own language.
+    const queue = candidates.map(c => {
+      const language = detectLanguage(c.text);
+      return {
+        ...c,
+        language,
+        status: c.text.trim().length < 50 ? 'error' : 'queued',
+        error: c.text.trim().length < 50 ? { title: t('batch.tooShort.title'), message: t('batch.tooShort.message') } : null,
+        stats: calculateStats(c.text, rubric, language),
+        keywordMatch: matchKeywords(jobDesc, c.text),
+        aiResult: null,
+        fromCache: false,
+      };
+    });
+    setCandidates(queue);
+    setIsRunning(true);
+
+    await runPool(queue.filter(c => c.status === 'queued'), concurrency, async (candidate) => {
+      update(candidate.id, { status: 'running' });
+      try {
+        const key = await cacheKey(cacheScope, jobDesc, candidate.text);
+        const { value, hit } = await cached(key, () => analyze(candidate.text, jobDesc, { signal, language: candidate.language }));
+        update(candidate.id, { status: 'done', aiResult: value, fromCache: hit });
+      } catch (error) {
+        if (signal.aborted) update(candidate.id, { status: 'cancelled' });
+        else update(candidate.id, { status: 'error', error: localizeError(describeError(error), t) });
+      }
+    }, { signal });
+
+    if (controllerRef.current === controller) {
+      setCandidates(current => current.map(c => (c.status === 'queued' ? { ...c, status: 'cancelled' } : c)));
+      setIsRunning(false);
+    }
+  };
+
+  const cancel = () => {
+    controllerRef.current?.abort();
+  };
+
+  const toggleSort = (key) => setSort(current => ({
+    key,
+    direction: current.key === key && current.direction === 'desc' ? 'asc' : 'desc',
+  }));
+
+  const sorted = sortCandidates(candidates, sort.key, sort.direction);
+  const hasResults = candidates.some(c => c.status === 'done');
+  const isOffline = candidates.some(c => c.aiResult?.isOffline);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  const sortHeader = (column) => (
+    <th key={column} className="px-4 py-3 font-medium">
+      <button onClick={() => toggleSort(column)} className="flex items-center gap-1 hover:text-slate-800">
+        {t(`batch.column.${column}`)}
+        {sort.key === column && (sort.direction === 'desc' ? <ArrowDown size={12} /> : <ArrowUp size={12} />)}
+      </button>
+    </th>
+  );
+
+  return (
+    <div className="min-h-screen bg-slate-50 pb-12">
+      <nav className="bg-white border-b border-slate-200 sticky top-0 z-30">
+        <div className="max-w-6xl mx-auto px-6 h-16 flex justify-between items-center">
+          <div className="flex items-center gap-2 font-bold text-xl text-slate-800">
+            <Users className="text-indigo-600" /> {t('batch.title')}
+          </div>
+          <button onClick={() => { cancel(); onBack(); }} className="flex items-center gap-2 text-sm font-medium text-slate-600 hover:text-slate-900">
+            <ArrowLeft size={16} /> {t('common.back')}
+          </button>
+        </div>
+      </nav>
+
+      <div className="max-w-6xl mx-auto px-6 py-8 space-y-8">
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-6 space-y-3">
+            <label className="block text-sm font-medium text-slate-700">{t('batch.jobDesc')}</label>
+            <textarea
+              className="w-full h-48 p-4 bg-slate-50 border border-slate-200 rounded-xl focus:ring-2 focus:ring-indigo-500 focus:border-transparent font-mono text-sm resize-none"
+              placeholder={t('batch.jobDescPlaceholder')}
+              value={jobDesc}
+              onChange={(e) => setJobDesc(e.target.value)}
+              disabled={isRunning}
+            ></textarea>
+          </div>
+
+          <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-6 space-y-3">
+            <label className="block text-sm font-medium text-slate-700">{t('batch.resumes', { count: candidates.length })}</label>
+            <label
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => { e.preventDefault(); handleFiles(e.dataTransfer.files); }}
+              className="flex items-center justify-center gap-3 h-20 border-2 border-dashed border-slate-300 hover:border-indigo-400 rounded-xl cursor-pointer text-sm text-slate-500"
+            >
+              <input type="file" multiple accept={ACCEPTED_FILE_TYPES} className="hidden" onChange={(e) => { handleFiles(e.target.files); e.target.value = ''; }} />
+              {isImporting ? <RefreshCw size={18} className="animate-spin text-indigo-600" /> : <Upload size={18} className="text-indigo-600" />}
+              {isImporting ? t('batch.extracting') : t('batch.drop')}
+            </label>
+            <textarea
+              className="w-full h-16 p-3 bg-slate-50 border border-slate-200 rounded-lg font-mono text-xs resize-none"
+              placeholder={t('batch.pastePlaceholder')}
+              value={pasteText}
+              onChange={(e) => setPasteText(e.target.value)}
+            ></textarea>
+            <button
+              onClick={addPasted}
+              disabled={pasteText.trim().length < 50}
+              className="text-sm font-medium text-indigo-600 hover:underline disabled:text-slate-300 disabled:no-underline flex items-center gap-1"
+            >
+              <Plus size={14} /> {t('batch.addPasted')}
+            </button>
+            {importErrors.map((error, i) => <p key={i} className="text-xs text-rose-600">{error}</p>)}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4">
+          {isRunning ? (
+            <button onClick={cancel} className="px-6 py-3 bg-white border border-slate-200 text-slate-700 font-bold rounded-xl flex items-center gap-2">
+              <X size={18} /> {t('batch.stop')}
+            </button>
+          ) : (
+            <button onClick={run} className="px-6 py-3 bg-slate-900 hover:bg-slate-800 text-white font-bold rounded-xl flex items-center gap-2">
+              <Search size={18} /> {t('batch.rank', { count: candidates.length || '' })}
+            </button>
+          )}
+          <label className="text-sm text-slate-500 flex items-center gap-2">
+            {t('batch.parallel')}
+            <select
+              value={concurrency}
+              onChange={(e) => setConcurrency(Number(e.target.value))}
+              disabled={isRunning}
+              className="p-1.5 bg-white border border-slate-200 rounded-lg"
+            >
+              {Array.from({ length: MAX_CONCURRENCY }, (_, i) => i + 1).map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <div className="flex-1"></div>
+          <button
+            onClick={() => downloadBlob(`cv-pulse-candidates-${stamp}.csv`, candidatesToCsv(sorted), 'text/csv')}
+            disabled={!hasResults}
+            className="px-3 py-2 text-sm font-medium bg-white border border-slate-200 rounded-lg flex items-center gap-1 disabled:text-slate-300"
+          >
+            <Download size={14} /> CSV
+          </button>
+          <button
+            onClick={() => downloadBlob(`cv-pulse-candidates-${stamp}.json`, candidatesToJson(sorted, jobDesc), 'application/json')}
+            disabled={!hasResults}
+            className="px-3 py-2 text-sm font-medium bg-white border border-slate-200 rounded-lg flex items-center gap-1 disabled:text-slate-300"
+          >
+            <Download size={14} /> JSON
+          </button>
+        </div>
+        {formError && <p className="text-sm text-rose-600">{formError}</p>}
+        {isOffline && (
+          <p className="p-4 bg-slate-100 border border-slate-200 rounded-xl text-sm text-slate-700">
+            <strong>{t('batch.offlineTitle')}</strong> {t('batch.offlineText')}
+          </p>
+        )}
+
+        {candidates.length > 0 && (
+          <div className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 text-xs text-slate-500 text-left">
+                <tr>
+                  <th className="px-4 py-3 font-medium">#</th>
+                  {sortHeader('name')}
+                  {COLUMNS.map(sortHeader)}
+                  <th className="px-4 py-3 font-medium">{t('batch.status')}</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {sorted.map((c, i) => (
+                  <tr key={c.id}>
+                    <td className="px-4 py-3 font-bold text-slate-400">{i + 1}</td>
+                    <td className="px-4 py-3">
+                      <p className="font-semibold text-slate-800">{c.name}</p>
+                      <p className="text-xs text-slate-400">{c.source}</p>
+                    </td>
+                    {COLUMNS.map(column => (
+                      <td key={column} className="px-4 py-3 text-slate-700">{SORT_COLUMNS[column].value(c) ?? '—'}</td>
+                    ))}
+                    <td className={`px-4 py-3 text-xs font-medium ${STATUS_STYLES[c.status]}`}>
+                      <span className="flex items-center gap-1" title={c.error?.message}>
+                        {c.status === 'running' && <RefreshCw size={12} className="animate-spin" />}
+                        {c.status === 'error' && <XCircle size={12} />}
+                        {c.status === 'error' ? c.error.title : t(`batch.status.${c.status}`)}
+                        {c.fromCache && <span className="text-slate-400 font-normal">{t('batch.cached')}</span>}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3">
+                      {!isRunning && (
+                        <button
+                          onClick={() => setCandidates(current => current.filter(x => x.id !== c.id))}
+                          className="text-slate-300 hover:text-rose-600"
+                          title={t('common.remove')}
+                        >
+                          <X size={14} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchMode;
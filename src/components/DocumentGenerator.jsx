@@ -0,0 +1,306 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { ArrowLeft, PenLine, RefreshCw, Download, Copy, CheckCircle, AlertTriangle, X } from 'lucide-react';
+import { DOCUMENT_TYPES, TONES, LENGTHS, DEFAULT_TONE, DEFAULT_LENGTH, documentToText } from '../lib/generate/documents.js';
+import { generateOffline, regenerateParagraphOffline } from '../lib/generate/offline.js';
+import { traceClaims, summarizeClaims } from '../lib/generate/claims.js';
+import { documentToDocx } from '../lib/generate/docx.js';
+import { findName } from '../lib/redact.js';
+import { downloadBlob } from '../lib/download.js';
+import { describeError } from '../lib/errors.js';
+import { DEFAULT_LANGUAGE } from '../lib/language.js';
+import { localizeError, pluralKey } from '../lib/i18n.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// ✉️ COVER LETTER & LINKEDIN WRITER
+// Writes from the scanned resume and job description with the AI when
+// `writeDocument` is available, with the offline templates otherwise.
+// Every sentence is traced back to the resume as it is shown, and any
+// paragraph can be rewritten on its own.
+// ==========================================
+const SENTENCE_STYLES = {
+  untraced: 'bg-rose-50 underline decoration-rose-300 decoration-wavy underline-offset-4',
+  job: 'bg-amber-50',
+};
+
+const CLAIM_SOURCES = { resume: 'docs.claims.inResume', job: 'docs.claims.jobOnly', none: 'docs.claims.missing' };
+
+// `prefix` + option id is the label's i18n key
+const Choice = ({ options, prefix, value, onChange }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="flex flex-wrap gap-1 bg-slate-100 p-1 rounded-lg">
+      {Object.keys(options).map(id => (
+        <button
+          key={id}
+          onClick={() => onChange(id)}
+          className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${value === id ? 'bg-white text-slate-900 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+        >
+          {t(`${prefix}.${id}`)}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+const TracedText = ({ sentences }) => {
+  const { t } = useTranslation();
+  const claimTitle = (sentence) => sentence.claims
+    .map(claim => `${claim.text}: ${t(CLAIM_SOURCES[claim.source] || CLAIM_SOURCES.none)}`)
+    .join('\n');
+  return sentences.map((sentence, i) => (
+    <span key={i} className={SENTENCE_STYLES[sentence.status] || ''} title={sentence.claims.length ? claimTitle(sentence) : undefined}>
+      {i > 0 && ' '}{sentence.text}
+    </span>
+  ));
+};
+
+const ClaimNotes = ({ sentences }) => {
+  const { t } = useTranslation();
+  const claims = sentences.flatMap(sentence => sentence.claims);
+  const missing = [...new Set(claims.filter(claim => claim.source === 'none').map(claim => claim.text))];
+  const jobOnly = [...new Set(claims.filter(claim => claim.source === 'job').map(claim => claim.text))];
+  if (!missing.length && !jobOnly.length) return null;
+  return (
+    <div className="mt-2 space-y-1 text-xs">
+      {missing.length > 0 && <p className="text-rose-600">{t('docs.claims.missingList', { claims: missing.join(', ') })}</p>}
+      {jobOnly.length > 0 && <p className="text-amber-700">{t('docs.claims.jobOnlyList', { claims: jobOnly.join(', ') })}</p>}
+    </div>
+  );
+};
+
+const DocumentGenerator = ({ resumeText, jobDesc, language, missingKeywords, softSkills, writeDocument, rewriteParagraph, onBack }) => {
+  const { t } = useTranslation();
+  const [type, setType] = useState('coverLetter');
+  const [tone, setTone] = useState(DEFAULT_TONE);
+  const [length, setLength] = useState(DEFAULT_LENGTH);
+  // Per document type: { generated, brief, variants } for the last draft
+  const [drafts, setDrafts] = useState({});
+  // { type, index } while writing; index is null for the whole document
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const useAi = Boolean(writeDocument);
+  const draft = drafts[type];
+  const name = findName(resumeText);
+  const offlineInput = { resumeText, jobDesc, softSkills };
+
+  const start = (index) => {
+    controllerRef.current?.abort();
+    controllerRef.current = new AbortController();
+    setPending({ type, index });
+    setError(null);
+    setCopied(false);
+    return controllerRef.current.signal;
+  };
+
+  const finish = (signal, apply, failure) => {
+    if (signal.aborted) return;
+    if (failure) setError(localizeError(describeError(failure), t));
+    else apply();
+    setPending(null);
+  };
+
+  const write = async () => {
+    const brief = { type, tone, length, missingKeywords, softSkills };
+    if (!useAi) {
+      setDrafts(current => ({ ...current, [type]: { generated: generateOffline(type, { ...offlineInput, tone, length }), brief, variants: {} } }));
+      setError(null);
+      return;
+    }
+    const signal = start(null);
+    try {
+      const generated = await writeDocument(brief, { signal });
+      finish(signal, () => setDrafts(current => ({ ...current, [type]: { generated, brief, variants: {} } })));
+    } catch (failure) {
+      finish(signal, null, failure);
+    }
+  };
+
+  const rewrite = async (index) => {
+    const { generated, brief, variants } = draft;
+    const replace = (paragraph, nextVariants = variants) => setDrafts(current => ({
+      ...current,
+      [brief.type]: {
+        ...current[brief.type],
+        generated: { ...current[brief.type].generated, paragraphs: current[brief.type].generated.paragraphs.map((p, i) => (i === index ? paragraph : p)) },
+        variants: nextVariants,
+      },
+    }));
+
+    if (generated.isOffline) {
+      const variant = (variants[index] || 0) + 1;
+      replace(regenerateParagraphOffline(brief.type, { ...offlineInput, tone: brief.tone, length: brief.length }, index, variant), { ...variants, [index]: variant });
+      return;
+    }
+    const signal = start(index);
+    try {
+      const paragraph = await rewriteParagraph(brief, { paragraphs: generated.paragraphs, index }, { signal });
+      finish(signal, () => replace(paragraph));
+    } catch (failure) {
+      finish(signal, null, failure);
+    }
+  };
+
+  const cancel = () => {
+    controllerRef.current?.abort();
+    setPending(null);
+  };
+
+  const exportAs = (format) => {
+    const filename = `${DOCUMENT_TYPES[draft.generated.type].filename}.${format}`;
+    if (format === 'docx') downloadBlob(filename, documentToDocx(draft.generated, { name }));
+    else downloadBlob(filename, documentToText(draft.generated, { name }));
+  };
+
+  const copy = async () => {
+    await navigator.clipboard.writeText(documentToText(draft.generated, { name }));
+    setCopied(true);
+  };
+
+  const trace = (text) => traceClaims(text, resumeText, { jobDesc, language });
+  const generated = draft?.generated;
+  const traced = generated && {
+    headline: generated.headline ? trace(generated.headline) : [],
+    paragraphs: generated.paragraphs.map(trace),
+  };
+  const counts = traced && summarizeClaims([...traced.headline, ...traced.paragraphs.flat()]);
+  const isWriting = pending?.type === type && pending.index === null;
+
+  return (
+    <div className="min-h-screen bg-slate-50 pb-12">
+      <nav className="bg-white border-b border-slate-200 sticky top-0 z-30">
+        <div className="max-w-4xl mx-auto px-6 h-16 flex justify-between items-center">
+          <div className="flex items-center gap-2 font-bold text-xl text-slate-800">
+            <PenLine className="text-indigo-600" /> {t('docs.title')}
+          </div>
+          <button onClick={onBack} className="flex items-center gap-2 text-sm font-medium text-slate-600 hover:text-slate-900">
+            <ArrowLeft size={16} /> {t('docs.back')}
+          </button>
+        </div>
+      </nav>
+
+      <div className="max-w-4xl mx-auto px-6 py-8 space-y-6">
+        <div className="bg-white rounded-xl border border-slate-200 shadow-sm p-6 space-y-5">
+          <div className="flex flex-wrap gap-2">
+            {Object.keys(DOCUMENT_TYPES).map(id => (
+              <button
+                key={id}
+                onClick={() => setType(id)}
+                className={`px-4 py-2 rounded-lg text-sm font-semibold border transition-colors ${type === id ? 'bg-indigo-50 text-indigo-700 border-indigo-200' : 'bg-white text-slate-600 border-slate-200 hover:border-slate-300'}`}
+              >
+                {t(`docs.type.${id}.label`)}
+              </button>
+            ))}
+          </div>
+          <p className="text-sm text-slate-500">{t(`docs.type.${type}.description`)}</p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <span className="text-xs font-semibold text-slate-500">{t('docs.tone')}</span>
+              <Choice options={TONES} prefix="docs.tone" value={tone} onChange={setTone} />
+            </div>
+            <div className="space-y-1">
+              <span className="text-xs font-semibold text-slate-500">{t('docs.length')}</span>
+              <Choice options={LENGTHS} prefix="docs.length" value={length} onChange={setLength} />
+            </div>
+          </div>
+          <div className="flex flex-wrap items-center gap-3">
+            <button
+              onClick={write}
+              disabled={isWriting}
+              className="px-5 py-2.5 bg-indigo-600 text-white font-semibold rounded-lg text-sm hover:bg-indigo-700 disabled:opacity-60 flex items-center gap-2"
+            >
+              {isWriting ? <RefreshCw size={16} className="animate-spin" /> : <PenLine size={16} />}
+              {isWriting ? t('docs.writing') : draft ? t('docs.newDraft') : t(`docs.write.${type}`)}
+            </button>
+            {pending?.type === type && (
+              <button onClick={cancel} className="flex items-center gap-1 text-sm font-medium text-slate-500 hover:text-slate-700">
+                <X size={14} /> {t('common.cancel')}
+              </button>
+            )}
+            {!jobDesc.trim() && <span className="text-xs text-slate-400">{t('docs.noJobDesc')}</span>}
+          </div>
+          {!useAi && (
+            <p className="text-xs text-slate-500">
+              {t(language === DEFAULT_LANGUAGE ? 'docs.offlineNote' : 'docs.offlineNoteEnglish')}
+            </p>
+          )}
+        </div>
+
+        {error && (
+          <div className="p-4 bg-rose-50 border border-rose-100 rounded-xl text-sm text-rose-700">
+            <strong>{error.title}.</strong> {error.hint}
+          </div>
+        )}
+
+        {generated && (
+          <>
+            <div className={`flex items-start gap-3 p-4 rounded-xl border text-sm ${counts.none ? 'bg-rose-50 border-rose-100 text-rose-800' : 'bg-green-50 border-green-100 text-green-800'}`}>
+              {counts.none ? <AlertTriangle size={18} className="flex-shrink-0 mt-0.5" /> : <CheckCircle size={18} className="flex-shrink-0 mt-0.5" />}
+              <span>
+                {counts.none
+                  ? t('docs.claims.untraced', { none: counts.none, total: counts.total })
+                  : t('docs.claims.traced', { total: counts.total })}
+                {counts.job > 0 && ` ${t(pluralKey('docs.claims.job', counts.job), { count: counts.job })}`}
+              </span>
+            </div>
+
+            <div className="bg-white rounded-xl border border-slate-200 shadow-sm">
+              <div className="px-6 py-4 border-b border-slate-100 flex flex-wrap justify-between items-center gap-3">
+                <h3 className="font-bold text-slate-800">{t(`docs.type.${generated.type}.label`)}</h3>
+                <div className="flex flex-wrap gap-2">
+                  <button onClick={() => exportAs('docx')} className="text-xs font-semibold bg-slate-900 text-white px-3 py-1.5 rounded-lg flex items-center gap-1 hover:bg-slate-800">
+                    <Download size={12} /> .docx
+                  </button>
+                  <button onClick={() => exportAs('txt')} className="text-xs font-semibold border border-slate-200 text-slate-700 px-3 py-1.5 rounded-lg flex items-center gap-1 hover:bg-slate-50">
+                    <Download size={12} /> .txt
+                  </button>
+                  <button onClick={copy} className="text-xs font-semibold border border-slate-200 text-slate-700 px-3 py-1.5 rounded-lg flex items-center gap-1 hover:bg-slate-50">
+                    {copied ? <CheckCircle size={12} className="text-green-600" /> : <Copy size={12} />} {copied ? t('docs.copied') : t('docs.copy')}
+                  </button>
+                </div>
+              </div>
+              <div className="p-6 space-y-5 text-slate-700 leading-relaxed">
+                {generated.headline && (
+                  <div>
+                    <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider mb-1">{t('docs.headline')}</p>
+                    <p className="font-semibold text-slate-900"><TracedText sentences={traced.headline} /></p>
+                    <ClaimNotes sentences={traced.headline} />
+                  </div>
+                )}
+                {generated.type === 'linkedin' && <p className="text-xs font-semibold text-slate-400 uppercase tracking-wider -mb-3">{t('docs.about')}</p>}
+                {generated.greeting && <p>{generated.greeting}</p>}
+                {generated.paragraphs.map((paragraph, i) => {
+                  const isRewriting = pending?.type === type && pending.index === i;
+                  return (
+                    <div key={i} className="group relative">
+                      <p className={isRewriting ? 'opacity-40' : ''}><TracedText sentences={traced.paragraphs[i]} /></p>
+                      <ClaimNotes sentences={traced.paragraphs[i]} />
+                      <button
+                        onClick={() => rewrite(i)}
+                        disabled={Boolean(pending)}
+                        className="mt-1 text-xs font-medium text-indigo-600 hover:underline flex items-center gap-1 disabled:opacity-50"
+                      >
+                        <RefreshCw size={12} className={isRewriting ? 'animate-spin' : ''} /> {isRewriting ? t('docs.rewriting') : t('docs.rewrite')}
+                      </button>
+                    </div>
+                  );
+                })}
+                {generated.signOff && <p className="whitespace-pre-line">{name ? `${generated.signOff}\n${name}` : generated.signOff}</p>}
+              </div>
+            </div>
+            {generated.isOffline && (
+              <p className="text-xs text-slate-400">{t('docs.offlineRewrite')}</p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DocumentGenerator;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { ShieldAlert, ChevronRight, CheckCircle } from 'lucide-react';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 🚩 FATAL FLAWS PANEL
+// Renders detectFatalFlaws() output. Runs on local rules only, so it is
+// the same with or without an AI provider.
+// ==========================================
+const SEVERITY_STYLES = {
+  high: 'bg-rose-50 text-rose-600 border-rose-100',
+  medium: 'bg-amber-50 text-amber-700 border-amber-100',
+};
+
+// Show the line with the offending text marked
+const ExampleLine = ({ text, match }) => {
+  const index = match ? text.indexOf(match) : -1;
+  if (index === -1) return <span>{text}</span>;
+  return (
+    <span>
+      {text.slice(0, index)}
+      <mark className="bg-rose-100 text-rose-700 rounded px-0.5">{match}</mark>
+      {text.slice(index + match.length)}
+    </span>
+  );
+};
+
+const FatalFlawsPanel = ({ report }) => {
+  const { t } = useTranslation();
+  const [openId, setOpenId] = useState(null);
+  if (!report) return null;
+
+  const { flaws, bullets } = report;
+  const highCount = flaws.filter(flaw => flaw.severity === 'high').length;
+  const ratio = bullets.ratio === null ? null : Math.round(bullets.ratio * 100);
+
+  return (
+    <div className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
+      <div className="px-6 py-4 border-b border-slate-100 flex justify-between items-center">
+        <h3 className="font-bold text-slate-800 flex items-center gap-2">
+          <ShieldAlert size={18} className="text-rose-500" /> {t('flaws.title')}
+        </h3>
+        <span className={`text-xs font-medium px-2 py-1 rounded ${highCount ? 'bg-rose-50 text-rose-600' : 'bg-green-50 text-green-600'}`}>
+          {highCount ? t('flaws.critical', { count: highCount }) : t('flaws.noneCritical')}
+        </span>
+      </div>
+
+      <div className="px-6 py-4 border-b border-slate-100">
+        <div className="flex justify-between text-sm mb-1">
+          <span className="font-medium text-slate-700">{t('flaws.quantified')}</span>
+          <span className="font-bold text-slate-900">
+            {bullets.total ? `${bullets.quantified}/${bullets.total} (${ratio}%)` : t('flaws.noBullets')}
+          </span>
+        </div>
+        <div className="w-full bg-slate-200 rounded-full h-2">
+          <div
+            className={`${ratio >= 50 ? 'bg-green-500' : 'bg-rose-500'} h-2 rounded-full transition-all duration-1000`}
+            style={{ width: `${ratio || 0}%` }}
+          ></div>
+        </div>
+      </div>
+
+      {flaws.length === 0 ? (
+        <p className="p-6 text-sm text-slate-500 flex items-center gap-2">
+          <CheckCircle size={16} className="text-green-500" /> {t('flaws.none')}
+        </p>
+      ) : (
+        <div className="divide-y divide-slate-100">
+          {flaws.map(flaw => (
+            <div key={flaw.id}>
+              <button
+                onClick={() => setOpenId(openId === flaw.id ? null : flaw.id)}
+                className="w-full px-6 py-4 flex items-center gap-3 text-left hover:bg-slate-50"
+              >
+                <span className={`text-xs font-bold px-2 py-0.5 rounded border ${SEVERITY_STYLES[flaw.severity]}`}>{flaw.count}</span>
+                <span className="flex-1 text-sm font-medium text-slate-800">{flaw.label}</span>
+                <ChevronRight size={16} className={`text-slate-400 transition-transform ${openId === flaw.id ? 'rotate-90' : ''}`} />
+              </button>
+              {openId === flaw.id && (
+                <div className="px-6 pb-4 space-y-2">
+                  <p className="text-xs text-slate-500">{flaw.detail}</p>
+                  <ul className="space-y-1.5">
+                    {flaw.examples.map((ex, i) => (
+                      <li key={i} className="text-xs text-slate-600 flex gap-2">
+                        <span className="text-slate-300 w-10 flex-shrink-0">{t('flaws.line', { line: ex.line })}</span>
+                        <span className="flex-1">
+                          <ExampleLine text={ex.text} match={ex.match} />
+                          {ex.note && <span className="ml-2 font-semibold text-slate-500">{ex.note}</span>}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                  {flaw.count > flaw.examples.length && (
+                    <p className="text-xs text-slate-400">{t('flaws.more', { count: flaw.count - flaw.examples.length })}</p>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FatalFlawsPanel;
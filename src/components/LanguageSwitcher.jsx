@@ -0,0 +1,28 @@
+import React from 'react';
+import { Globe } from 'lucide-react';
+import { UI_LANGUAGES } from '../lib/i18n.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 🌐 LANGUAGE SWITCHER
+// Picks the interface language. The language of the resume is detected on
+// its own and can be overridden next to the resume input.
+// ==========================================
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useTranslation();
+  return (
+    <label className="flex items-center gap-1.5 text-sm text-slate-600" title={t('nav.language')}>
+      <Globe size={16} />
+      <span className="sr-only">{t('nav.language')}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="bg-transparent font-medium hover:text-indigo-600 cursor-pointer focus:outline-none"
+      >
+        {Object.entries(UI_LANGUAGES).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { Cpu, ChevronRight, CheckCircle, XCircle, RefreshCw } from 'lucide-react';
+import { checkApiHealth } from '../lib/api.js';
+import { settingsForProvider } from '../lib/providerSettings.js';
+import { DEFAULT_REQUEST_SETTINGS } from '../lib/retry.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 🎛️ MODEL PICKER
+// Provider/model selection, generation and request settings, and a
+// connection check.
+// ==========================================
+const ModelPicker = ({ status, settings, onChange }) => {
+  const { t } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [health, setHealth] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  const providers = status?.providers || [];
+  const current = providers.find(p => p.id === settings?.id);
+  if (!current) return null;
+
+  const update = (patch) => {
+    setHealth(null);
+    onChange({ ...settings, ...patch });
+  };
+
+  const checkConnection = async () => {
+    setIsChecking(true);
+    try {
+      const { ping } = await checkApiHealth({ ping: true, provider: settings.id, model: settings.model });
+      setHealth(ping);
+    } catch (error) {
+      setHealth({ ok: false, error: error.message });
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  return (
+    <div className="border border-slate-200 rounded-xl">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full px-4 py-3 flex items-center justify-between text-sm text-slate-600 hover:text-slate-900"
+      >
+        <span className="flex items-center gap-2">
+          <Cpu size={16} className="text-indigo-600" />
+          {t('model.title')} <span className="font-semibold text-slate-800">{current.label} · {settings.model}</span>
+        </span>
+        <ChevronRight size={16} className={`transition-transform ${isOpen ? 'rotate-90' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+          <label className="space-y-1">
+            <span className="block text-xs font-medium text-slate-500">{t('model.provider')}</span>
+            <select
+              value={settings.id}
+              onChange={(e) => update(settingsForProvider(providers.find(p => p.id === e.target.value)))}
+              className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg"
+            >
+              {providers.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="block text-xs font-medium text-slate-500">{t('model.model')}</span>
+            {current.allowCustomModel ? (
+              <>
+                <input
+                  list={`models-${current.id}`}
+                  value={settings.model}
+                  onChange={(e) => update({ model: e.target.value })}
+                  className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg"
+                />
+                <datalist id={`models-${current.id}`}>
+                  {current.models.map(m => <option key={m} value={m} />)}
+                </datalist>
+              </>
+            ) : (
+              <select
+                value={settings.model}
+                onChange={(e) => update({ model: e.target.value })}
+                className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg"
+              >
+                {current.models.map(m => <option key={m} value={m}>{m}</option>)}
+              </select>
+            )}
+          </label>
+          <label className="space-y-1">
+            <span className="block text-xs font-medium text-slate-500">{t('model.temperature', { value: settings.temperature })}</span>
+            <input
+              type="range" min="0" max="1" step="0.05"
+              value={settings.temperature}
+              onChange={(e) => update({ temperature: Number(e.target.value) })}
+              className="w-full accent-indigo-600"
+            />
+          </label>
+          <label className="space-y-1">
+            <span className="block text-xs font-medium text-slate-500">{t('model.maxTokens')}</span>
+            <input
+              type="number" min="256" max="8192" step="256"
+              value={settings.maxTokens}
+              onChange={(e) => update({ maxTokens: Number(e.target.value) })}
+              className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg"
+            />
+          </label>
+          <label className="space-y-1">
+            <span className="block text-xs font-medium text-slate-500">{t('model.timeout')}</span>
+            <input
+              type="number" min="10" max="300" step="5"
+              value={settings.timeoutSec ?? DEFAULT_REQUEST_SETTINGS.timeoutSec}
+              onChange={(e) => update({ timeoutSec: Number(e.target.value) })}
+              className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg"
+            />
+          </label>
+          <label className="space-y-1">
+            <span className="block text-xs font-medium text-slate-500">{t('model.retries')}</span>
+            <select
+              value={settings.retries ?? DEFAULT_REQUEST_SETTINGS.retries}
+              onChange={(e) => update({ retries: Number(e.target.value) })}
+              className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg"
+            >
+              {[0, 1, 2, 3, 4, 5].map(n => <option key={n} value={n}>{n === 0 ? t('model.retriesOff') : n}</option>)}
+            </select>
+          </label>
+          <div className="sm:col-span-2 flex items-center gap-3">
+            <button
+              onClick={checkConnection}
+              disabled={isChecking}
+              className="px-3 py-1.5 text-xs font-semibold bg-slate-900 text-white rounded-lg disabled:bg-slate-400 flex items-center gap-1"
+            >
+              <RefreshCw size={12} className={isChecking ? 'animate-spin' : ''} /> {t('model.check')}
+            </button>
+            {health?.ok && (
+              <span className="text-xs text-green-600 flex items-center gap-1">
+                <CheckCircle size={14} /> {t('model.responding', { ms: health.latencyMs })}
+              </span>
+            )}
+            {health && !health.ok && (
+              <span className="text-xs text-rose-600 flex items-center gap-1">
+                <XCircle size={14} /> {health.error}
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelPicker;
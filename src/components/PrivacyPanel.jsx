@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { ShieldCheck, ChevronRight, Eye, EyeOff } from 'lucide-react';
+import { redactPii, splitTokens } from '../lib/redact.js';
+import { pluralKey } from '../lib/i18n.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 🔒 PRIVACY PANEL
+// Redaction and local-only toggles, and a preview of exactly the resume
+// text that would be sent to the AI provider.
+// ==========================================
+const PrivacyPanel = ({ settings, onChange, resumeText }) => {
+  const { t } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  const outgoing = settings.redact ? redactPii(resumeText) : { text: resumeText, replacements: [] };
+  const counts = outgoing.replacements.reduce((acc, r) => ({ ...acc, [r.type]: (acc[r.type] || 0) + 1 }), {});
+  const status = settings.localOnly
+    ? t('privacy.status.local')
+    : settings.redact ? t('privacy.status.redacted') : t('privacy.status.asWritten');
+
+  return (
+    <div className="border border-slate-200 rounded-xl">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full px-4 py-3 flex items-center justify-between text-sm text-slate-600 hover:text-slate-900"
+      >
+        <span className="flex items-center gap-2">
+          <ShieldCheck size={16} className="text-indigo-600" />
+          {t('privacy.title')} <span className="font-semibold text-slate-800">{status}</span>
+        </span>
+        <ChevronRight size={16} className={`transition-transform ${isOpen ? 'rotate-90' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-3 text-sm">
+          <label className="flex items-start gap-2 text-slate-600">
+            <input
+              type="checkbox"
+              checked={settings.localOnly}
+              onChange={(e) => update({ localOnly: e.target.checked })}
+              className="mt-0.5 accent-indigo-600"
+            />
+            <span>
+              <span className="font-medium text-slate-800">{t('privacy.local')}</span> {t('privacy.localInfo')}
+            </span>
+          </label>
+          <label className={`flex items-start gap-2 ${settings.localOnly ? 'text-slate-300' : 'text-slate-600'}`}>
+            <input
+              type="checkbox"
+              checked={settings.redact}
+              disabled={settings.localOnly}
+              onChange={(e) => update({ redact: e.target.checked })}
+              className="mt-0.5 accent-indigo-600"
+            />
+            <span>
+              <span className={`font-medium ${settings.localOnly ? '' : 'text-slate-800'}`}>{t('privacy.redact')}</span> {t('privacy.redactInfo')}
+            </span>
+          </label>
+
+          {!settings.localOnly && (
+            <div className="space-y-2">
+              <button
+                onClick={() => setShowPreview(!showPreview)}
+                disabled={!resumeText.trim()}
+                className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:underline disabled:text-slate-300 disabled:no-underline"
+              >
+                {showPreview ? <EyeOff size={14} /> : <Eye size={14} />}
+                {showPreview ? t('privacy.hidePreview') : t('privacy.showPreview')}
+              </button>
+              {showPreview && resumeText.trim() && (
+                <>
+                  <p className="text-xs text-slate-500">
+                    {outgoing.replacements.length
+                      ? t('privacy.replaced', { items: Object.entries(counts).map(([type, n]) => t(pluralKey(`privacy.pii.${type}`, n), { count: n })).join(', ') })
+                      : settings.redact ? t('privacy.noneFound') : t('privacy.redactOff')}
+                  </p>
+                  <pre className="max-h-64 overflow-auto p-3 bg-slate-50 border border-slate-200 rounded-lg font-mono text-xs text-slate-700 whitespace-pre-wrap">
+                    {splitTokens(outgoing.text).map((part, i) => (part.token
+                      ? <mark key={i} className="bg-indigo-100 text-indigo-700 rounded px-0.5">{part.text}</mark>
+                      : <React.Fragment key={i}>{part.text}</React.Fragment>))}
+                  </pre>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PrivacyPanel;
@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useEffectEvent } from 'react';
+import { Lock, X, CheckCircle, AlertTriangle, RefreshCw, ChevronRight } from 'lucide-react';
+import { benchmarkResume, INDUSTRIES, SENIORITY_LEVELS } from '../lib/benchmark.js';
+import { PERSONAS, reviewLocally } from '../lib/personas.js';
+import { analyzeTone } from '../lib/tone.js';
+import { describeError } from '../lib/errors.js';
+import { localizeError } from '../lib/i18n.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 🏅 PRO METRICS
+// Industry Benchmark, Recruiter Persona Check and Tone Consistency, each
+// with a drill-down. Benchmark and tone are local; persona reviews go to
+// the AI when `reviewPersona` is available (one persona at a time, like
+// role comparisons) and fall back to the offline reviewer otherwise.
+// `aiScope` changes whenever the provider or model does, so reviews rerun.
+// ==========================================
+const VERDICT_STYLES = {
+  advance: 'bg-green-50 text-green-700 border-green-100',
+  maybe: 'bg-amber-50 text-amber-700 border-amber-100',
+  reject: 'bg-rose-50 text-rose-600 border-rose-100',
+};
+
+const average = (values) => (values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+const MetricBar = ({ label, value, color, locked, pending, onOpen, onUnlock }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="mb-4 relative">
+      <div className="flex justify-between mb-1">
+        <span className="text-sm font-medium text-slate-700 flex items-center gap-2">
+          {label} {locked && <Lock size={12} className="text-slate-400"/>}
+        </span>
+        <span className={`text-sm font-bold ${locked ? 'blur-sm' : 'text-slate-900'}`}>
+          {locked ? '??%' : value === null ? (pending ? '...' : t('pro.notAvailable')) : `${value}%`}
+        </span>
+      </div>
+      <div className="w-full bg-slate-200 rounded-full h-2.5">
+        <div
+          className={`${color} h-2.5 rounded-full transition-all duration-1000`}
+          style={{ width: locked || value === null ? '0%' : `${value}%` }}
+        ></div>
+      </div>
+      {!locked && (
+        <button onClick={onOpen} className="mt-1 text-xs font-medium text-indigo-600 hover:underline flex items-center gap-0.5">
+          {t('pro.breakdown')} <ChevronRight size={12} />
+        </button>
+      )}
+      {locked && (
+        <div
+          onClick={onUnlock}
+          className="absolute inset-0 bg-white/50 cursor-pointer flex items-center justify-center opacity-0 hover:opacity-100 transition-opacity rounded"
+        >
+          <span className="text-xs font-bold text-indigo-600 bg-indigo-50 px-2 py-1 rounded border border-indigo-100 shadow-sm">{t('pro.unlock')}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const BenchmarkDetail = ({ benchmark, onChange }) => {
+  const { t } = useTranslation();
+  const option = (prefix, id, detected) => (id === detected ? t('benchmark.detected', { label: t(`${prefix}.${id}`) }) : t(`${prefix}.${id}`));
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-3">
+        <label className="text-xs font-semibold text-slate-500 space-y-1">
+          <span>{t('benchmark.industry')}</span>
+          <select
+            value={benchmark.industry}
+            onChange={(e) => onChange({ industry: e.target.value })}
+            className="w-full p-2 border border-slate-200 rounded-lg text-sm text-slate-700 font-normal"
+          >
+            {Object.keys(INDUSTRIES).map(id => (
+              <option key={id} value={id}>{option('benchmark.industry', id, benchmark.detected.industry)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs font-semibold text-slate-500 space-y-1">
+          <span>{t('benchmark.seniority')}</span>
+          <select
+            value={benchmark.seniority}
+            onChange={(e) => onChange({ seniority: e.target.value })}
+            className="w-full p-2 border border-slate-200 rounded-lg text-sm text-slate-700 font-normal"
+          >
+            {Object.keys(SENIORITY_LEVELS).map(id => (
+              <option key={id} value={id}>{option('benchmark.seniority', id, benchmark.detected.seniority)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-slate-400 uppercase tracking-wider text-left">
+            <th className="py-2 font-semibold">{t('benchmark.column.metric')}</th>
+            <th className="py-2 font-semibold">{t('benchmark.column.you')}</th>
+            <th className="py-2 font-semibold">{t('benchmark.column.typical')}</th>
+            <th className="py-2 font-semibold w-1/3">{t('benchmark.column.standing')}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100">
+          {benchmark.metrics.map(metric => (
+            <tr key={metric.key}>
+              <td className="py-2 text-slate-700">{t(`benchmark.metric.${metric.key}`)}</td>
+              <td className="py-2 font-semibold text-slate-800">{metric.display}</td>
+              <td className="py-2 text-slate-500">{metric.typicalDisplay}</td>
+              <td className="py-2">
+                <div className="flex items-center gap-2">
+                  <div className="flex-1 bg-slate-100 rounded-full h-1.5">
+                    <div className="bg-indigo-500 h-1.5 rounded-full" style={{ width: `${metric.percentile}%` }}></div>
+                  </div>
+                  <span className="text-xs text-slate-500 w-16 text-right">
+                    {t(metric.twoSided ? 'benchmark.fit' : 'benchmark.percentile', { percent: metric.percentile })}
+                  </span>
+                </div>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-slate-400">
+        {t('benchmark.reference', { industry: t(`benchmark.industry.${benchmark.industry}`), seniority: t(`benchmark.seniority.${benchmark.seniority}`) })}
+      </p>
+    </div>
+  );
+};
+
+const PersonaDetail = ({ reviews, isAi }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="space-y-4">
+      {Object.keys(PERSONAS).map(id => {
+        const entry = reviews[id];
+        return (
+          <div key={id} className="border border-slate-200 rounded-xl p-4 space-y-2">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <h4 className="font-bold text-slate-800">{t(`persona.${id}.label`)}</h4>
+                <p className="text-xs text-slate-500">{t(`persona.${id}.description`)}</p>
+              </div>
+              {entry?.review && (
+                <span className={`text-xs font-semibold px-2 py-1 rounded border whitespace-nowrap ${VERDICT_STYLES[entry.review.verdict]}`}>
+                  {t(`persona.verdict.${entry.review.verdict}`)} · {entry.review.score}
+                </span>
+              )}
+            </div>
+            {!entry && (
+              <p className="text-sm text-slate-400 flex items-center gap-2"><RefreshCw size={14} className="animate-spin" /> {t('persona.reviewing')}</p>
+            )}
+            {entry?.error && (
+              <p className="text-sm text-rose-600">{localizeError(entry.error, t).title}: {entry.error.message}</p>
+            )}
+            {entry?.review && (
+              <>
+                <p className="text-sm text-slate-700 italic">"{entry.review.headline}"</p>
+                <ul className="space-y-1">
+                  {entry.review.strengths.map((item, i) => (
+                    <li key={`s${i}`} className="flex gap-2 text-sm text-slate-600">
+                      <CheckCircle size={14} className="text-green-500 flex-shrink-0 mt-0.5" /> {item}
+                    </li>
+                  ))}
+                  {entry.review.concerns.map((item, i) => (
+                    <li key={`c${i}`} className="flex gap-2 text-sm text-slate-600">
+                      <AlertTriangle size={14} className="text-amber-500 flex-shrink-0 mt-0.5" /> {item}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        );
+      })}
+      <p className="text-xs text-slate-400">
+        {isAi ? t('persona.aiNote') : t('persona.offlineNote')}
+      </p>
+    </div>
+  );
+};
+
+const ToneDetail = ({ tone }) => {
+  const { t } = useTranslation();
+  const drifted = tone.bullets.filter(bullet => bullet.drift.length);
+  return (
+    <div className="space-y-4">
+      {tone.score === null ? (
+        <p className="text-sm text-slate-500">{t('tone.tooFew')}</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(tone.counts.tense).map(([tense, count]) => (
+              <span key={tense} className={`text-xs px-2 py-1 rounded-full border ${tense === tone.dominantTense ? 'bg-indigo-50 text-indigo-700 border-indigo-100' : 'bg-slate-50 text-slate-600 border-slate-200'}`}>
+                {t(`tone.tense.${tense}`)}: {count}
+              </span>
+            ))}
+            {Object.entries(tone.counts.person).filter(([person]) => person !== 'implied').map(([person, count]) => (
+              <span key={person} className="text-xs px-2 py-1 rounded-full border bg-amber-50 text-amber-700 border-amber-100">
+                {t(`tone.person.${person}`)}: {count}
+              </span>
+            ))}
+          </div>
+          {tone.deductions.length > 0 && (
+            <ul className="space-y-2">
+              {tone.deductions.map((d, i) => (
+                <li key={i} className="flex gap-2 text-sm">
+                  <span className="font-semibold text-rose-500 w-8 flex-shrink-0">-{d.points}</span>
+                  <span><span className="font-medium text-slate-800">{d.label}.</span> <span className="text-slate-500">{d.detail}</span></span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {drifted.length > 0 ? (
+            <div className="space-y-2">
+              <h4 className="text-xs font-semibold text-slate-400 uppercase tracking-wider">{t('tone.drifted')}</h4>
+              {drifted.map(bullet => (
+                <div key={bullet.line} className="text-sm border border-slate-100 rounded-lg p-3 space-y-1">
+                  <p className="text-slate-700">{bullet.text}</p>
+                  <p className="text-xs text-slate-400 flex flex-wrap gap-x-3">
+                    <span>{t('tone.line', { line: bullet.line })}</span>
+                    {bullet.drift.map(kind => (
+                      <span key={kind} className="text-amber-600">
+                        {t(`tone.drift.${kind}`)}: {kind === 'tense' ? t(`tone.tense.${bullet.tense}`) : kind === 'person' ? t(`tone.person.${bullet.person}`) : bullet.informal.join(', ')}
+                      </span>
+                    ))}
+                  </p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-green-600 flex items-center gap-2"><CheckCircle size={14} /> {t('tone.consistent')}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const ProMetrics = ({ local, resumeText, jobDesc, language, locked, onUnlock, reviewPersona, aiScope }) => {
+  const { t } = useTranslation();
+  const [openDetail, setOpenDetail] = useState(null);
+  const [benchmarkOverrides, setBenchmarkOverrides] = useState({});
+  // AI reviews for the text they were run on: { key, byPersona: { [id]: { review } | { error } } }
+  const [aiReviews, setAiReviews] = useState({ key: null, byPersona: {} });
+
+  const runKey = `${aiScope}\n${jobDesc}\n${resumeText}`;
+  const useAi = Boolean(reviewPersona && aiScope);
+
+  const review = useEffectEvent((personaId, signal) => reviewPersona(personaId, { signal }));
+
+  useEffect(() => {
+    if (locked || !aiScope || !resumeText) return undefined;
+    const controller = new AbortController();
+    const record = (personaId, entry) => setAiReviews(current => ({
+      key: runKey,
+      byPersona: { ...(current.key === runKey ? current.byPersona : {}), [personaId]: entry },
+    }));
+
+    (async () => {
+      for (const personaId of Object.keys(PERSONAS)) {
+        try {
+          const result = await review(personaId, controller.signal);
+          if (!controller.signal.aborted) record(personaId, { review: result });
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          record(personaId, { error: describeError(error) });
+        }
+      }
+    })();
+    return () => controller.abort();
+  }, [locked, aiScope, resumeText, runKey]);
+
+  if (!local?.stats) return null;
+
+  const benchmark = benchmarkResume(local, resumeText, jobDesc, benchmarkOverrides);
+  const tone = analyzeTone(resumeText, { language, t });
+  const personaReviews = useAi
+    ? (aiReviews.key === runKey ? aiReviews.byPersona : {})
+    : Object.fromEntries(Object.keys(PERSONAS).map(id => [id, { review: reviewLocally(id, local, resumeText, { t }) }]));
+  const personaScore = average(Object.values(personaReviews).filter(entry => entry.review).map(entry => entry.review.score));
+  const personasPending = Object.keys(personaReviews).length < Object.keys(PERSONAS).length;
+
+  return (
+    <>
+      <MetricBar
+        label={t('pro.benchmark')}
+        value={benchmark?.score ?? null}
+        color="bg-teal-500"
+        locked={locked}
+        onOpen={() => setOpenDetail('benchmark')}
+        onUnlock={onUnlock}
+      />
+      <MetricBar
+        label={t('pro.personas')}
+        value={personaScore}
+        color="bg-violet-500"
+        locked={locked}
+        pending={personasPending}
+        onOpen={() => setOpenDetail('personas')}
+        onUnlock={onUnlock}
+      />
+      <MetricBar
+        label={t('pro.tone')}
+        value={tone.score}
+        color="bg-sky-500"
+        locked={locked}
+        onOpen={() => setOpenDetail('tone')}
+        onUnlock={onUnlock}
+      />
+
+      {openDetail && !locked && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4" onClick={() => setOpenDetail(null)}>
+          <div className="bg-white rounded-2xl max-w-2xl w-full max-h-[85vh] overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <div className="px-6 py-4 border-b border-slate-100 flex justify-between items-center sticky top-0 bg-white">
+              <h3 className="font-bold text-slate-800">{t(`pro.${openDetail}`)}</h3>
+              <button onClick={() => setOpenDetail(null)} className="text-slate-400 hover:text-slate-600" title={t('common.close')}><X size={18} /></button>
+            </div>
+            <div className="p-6">
+              {openDetail === 'benchmark' && benchmark && (
+                <BenchmarkDetail benchmark={benchmark} onChange={(patch) => setBenchmarkOverrides(current => ({ ...current, ...patch }))} />
+              )}
+              {openDetail === 'personas' && <PersonaDetail reviews={personaReviews} isAi={useAi} />}
+              {openDetail === 'tone' && <ToneDetail tone={tone} />}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ProMetrics;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { GitCompare, ChevronRight, ArrowRight } from 'lucide-react';
+import { diffLines, withContext } from '../lib/diff.js';
+import { pluralKey } from '../lib/i18n.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 🔀 RESCAN DIFF
+// Compares the current scan with the one before the last rescan.
+// Each run is { resumeText, stats, score } where score is null when there
+// was no AI result.
+// ==========================================
+const Delta = ({ before, after }) => {
+  if (before === null || after === null) {
+    return <span className="text-slate-400">—</span>;
+  }
+  const change = after - before;
+  const color = change > 0 ? 'text-green-600' : change < 0 ? 'text-rose-600' : 'text-slate-400';
+  return (
+    <span className="flex items-center gap-2">
+      <span className="text-slate-400">{before}</span>
+      <ArrowRight size={12} className="text-slate-300" />
+      <span className="font-bold text-slate-800">{after}</span>
+      <span className={`text-xs font-semibold ${color}`}>{change > 0 ? `+${change}` : change === 0 ? '±0' : change}</span>
+    </span>
+  );
+};
+
+const RescanDiff = ({ previous, current }) => {
+  const { t } = useTranslation();
+  const [showText, setShowText] = useState(true);
+
+  const rows = [
+    { label: t('rescan.overall'), before: previous.score, after: current.score },
+    { label: t('rescan.impact'), before: previous.stats?.impactScore ?? null, after: current.stats?.impactScore ?? null },
+    { label: t('rescan.verbs'), before: previous.stats?.verbScore ?? null, after: current.stats?.verbScore ?? null },
+    { label: t('rescan.brevity'), before: previous.stats?.brevityScore ?? null, after: current.stats?.brevityScore ?? null },
+  ];
+  const ops = withContext(diffLines(previous.resumeText, current.resumeText));
+  const changedLines = ops.filter(op => op.type === 'added' || op.type === 'removed').length;
+
+  return (
+    <div className="mb-8 bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+      <div className="p-6 border-b border-slate-100 flex items-center gap-2">
+        <GitCompare size={18} className="text-indigo-600" />
+        <h3 className="font-bold text-slate-800">{t('rescan.title')}</h3>
+      </div>
+      <div className="p-6 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {rows.map(row => (
+          <div key={row.label} className="space-y-1">
+            <p className="text-xs font-medium text-slate-500">{row.label}</p>
+            <Delta before={row.before} after={row.after} />
+          </div>
+        ))}
+      </div>
+      <div className="border-t border-slate-100">
+        <button
+          onClick={() => setShowText(!showText)}
+          className="w-full px-6 py-3 flex items-center justify-between text-sm text-slate-600 hover:text-slate-900"
+        >
+          <span>{t(pluralKey('rescan.changed', changedLines), { count: changedLines })}</span>
+          <ChevronRight size={16} className={`transition-transform ${showText ? 'rotate-90' : ''}`} />
+        </button>
+        {showText && changedLines > 0 && (
+          <div className="px-6 pb-6 font-mono text-xs space-y-0.5">
+            {ops.map((op, i) => {
+              if (op.type === 'skip') {
+                return <p key={i} className="text-slate-300 py-1">⋯ {t(pluralKey('rescan.unchanged', op.count), { count: op.count })}</p>;
+              }
+              const style = op.type === 'added'
+                ? 'bg-green-50 text-green-800'
+                : op.type === 'removed' ? 'bg-rose-50 text-rose-700 line-through' : 'text-slate-500';
+              const sign = op.type === 'added' ? '+' : op.type === 'removed' ? '−' : ' ';
+              return (
+                <p key={i} className={`px-2 py-0.5 rounded whitespace-pre-wrap ${style}`}>
+                  <span className="select-none mr-2">{sign}</span>{op.text || ' '}
+                </p>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RescanDiff;
@@ -0,0 +1,111 @@
+import React, { useMemo } from 'react';
+import { ListChecks, CheckCircle, XCircle } from 'lucide-react';
+import { scoreBullets } from '../lib/bullets.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 🎯 LINE-BY-LINE REVIEW
+// The resume text with every bullet colour-coded by its score. Hovering a
+// line explains the score; the worst lines are listed up top as jump links.
+// ==========================================
+const GRADE_STYLES = {
+  strong: { line: 'bg-green-50 border-green-400', chip: 'bg-green-50 text-green-700 border-green-100' },
+  fair: { line: 'bg-amber-50 border-amber-400', chip: 'bg-amber-50 text-amber-700 border-amber-100' },
+  weak: { line: 'bg-rose-50 border-rose-400', chip: 'bg-rose-50 text-rose-700 border-rose-100' },
+};
+
+const WORST_COUNT = 3;
+
+const lineId = (number) => `resume-line-${number}`;
+
+const jumpTo = (number) => {
+  const element = document.getElementById(lineId(number));
+  if (!element) return;
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.classList.add('ring-2', 'ring-indigo-400');
+  setTimeout(() => element.classList.remove('ring-2', 'ring-indigo-400'), 1500);
+};
+
+const ResumeHighlights = ({ text }) => {
+  const { t } = useTranslation();
+  const { lines, summary } = useMemo(() => scoreBullets(text, { t }), [text, t]);
+  if (!text) return null;
+
+  const worst = lines
+    .filter(line => line.result && line.result.grade !== 'strong')
+    .sort((a, b) => a.result.score - b.result.score)
+    .slice(0, WORST_COUNT);
+
+  return (
+    <div className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
+      <div className="px-6 py-4 border-b border-slate-100 flex flex-wrap justify-between items-center gap-3">
+        <h3 className="font-bold text-slate-800 flex items-center gap-2">
+          <ListChecks size={18} className="text-indigo-600" /> {t('highlights.title')}
+        </h3>
+        <div className="flex gap-2 text-xs font-medium">
+          {['strong', 'fair', 'weak'].map(grade => (
+            <span key={grade} className={`px-2 py-1 rounded border ${GRADE_STYLES[grade].chip}`}>
+              {summary[grade]} {t(`bullets.grade.${grade}`)}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {summary.total === 0 ? (
+        <p className="p-6 text-sm text-slate-400">{t('highlights.none')}</p>
+      ) : (
+        <>
+          <div className="px-6 py-4 border-b border-slate-100 text-sm space-y-2">
+            <p className="text-slate-500">
+              {t('highlights.average')} <strong className="text-slate-800">{summary.average}/100</strong>
+              {!summary.usedMarkers && t('highlights.noMarkers')}
+            </p>
+            {worst.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-xs text-slate-400">{t('highlights.startWith')}</span>
+                {worst.map(line => (
+                  <button
+                    key={line.number}
+                    onClick={() => jumpTo(line.number)}
+                    className={`text-xs px-2 py-1 rounded border max-w-xs truncate hover:underline ${GRADE_STYLES[line.result.grade].chip}`}
+                  >
+                    {t('highlights.jump', { line: line.number, score: line.result.score })}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="p-6 font-mono text-xs leading-relaxed max-h-[32rem] overflow-y-auto">
+            {lines.map(line => (line.result ? (
+              <div
+                key={line.number}
+                id={lineId(line.number)}
+                className={`group relative pl-2 pr-12 py-0.5 my-0.5 border-l-4 rounded-r transition-shadow ${GRADE_STYLES[line.result.grade].line}`}
+              >
+                <span className="whitespace-pre-wrap text-slate-700">{line.text}</span>
+                <span className="absolute right-2 top-0.5 font-bold text-slate-500">{line.result.score}</span>
+                <div className="hidden group-hover:block absolute z-20 left-4 top-full mt-1 w-80 bg-slate-900 text-white rounded-lg shadow-xl p-3 font-sans space-y-1.5">
+                  {line.result.checks.map(c => (
+                    <div key={c.id} className="flex gap-2">
+                      {c.passed
+                        ? <CheckCircle size={14} className="text-green-400 flex-shrink-0 mt-0.5" />
+                        : <XCircle size={14} className="text-rose-400 flex-shrink-0 mt-0.5" />}
+                      <span>
+                        <strong>{c.label} {c.points}/{c.max}.</strong> {c.detail}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <div key={line.number} className="px-3 py-0.5 whitespace-pre-wrap text-slate-400 min-h-[1rem]">{line.text}</div>
+            )))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ResumeHighlights;
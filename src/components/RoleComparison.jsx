@@ -0,0 +1,165 @@
+import React from 'react';
+import { ArrowLeft, Award, RefreshCw, Scale, X, XCircle, FileText } from 'lucide-react';
+import { rankRoles, sharedGaps, tailoringFor } from '../lib/compare.js';
+import { localizeError, pluralKey } from '../lib/i18n.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// ⚖️ ROLE COMPARISON VIEW
+// Ranks the roles from handleCompare as their analyses come in.
+// ==========================================
+// Statuses with a label (`compare.status.*`) while the role has no result
+const LABELLED_STATUSES = ['pending', 'running', 'cancelled'];
+
+const RoleComparison = ({ roles, isRunning, onBack, onCancel, onOpenRole }) => {
+  const { t } = useTranslation();
+  const ranked = rankRoles(roles);
+  const shared = sharedGaps(roles);
+  const best = !isRunning && ranked[0]?.fit !== null ? ranked[0] : null;
+  const isOffline = roles.some(role => role.aiResult?.isOffline);
+
+  return (
+    <div className="min-h-screen bg-slate-50 pb-12">
+      <nav className="bg-white border-b border-slate-200 sticky top-0 z-30">
+        <div className="max-w-6xl mx-auto px-6 h-16 flex justify-between items-center">
+          <div className="flex items-center gap-2 font-bold text-xl text-slate-800">
+            <Scale className="text-indigo-600" /> {t('compare.title')}
+          </div>
+          <div className="flex items-center gap-4">
+            {isRunning && (
+              <button onClick={onCancel} className="flex items-center gap-2 text-sm font-medium text-slate-600 hover:text-slate-900">
+                <X size={16} /> {t('compare.stop')}
+              </button>
+            )}
+            <button onClick={onBack} className="flex items-center gap-2 text-sm font-medium text-slate-600 hover:text-slate-900">
+              <ArrowLeft size={16} /> {t('compare.editRoles')}
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      <div className="max-w-6xl mx-auto px-6 py-8 space-y-8">
+        {isOffline && (
+          <p className="p-4 bg-slate-100 border border-slate-200 rounded-xl text-sm text-slate-700">
+            <strong>{t('compare.offline')}</strong> {t('compare.offlineInfo')}
+          </p>
+        )}
+
+        {best && (
+          <div className="bg-slate-900 rounded-2xl p-8 text-white shadow-xl">
+            <p className="text-slate-300 text-sm font-medium mb-1">{t('compare.bestFit')}</p>
+            <h2 className="text-3xl font-bold mb-2 flex items-center gap-3">
+              <Award className="text-amber-400" /> {best.title}
+              <span className="text-lg font-normal text-slate-400">{best.fit}/100</span>
+            </h2>
+            {ranked.length > 1 && ranked[1].fit !== null && (
+              <p className="text-sm text-slate-300">
+                {best.fit - ranked[1].fit > 0
+                  ? t(pluralKey('compare.ahead', best.fit - ranked[1].fit), { count: best.fit - ranked[1].fit, role: ranked[1].title })
+                  : t('compare.tied', { role: ranked[1].title })}
+              </p>
+            )}
+            {shared.length > 0 && (
+              <p className="text-sm text-slate-300 mt-3">
+                {t('compare.sharedGaps')} <span className="font-semibold text-white">{shared.join(', ')}</span>. {t('compare.sharedGapsInfo')}
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50 text-xs text-slate-500 text-left">
+              <tr>
+                <th className="px-4 py-3 font-medium">#</th>
+                <th className="px-4 py-3 font-medium">{t('compare.column.role')}</th>
+                <th className="px-4 py-3 font-medium">{t('compare.column.fit')}</th>
+                <th className="px-4 py-3 font-medium">{t('compare.column.keywords')}</th>
+                <th className="px-4 py-3 font-medium">{t('compare.column.aiScore')}</th>
+                <th className="px-4 py-3 font-medium">{t('compare.column.missing')}</th>
+                <th className="px-4 py-3 font-medium">{t('compare.column.rewrite')}</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {ranked.map((role, i) => (
+                <tr key={role.id} className="align-top">
+                  <td className="px-4 py-4 font-bold text-slate-400">{role.fit === null ? '—' : i + 1}</td>
+                  <td className="px-4 py-4 font-semibold text-slate-800 max-w-[12rem]">{role.title}</td>
+                  <td className="px-4 py-4 font-bold text-slate-900">{role.fit ?? '—'}</td>
+                  <td className="px-4 py-4 text-slate-600">{role.keywordMatch ? `${role.keywordMatch.score}%` : '—'}</td>
+                  <td className="px-4 py-4 text-slate-600">
+                    {role.status === 'done' && role.aiResult?.score}
+                    {LABELLED_STATUSES.includes(role.status) && (
+                      <span className="flex items-center gap-1 text-xs text-slate-400">
+                        {role.status === 'running' && <RefreshCw size={12} className="animate-spin" />}
+                        {t(`compare.status.${role.status}`)}
+                      </span>
+                    )}
+                    {role.status === 'error' && (
+                      <span className="flex items-center gap-1 text-xs text-rose-600" title={role.error.message}>
+                        <XCircle size={12} /> {localizeError(role.error, t).title}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-4">
+                    <div className="flex flex-wrap gap-1 max-w-[14rem]">
+                      {(role.keywordMatch?.missing || []).slice(0, 5).map(kw => (
+                        <span key={kw.keyword} className="px-2 py-0.5 bg-rose-50 text-rose-600 border border-rose-100 rounded-full text-xs">{kw.keyword}</span>
+                      ))}
+                      {!role.keywordMatch && <span className="text-xs text-slate-400">{t('compare.noKeywords')}</span>}
+                    </div>
+                  </td>
+                  <td className="px-4 py-4 text-xs text-slate-600 max-w-[16rem]">
+                    {role.aiResult?.bulletPoints?.[0]?.improved || <span className="text-slate-300">—</span>}
+                  </td>
+                  <td className="px-4 py-4">
+                    <button
+                      onClick={() => onOpenRole(role)}
+                      disabled={isRunning || role.status !== 'done'}
+                      className="text-xs font-semibold text-indigo-600 hover:underline disabled:text-slate-300 disabled:no-underline flex items-center gap-1 whitespace-nowrap"
+                    >
+                      <FileText size={12} /> {t('compare.fullReport')}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="bg-white rounded-xl border border-slate-200 shadow-sm overflow-hidden">
+          <div className="px-6 py-4 border-b border-slate-100">
+            <h3 className="font-bold text-slate-800">{t('compare.tailorTitle')}</h3>
+          </div>
+          <div className="divide-y divide-slate-100">
+            {ranked.map(role => {
+              const tailoring = tailoringFor(role, shared);
+              return (
+                <div key={role.id} className="p-6 space-y-2">
+                  <p className="font-semibold text-slate-800">{role.title}</p>
+                  {tailoring.keywords.length > 0 ? (
+                    <p className="text-sm text-slate-600">
+                      {t('compare.add', { keywords: tailoring.keywords.map(kw => kw.keyword).join(', ') })}
+                      <span className="text-green-600 font-medium">{t('compare.addGain', { points: tailoring.points })}</span>
+                    </p>
+                  ) : (
+                    <p className="text-sm text-slate-400">{role.keywordMatch ? t('compare.noRoleGaps') : t('compare.needsDetail')}</p>
+                  )}
+                  {tailoring.rewrite && (
+                    <p className="text-sm text-slate-600">
+                      {t('compare.rewrite')} <span className="text-slate-400 line-through">{tailoring.rewrite.original}</span> {t('compare.rewriteAs')}{' '}
+                      <span className="font-medium text-slate-800">{tailoring.rewrite.improved}</span>
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RoleComparison;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { Ruler, ChevronRight, Upload, Download, Trash2 } from 'lucide-react';
+import { RUBRIC_PROFILES, getRubric, suggestRubric } from '../lib/rubrics.js';
+import { selectedRubric, importRubric, removeImportedRubric } from '../lib/rubricSettings.js';
+import { downloadBlob } from '../lib/download.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 📐 RUBRIC PICKER
+// Chooses the scoring profile for the target role, imports custom profiles
+// from JSON and downloads any profile as a starting point for your own.
+// Built-in profiles are shown in the interface language; imported ones
+// keep the copy from their file.
+// ==========================================
+const RubricPicker = ({ settings, onChange, resumeText, jobDesc }) => {
+  const { t } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [importNotes, setImportNotes] = useState({ errors: [], warnings: [] });
+
+  const rubric = selectedRubric(settings);
+  const isImported = !getRubric(rubric.id);
+  // `label`, `description` or `impact` of the selected profile
+  const copy = (field) => {
+    if (!isImported) return t(`rubric.${rubric.id}.${field}`);
+    return field === 'impact' ? rubric.prompt.impact : rubric[field];
+  };
+  const suggested = isOpen && (resumeText.trim() || jobDesc.trim()) ? suggestRubric(resumeText, jobDesc) : null;
+
+  const select = (id) => {
+    setImportNotes({ errors: [], warnings: [] });
+    onChange({ ...settings, selected: id });
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    let input;
+    try {
+      input = JSON.parse(await file.text());
+    } catch {
+      setImportNotes({ errors: [t('rubric.invalidJson', { file: file.name })], warnings: [] });
+      return;
+    }
+    const result = importRubric(settings, input);
+    setImportNotes({ errors: result.errors || [], warnings: result.warnings || [] });
+    if (result.settings) onChange(result.settings);
+  };
+
+  const [formatBefore, formatAfter] = t('rubric.formatInfo', { profiles: Object.keys(RUBRIC_PROFILES).join(', ') }).split('{extends}');
+
+  const handleDownload = () => {
+    const profile = { ...rubric };
+    delete profile.id;
+    downloadBlob(`cv-pulse-rubric-${rubric.id}.json`, JSON.stringify(profile, null, 2), 'application/json');
+  };
+
+  return (
+    <div className="border border-slate-200 rounded-xl">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full px-4 py-3 flex items-center justify-between text-sm text-slate-600 hover:text-slate-900"
+      >
+        <span className="flex items-center gap-2">
+          <Ruler size={16} className="text-indigo-600" />
+          {t('rubric.title')} <span className="font-semibold text-slate-800">{copy('label')}</span>
+        </span>
+        <ChevronRight size={16} className={`transition-transform ${isOpen ? 'rotate-90' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-3 text-sm">
+          <label className="block space-y-1">
+            <span className="block text-xs font-medium text-slate-500">{t('rubric.targetRole')}</span>
+            <select
+              value={rubric.id}
+              onChange={(e) => select(e.target.value)}
+              className="w-full p-2 bg-slate-50 border border-slate-200 rounded-lg"
+            >
+              <optgroup label={t('rubric.builtIn')}>
+                {Object.keys(RUBRIC_PROFILES).map(id => <option key={id} value={id}>{t(`rubric.${id}.label`)}</option>)}
+              </optgroup>
+              {settings.imported.length > 0 && (
+                <optgroup label={t('rubric.imported')}>
+                  {settings.imported.map(profile => <option key={profile.id} value={profile.id}>{profile.label}</option>)}
+                </optgroup>
+              )}
+            </select>
+          </label>
+
+          {rubric.description && <p className="text-slate-500">{copy('description')}</p>}
+
+          {suggested && suggested !== rubric.id && (
+            <p className="text-xs text-slate-500">
+              {t('rubric.suggestion', { profile: t(`rubric.${suggested}.label`) })}{' '}
+              <button onClick={() => select(suggested)} className="font-medium text-indigo-600 hover:underline">
+                {t('rubric.useSuggestion')}
+              </button>
+            </p>
+          )}
+
+          <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs">
+            <dt className="text-slate-400">{t('rubric.strongVerbs')}</dt>
+            <dd className="text-slate-600">{rubric.verbs.strong.slice(0, 6).join(', ')}{rubric.verbs.strong.length > 6 ? t('rubric.moreVerbs', { count: rubric.verbs.strong.length - 6 }) : ''}</dd>
+            <dt className="text-slate-400">{t('rubric.impact')}</dt>
+            <dd className="text-slate-600">{copy('impact')}</dd>
+            <dt className="text-slate-400">{t('rubric.idealSentences')}</dt>
+            <dd className="text-slate-600">{t('rubric.idealRange', { min: rubric.brevity.idealMin, max: rubric.brevity.idealMax })}</dd>
+          </dl>
+
+          <p className="text-xs text-slate-400">{t('rubric.info')}</p>
+
+          <div className="flex flex-wrap gap-3">
+            <label className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:underline cursor-pointer">
+              <input type="file" accept=".json,application/json" className="hidden" onChange={(e) => { handleImport(e.target.files?.[0]); e.target.value = ''; }} />
+              <Upload size={14} /> {t('rubric.import')}
+            </label>
+            <button onClick={handleDownload} className="flex items-center gap-1.5 text-xs font-medium text-indigo-600 hover:underline">
+              <Download size={14} /> {t('rubric.download')}
+            </button>
+            {isImported && (
+              <button
+                onClick={() => {
+                  setImportNotes({ errors: [], warnings: [] });
+                  onChange(removeImportedRubric(settings, rubric.id));
+                }}
+                className="flex items-center gap-1.5 text-xs font-medium text-rose-600 hover:underline"
+              >
+                <Trash2 size={14} /> {t('common.remove')}
+              </button>
+            )}
+          </div>
+
+          {importNotes.errors.length > 0 && (
+            <div className="text-xs text-rose-600 bg-rose-50 border border-rose-100 rounded-lg p-3 space-y-1">
+              <p className="font-medium">{t('rubric.importFailed')}</p>
+              <ul className="list-disc pl-4">{importNotes.errors.map((error, i) => <li key={i}>{error}</li>)}</ul>
+            </div>
+          )}
+          {importNotes.warnings.length > 0 && (
+            <p className="text-xs text-amber-700">{t('rubric.importNotes', { notes: importNotes.warnings.join('; ') })}</p>
+          )}
+          <p className="text-xs text-slate-400">
+            {formatBefore}<code>extends</code>{formatAfter}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RubricPicker;
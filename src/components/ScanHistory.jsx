@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { History, ArrowLeft, FileText, Trash2, Pencil, Check } from 'lucide-react';
+import { listScans, renameScan, deleteScan, scanScores, scanLabel } from '../lib/history.js';
+import { useTranslation } from '../lib/i18nContext.js';
+import ScoreTrendChart from './ScoreTrendChart.jsx';
+
+// ==========================================
+// 🗄️ SCAN HISTORY VIEW
+// Trend chart plus a list of past scans that can be reopened, renamed or
+// deleted. `onOpen(scan)` loads a scan back into the results view.
+// ==========================================
+const formatDate = (timestamp, locale) => new Date(timestamp).toLocaleString(locale, {
+  year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+const ScanHistory = ({ onOpen, onBack }) => {
+  const { t, locale } = useTranslation();
+  const [scans, setScans] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [draftLabel, setDraftLabel] = useState('');
+
+  const refresh = () => listScans()
+    .then(setScans)
+    .catch(error => {
+      setScans([]);
+      setLoadError(error.message);
+    });
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const saveLabel = async (id) => {
+    if (draftLabel.trim()) await renameScan(id, draftLabel.trim());
+    setEditingId(null);
+    refresh();
+  };
+
+  const remove = async (id) => {
+    await deleteScan(id);
+    refresh();
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-50 pb-12">
+      <nav className="bg-white border-b border-slate-200 sticky top-0 z-30">
+        <div className="max-w-6xl mx-auto px-6 h-16 flex justify-between items-center">
+          <div className="flex items-center gap-2 font-bold text-xl text-slate-800">
+            <History className="text-indigo-600" /> {t('history.title')}
+          </div>
+          <button onClick={onBack} className="flex items-center gap-2 text-sm font-medium text-slate-600 hover:text-slate-900">
+            <ArrowLeft size={16} /> {t('common.back')}
+          </button>
+        </div>
+      </nav>
+
+      <div className="max-w-6xl mx-auto px-6 py-8 space-y-8">
+        {loadError && <p className="text-sm text-rose-600">{t('history.unavailable', { message: loadError })}</p>}
+
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-6">
+          <h3 className="font-bold text-slate-800 mb-4">{t('history.trend')}</h3>
+          {scans && <ScoreTrendChart scans={scans} />}
+        </div>
+
+        <div className="bg-white rounded-2xl border border-slate-200 shadow-sm overflow-hidden">
+          <div className="p-6 border-b border-slate-100">
+            <h3 className="font-bold text-slate-800">{t('history.past')}</h3>
+            <p className="text-xs text-slate-400 mt-1">{t('history.localOnly')}</p>
+          </div>
+          {scans?.length === 0 && (
+            <p className="p-6 text-sm text-slate-400">{t('history.empty')}</p>
+          )}
+          <div className="divide-y divide-slate-100">
+            {[...(scans || [])].reverse().map(scan => {
+              const scores = scanScores(scan);
+              return (
+                <div key={scan.id} className="p-6 flex flex-col md:flex-row md:items-center gap-4">
+                  <div className="flex-1 min-w-0">
+                    {editingId === scan.id ? (
+                      <div className="flex items-center gap-2">
+                        <input
+                          value={draftLabel}
+                          onChange={(e) => setDraftLabel(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && saveLabel(scan.id)}
+                          className="p-1.5 text-sm bg-slate-50 border border-slate-200 rounded-lg"
+                          autoFocus
+                        />
+                        <button onClick={() => saveLabel(scan.id)} className="text-green-600" title={t('common.save')}><Check size={16} /></button>
+                      </div>
+                    ) : (
+                      <p className="font-semibold text-slate-800 flex items-center gap-2">
+                        {scanLabel(scan, t)}
+                        <button
+                          onClick={() => { setEditingId(scan.id); setDraftLabel(scanLabel(scan, t)); }}
+                          className="text-slate-300 hover:text-slate-600"
+                          title={t('history.rename')}
+                        >
+                          <Pencil size={12} />
+                        </button>
+                      </p>
+                    )}
+                    <p className="text-xs text-slate-400 mt-1">
+                      {formatDate(scan.createdAt, locale)}
+                      {scan.jobDesc && <> · {t('history.versus')} &ldquo;{scan.jobDesc.slice(0, 60).trim()}{scan.jobDesc.length > 60 ? '…' : ''}&rdquo;</>}
+                      {scan.aiResult?.isOffline && ` · ${t('history.offline')}`}
+                    </p>
+                  </div>
+                  <div className="flex gap-4 text-xs text-slate-500">
+                    {['overall', 'impact', 'verbs', 'brevity'].map(key => (
+                      <span key={key}>{t(`history.score.${key}`)} <strong className="text-slate-800">{scores[key] ?? '—'}</strong></span>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => onOpen(scan)}
+                      className="px-3 py-1.5 text-xs font-semibold bg-slate-900 text-white rounded-lg flex items-center gap-1 hover:bg-slate-800"
+                    >
+                      <FileText size={12} /> {t('history.open')}
+                    </button>
+                    <button onClick={() => remove(scan.id)} className="p-1.5 text-slate-300 hover:text-rose-600" title={t('history.delete')}>
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScanHistory;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { scanScores, scanLabel } from '../lib/history.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 📈 SCORE TREND CHART
+// Plain SVG line chart of the overall score and the stats sub-scores, one
+// point per scan. Series can be toggled from the legend; their names are
+// `trend.<key>`.
+// ==========================================
+const SERIES = [
+  { key: 'overall', stroke: '#4f46e5' },
+  { key: 'impact', stroke: '#10b981' },
+  { key: 'verbs', stroke: '#3b82f6' },
+  { key: 'brevity', stroke: '#a855f7' },
+];
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PAD = { top: 12, right: 16, bottom: 24, left: 32 };
+
+const ScoreTrendChart = ({ scans }) => {
+  const { t } = useTranslation();
+  const [hidden, setHidden] = useState([]);
+
+  if (scans.length < 2) {
+    return <p className="text-sm text-slate-400 text-center py-8">{t('trend.tooFew')}</p>;
+  }
+
+  const x = (i) => PAD.left + (i / (scans.length - 1)) * (WIDTH - PAD.left - PAD.right);
+  const y = (score) => PAD.top + (1 - score / 100) * (HEIGHT - PAD.top - PAD.bottom);
+  const points = scans.map(scanScores);
+
+  // Gaps (scans without an overall score) break the line
+  const pathFor = (key) => points.reduce((path, p, i) => {
+    if (p[key] === null) return path;
+    const move = i === 0 || points[i - 1][key] === null ? 'M' : 'L';
+    return `${path} ${move}${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`;
+  }, '').trim();
+
+  const toggle = (key) => setHidden(current => (current.includes(key) ? current.filter(k => k !== key) : [...current, key]));
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={t('trend.aria')}>
+        {[0, 25, 50, 75, 100].map(tick => (
+          <g key={tick}>
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(tick)} y2={y(tick)} stroke="#e2e8f0" strokeDasharray={tick ? '4 4' : undefined} />
+            <text x={PAD.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#94a3b8">{tick}</text>
+          </g>
+        ))}
+        {scans.map((scan, i) => (
+          <text key={scan.id} x={x(i)} y={HEIGHT - 6} textAnchor="middle" fontSize="10" fill="#94a3b8">{i + 1}</text>
+        ))}
+        {SERIES.filter(series => !hidden.includes(series.key)).map(series => (
+          <g key={series.key}>
+            <path d={pathFor(series.key)} fill="none" stroke={series.stroke} strokeWidth="2" strokeLinejoin="round" />
+            {points.map((p, i) => p[series.key] !== null && (
+              <circle key={i} cx={x(i)} cy={y(p[series.key])} r="3" fill={series.stroke}>
+                <title>{`${scanLabel(scans[i], t)}: ${t(`trend.${series.key}`)} ${p[series.key]}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="flex flex-wrap justify-center gap-4 mt-2">
+        {SERIES.map(series => (
+          <button
+            key={series.key}
+            onClick={() => toggle(series.key)}
+            className={`flex items-center gap-1.5 text-xs font-medium ${hidden.includes(series.key) ? 'text-slate-300' : 'text-slate-600'}`}
+          >
+            <span className="w-3 h-0.5 rounded" style={{ backgroundColor: series.stroke }}></span>
+            {t(`trend.${series.key}`)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ScoreTrendChart;
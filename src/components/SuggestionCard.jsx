@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { XCircle, CheckCircle, Lock, Check, Pencil, X, Undo2 } from 'lucide-react';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// ✍️ SUGGESTION CARD
+// One AI rewrite with Accept / Edit / Reject. `decision` is
+// { status: 'accepted' | 'rejected', text?, error? } or undefined while pending.
+// ==========================================
+const SuggestionCard = ({ item, locked, decision, onAccept, onReject, onUndo, onUnlock }) => {
+  const { t } = useTranslation();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(item.improved);
+
+  const status = decision?.status;
+  const shownText = decision?.text || item.improved;
+
+  const saveEdit = () => {
+    if (!draft.trim()) return;
+    setIsEditing(false);
+    onAccept(draft.trim());
+  };
+
+  return (
+    <div className={`p-6 transition-colors ${status === 'rejected' ? 'opacity-50' : 'hover:bg-slate-50'}`}>
+      <div className="flex gap-4">
+        <div className="mt-1">
+          {status === 'accepted'
+            ? <CheckCircle className="text-green-500" size={20} />
+            : <XCircle className="text-rose-400" size={20} />}
+        </div>
+        <div className="flex-1">
+          <p className={`text-slate-500 text-sm mb-2 ${status === 'rejected' ? '' : 'line-through'}`}>{item.original}</p>
+          <div className="flex gap-3">
+            <div className="mt-1"><CheckCircle className="text-green-500" size={16} /></div>
+            <div className="flex-1">
+              {isEditing ? (
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  rows={3}
+                  className="w-full p-2 text-sm bg-white border border-slate-200 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                />
+              ) : (
+                <p className={`text-slate-800 font-medium text-sm ${status === 'rejected' ? 'line-through' : ''} ${locked ? 'blur-sm select-none' : ''}`}>
+                  {shownText}
+                </p>
+              )}
+              {locked ? (
+                <div className="mt-2">
+                  <button
+                    onClick={onUnlock}
+                    className="text-xs font-bold text-indigo-600 hover:underline flex items-center gap-1"
+                  >
+                    <Lock size={10} /> {t('suggestion.unlock')}
+                  </button>
+                </div>
+              ) : (
+                <div className="mt-3 flex flex-wrap items-center gap-2 text-xs font-semibold">
+                  {isEditing ? (
+                    <>
+                      <button onClick={saveEdit} className="px-2.5 py-1 bg-slate-900 text-white rounded-lg flex items-center gap-1">
+                        <Check size={12} /> {t('suggestion.apply')}
+                      </button>
+                      <button onClick={() => { setIsEditing(false); setDraft(shownText); }} className="px-2.5 py-1 text-slate-500 hover:text-slate-800">
+                        {t('common.cancel')}
+                      </button>
+                    </>
+                  ) : status ? (
+                    <>
+                      <span className={status === 'accepted' ? 'text-green-600' : 'text-slate-400'}>
+                        {status === 'accepted' ? t('suggestion.applied') : t('suggestion.rejected')}
+                      </span>
+                      <button onClick={onUndo} className="px-2 py-1 text-slate-500 hover:text-slate-800 flex items-center gap-1">
+                        <Undo2 size={12} /> {t('suggestion.undo')}
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button onClick={() => onAccept(item.improved)} className="px-2.5 py-1 bg-green-50 text-green-700 border border-green-100 rounded-lg hover:bg-green-100 flex items-center gap-1">
+                        <Check size={12} /> {t('suggestion.accept')}
+                      </button>
+                      <button onClick={() => { setDraft(shownText); setIsEditing(true); }} className="px-2.5 py-1 bg-slate-50 text-slate-600 border border-slate-200 rounded-lg hover:bg-slate-100 flex items-center gap-1">
+                        <Pencil size={12} /> {t('suggestion.edit')}
+                      </button>
+                      <button onClick={onReject} className="px-2.5 py-1 text-slate-400 hover:text-rose-600 flex items-center gap-1">
+                        <X size={12} /> {t('suggestion.reject')}
+                      </button>
+                    </>
+                  )}
+                  {decision?.error && <span className="text-rose-600 font-normal">{decision.error}</span>}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SuggestionCard;
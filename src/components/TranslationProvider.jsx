@@ -0,0 +1,28 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { TranslationContext } from '../lib/i18nContext.js';
+import { createTranslator, loadUiLanguage, saveUiLanguage } from '../lib/i18n.js';
+
+// ==========================================
+// 🌐 TRANSLATION PROVIDER
+// Holds the interface language for the whole app and remembers the choice.
+// ==========================================
+const TranslationProvider = ({ children }) => {
+  const [locale, setLocale] = useState(loadUiLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => ({
+    locale,
+    t: createTranslator(locale),
+    setLocale: (next) => {
+      setLocale(next);
+      saveUiLanguage(next);
+    },
+  }), [locale]);
+
+  return <TranslationContext value={value}>{children}</TranslationContext>;
+};
+
+export default TranslationProvider;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Award, CheckCircle, RefreshCw } from 'lucide-react';
+import { FEATURES, PLANS, QUOTAS, quotaLimit } from '../lib/entitlements.js';
+import { startCheckout } from '../lib/billing.js';
+import { useTranslation } from '../lib/i18nContext.js';
+
+// ==========================================
+// 🏆 UPGRADE MODAL
+// Lists what Pro unlocks straight from the entitlement map and sends the
+// user to the payment provider's checkout. The plan only changes once the
+// provider confirms the payment to the server.
+// ==========================================
+const UpgradeModal = ({ billing, session, onSignIn, onClose }) => {
+  const { t } = useTranslation();
+  const [isRedirecting, setIsRedirecting] = useState(false);
+  const [error, setError] = useState('');
+
+  const perks = [
+    ...Object.entries(FEATURES).filter(([, feature]) => feature.plans.includes('pro')).map(([id]) => t(`feature.${id}`)),
+    ...Object.entries(QUOTAS).map(([id, quota]) => t(`upgrade.unlimited.${quota.period}`, { quota: t(`quota.${id}.label`), limit: quotaLimit('free', id) })),
+  ];
+
+  const checkout = async () => {
+    setIsRedirecting(true);
+    setError('');
+    try {
+      window.location.assign(await startCheckout(session.token, 'pro'));
+    } catch (err) {
+      setError(err.message);
+      setIsRedirecting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm p-4">
+      <div className="bg-white rounded-2xl max-w-md w-full overflow-hidden shadow-2xl animate-in fade-in zoom-in duration-300">
+        <div className="bg-indigo-600 p-6 text-center">
+          <Award className="w-12 h-12 text-yellow-300 mx-auto mb-3" />
+          <h3 className="text-2xl font-bold text-white">{t('upgrade.title')}</h3>
+          <p className="text-indigo-100 text-sm mt-1">{t('upgrade.subtitle')}</p>
+        </div>
+        <div className="p-6 space-y-4">
+          <div className="space-y-3">
+            {perks.map((perk, i) => (
+              <div key={i} className="flex items-center gap-3 text-slate-700">
+                <CheckCircle size={18} className="text-green-500 flex-shrink-0" />
+                <span className="text-sm font-medium">{perk}</span>
+              </div>
+            ))}
+          </div>
+          {!billing?.enabled ? (
+            <p className="text-sm text-slate-500 text-center bg-slate-50 rounded-lg p-3">{t('upgrade.unavailable')}</p>
+          ) : !session ? (
+            <button
+              onClick={onSignIn}
+              className="w-full py-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg shadow-lg hover:shadow-indigo-500/30 transition-all"
+            >
+              {t('upgrade.signIn')}
+            </button>
+          ) : (
+            <button
+              onClick={checkout}
+              disabled={isRedirecting}
+              className="w-full py-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg shadow-lg hover:shadow-indigo-500/30 transition-all disabled:opacity-70 flex items-center justify-center gap-2"
+            >
+              {isRedirecting && <RefreshCw size={16} className="animate-spin" />}
+              {isRedirecting ? t('upgrade.redirecting') : t('upgrade.unlock', { price: PLANS.pro.price })}
+            </button>
+          )}
+          {billing?.adapter === 'fake' && session && (
+            <p className="text-xs text-slate-400 text-center">{t('upgrade.testPayments')}</p>
+          )}
+          {error && <p className="text-sm text-rose-600 text-center">{error}</p>}
+          <button
+            onClick={onClose}
+            className="w-full py-2 text-slate-400 text-sm hover:text-slate-600"
+          >
+            {t('upgrade.later')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UpgradeModal;
@@ -0,0 +1,178 @@
+// ==========================================
+// 📐 ANALYSIS RESULT SCHEMA
+// Shared by the server (to validate model output before returning it) and
+// the client (to never render a malformed result).
+// ==========================================
+
+// Response schema in the subset understood by Gemini's structured output
+// mode (and by OpenAI-style JSON schema).
+export const ANALYSIS_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer', description: "Overall quality from 0 to 100" },
+    summary: { type: 'string', description: "Max 2 sentences, brutally honest" },
+    bulletPoints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          original: { type: 'string' },
+          improved: { type: 'string' },
+        },
+        required: ['original', 'improved'],
+      },
+    },
+    missingKeywords: { type: 'array', items: { type: 'string' } },
+    softSkills: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['score', 'summary', 'bulletPoints', 'missingKeywords', 'softSkills'],
+};
+
+const toStringList = (value) => (Array.isArray(value) ? value : [])
+  .map(item => (typeof item === 'string' ? item.trim() : ''))
+  .filter(Boolean);
+
+// Validate and coerce a parsed object into the result shape. Fixable issues
+// (a score sent as "72", stray whitespace, a bullet missing its rewrite) are
+// repaired and reported as warnings; missing core fields are errors.
+export const validateAnalysis = (input) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ["Response is not a JSON object"], warnings, value: null };
+  }
+
+  let score = typeof input.score === 'string' ? parseFloat(input.score) : input.score;
+  if (typeof score !== 'number' || Number.isNaN(score)) {
+    errors.push("score must be a number between 0 and 100");
+    score = null;
+  } else if (score < 0 || score > 100 || !Number.isInteger(score)) {
+    warnings.push(`score ${score} was clamped to 0-100`);
+    score = Math.round(Math.min(100, Math.max(0, score)));
+  }
+
+  const summary = typeof input.summary === 'string' ? input.summary.trim() : '';
+  if (!summary) errors.push("summary must be a non-empty string");
+
+  if (!Array.isArray(input.bulletPoints)) {
+    errors.push("bulletPoints must be an array");
+  }
+  const bulletPoints = (Array.isArray(input.bulletPoints) ? input.bulletPoints : [])
+    .filter(item => {
+      const ok = item && typeof item.original === 'string' && typeof item.improved === 'string' &&
+        item.original.trim() && item.improved.trim();
+      if (!ok) warnings.push("dropped an incomplete bullet point");
+      return ok;
+    })
+    .map(item => ({ original: item.original.trim(), improved: item.improved.trim() }));
+
+  if (!Array.isArray(input.missingKeywords)) warnings.push("missingKeywords was missing");
+  if (!Array.isArray(input.softSkills)) warnings.push("softSkills was missing");
+
+  const value = {
+    score,
+    summary,
+    bulletPoints,
+    missingKeywords: toStringList(input.missingKeywords),
+    softSkills: toStringList(input.softSkills),
+  };
+
+  return { valid: errors.length === 0, errors, warnings, value: errors.length === 0 ? value : null };
+};
+
+// Close whatever a truncated JSON document left open: an unterminated
+// string, a dangling key or comma, and any open objects or arrays.
+const closeTruncatedJson = (text) => {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    }
+  }
+
+  let repaired = text;
+  if (inString) repaired += '"';
+  repaired = repaired
+    .replace(/,\s*"[^"]*"\s*:\s*"?[^"{}[\]]*$/, '')
+    .replace(/,\s*"[^"]*"\s*:?\s*$/, '')
+    .replace(/([{[])\s*"[^"]*"\s*:\s*$/, '$1')
+    .replace(/,\s*$/, '');
+
+  return repaired + stack.reverse().join('');
+};
+
+// Parse a model reply into an object, repairing common damage: code fences,
+// prose around the JSON, trailing commas and output cut off mid-way.
+// Returns { data, repaired } or throws if nothing usable can be recovered.
+export const parseModelJson = (textResponse) => {
+  const cleaned = (textResponse || '').replace(/```json|```/g, '').trim();
+  const start = cleaned.indexOf('{');
+  if (start === -1) throw new Error("Model response contained no JSON object");
+
+  const end = cleaned.lastIndexOf('}');
+  const candidate = end > start ? cleaned.slice(start, end + 1) : cleaned.slice(start);
+
+  try {
+    return { data: JSON.parse(candidate), repaired: false };
+  } catch {
+    // fall through to repair
+  }
+
+  const withoutTrailingCommas = (json) => json.replace(/,\s*([}\]])/g, '$1');
+
+  try {
+    return { data: JSON.parse(withoutTrailingCommas(candidate)), repaired: true };
+  } catch {
+    // fall through to truncation repair
+  }
+
+  // Try the full tail (covers truncation) before the bracket-trimmed candidate
+  const attempts = [cleaned.slice(start), candidate];
+  for (const attempt of attempts) {
+    let text = attempt;
+    // Back off one element at a time until the closed-up document parses
+    for (let i = 0; i < 20 && text.length > 1; i++) {
+      try {
+        return { data: JSON.parse(withoutTrailingCommas(closeTruncatedJson(text))), repaired: true };
+      } catch {
+        const cut = Math.max(text.lastIndexOf(','), text.lastIndexOf('{', text.length - 2), text.lastIndexOf('[', text.length - 2));
+        if (cut <= 0) break;
+        text = text.slice(0, cut);
+      }
+    }
+  }
+
+  throw new Error("Model response was not valid JSON and could not be repaired");
+};
+
+// Best-effort view of an incomplete result while it is still streaming in.
+// Only fields that already have usable values are included.
+export const toPartialAnalysis = (input) => {
+  if (!input || typeof input !== 'object') return {};
+  const partial = {};
+
+  const score = typeof input.score === 'string' ? parseFloat(input.score) : input.score;
+  if (typeof score === 'number' && !Number.isNaN(score)) partial.score = Math.round(Math.min(100, Math.max(0, score)));
+  if (typeof input.summary === 'string' && input.summary.trim()) partial.summary = input.summary.trim();
+  if (Array.isArray(input.bulletPoints)) {
+    partial.bulletPoints = input.bulletPoints
+      .filter(item => item && typeof item.original === 'string' && typeof item.improved === 'string' && item.improved.trim())
+      .map(item => ({ original: item.original.trim(), improved: item.improved.trim() }));
+  }
+  if (Array.isArray(input.missingKeywords)) partial.missingKeywords = toStringList(input.missingKeywords);
+  if (Array.isArray(input.softSkills)) partial.softSkills = toStringList(input.softSkills);
+
+  return partial;
+};
@@ -0,0 +1,161 @@
+// ==========================================
+// 📡 BACKEND CLIENT
+// The browser never talks to the model directly; it only calls our /api
+// routes, which hold the API key server-side.
+// ==========================================
+import { validateAnalysis } from './analysisSchema.js';
+import { validatePersonaReview } from './personas.js';
+import { validateDocument, validateParagraph } from './generate/documents.js';
+import { createAnalysisError, codeForStatus } from './errors.js';
+import { rubricForRequest } from './rubrics.js';
+
+const parseResponse = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const status = response.status;
+    throw createAnalysisError(data.code || codeForStatus(status), data.error || `Request failed with status ${status}`, {
+      status,
+      retryable: data.retryable ?? (status === 429 || status >= 500),
+      details: data.details,
+    });
+  }
+  return data;
+};
+
+// fetch only rejects when the request never got a response; aborts are
+// passed through untouched so the caller can tell cancel from failure.
+// The session token, when signed in, counts usage against the account's plan.
+const post = async (path, body, { signal, token }) => {
+  try {
+    return await fetch(path, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    throw createAnalysisError('network', "Could not reach the analysis server.", { retryable: true });
+  }
+};
+
+// Never trust the wire: re-check the shape before the UI renders it
+const validated = (result) => {
+  const { valid, errors, value } = validateAnalysis(result);
+  if (!valid) {
+    throw createAnalysisError('invalid_response', "The AI returned a response we could not understand.", { details: errors });
+  }
+  return value;
+};
+
+// Rewrites the plan held back are counted next to the result, never inside
+// it (so the model cannot set it); the UI reads the count off the result
+const withLockedRewrites = (value, lockedRewrites) => (lockedRewrites > 0 ? { ...value, lockedRewrites } : value);
+
+// Built-in scoring profiles travel as their id, imported ones in full
+const rubricField = (rubric) => (rubric ? { rubric: rubricForRequest(rubric) } : {});
+
+// `provider` is { id, model, temperature, maxTokens } from the model picker;
+// `rubric` is the scoring profile the local stats used (see rubrics.js) and
+// `language` the resume's language; the server detects it when omitted
+export const requestAnalysis = async (text, jobDesc, provider, { signal, token, rubric, language } = {}) => {
+  const response = await post('/api/analyze', { text, jobDesc, provider, language, ...rubricField(rubric) }, { signal, token });
+  const { result, lockedRewrites } = await parseResponse(response);
+  return withLockedRewrites(validated(result), lockedRewrites);
+};
+
+// One recruiter persona's review ({ verdict, score, headline, strengths,
+// concerns }). Pro only: the server checks the plan behind `token`.
+export const requestPersonaReview = async (text, jobDesc, persona, provider, { signal, token, language } = {}) => {
+  const response = await post('/api/persona', { text, jobDesc, persona, provider, language }, { signal, token });
+  const { result } = await parseResponse(response);
+  const { valid, errors, value } = validatePersonaReview(result);
+  if (!valid) {
+    throw createAnalysisError('invalid_response', "The AI returned a review we could not understand.", { details: errors });
+  }
+  return value;
+};
+
+// A cover letter or LinkedIn profile. `brief` is { type, tone, length,
+// missingKeywords, softSkills } (see generate/documents.js).
+export const requestDocument = async (text, jobDesc, brief, provider, { signal, token, language } = {}) => {
+  const response = await post('/api/generate', { text, jobDesc, ...brief, provider, language }, { signal, token });
+  const { result } = await parseResponse(response);
+  const { valid, errors, value } = validateDocument(result, brief.type, brief.tone);
+  if (!valid) {
+    throw createAnalysisError('invalid_response', "The AI returned a document we could not understand.", { details: errors });
+  }
+  return value;
+};
+
+// A new version of paragraph `index` of `paragraphs`; resolves to its text
+export const requestParagraph = async (text, jobDesc, brief, { paragraphs, index }, provider, { signal, token, language } = {}) => {
+  const response = await post('/api/generate', { text, jobDesc, ...brief, paragraphs, index, provider, language }, { signal, token });
+  const { result } = await parseResponse(response);
+  const { valid, errors, value } = validateParagraph({ paragraph: result });
+  if (!valid) {
+    throw createAnalysisError('invalid_response', "The AI returned a paragraph we could not understand.", { details: errors });
+  }
+  return value;
+};
+
+// Resolves to { configured, providers, defaultProvider, auth, billing }. With `ping`, the
+// server also round-trips a tiny prompt and adds { ping: { ok, reply | error } }.
+export const checkApiHealth = async ({ ping = false, provider, model } = {}) => {
+  const params = new URLSearchParams();
+  if (ping) params.set('ping', '1');
+  if (provider) params.set('provider', provider);
+  if (model) params.set('model', model);
+  const query = params.toString();
+  const response = await fetch(query ? `/api/health?${query}` : '/api/health');
+  return parseResponse(response);
+};
+
+const streamError = (event) => createAnalysisError(event.code || 'unknown', event.error || "The analysis failed.", {
+  retryable: Boolean(event.retryable),
+  details: event.details,
+});
+
+// Same as requestAnalysis, but the server streams newline-delimited JSON
+// events. `onPartial` receives each best-effort partial result; the promise
+// resolves with the final validated result.
+export const streamAnalysis = async (text, jobDesc, provider, { onPartial, signal, token, rubric, language }) => {
+  const response = await post('/api/analyze', { text, jobDesc, provider, language, ...rubricField(rubric), stream: true }, { signal, token });
+  if (!response.ok) await parseResponse(response);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let final = null;
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const event = JSON.parse(line);
+    if (event.type === 'partial') onPartial(withLockedRewrites(event.result, event.lockedRewrites));
+    else if (event.type === 'error') throw streamError(event);
+    else if (event.type === 'result') final = event;
+  };
+
+  for (;;) {
+    let chunk;
+    try {
+      chunk = await reader.read();
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw createAnalysisError('network', "The connection dropped while the analysis was streaming.", { retryable: true });
+    }
+    const { done, value } = chunk;
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+
+  if (!final) throw streamError({ error: "The analysis stream ended before a result arrived.", code: 'incomplete_stream', retryable: true });
+  return withLockedRewrites(validated(final.result), final.lockedRewrites);
+};
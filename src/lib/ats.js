@@ -0,0 +1,198 @@
+// ==========================================
+// 🤖 ATS READABILITY & STRUCTURE ANALYZER
+// Deterministic checks for the things applicant tracking systems trip on.
+// Every score starts at 100 and each problem found is an itemized deduction,
+// so the UI can show exactly why a bar is not full. Deduction labels and
+// details are written in the interface language (see i18n.js).
+// ==========================================
+import { textToBlocks, blocksToSections } from './import/sections.js';
+import { splitPages } from './import/normalize.js';
+import { DEFAULT_UI_LANGUAGE, createTranslator } from './i18n.js';
+
+export const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/;
+export const PHONE_PATTERN = /(?:\+?\d[\d\s().-]{7,}\d)/g;
+// Links with a scheme or www., a domain followed by a path
+// ("linkedin.com/in/jsmith") or a bare domain on a common TLD
+export const URL_PATTERN = /\b(?:https?:\/\/\S+|www\.\S+|[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\/\S*|[\w-]+(?:\.[\w-]+)*\.(?:com|org|net|io|dev|me|ai|app|co|edu|gov)\b)/gi;
+const LINKEDIN_PATTERN = /linkedin\.com\/(in|pub)\/|\blinkedin\b/i;
+
+// Sections an ATS expects, with the penalty for leaving each one out.
+const REQUIRED_SECTIONS = [
+  { key: 'experience', points: 20 },
+  { key: 'education', points: 12 },
+  { key: 'skills', points: 12 },
+  { key: 'summary', points: 6 },
+];
+
+const MONTHS_SHORT = 'Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec';
+const MONTHS_LONG = 'January|February|March|April|June|July|August|September|October|November|December';
+
+// "May" is both the short and long form, so it is left out of both patterns.
+const DATE_FORMATS = [
+  { id: 'month-long', example: "January 2020", pattern: new RegExp(`\\b(${MONTHS_LONG})\\s+\\d{4}\\b`, 'g') },
+  { id: 'month-short', example: "Jan 2020", pattern: new RegExp(`\\b(${MONTHS_SHORT})\\.?\\s+'?\\d{2,4}\\b`, 'g') },
+  { id: 'numeric-slash', example: "01/2020", pattern: /\b(0?[1-9]|1[0-2])\/(19|20)\d{2}\b/g },
+  { id: 'numeric-iso', example: "2020-01", pattern: /\b(19|20)\d{2}-(0[1-9]|1[0-2])\b/g },
+  { id: 'numeric-dot', example: "01.2020", pattern: /\b(0[1-9]|1[0-2])\.(19|20)\d{2}\b/g },
+];
+const YEAR_RANGE_PATTERN = /\b(19|20)\d{2}\s*(-|–|—|to)\s*((19|20)\d{2}|present|current|now)\b/gi;
+
+// Glyphs that commonly come out as garbage after parsing: emoji, icon fonts,
+// box drawing, arrows, dingbats, PDF ligatures and the replacement character.
+const ODD_GLYPH_PATTERN = /[\p{Extended_Pictographic}\uE000-\uF8FF\u2500-\u259F\u25A0-\u25FF\u2190-\u21FF\u2700-\u27BF\uFB00-\uFB06\uFFFD]/gu;
+const ALLOWED_GLYPHS = new Set(['•', '©', '®', '™']);
+
+const BULLET_MARKER_PATTERN = /^\s*([•●○◦▪■□‣∙⁃➢➤►▶✓✔❖]|[-*–—+>](?=\s))/;
+
+const PAGE_NUMBER_PATTERN = /^(page\s*)?\d+\s*(of|\/)\s*\d+$|^page\s+\d+$/i;
+// "Resume - Jane Doe", "Jane Doe | CV", "Jane Doe · Page 2 of 3"
+const RUNNING_HEADER_PATTERN = /^(?:resume|résumé|cv|curriculum vitae)\s*[-–—|•·:]\s*\S|\S\s*[-–—|•·]\s*(?:resume|résumé|cv|curriculum vitae|page\s+\d+(?:\s*(?:of|\/)\s*\d+)?)$/i;
+
+// Lines at the top and bottom of each page that a running header or
+// footer could occupy
+const PAGE_EDGE_LINES = 2;
+
+const scoreFrom = (deductions) => Math.max(0, 100 - deductions.reduce((sum, d) => sum + d.points, 0));
+
+// Filters PHONE_PATTERN matches down to plausible phone numbers
+export const isLikelyPhone = (match) => {
+  const digits = match.replace(/\D/g, '');
+  // Skip year ranges such as "2019 - 2021" that look like phone numbers
+  return digits.length >= 9 && digits.length <= 15 && !/^(19|20)\d{2}\s*[-–]\s*(19|20)\d{2}$/.test(match.trim());
+};
+
+export const findContactDetails = (text) => {
+  const phones = (text.match(PHONE_PATTERN) || []).filter(isLikelyPhone);
+  return {
+    email: (text.match(EMAIL_PATTERN) || [null])[0],
+    phone: phones[0] || null,
+    linkedin: LINKEDIN_PATTERN.test(text),
+  };
+};
+
+export const findDateFormats = (text) => {
+  let remaining = text;
+  const used = [];
+  DATE_FORMATS.forEach(format => {
+    const matches = remaining.match(format.pattern) || [];
+    if (matches.length) {
+      used.push({ id: format.id, example: format.example, count: matches.length });
+      remaining = remaining.replace(format.pattern, ' ');
+    }
+  });
+  const yearOnly = remaining.match(YEAR_RANGE_PATTERN) || [];
+  if (yearOnly.length) used.push({ id: 'year-only', example: "2019 - 2021", count: yearOnly.length });
+  return used;
+};
+
+export const findBulletMarkers = (text) => {
+  const counts = {};
+  text.split('\n').forEach(line => {
+    const match = line.match(BULLET_MARKER_PATTERN);
+    if (match) counts[match[1]] = (counts[match[1]] || 0) + 1;
+  });
+  return counts;
+};
+
+const findOddGlyphs = (text) => {
+  const found = new Set();
+  (text.match(ODD_GLYPH_PATTERN) || []).forEach(glyph => {
+    if (!ALLOWED_GLYPHS.has(glyph)) found.add(glyph);
+  });
+  return Array.from(found);
+};
+
+const findTableLines = (text) => text.split('\n').filter(line =>
+  (line.match(/\|/g) || []).length >= 2 ||
+  (line.match(/\t/g) || []).length >= 2 ||
+  /\S {4,}\S.* {4,}\S/.test(line)
+);
+
+// Running headers and footers: page numbers, "Resume - Jane Doe" style
+// lines, or the same line at the top or bottom of more than one page. A line
+// repeated elsewhere (the same job title at two employers) is not one.
+// Page boundaries are only known for imported PDFs (`pageBreaks`, see
+// joinPages in import/normalize.js).
+const findHeaderFooterLines = (text, pageBreaks) => {
+  const flagged = new Set();
+  const pages = splitPages(text, pageBreaks).map(page => page.split('\n').map(line => line.trim()).filter(Boolean));
+  pages.flat().forEach(line => {
+    if (PAGE_NUMBER_PATTERN.test(line) || RUNNING_HEADER_PATTERN.test(line)) flagged.add(line);
+  });
+
+  const pagesWithLine = {};
+  pages.forEach(lines => {
+    const edges = new Set([...lines.slice(0, PAGE_EDGE_LINES), ...lines.slice(-PAGE_EDGE_LINES)]);
+    edges.forEach(line => {
+      if (!BULLET_MARKER_PATTERN.test(line)) pagesWithLine[line] = (pagesWithLine[line] || 0) + 1;
+    });
+  });
+  Object.entries(pagesWithLine).forEach(([line, count]) => {
+    if (count >= 2) flagged.add(line);
+  });
+  return Array.from(flagged);
+};
+
+// `t` is the translator for the interface language (English by default);
+// `pageBreaks` are the importer's page offsets, when it has them
+export const analyzeAts = (text, sections = blocksToSections(textToBlocks(text || '')), { t = createTranslator(DEFAULT_UI_LANGUAGE), pageBreaks } = {}) => {
+  if (!text) return null;
+
+  const deduct = (deductions, id, points, vars) => {
+    deductions.push({ label: t(`ats.${id}.label`, vars), points, detail: t(`ats.${id}.detail`, vars) });
+  };
+
+  const words = text.split(/\s+/).filter(w => w.length > 0);
+  const contact = findContactDetails(text);
+  const foundSections = new Set(sections.map(section => section.key));
+  const dateFormats = findDateFormats(text);
+  const bulletMarkers = findBulletMarkers(text);
+  const oddGlyphs = findOddGlyphs(text);
+  const tableLines = findTableLines(text);
+  const headerFooterLines = findHeaderFooterLines(text, pageBreaks);
+
+  // --- ATS Readability: can a parser pull the data out at all? ---
+  const readability = [];
+  if (!contact.email) deduct(readability, 'noEmail', 15);
+  if (!contact.phone) deduct(readability, 'noPhone', 10);
+  if (!contact.linkedin) deduct(readability, 'noLinkedin', 5);
+  if (tableLines.length >= 2) deduct(readability, 'table', 12, { count: tableLines.length });
+  if (oddGlyphs.length) deduct(readability, 'glyphs', Math.min(15, oddGlyphs.length * 3), { glyphs: oddGlyphs.join(' ') });
+  if (headerFooterLines.length) deduct(readability, 'headerFooter', 8, { line: headerFooterLines[0] });
+  if (words.length < 150) {
+    deduct(readability, 'short', 10, { count: words.length });
+  } else if (words.length > 1200) {
+    deduct(readability, 'long', 5, { count: words.length });
+  }
+
+  // --- Structure & Formatting: is the document organised the standard way? ---
+  const structure = [];
+  const hasContactBlock = foundSections.has('contact') || contact.email || contact.phone;
+  if (!hasContactBlock) deduct(structure, 'noContact', 10);
+  REQUIRED_SECTIONS.forEach(section => {
+    if (!foundSections.has(section.key)) deduct(structure, 'missingSection', section.points, { section: t(`ats.section.${section.key}`) });
+  });
+  if (dateFormats.length > 1) {
+    deduct(structure, 'dates', Math.min(15, (dateFormats.length - 1) * 5),
+      { formats: dateFormats.map(f => `${f.example} (${f.count}×)`).join(', ') });
+  }
+  const markers = Object.keys(bulletMarkers);
+  if (markers.length > 1) {
+    deduct(structure, 'markers', Math.min(10, (markers.length - 1) * 5),
+      { markers: markers.map(m => `"${m}" (${bulletMarkers[m]}×)`).join(', ') });
+  } else if (markers.length === 0 && foundSections.has('experience')) {
+    deduct(structure, 'noBullets', 10);
+  }
+
+  return {
+    readability: { score: scoreFrom(readability), deductions: readability },
+    structure: { score: scoreFrom(structure), deductions: structure },
+    contact,
+    sections: {
+      found: REQUIRED_SECTIONS.filter(s => foundSections.has(s.key)).map(s => s.key),
+      missing: REQUIRED_SECTIONS.filter(s => !foundSections.has(s.key)).map(s => s.key),
+    },
+    dateFormats,
+    bulletMarkers,
+  };
+};
@@ -0,0 +1,112 @@
+// ==========================================
+// 🪪 ACCOUNTS CLIENT
+// Talks to /api/auth and /api/account. The session token is kept in
+// localStorage so sign-in survives a reload.
+// ==========================================
+
+const SESSION_KEY = 'cv-pulse:session';
+
+export const loadSessionToken = () => {
+  try {
+    return localStorage.getItem(SESSION_KEY);
+  } catch {
+    return null;
+  }
+};
+
+export const saveSessionToken = (token) => {
+  try {
+    localStorage.setItem(SESSION_KEY, token);
+  } catch {
+    // Private mode: the session just won't survive a reload
+  }
+};
+
+export const clearSessionToken = () => {
+  try {
+    localStorage.removeItem(SESSION_KEY);
+  } catch {
+    // Nothing was stored
+  }
+};
+
+// Shared with the other account-backed clients (see billing.js)
+export const request = async (path, { method = 'GET', body, token } = {}) => {
+  let response;
+  try {
+    response = await fetch(path, {
+      method,
+      headers: {
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body && JSON.stringify(body),
+    });
+  } catch {
+    throw Object.assign(new Error("Could not reach the server."), { code: 'network' });
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw Object.assign(new Error(data.error || `Request failed with status ${response.status}`), { code: data.code, status: response.status });
+  }
+  return data;
+};
+
+// Each resolves with { user, token }
+export const signUp = ({ email, password, name }) => request('/api/auth/signup', { method: 'POST', body: { email, password, name } });
+export const signIn = ({ email, password }) => request('/api/auth/signin', { method: 'POST', body: { email, password } });
+
+export const signOut = (token) => request('/api/auth/signout', { method: 'POST', token });
+
+export const fetchSession = async (token) => (await request('/api/auth/session', { token })).user;
+
+// OAuth is a full-page redirect; the server sends the browser back to
+// /#signin_code=<code> (or /#auth_error=<message>), and the code is traded
+// for a session with exchangeOAuthCode.
+export const oauthStartUrl = (provider) => `/api/auth/oauth-start?provider=${encodeURIComponent(provider)}`;
+
+export const readOAuthRedirect = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  return { code: params.get('signin_code'), error: params.get('auth_error') };
+};
+
+// The code only works in the browser that finished the OAuth flow (the
+// server checks a cookie it set there). Resolves with { user, token }.
+export const exchangeOAuthCode = (code) => request('/api/auth/oauth-exchange', { method: 'POST', body: { code } });
+
+// Remembers, for this tab only, that the user started an OAuth sign-in here,
+// so the session it ends in may sync this browser's data
+const OAUTH_PENDING_KEY = 'cv-pulse:oauth-pending';
+
+export const markOAuthStarted = () => {
+  try {
+    sessionStorage.setItem(OAUTH_PENDING_KEY, '1');
+  } catch {
+    // The sign-in still works; it just won't sync automatically
+  }
+};
+
+export const takeOAuthStarted = () => {
+  try {
+    const started = sessionStorage.getItem(OAUTH_PENDING_KEY) === '1';
+    sessionStorage.removeItem(OAUTH_PENDING_KEY);
+    return started;
+  } catch {
+    return false;
+  }
+};
+
+// Keeps the code out of the address bar, bookmarks and browser history
+export const clearOAuthRedirect = () => {
+  if (window.location.hash) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+};
+
+export const updateProfile = async (token, patch) => (await request('/api/account', { method: 'PATCH', body: patch, token })).user;
+
+// Resolves with { user, data: { resumes, scans } } after merging
+export const syncAccount = (token, { resumes = [], scans = [] }) => request('/api/account', { method: 'POST', body: { resumes, scans }, token });
+
+export const OAUTH_LABELS = {
+  github: "GitHub",
+  google: "Google",
+};
@@ -0,0 +1,129 @@
+// ==========================================
+// 📦 RECRUITER BATCH MODE
+// One job description, many resumes. A candidate is
+//   { id, name, source, text, status, stats, keywordMatch, aiResult, error }
+// where status is 'queued' | 'running' | 'done' | 'error' | 'cancelled'.
+// ==========================================
+
+export const DEFAULT_CONCURRENCY = 2;
+export const MAX_CONCURRENCY = 5;
+
+// Run `worker(item)` over `items` with at most `limit` in flight. Stops
+// picking up new items once `signal` is aborted.
+export const runPool = async (items, limit, worker, { signal } = {}) => {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const item = items[next++];
+      await worker(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+};
+
+// ------------------------------------------
+// Analysis cache: the same resume, JD and model give the same answer, so
+// re-running a batch only pays for candidates that changed. Least recently
+// used entries are dropped past MAX_CACHED_ANALYSES, so a long session of
+// batches does not keep every answer in memory.
+// ------------------------------------------
+export const MAX_CACHED_ANALYSES = 100;
+
+const analysisCache = new Map();
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const cacheKey = async (...parts) => {
+  const joined = parts.map(part => (typeof part === 'string' ? part : JSON.stringify(part ?? null))).join('\u0000');
+  if (!globalThis.crypto?.subtle) return joined;
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(joined)));
+};
+
+// Resolves with the cached value or the result of `compute()`, which is
+// only cached when it succeeds.
+export const cached = async (key, compute) => {
+  if (analysisCache.has(key)) {
+    const value = analysisCache.get(key);
+    // Re-insert so Map order runs from least to most recently used
+    analysisCache.delete(key);
+    analysisCache.set(key, value);
+    return { value, hit: true };
+  }
+  const value = await compute();
+  analysisCache.set(key, value);
+  while (analysisCache.size > MAX_CACHED_ANALYSES) analysisCache.delete(analysisCache.keys().next().value);
+  return { value, hit: false };
+};
+
+// The first short line without an email, phone or URL is usually the name.
+export const guessCandidateName = (text, fallback) => {
+  const line = (text || '').split('\n').map(l => l.trim()).find(l =>
+    l.length > 1 && l.length <= 50 && !/[@\d/]|https?:|www\./i.test(l) && l.split(/\s+/).length <= 5);
+  return line || fallback;
+};
+
+// ------------------------------------------
+// Sorting and export. Column headers are in i18n.js (`batch.column.*`).
+// ------------------------------------------
+export const SORT_COLUMNS = {
+  score: { value: c => c.aiResult?.score ?? null },
+  keywords: { value: c => c.keywordMatch?.score ?? null },
+  impact: { value: c => c.stats?.impactScore ?? null },
+  verbs: { value: c => c.stats?.verbScore ?? null },
+  brevity: { value: c => c.stats?.brevityScore ?? null },
+  name: { value: c => c.name.toLowerCase() },
+};
+
+// Missing values always sort last, whichever the direction.
+export const sortCandidates = (candidates, key, direction = 'desc') => {
+  const { value } = SORT_COLUMNS[key];
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...candidates].sort((a, b) => {
+    const va = value(a);
+    const vb = value(b);
+    if (va === null && vb === null) return 0;
+    if (va === null) return 1;
+    if (vb === null) return -1;
+    return va < vb ? -sign : va > vb ? sign : 0;
+  });
+};
+
+const exportRow = (candidate, rank) => ({
+  rank,
+  candidate: candidate.name,
+  source: candidate.source,
+  status: candidate.status,
+  aiScore: SORT_COLUMNS.score.value(candidate),
+  keywordMatch: candidate.keywordMatch?.score ?? null,
+  impact: candidate.stats?.impactScore ?? null,
+  actionVerbs: candidate.stats?.verbScore ?? null,
+  brevity: candidate.stats?.brevityScore ?? null,
+  wordCount: candidate.stats?.wordCount ?? null,
+  missingKeywords: (candidate.keywordMatch?.missing || []).map(kw => kw.keyword),
+  summary: candidate.aiResult?.summary ?? null,
+  error: candidate.error?.message || null,
+});
+
+// Names and summaries come from untrusted resumes: text a spreadsheet would
+// read as a formula (=, +, -, @, or a leading tab or carriage return) is
+// prefixed with ' so it opens as plain text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const joined = Array.isArray(value) ? value.join('; ') : String(value);
+  const text = typeof value !== 'number' && FORMULA_START.test(joined) ? `'${joined}` : joined;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const candidatesToCsv = (candidates) => {
+  const rows = candidates.map((candidate, i) => exportRow(candidate, i + 1));
+  const headers = Object.keys(exportRow({ name: '' }, 0));
+  return [headers.join(','), ...rows.map(row => headers.map(h => csvCell(row[h])).join(','))].join('\r\n');
+};
+
+export const candidatesToJson = (candidates, jobDesc) => JSON.stringify({
+  exportedAt: new Date().toISOString(),
+  jobDesc,
+  candidates: candidates.map((candidate, i) => exportRow(candidate, i + 1)),
+}, null, 2);
@@ -0,0 +1,142 @@
+// ==========================================
+// 📊 INDUSTRY BENCHMARK
+// Compares a resume's stats with a reference profile for its industry and
+// seniority. The profiles are curated estimates of what a well-performing
+// resume in that field looks like, not live market data, so results are
+// shown as approximate percentiles.
+// ==========================================
+
+// `typical` is the reference value for a mid-level resume in the field.
+// Industry, seniority and metric names are interface copy (`benchmark.*`).
+export const INDUSTRIES = {
+  software: {
+    keywords: ['software', 'engineer', 'developer', 'backend', 'frontend', 'full stack', 'api', 'javascript', 'python', 'java', 'kubernetes', 'aws', 'microservices', 'react', 'devops'],
+    typical: { impactScore: 55, verbScore: 60, brevityScore: 85, quantifiedRatio: 0.5, wordCount: 550 },
+  },
+  data: {
+    keywords: ['data', 'analytics', 'analyst', 'machine learning', 'sql', 'statistics', 'model', 'dashboard', 'tableau', 'pandas', 'etl', 'data science'],
+    typical: { impactScore: 60, verbScore: 55, brevityScore: 85, quantifiedRatio: 0.55, wordCount: 550 },
+  },
+  product: {
+    keywords: ['product manager', 'product', 'roadmap', 'stakeholder', 'user research', 'ux', 'ui', 'figma', 'design', 'prototype', 'discovery'],
+    typical: { impactScore: 50, verbScore: 60, brevityScore: 85, quantifiedRatio: 0.45, wordCount: 520 },
+  },
+  marketing: {
+    keywords: ['marketing', 'campaign', 'seo', 'content', 'brand', 'social media', 'growth', 'acquisition', 'conversion', 'ads', 'email marketing'],
+    typical: { impactScore: 60, verbScore: 60, brevityScore: 85, quantifiedRatio: 0.55, wordCount: 500 },
+  },
+  sales: {
+    keywords: ['sales', 'quota', 'pipeline', 'account executive', 'revenue', 'crm', 'salesforce', 'prospecting', 'business development', 'deals', 'territory'],
+    typical: { impactScore: 70, verbScore: 60, brevityScore: 85, quantifiedRatio: 0.65, wordCount: 480 },
+  },
+  finance: {
+    keywords: ['finance', 'financial', 'accounting', 'audit', 'budget', 'forecast', 'investment', 'valuation', 'excel', 'cpa', 'reconciliation', 'treasury'],
+    typical: { impactScore: 60, verbScore: 50, brevityScore: 85, quantifiedRatio: 0.55, wordCount: 520 },
+  },
+  healthcare: {
+    keywords: ['patient', 'clinical', 'hospital', 'nursing', 'healthcare', 'medical', 'care', 'ehr', 'hipaa', 'physician', 'pharmacy'],
+    typical: { impactScore: 35, verbScore: 45, brevityScore: 80, quantifiedRatio: 0.3, wordCount: 500 },
+  },
+  general: {
+    keywords: [],
+    typical: { impactScore: 50, verbScore: 50, brevityScore: 80, quantifiedRatio: 0.45, wordCount: 500 },
+  },
+};
+
+// Adjustments to `typical` by career stage
+export const SENIORITY_LEVELS = {
+  entry: { adjust: { impactScore: -15, verbScore: -10, quantifiedRatio: -0.15, wordCount: -150 } },
+  mid: { adjust: {} },
+  senior: { adjust: { impactScore: 10, verbScore: 5, quantifiedRatio: 0.1, wordCount: 150 } },
+};
+
+// How each stat is compared. `spread` is roughly one standard deviation;
+// `twoSided` stats score best at the typical value rather than above it.
+const METRICS = [
+  { key: 'impactScore', spread: 20, format: v => `${Math.round(v)}/100` },
+  { key: 'verbScore', spread: 20, format: v => `${Math.round(v)}/100` },
+  { key: 'brevityScore', spread: 15, format: v => `${Math.round(v)}/100` },
+  { key: 'quantifiedRatio', spread: 0.2, format: v => `${Math.round(v * 100)}%` },
+  { key: 'wordCount', spread: 180, twoSided: true, format: v => `${Math.round(v)}` },
+];
+
+const MIN_INDUSTRY_HITS = 3;
+
+const SENIOR_TITLES = /\b(senior|sr\.|lead|principal|staff|head of|director|vp|vice president|chief)\b/i;
+const ENTRY_TITLES = /\b(intern|internship|junior|jr\.|graduate|entry[- ]level|trainee|apprentice|student)\b/i;
+const YEAR_PATTERN = /\b(19[7-9]\d|20\d{2})\b/g;
+
+const countHits = (text, keywords) => {
+  const lower = text.toLowerCase();
+  return keywords.filter(keyword => new RegExp(`\\b${keyword}\\b`).test(lower)).length;
+};
+
+// The job description counts double: it says which field you are applying to
+export const detectIndustry = (resumeText, jobDesc = '') => {
+  const ranked = Object.entries(INDUSTRIES)
+    .filter(([id]) => id !== 'general')
+    .map(([id, industry]) => ({ id, hits: countHits(resumeText, industry.keywords) + countHits(jobDesc, industry.keywords) * 2 }))
+    .sort((a, b) => b.hits - a.hits);
+  return ranked[0].hits >= MIN_INDUSTRY_HITS ? ranked[0].id : 'general';
+};
+
+// Years since the earliest year mentioned decide first; job titles break ties
+export const detectSeniority = (resumeText, now = new Date()) => {
+  const years = (resumeText.match(YEAR_PATTERN) || []).map(Number).filter(year => year <= now.getFullYear());
+  const span = years.length ? now.getFullYear() - Math.min(...years) : null;
+  if (span !== null && span >= 8) return 'senior';
+  if (span !== null && span <= 2) return 'entry';
+  if (SENIOR_TITLES.test(resumeText)) return 'senior';
+  if (ENTRY_TITLES.test(resumeText)) return 'entry';
+  return 'mid';
+};
+
+export const referenceProfile = (industryId, seniorityId) => {
+  const { typical } = INDUSTRIES[industryId] || INDUSTRIES.general;
+  const { adjust } = SENIORITY_LEVELS[seniorityId] || SENIORITY_LEVELS.mid;
+  return Object.fromEntries(Object.entries(typical).map(([key, value]) => [key, Math.max(0, value + (adjust[key] || 0))]));
+};
+
+// Logistic approximation of the normal CDF; plenty for estimated profiles
+const percentileFor = (z) => Math.round(100 / (1 + Math.exp(-1.702 * z)));
+
+// `local` is analyzeLocally() output. Pass `industry` / `seniority` to
+// override what was detected. Returns { score, industry, seniority,
+// detected, metrics: [{ key, value, typical, percentile, display, typicalDisplay }] }.
+export const benchmarkResume = (local, resumeText, jobDesc = '', { industry, seniority } = {}) => {
+  if (!local?.stats) return null;
+  const detected = { industry: detectIndustry(resumeText, jobDesc), seniority: detectSeniority(resumeText) };
+  const industryId = INDUSTRIES[industry] ? industry : detected.industry;
+  const seniorityId = SENIORITY_LEVELS[seniority] ? seniority : detected.seniority;
+  const profile = referenceProfile(industryId, seniorityId);
+
+  const values = {
+    ...local.stats,
+    quantifiedRatio: local.fatalFlaws?.bullets.ratio ?? null,
+  };
+
+  const metrics = METRICS
+    .filter(metric => values[metric.key] !== null && values[metric.key] !== undefined)
+    .map(metric => {
+      const z = (values[metric.key] - profile[metric.key]) / metric.spread;
+      // Two-sided: 100 at the typical value, falling off either way
+      const percentile = metric.twoSided ? Math.max(0, Math.round(100 - Math.abs(z) * 40)) : percentileFor(z);
+      return {
+        key: metric.key,
+        value: values[metric.key],
+        typical: profile[metric.key],
+        percentile,
+        twoSided: Boolean(metric.twoSided),
+        display: metric.format(values[metric.key]),
+        typicalDisplay: metric.format(profile[metric.key]),
+      };
+    });
+
+  return {
+    score: metrics.length ? Math.round(metrics.reduce((sum, m) => sum + m.percentile, 0) / metrics.length) : null,
+    industry: industryId,
+    seniority: seniorityId,
+    detected,
+    metrics,
+  };
+};
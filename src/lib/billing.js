@@ -0,0 +1,35 @@
+// ==========================================
+// 💳 BILLING CLIENT
+// Talks to /api/billing. The plan always comes from the server; checkout
+// and the billing portal are pages on the payment provider's side, which
+// send the browser back to /#billing=success|cancelled|updated.
+// ==========================================
+import { request } from './auth.js';
+import { DEFAULT_PLAN } from './entitlements.js';
+
+// Resolves with { plan, features, quotas, subscription }. Works signed out
+// too, in which case the free plan and this browser's usage come back.
+export const fetchEntitlements = (token) => request('/api/billing/entitlements', { token });
+
+export const startCheckout = async (token, plan = 'pro') => (
+  await request('/api/billing/checkout', { method: 'POST', body: { plan }, token })
+).url;
+
+export const openBillingPortal = async (token) => (
+  await request('/api/billing/portal', { method: 'POST', body: {}, token })
+).url;
+
+export const readBillingRedirect = () => new URLSearchParams(window.location.hash.slice(1)).get('billing');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The provider's webhook can land a moment after it sends the browser back,
+// so after a successful checkout keep asking until the paid plan shows up.
+export const waitForPaidPlan = async (token, { attempts = 6, delayMs = 2000 } = {}) => {
+  let entitlements = await fetchEntitlements(token);
+  for (let i = 1; i < attempts && entitlements.plan === DEFAULT_PLAN; i++) {
+    await sleep(delayMs);
+    entitlements = await fetchEntitlements(token);
+  }
+  return entitlements;
+};
@@ -0,0 +1,130 @@
+// ==========================================
+// 🎯 PER-BULLET SCORING
+// calculateStats scores the resume as a whole; this scores every bullet on
+// its own so the UI can point at the lines that drag the total down.
+// Each bullet gets up to 100 points from four checks: a metric, the
+// leading verb, its length and the XYZ pattern the rewrites use. Verbs,
+// openers and numbers are read in the resume's language; check labels and
+// details are written in the interface language (see i18n.js).
+// ==========================================
+import { STRONG_VERBS } from './stats.js';
+import { DEFAULT_RUBRIC_PROFILE, quantifierPattern } from './rubrics.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, detectLanguage, normalizeWord, weakOpenerPattern } from './language.js';
+import { isBulletLine } from './import/normalize.js';
+import { isLikelyHeading } from './import/sections.js';
+import { DEFAULT_UI_LANGUAGE, createTranslator } from './i18n.js';
+
+const HAS_QUANTIFIER = Object.fromEntries(Object.keys(LANGUAGES).map(id => [
+  id,
+  new RegExp(quantifierPattern(DEFAULT_RUBRIC_PROFILE, id).source, 'i'),
+]));
+
+// Past-tense action verbs that don't end in "-ed"
+export const IRREGULAR_VERBS = ['led', 'built', 'ran', 'won', 'grew', 'drove', 'made', 'wrote', 'cut', 'set', 'took', 'began', 'brought', 'sold', 'taught', 'rebuilt', 'shipped', 'oversaw', 'spun', 'rewrote'];
+
+// "by doing Z", "through Z", "resulting in Y": the how or the so-what
+const XYZ_CONNECTOR = /\b(by|through|via|using|resulting in|leading to|as measured by|which (?:cut|reduced|increased|saved|improved))\b/i;
+
+const MIN_FALLBACK_WORDS = 6;
+
+export const GRADES = {
+  strong: { min: 70 },
+  fair: { min: 40 },
+  weak: { min: 0 },
+};
+
+const gradeFor = (score) => (score >= GRADES.strong.min ? 'strong' : score >= GRADES.fair.min ? 'fair' : 'weak');
+
+const stripMarker = (line) => line.replace(/^\s*(•|[-*–—])\s*/, '');
+
+const isStrongOpener = (first, language) => (language === DEFAULT_LANGUAGE
+  ? STRONG_VERBS.includes(first) || IRREGULAR_VERBS.includes(first) || (first.length > 4 && first.endsWith('ed'))
+  : LANGUAGES[language].verbs.strong.includes(first));
+
+// `t` is the translator for the interface language (English by default)
+export const scoreBullet = (line, language = DEFAULT_LANGUAGE, { t = createTranslator(DEFAULT_UI_LANGUAGE) } = {}) => {
+  const isEnglish = language === DEFAULT_LANGUAGE;
+  const text = stripMarker(line).trim();
+  const words = text.split(/\s+/).filter(Boolean);
+  const first = isEnglish ? (words[0] || '').toLowerCase().replace(/[^a-z]/g, '') : normalizeWord(words[0] || '');
+  const openerPattern = weakOpenerPattern(language);
+
+  const checks = [];
+  const check = (id, points, max, detail, vars) => {
+    checks.push({ id, label: t(`bullets.${id}.label`), points, max, passed: points === max, detail: t(`bullets.${id}.${detail}`, vars) });
+  };
+
+  // Metric: a %, $, 10k or 20+ is proof; a bare number is half-way there
+  if (HAS_QUANTIFIER[language].test(text)) {
+    check('metric', 35, 35, 'measured');
+  } else if (/\d/.test(text)) {
+    check('metric', 25, 35, 'bareNumber');
+  } else {
+    check('metric', 0, 35, 'none');
+  }
+
+  // Leading verb
+  if (openerPattern.test(text)) {
+    check('verb', 0, 30, 'duty', { opener: text.match(openerPattern)[0] });
+  } else if (isEnglish && /^(i|my|we|our)$/.test(first)) {
+    check('verb', 0, 30, 'pronoun');
+  } else if (isStrongOpener(first, language)) {
+    check('verb', 30, 30, 'strong', { verb: words[0] });
+  } else {
+    check('verb', 15, 30, isEnglish ? 'notPastTense' : 'notStrong', { word: words[0] || '' });
+  }
+
+  // Length: long enough to say something, short enough to scan
+  if (words.length >= 8 && words.length <= 30) {
+    check('length', 15, 15, 'good', { count: words.length });
+  } else if (words.length >= 5 && words.length <= 40) {
+    check('length', 8, 15, words.length < 8 ? 'short' : 'long', { count: words.length });
+  } else {
+    check('length', 0, 15, words.length < 5 ? 'tooShort' : 'tooLong', { count: words.length });
+  }
+
+  // XYZ: result (X) measured by a metric (Y) and the method (Z)
+  const hasConnector = (LANGUAGES[language].connectors || XYZ_CONNECTOR).test(text);
+  const hasMetric = /\d/.test(text);
+  if (hasConnector && hasMetric) {
+    check('xyz', 20, 20, 'complete');
+  } else if (hasConnector || hasMetric) {
+    check('xyz', 10, 20, hasMetric ? 'noMethod' : 'noResult');
+  } else {
+    check('xyz', 0, 20, 'none');
+  }
+
+  const score = checks.reduce((sum, c) => sum + c.points, 0);
+  return { score, grade: gradeFor(score), checks };
+};
+
+// Scores every bullet in the resume. When the resume has no bullet markers
+// at all, longer non-heading lines are scored instead.
+// Returns { lines: [{ number, text, result | null }], summary }.
+export const scoreBullets = (text, { language = detectLanguage(text), t } = {}) => {
+  const lines = (text || '').split('\n');
+  const hasBullets = lines.some(isBulletLine);
+  const isScored = (line) => (hasBullets
+    ? isBulletLine(line)
+    : line.trim().split(/\s+/).length >= MIN_FALLBACK_WORDS && !isLikelyHeading(line));
+
+  const scored = lines.map((line, i) => ({
+    number: i + 1,
+    text: line,
+    result: isScored(line) ? scoreBullet(line, language, { t }) : null,
+  }));
+
+  const results = scored.filter(line => line.result);
+  const count = (grade) => results.filter(line => line.result.grade === grade).length;
+  return {
+    lines: scored,
+    summary: {
+      total: results.length,
+      strong: count('strong'),
+      fair: count('fair'),
+      weak: count('weak'),
+      average: results.length ? Math.round(results.reduce((sum, line) => sum + line.result.score, 0) / results.length) : null,
+      usedMarkers: hasBullets,
+    },
+  };
+};
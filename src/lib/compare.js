@@ -0,0 +1,64 @@
+// ==========================================
+// ⚖️ MULTI-ROLE COMPARISON
+// One resume against several job descriptions. Each role is
+//   { id, title, jobDesc, status, keywordMatch, aiResult, error }
+// and is ranked by a fit score built from the keyword match and, when a
+// real AI analysis is available, the AI's overall score.
+// ==========================================
+
+export const MAX_ROLES = 5;
+
+// Keyword coverage is role-specific while the AI score mostly reflects the
+// resume itself, so coverage carries more weight.
+const KEYWORD_WEIGHT = 0.6;
+const MAX_TAILORING_KEYWORDS = 5;
+
+// First meaningful line of a posting, used when the user gives no title.
+export const guessRoleTitle = (jobDesc, fallback) => {
+  const line = (jobDesc || '').split('\n').map(l => l.trim()).find(l => l.length > 2) || '';
+  const title = line.replace(/^(job title|position|role)\s*[:-]\s*/i, '');
+  if (!title) return fallback;
+  return title.length > 60 ? `${title.slice(0, 57)}...` : title;
+};
+
+const realAiScore = (aiResult) => (typeof aiResult?.score === 'number' ? aiResult.score : null);
+
+export const fitScore = (role) => {
+  const keyword = role.keywordMatch?.score ?? null;
+  const ai = realAiScore(role.aiResult);
+  if (keyword === null && ai === null) return null;
+  if (keyword === null) return ai;
+  if (ai === null) return keyword;
+  return Math.round(keyword * KEYWORD_WEIGHT + ai * (1 - KEYWORD_WEIGHT));
+};
+
+// Roles sorted best fit first; roles without a score go last.
+export const rankRoles = (roles) => roles
+  .map(role => ({ ...role, fit: fitScore(role) }))
+  .sort((a, b) => (b.fit ?? -1) - (a.fit ?? -1));
+
+// Keywords missing from every role with a keyword match: adding them once
+// improves all applications.
+export const sharedGaps = (roles) => {
+  const matched = roles.filter(role => role.keywordMatch);
+  if (matched.length < 2) return [];
+  const [first, ...rest] = matched.map(role => new Map(role.keywordMatch.missing.map(kw => [kw.keyword.toLowerCase(), kw.keyword])));
+  return [...first.entries()]
+    .filter(([key]) => rest.every(missing => missing.has(key)))
+    .map(([, keyword]) => keyword);
+};
+
+// What to change for one role: its most valuable missing keywords that are
+// not already covered by the shared gaps, plus the AI's top rewrite.
+export const tailoringFor = (role, shared = []) => {
+  const sharedKeys = new Set(shared.map(kw => kw.toLowerCase()));
+  const keywords = (role.keywordMatch?.missing || [])
+    .filter(kw => !sharedKeys.has(kw.keyword.toLowerCase()))
+    .sort((a, b) => b.points - a.points)
+    .slice(0, MAX_TAILORING_KEYWORDS);
+  return {
+    keywords,
+    points: keywords.reduce((sum, kw) => sum + kw.points, 0),
+    rewrite: role.aiResult?.bulletPoints?.[0] || null,
+  };
+};
@@ -0,0 +1,46 @@
+// ==========================================
+// 📖 SPELLING DICTIONARY
+// ~275,000 English words (with plurals and verb forms) for the typo check
+// in flaws.js. The list is over 3 MB, so it is imported on first use and
+// lands in its own chunk instead of the main bundle.
+// ==========================================
+import { SKILL_SYNONYMS } from './keywords.js';
+import { DEFAULT_LANGUAGE } from './language.js';
+
+// Everyday resume vocabulary the word list is too old to know
+const WORKPLACE_TERMS = [
+  'onboarding', 'offboarding', 'microservice', 'microservices', 'frontend', 'backend', 'fullstack',
+  'devops', 'saas', 'dataset', 'datasets', 'roadmap', 'roadmaps', 'omnichannel', 'fintech', 'codebase',
+  'codebases', 'refactor', 'refactored', 'refactoring', 'serverless', 'hackathon', 'hackathons',
+  'blockchain', 'cryptocurrency', 'deliverable', 'deliverables', 'geolocation', 'upskilling', 'reskilling',
+  'stockout', 'roadmapping', 'stakeholder', 'dashboarding', 'onboard', 'offboard',
+];
+
+let dictionary = null;
+let loading = null;
+
+// Resolves with a Set of lowercase words. Skill and tool aliases
+// ("kubernetes", "graphql") are added so the tech stack is never flagged.
+export const loadDictionary = () => {
+  loading ||= import('an-array-of-english-words', { with: { type: 'json' } })
+    .then(({ default: words }) => {
+      const aliases = SKILL_SYNONYMS.flatMap(skill => skill.aliases.flatMap(alias => alias.split(/[^a-z]+/)));
+      dictionary = new Set([...words, ...WORKPLACE_TERMS, ...aliases.filter(Boolean)]);
+      return dictionary;
+    })
+    .catch(error => {
+      loading = null;
+      throw error;
+    });
+  return loading;
+};
+
+// Loads the dictionary for an English resume before a scan. Resolves with
+// null for other languages, or when it cannot be loaded (offline, say):
+// the typo check then falls back to the common misspellings.
+export const prepareDictionary = (language) => (
+  language === DEFAULT_LANGUAGE ? loadDictionary().catch(() => null) : Promise.resolve(null)
+);
+
+// The dictionary if it has finished loading, else null
+export const loadedDictionary = () => dictionary;
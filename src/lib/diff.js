@@ -0,0 +1,54 @@
+// ==========================================
+// 🔀 LINE DIFF
+// Longest-common-subsequence diff; resumes are a few hundred lines at most,
+// so the quadratic table is fine.
+// ==========================================
+
+// Returns [{ type: 'same' | 'added' | 'removed', text }] in document order.
+export const diffLines = (before, after) => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: 'removed', text: a[i++] });
+    } else {
+      ops.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) ops.push({ type: 'added', text: b[j++] });
+  return ops;
+};
+
+// Collapse long runs of unchanged lines down to `context` lines around each
+// change; collapsed runs become { type: 'skip', count }.
+export const withContext = (ops, context = 1) => {
+  const keep = ops.map(op => op.type !== 'same');
+  ops.forEach((op, i) => {
+    if (op.type === 'same') return;
+    for (let k = Math.max(0, i - context); k <= Math.min(ops.length - 1, i + context); k++) keep[k] = true;
+  });
+
+  const out = [];
+  ops.forEach((op, i) => {
+    if (keep[i]) out.push(op);
+    else if (out[out.length - 1]?.type === 'skip') out[out.length - 1].count++;
+    else out.push({ type: 'skip', count: 1 });
+  });
+  return out;
+};
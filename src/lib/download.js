@@ -0,0 +1,16 @@
+// ==========================================
+// 💾 FILE DOWNLOADS
+// ==========================================
+
+// Save generated content as a file via a temporary object URL.
+export const downloadBlob = (filename, content, type = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,26 @@
+// ==========================================
+// 📝 RESUME DRAFT
+// The resume and job description being worked on, kept in localStorage so
+// a reload does not lose them. `updatedAt` only moves when the text changes,
+// which is what account sync compares.
+// ==========================================
+
+const STORAGE_KEY = 'cv-pulse:draft';
+
+export const loadDraft = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveDraft = ({ resumeText, jobDesc, updatedAt = Date.now() }) => {
+  const current = loadDraft();
+  if (current && current.resumeText === resumeText && current.jobDesc === jobDesc) return;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ resumeText, jobDesc, updatedAt }));
+  } catch {
+    // Private mode or quota exceeded: the draft just won't persist
+  }
+};
@@ -0,0 +1,58 @@
+// ==========================================
+// 🎟️ PLANS & ENTITLEMENTS
+// The one map of what each plan unlocks. The server uses it to work out a
+// verified plan's entitlements and enforce quotas; the client only reads
+// the entitlements the server sends back and never decides a plan itself.
+// ==========================================
+
+export const PLANS = {
+  free: { label: "Free", price: null },
+  pro: { label: "Pro", price: "$9/mo" },
+};
+
+export const DEFAULT_PLAN = 'free';
+
+// Every locked item in the UI is one of these flags; the upgrade screen
+// describes each one as `feature.<id>`
+export const FEATURES = {
+  allRewrites: { plans: ['pro'] },
+  proMetrics: { plans: ['pro'] },
+  pdfReport: { plans: ['pro'] },
+};
+
+// Server-side usage limits per period; `null` means unlimited
+export const QUOTAS = {
+  analyses: { label: "AI analyses", period: 'day', limits: { free: 10, pro: null } },
+  // Cover letters and LinkedIn profiles; a regenerated paragraph counts as one
+  documents: { label: "AI-written documents", period: 'day', limits: { free: 20, pro: null } },
+};
+
+// Rewrites shown in full without allRewrites
+export const FREE_REWRITES = 1;
+
+export const planFeatures = (plan) => Object.fromEntries(
+  Object.entries(FEATURES).map(([id, feature]) => [id, feature.plans.includes(plan)])
+);
+
+export const quotaLimit = (plan, quotaId) => {
+  const limits = QUOTAS[quotaId].limits;
+  return plan in limits ? limits[plan] : limits[DEFAULT_PLAN];
+};
+
+// Key and reset time of the current quota period (UTC days)
+export const quotaPeriod = (quotaId, now = Date.now()) => {
+  const start = new Date(now);
+  start.setUTCHours(0, 0, 0, 0);
+  const resetsAt = start.getTime() + 24 * 60 * 60 * 1000;
+  return { key: `${quotaId}:${start.toISOString().slice(0, 10)}`, resetsAt };
+};
+
+// What the client sees before the server has answered (or when it can't)
+export const FREE_ENTITLEMENTS = {
+  plan: DEFAULT_PLAN,
+  features: planFeatures(DEFAULT_PLAN),
+  quotas: {},
+  subscription: null,
+};
+
+export const hasFeature = (entitlements, featureId) => Boolean(entitlements?.features?.[featureId]);
@@ -0,0 +1,98 @@
+// ==========================================
+// 🧯 ANALYSIS ERRORS
+// Every failure the client can show is one of these codes. The server sends
+// the code (see server/errors.js); network, timeout and cancel are raised
+// in the browser. `retryable` errors are retried automatically with backoff.
+// ==========================================
+
+export const ERROR_TYPES = {
+  invalid_key: {
+    title: "API key rejected",
+    hint: "The AI provider rejected the server's API key. Check the key in the server environment, or switch to another provider in AI settings.",
+  },
+  quota_exceeded: {
+    title: "Usage quota exceeded",
+    hint: "The provider account has used up its quota. Try again later or switch to another model or provider.",
+  },
+  plan_limit: {
+    title: "Free plan limit reached for today",
+    hint: "The free plan includes a limited number of AI analyses and AI-written documents per day. Upgrade to Pro for unlimited use, turn on local-only mode to use the offline analyzer, or come back tomorrow.",
+  },
+  plan_required: {
+    title: "Part of Pro",
+    hint: "This check is included with the Pro plan. Upgrade, or sign in to the account that has Pro.",
+  },
+  rate_limited: {
+    title: "Too many requests",
+    hint: "The provider is rate limiting requests. Wait a moment and try again.",
+  },
+  blocked_content: {
+    title: "Content was blocked",
+    hint: "The provider's safety filter refused this resume or job description. Remove anything that could be read as sensitive and try again.",
+  },
+  network: {
+    title: "Connection problem",
+    hint: "We could not reach the server. Check your internet connection and try again.",
+  },
+  timeout: {
+    title: "The analysis timed out",
+    hint: "The model took too long to respond. Try again, raise the timeout in AI settings, or pick a faster model.",
+  },
+  model_unavailable: {
+    title: "Model not available",
+    hint: "The selected model is not available from this provider. Pick another model in AI settings.",
+  },
+  provider_unavailable: {
+    title: "AI provider not configured",
+    hint: "The selected provider is not set up on the server. Pick another provider in AI settings.",
+  },
+  server_error: {
+    title: "AI provider error",
+    hint: "The provider had a temporary problem. Try again in a moment.",
+  },
+  invalid_rubric: {
+    title: "Scoring profile rejected",
+    hint: "The server could not use the selected scoring profile. Pick a built-in profile, or fix the imported one and import it again.",
+  },
+  invalid_response: {
+    title: "Unreadable AI response",
+    hint: "The model's answer did not match the expected format, even after asking it to fix it. Trying again usually works.",
+  },
+  incomplete_stream: {
+    title: "The response was cut off",
+    hint: "The connection closed before the analysis finished. Try again.",
+  },
+  unknown: {
+    title: "Analysis failed",
+    hint: "Something unexpected went wrong. Try again.",
+  },
+};
+
+export const createAnalysisError = (code, message, { retryable = false, status, details = [] } = {}) => {
+  const error = new Error(message || ERROR_TYPES[code]?.title || ERROR_TYPES.unknown.title);
+  error.code = code;
+  error.retryable = retryable;
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+// Errors from the server carry a code; otherwise fall back to the HTTP status.
+export const codeForStatus = (status) => {
+  if (status === 429) return 'rate_limited';
+  if (status === 504) return 'timeout';
+  if (status >= 500) return 'server_error';
+  return 'unknown';
+};
+
+// What the error screen shows for any thrown error.
+export const describeError = (error) => {
+  const code = ERROR_TYPES[error?.code] ? error.code : 'unknown';
+  return {
+    code,
+    ...ERROR_TYPES[code],
+    message: error?.message || '',
+    details: error?.details || [],
+    retryable: Boolean(error?.retryable),
+  };
+};
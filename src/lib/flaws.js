@@ -0,0 +1,211 @@
+// ==========================================
+// 🚩 FATAL FLAW DETECTOR
+// Deterministic versions of the rules in SYSTEM_PROMPT, so they run for
+// every scan, with or without an AI provider. Each flaw lists the lines it
+// was found on so the panel can point at them. Pronouns and weak openers
+// are checked in the resume's language; the dictionary, passive voice and
+// cliché lists are English, so they only run on English resumes. Labels and
+// advice come from the interface language's table in i18n.js.
+// ==========================================
+import { isBulletLine } from './import/normalize.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, detectLanguage, weakOpenerPattern, listQuoted } from './language.js';
+import { loadedDictionary } from './dictionary.js';
+import { EMAIL_PATTERN, URL_PATTERN } from './ats.js';
+import { DEFAULT_UI_LANGUAGE, createTranslator } from './i18n.js';
+
+const MAX_EXAMPLES = 5;
+
+// "was" / "were" etc. followed by a past participle. A heuristic, so it is
+// reported as a warning rather than a hard flaw.
+const PASSIVE_PATTERN = /\b(am|is|are|was|were|be|been|being)\s+(\w+ly\s+)?(\w+ed|built|done|given|led|made|run|taken|written|chosen|shown|seen|held|brought|sent|won|kept|paid|set|put)\b/gi;
+
+export const CLICHES = [
+  'team player', 'hard worker', 'hard-working', 'hardworking', 'detail-oriented', 'detail oriented',
+  'results-driven', 'results driven', 'results-oriented', 'go-getter', 'self-starter', 'self starter',
+  'think outside the box', 'thinking outside the box', 'synergy', 'synergies', 'proven track record',
+  'dynamic', 'passionate', 'highly motivated', 'motivated individual', 'go-to person', 'strategic thinker',
+  'works well under pressure', 'excellent communication skills', 'fast learner', 'quick learner',
+  'rockstar', 'ninja', 'guru', 'thought leader', 'value add', 'best of breed', 'world-class',
+  'seasoned professional', 'wears many hats', 'out of the box', 'references available upon request',
+];
+
+// Misspellings seen in real resumes, mapped to the correct word, so the
+// typo check can suggest the fix. Also the whole check until the dictionary
+// has loaded.
+export const COMMON_MISSPELLINGS = {
+  accomodate: 'accommodate', acheive: 'achieve', acheived: 'achieved', acheivement: 'achievement',
+  acheivements: 'achievements', accross: 'across', adress: 'address', agressive: 'aggressive',
+  analisys: 'analysis', anaylsis: 'analysis', aquire: 'acquire', aquired: 'acquired',
+  begining: 'beginning', beleive: 'believe', bussiness: 'business', buisness: 'business',
+  calender: 'calendar', catagory: 'category', collegue: 'colleague', collegues: 'colleagues',
+  comission: 'commission', commited: 'committed', comittee: 'committee', commitee: 'committee',
+  communciation: 'communication', comunication: 'communication', competant: 'competent',
+  concensus: 'consensus', consistant: 'consistent', coordinatd: 'coordinated', definately: 'definitely',
+  dependant: 'dependent', develope: 'develop', developement: 'development', developped: 'developed',
+  enviroment: 'environment', enviroments: 'environments', excercise: 'exercise', existance: 'existence',
+  experiance: 'experience', experince: 'experience', expierence: 'experience', familar: 'familiar',
+  finanical: 'financial', foriegn: 'foreign', goverment: 'government', guage: 'gauge',
+  happend: 'happened', harrass: 'harass', implemention: 'implementation', implmented: 'implemented',
+  independant: 'independent', infomation: 'information', intergrated: 'integrated', intergration: 'integration',
+  knowlege: 'knowledge', knowledgable: 'knowledgeable', langauge: 'language', liason: 'liaison',
+  lisence: 'license', maintainance: 'maintenance', maintenence: 'maintenance', managment: 'management',
+  manageing: 'managing', millenium: 'millennium', neccessary: 'necessary', necesary: 'necessary',
+  negociate: 'negotiate', noticable: 'noticeable', occured: 'occurred', occurence: 'occurrence',
+  oppurtunity: 'opportunity', oportunity: 'opportunity', orginization: 'organization', organisaton: 'organisation',
+  performace: 'performance', persue: 'pursue', personel: 'personnel', posession: 'possession',
+  prefered: 'preferred', priviledge: 'privilege', proffesional: 'professional', profesional: 'professional',
+  proficent: 'proficient', profficient: 'proficient', programing: 'programming', publically: 'publicly',
+  recieve: 'receive', recieved: 'received', recomend: 'recommend', recommed: 'recommend', refered: 'referred',
+  relevent: 'relevant', reponsible: 'responsible', responsable: 'responsible', resposible: 'responsible',
+  seperate: 'separate', seperately: 'separately', succesful: 'successful', sucessful: 'successful',
+  successfull: 'successful', succesfully: 'successfully', sucessfully: 'successfully', supercede: 'supersede',
+  supervisior: 'supervisor', techincal: 'technical', tecnical: 'technical', teh: 'the', threshhold: 'threshold',
+  tommorow: 'tomorrow', truely: 'truly', untill: 'until', usefull: 'useful', wich: 'which', writting: 'writing',
+};
+
+// A bullet counts as quantified when it contains a number, a percentage or
+// an amount, matching the IMPACT CHECK rule in the prompt.
+const QUANTIFIED_PATTERN = /\d|[$€£%]/;
+
+const example = (lineNumber, text, match, note) => ({ line: lineNumber, text, match, note });
+
+// `findMatches(line)` returns the offending substrings, or { match, note }
+// when there is something to add (such as the correct spelling).
+const collect = (lines, findMatches) => {
+  const examples = [];
+  let count = 0;
+  lines.forEach((text, i) => {
+    findMatches(text).forEach(found => {
+      const { match, note } = typeof found === 'string' ? { match: found } : found;
+      count++;
+      if (examples.length < MAX_EXAMPLES) examples.push(example(i + 1, text, match, note));
+    });
+  });
+  return { count, examples };
+};
+
+const matchAll = (text, pattern) => Array.from(text.matchAll(pattern), m => m[0]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const phrasePattern = (phrases) => new RegExp(`\\b(${phrases.map(escapeRegExp).join('|')})\\b`, 'gi');
+const CLICHE_PATTERN = phrasePattern(CLICHES);
+
+const bulletBody = (line) => line.replace(/^\s*(•|[-*–—])\s*/, '');
+
+const EMAILS = new RegExp(EMAIL_PATTERN.source, 'g');
+
+// Handles and domains in links and email addresses are not words
+const withoutLinks = (line) => line.replace(EMAILS, ' ').replace(URL_PATTERN, ' ');
+
+// Words worth looking up: lowercase, or capitalized only because they open
+// a bullet or a sentence. Other capitalized words are names, places and
+// products (a line with no lowercase word, like "Austin, TX", is a name or
+// a heading), and acronyms, camelCase tools and short words are never in a
+// dictionary.
+const checkableWords = (line) => {
+  const prose = isBulletLine(line) || /\b[a-z]{2,}\b/.test(line);
+  const opening = prose && bulletBody(line).match(/^[A-Za-z]+/)?.[0];
+  return (line.match(/[A-Za-z]+(?:'[a-z]+)?/g) || [])
+    .filter(word => word.length >= 4 && (/^[a-z']+$/.test(word) || (word === opening && /^[A-Z][a-z]+$/.test(word))));
+};
+
+// The word list has every inflection of the words it knows, but the
+// workplace terms added to it are only listed in some ("frontends",
+// "onboarded"), so a known stem under a common ending counts too
+const INFLECTIONS = [/'s$/, /s$/, /es$/, /ed$/, /d$/, /ing$/];
+
+const isKnownWord = (word, dictionary) => {
+  const lower = word.toLowerCase();
+  return dictionary.has(lower) || INFLECTIONS.some(ending => ending.test(lower) && dictionary.has(lower.replace(ending, '')));
+};
+
+// fixtures/resumes holds real resumes (links, emails, names, plurals of
+// workplace terms) that must come back without a single typo; see
+// test/flaws.test.js
+const findTypos = (line, dictionary, t) => {
+  const words = withoutLinks(line);
+  // The common misspellings are checked on every word, short ones included,
+  // so loading the dictionary only ever adds findings
+  const common = (words.match(/[A-Za-z]+/g) || []).filter(word => COMMON_MISSPELLINGS[word.toLowerCase()]);
+  const unknown = dictionary
+    ? checkableWords(words).filter(word => !COMMON_MISSPELLINGS[word.toLowerCase()] && !isKnownWord(word, dictionary))
+    : [];
+  const misspelled = [...common, ...unknown];
+  return misspelled.map(word => {
+    const fix = COMMON_MISSPELLINGS[word.toLowerCase()];
+    return { match: word, note: fix ? `→ ${fix}` : t('flaws.typos.unknown') };
+  });
+};
+
+export const measureBullets = (lines) => {
+  const bullets = lines.filter(isBulletLine);
+  const quantified = bullets.filter(line => QUANTIFIED_PATTERN.test(line)).length;
+  return {
+    total: bullets.length,
+    quantified,
+    unquantified: bullets.length - quantified,
+    ratio: bullets.length ? quantified / bullets.length : null,
+  };
+};
+
+// Returns { flaws: [{ id, severity: 'high' | 'medium', label, detail, count,
+// examples: [{ line, text, match, note? }] }], bullets: { total, quantified,
+// unquantified, ratio } }. Only rules that found something are listed.
+// `dictionary` is a Set from loadDictionary(); callers that can wait should
+// await it first, otherwise only the common misspellings are checked. `t`
+// is the translator for the interface language (English by default).
+export const detectFatalFlaws = (text, { language = detectLanguage(text), dictionary = loadedDictionary(), t = createTranslator(DEFAULT_UI_LANGUAGE) } = {}) => {
+  const lines = (text || '').split('\n');
+  const { pronouns, pronounExamples, openerExamples } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  const openerPattern = weakOpenerPattern(language);
+  const isEnglish = language === DEFAULT_LANGUAGE;
+  const bullets = measureBullets(lines);
+  const flaws = [];
+
+  const add = (id, severity, vars, { count, examples }) => {
+    if (count > 0) flaws.push({ id, severity, label: t(`flaws.${id}.label`), detail: t(`flaws.${id}.detail`, vars), count, examples });
+  };
+
+  add('pronouns', 'high', { examples: listQuoted(pronounExamples, t('common.and')) },
+    collect(lines, line => pronouns.flatMap(pattern => matchAll(line, pattern))));
+
+  add('weak-openers', 'high', { examples: listQuoted(openerExamples, t('common.or')) },
+    collect(lines, line => {
+      const match = isBulletLine(line) && bulletBody(line).match(openerPattern);
+      return match ? [match[0]] : [];
+    }));
+
+  if (isEnglish) {
+    add('typos', 'high', {},
+      collect(lines, line => {
+        const misspelled = findTypos(line, dictionary, t);
+        const doubled = matchAll(line, /\b(\w+)\s+\1\b/gi).filter(m => !/^\d/.test(m)).map(m => ({ match: m, note: t('flaws.typos.repeated') }));
+        return [...misspelled, ...doubled];
+      }));
+  }
+
+  if (bullets.total > 0 && bullets.ratio < 0.5) {
+    const unquantified = lines
+      .map((line, i) => ({ line, number: i + 1 }))
+      .filter(({ line }) => isBulletLine(line) && !QUANTIFIED_PATTERN.test(line));
+    flaws.push({
+      id: 'unquantified',
+      severity: bullets.ratio < 0.25 ? 'high' : 'medium',
+      label: t('flaws.unquantified.label'),
+      detail: t('flaws.unquantified.detail', { quantified: bullets.quantified, total: bullets.total, percent: Math.round(bullets.ratio * 100) }),
+      count: bullets.unquantified,
+      examples: unquantified.slice(0, MAX_EXAMPLES).map(({ line, number }) => example(number, line, null)),
+    });
+  }
+
+  if (isEnglish) {
+    add('passive', 'medium', {},
+      collect(lines, line => matchAll(line, PASSIVE_PATTERN)));
+
+    add('cliches', 'medium', {},
+      collect(lines, line => matchAll(line, CLICHE_PATTERN)));
+  }
+
+  return { flaws, bullets };
+};
@@ -0,0 +1,130 @@
+// ==========================================
+// 🔎 CLAIM TRACING
+// Generated text may only state what the resume backs up. Every sentence
+// is broken into checkable claims (numbers, skills and tools, names of
+// employers, schools and products) and each one is looked up in the resume.
+// A claim that is only in the job description is fine for the employer or
+// the role, but not as the candidate's own experience, so it is reported
+// separately. Wording and opinions ("I am excited to...") are not claims.
+// ==========================================
+import { extractKeywords, matchKeywords } from '../keywords.js';
+
+// Capitalized words that are part of letter writing, not facts
+const GENERIC_WORDS = new Set(`
+i i'm i've i'd i'll dear hiring manager managers team recruiter recruiters sir madam mr mrs ms dr sincerely regards
+best kind warm yours thank thanks hello hi linkedin cv resume about
+monday tuesday wednesday thursday friday saturday sunday january february march april may june july august
+september october november december
+`.trim().split(/\s+/));
+
+const NUMBER_PATTERN = /[$€£]?\d+(?:[.,]\d+)*(?:\s?(?:%|\+|x|k|m|bn|million|billion))?(?![\p{L}\d])/giu;
+const SCALES = { k: 1e3, m: 1e6, bn: 1e9, million: 1e6, billion: 1e9 };
+
+// "$50k", "50,000" and "50.000" all stand for the same amount
+const numberKeys = (token) => {
+  const digits = token.replace(/\D/g, '');
+  const [, body, suffix = ''] = token.toLowerCase().match(/([\d.,]+)\s?([a-z%+]*)$/) || [];
+  if (!body) return [digits];
+  const plain = /^\d{1,3}([.,]\d{3})+$/.test(body) ? body.replace(/[.,]/g, '') : body.replace(',', '.');
+  const value = parseFloat(plain) * (SCALES[suffix] || 1);
+  return Number.isNaN(value) ? [digits] : [digits, String(value)];
+};
+
+const numberSet = (text) => new Set([...(text.match(NUMBER_PATTERN) || [])].flatMap(numberKeys));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsWord = (text, word) => new RegExp(`(?<![\\p{L}\\d])${escapeRegExp(word)}(?![\\p{L}\\d])`, 'iu').test(text);
+
+// Splits after sentence punctuation that is followed by a new sentence, so
+// "Node.js" and "$1.5M" stay in one piece
+export const splitClaimSentences = (text) => (text || '')
+  .split(/(?<=[.!?])\s+(?=["“(\p{Lu}\d])/u)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+// Placeholders such as [Company] or [EMAIL_1] are not claims
+const withoutPlaceholders = (sentence) => sentence.replace(/\[[^\]]*\]/g, ' ');
+
+const skillClaims = (sentence) => extractKeywords(sentence)
+  .filter(kw => kw.source === 'skill' || kw.source === 'acronym')
+  .map(kw => ({ text: kw.keyword, kind: 'skill', aliases: kw.aliases }));
+
+// Runs of capitalized words that do not start the sentence. German
+// capitalizes every noun, so there only numbers and skills are checked.
+const nameClaims = (sentence, covered) => {
+  const words = sentence.split(/\s+/);
+  const names = [];
+  let current = [];
+  const flush = () => {
+    if (current.length) names.push(current.join(' '));
+    current = [];
+  };
+  words.forEach((raw, i) => {
+    const word = raw.replace(/^["“'‘(]+|[.,;:!?"”'’)]+$/g, '');
+    // Acronyms are left to the keyword engine
+    const isName = i > 0 && /^\p{Lu}/u.test(word) && /\p{Ll}/u.test(word) &&
+      !GENERIC_WORDS.has(word.toLowerCase()) && !covered.has(word.toLowerCase());
+    if (isName) current.push(word);
+    else flush();
+    if (/[.,;:!?)]$/.test(raw)) flush();
+  });
+  flush();
+  return names.map(text => ({ text, kind: 'name' }));
+};
+
+const claimsIn = (sentence, language) => {
+  const text = withoutPlaceholders(sentence);
+  const skills = skillClaims(text);
+  const covered = new Set(skills.flatMap(skill => [skill.text.toLowerCase(), ...(skill.aliases || [])]));
+  const numbers = [...new Set(text.match(NUMBER_PATTERN) || [])].map(token => ({ text: token.trim(), kind: 'number' }));
+  const names = language === 'de' ? [] : nameClaims(text, covered);
+  return [...numbers, ...skills, ...names];
+};
+
+// `matches` are the sentence's keywords matched against the resume and the
+// job description, so skills count under any of their spellings
+const sourceFor = (claim, resume, job, matches) => {
+  if (claim.kind === 'number') {
+    const keys = numberKeys(claim.text);
+    if (keys.some(key => resume.numbers.has(key))) return 'resume';
+    return keys.some(key => job.numbers.has(key)) ? 'job' : 'none';
+  }
+  if (claim.kind === 'skill') {
+    const named = (match) => Boolean(match?.matched.some(kw => kw.keyword === claim.text));
+    if (named(matches.resume)) return 'resume';
+    return named(matches.job) ? 'job' : 'none';
+  }
+  const words = claim.text.split(' ');
+  if (words.every(word => containsWord(resume.text, word))) return 'resume';
+  return words.every(word => containsWord(resume.text, word) || containsWord(job.text, word)) ? 'job' : 'none';
+};
+
+const statusFor = (claims) => {
+  if (!claims.length) return 'general';
+  if (claims.some(claim => claim.source === 'none')) return 'untraced';
+  if (claims.some(claim => claim.source === 'job')) return 'job';
+  return 'traced';
+};
+
+// Returns [{ text, status, claims: [{ text, kind, source }] }], one entry
+// per sentence. `status` is 'traced', 'job', 'untraced', or 'general' for
+// sentences without any checkable claim.
+export const traceClaims = (text, resumeText, { jobDesc = '', language } = {}) => {
+  const resume = { text: resumeText || '', numbers: numberSet(resumeText || '') };
+  const job = { text: jobDesc || '', numbers: numberSet(jobDesc || '') };
+  return splitClaimSentences(text).map(sentence => {
+    const found = claimsIn(sentence, language);
+    const checked = withoutPlaceholders(sentence);
+    const matches = found.some(claim => claim.kind === 'skill')
+      ? { resume: matchKeywords(checked, resume.text), job: matchKeywords(checked, job.text) }
+      : {};
+    const claims = found.map(claim => ({ text: claim.text, kind: claim.kind, source: sourceFor(claim, resume, job, matches) }));
+    return { text: sentence, status: statusFor(claims), claims };
+  });
+};
+
+// Claim counts across traced sentences: { total, resume, job, none }
+export const summarizeClaims = (sentences) => sentences
+  .flatMap(sentence => sentence.claims)
+  .reduce((counts, claim) => ({ ...counts, total: counts.total + 1, [claim.source]: counts[claim.source] + 1 }), { total: 0, resume: 0, job: 0, none: 0 });
@@ -0,0 +1,127 @@
+// ==========================================
+// ✉️ GENERATED DOCUMENTS
+// Cover letters and LinkedIn profiles written from the resume and the job
+// description. A document is
+//   { type, headline, greeting, paragraphs, signOff, isOffline? }
+// where only LinkedIn profiles have a headline and only cover letters a
+// greeting and sign-off. Shared by the server (to validate model output)
+// and the client.
+// ==========================================
+
+// Labels and descriptions live with the interface copy (`docs.type.*`)
+export const DOCUMENT_TYPES = {
+  coverLetter: { filename: 'cover-letter' },
+  linkedin: { filename: 'linkedin-profile' },
+};
+
+// `signOff` is the English default; models write their own in the
+// resume's language
+export const TONES = {
+  professional: { prompt: "formal, polished and measured", signOff: "Sincerely," },
+  confident: { prompt: "direct and assertive, leading with results", signOff: "Best regards," },
+  warm: { prompt: "friendly and personable while staying professional", signOff: "Warm regards," },
+  enthusiastic: { prompt: "energetic and genuinely excited about the role, without exaggerating", signOff: "With thanks," },
+};
+
+export const DEFAULT_GREETING = "Dear Hiring Manager,";
+
+// Paragraph counts and rough word budgets per document type
+export const LENGTHS = {
+  short: { coverLetter: { paragraphs: 3, words: 170 }, linkedin: { paragraphs: 2, words: 120 } },
+  standard: { coverLetter: { paragraphs: 4, words: 260 }, linkedin: { paragraphs: 3, words: 200 } },
+  detailed: { coverLetter: { paragraphs: 5, words: 380 }, linkedin: { paragraphs: 4, words: 300 } },
+};
+
+export const DEFAULT_TONE = 'professional';
+export const DEFAULT_LENGTH = 'standard';
+
+// LinkedIn cuts headlines off at this length
+export const MAX_HEADLINE_CHARS = 220;
+const MAX_PARAGRAPHS = 8;
+
+export const DOCUMENT_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    headline: { type: 'string', description: "LinkedIn headline; empty for a cover letter" },
+    greeting: { type: 'string', description: "Cover letter salutation; empty for a LinkedIn profile" },
+    paragraphs: { type: 'array', items: { type: 'string' } },
+    signOff: { type: 'string', description: "Cover letter closing line before the name; empty for a LinkedIn profile" },
+  },
+  required: ['headline', 'greeting', 'paragraphs', 'signOff'],
+};
+
+export const PARAGRAPH_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    paragraph: { type: 'string' },
+  },
+  required: ['paragraph'],
+};
+
+const cleanParagraph = (value) => (typeof value === 'string'
+  ? value.replace(/^\s*#+\s*/, '').replace(/\*\*(.+?)\*\*/g, '$1').trim()
+  : '');
+
+// Same contract as validateAnalysis: { valid, errors, warnings, value }.
+// A cover letter without a greeting or sign-off gets the English defaults.
+export const validateDocument = (input, type = 'coverLetter', tone = DEFAULT_TONE) => {
+  const errors = [];
+  const warnings = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ["Response is not a JSON object"], warnings, value: null };
+  }
+
+  let paragraphs = [];
+  if (!Array.isArray(input.paragraphs)) {
+    errors.push("paragraphs must be an array");
+  } else {
+    paragraphs = input.paragraphs.map(cleanParagraph).filter(Boolean);
+    if (!paragraphs.length) errors.push("paragraphs must contain at least one paragraph");
+    if (paragraphs.length < input.paragraphs.length) warnings.push("empty paragraphs were dropped");
+    if (paragraphs.length > MAX_PARAGRAPHS) {
+      warnings.push(`only the first ${MAX_PARAGRAPHS} paragraphs were kept`);
+      paragraphs = paragraphs.slice(0, MAX_PARAGRAPHS);
+    }
+  }
+
+  let headline = type === 'linkedin' ? cleanParagraph(input.headline) : '';
+  if (type === 'linkedin' && !headline) errors.push("headline must be a non-empty string");
+  if (headline.length > MAX_HEADLINE_CHARS) {
+    warnings.push(`headline was cut to ${MAX_HEADLINE_CHARS} characters`);
+    headline = headline.slice(0, MAX_HEADLINE_CHARS).trim();
+  }
+
+  const isLetter = type === 'coverLetter';
+  let greeting = isLetter ? cleanParagraph(input.greeting) : '';
+  let signOff = isLetter ? cleanParagraph(input.signOff) : '';
+  if (isLetter && (!greeting || !signOff)) {
+    warnings.push("a missing greeting or sign-off was filled in");
+    greeting = greeting || DEFAULT_GREETING;
+    signOff = signOff || (TONES[tone] || TONES[DEFAULT_TONE]).signOff;
+  }
+
+  const value = { type, headline, greeting, paragraphs, signOff };
+  return { valid: errors.length === 0, errors, warnings, value: errors.length === 0 ? value : null };
+};
+
+export const validateParagraph = (input) => {
+  const paragraph = cleanParagraph(input?.paragraph);
+  if (!paragraph) {
+    return { valid: false, errors: ["paragraph must be a non-empty string"], warnings: [], value: null };
+  }
+  return { valid: true, errors: [], warnings: [], value: paragraph };
+};
+
+// The parts of a document in reading order, as { kind, text }. `name`
+// signs a cover letter.
+export const documentBlocks = ({ headline, greeting, paragraphs, signOff }, { name } = {}) => [
+  headline && { kind: 'headline', text: headline },
+  greeting && { kind: 'greeting', text: greeting },
+  ...paragraphs.map(text => ({ kind: 'paragraph', text })),
+  signOff && { kind: 'signOff', text: name ? `${signOff}\n${name}` : signOff },
+].filter(Boolean);
+
+// Plain text for the .txt export and the clipboard
+export const documentToText = (generated, options) => documentBlocks(generated, options)
+  .map(block => block.text)
+  .join('\n\n');
@@ -0,0 +1,106 @@
+// ==========================================
+// 📝 DOCX EXPORT
+// A generated document as a Word file, built in the browser. A .docx is a
+// ZIP of XML parts; the handful Word needs are written here and stored
+// uncompressed, so no ZIP library is needed for a one-page letter.
+// ==========================================
+import { documentBlocks } from './documents.js';
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+// Control characters other than tab, newline and carriage return are not
+// allowed in XML 1.0 even when escaped, and Word refuses the file
+const escapeXml = (text) => text
+  .replace(/[^\t\n\r\u0020-\uFFFD]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Line breaks inside a block (the sign-off and the name) stay in one paragraph
+const runs = (text, { bold = false, size } = {}) => {
+  const props = [bold && '<w:b/>', size && `<w:sz w:val="${size}"/>`].filter(Boolean).join('');
+  return text.split('\n')
+    .map((line, i) => `${i ? '<w:r><w:br/></w:r>' : ''}<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`)
+    .join('');
+};
+
+const paragraphXml = ({ kind, text }) => {
+  const spacing = '<w:pPr><w:spacing w:after="240" w:line="276" w:lineRule="auto"/></w:pPr>';
+  return `<w:p>${spacing}${kind === 'headline' ? runs(text, { bold: true, size: 28 }) : runs(text)}</w:p>`;
+};
+
+const documentXml = (blocks) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>${blocks.map(paragraphXml).join('')}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+
+// ==========================================
+// 🗜️ STORE-ONLY ZIP
+// ==========================================
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const header = (fields) => {
+  const bytes = new Uint8Array(fields.reduce((sum, [size]) => sum + size, 0));
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  fields.forEach(([size, value]) => {
+    if (size === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += size;
+  });
+  return bytes;
+};
+
+// `files` is [{ name, content }]; returns the archive's byte chunks
+const zip = (files) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+    // version, flags (UTF-8 names), method (stored), time, date, crc, sizes, name length, extra length
+    const common = [[2, 20], [2, 0x0800], [2, 0], [2, 0], [2, 0x21], [4, crc], [4, data.length], [4, data.length], [2, nameBytes.length], [2, 0]];
+    const local = header([[4, 0x04034b50], ...common]);
+    chunks.push(local, nameBytes, data);
+    central.push(header([[4, 0x02014b50], [2, 20], ...common, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]), nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+  const end = header([[4, 0x06054b50], [2, 0], [2, 0], [2, files.length], [2, files.length], [4, centralSize], [4, offset], [2, 0]]);
+  return [...chunks, ...central, end];
+};
+
+// `name` signs a cover letter
+export const documentToDocx = (generated, { name } = {}) => new Blob(zip([
+  { name: '[Content_Types].xml', content: CONTENT_TYPES },
+  { name: '_rels/.rels', content: ROOT_RELS },
+  { name: 'word/document.xml', content: documentXml(documentBlocks(generated, { name })) },
+]), { type: DOCX_TYPE });
@@ -0,0 +1,277 @@
+// ==========================================
+// 🔌 OFFLINE WRITER
+// Used when no AI provider is configured. Fills templates with lines taken
+// from the resume itself (its summary, its strongest bullets, the skills it
+// shares with the job description), so every claim traces back by design.
+// Templates are English. Deterministic: `variants` picks another template
+// per paragraph, which is how a paragraph is regenerated offline.
+// ==========================================
+import { LENGTHS, TONES, DEFAULT_GREETING, DEFAULT_LENGTH, DEFAULT_TONE, MAX_HEADLINE_CHARS } from './documents.js';
+import { scoreBullets } from '../bullets.js';
+import { extractKeywords, matchKeywords } from '../keywords.js';
+import { guessRoleTitle } from '../compare.js';
+import { splitClaimSentences } from './claims.js';
+import { textToBlocks, blocksToSections } from '../import/sections.js';
+
+const MAX_SKILLS = 3;
+
+// "Join Acme", "About Acme" or "Acme is hiring"
+const CAPITALIZED = "\\p{Lu}[\\p{L}\\d&.'-]*(?:\\s\\p{Lu}[\\p{L}\\d&.'-]*){0,2}";
+const COMPANY_PATTERNS = [
+  new RegExp(`\\b[Jj]oin\\s+(${CAPITALIZED})`, 'u'),
+  new RegExp(`^about\\s+(${CAPITALIZED})\\s*$`, 'imu'),
+  new RegExp(`(${CAPITALIZED})\\s+is\\s+(?:hiring|looking|seeking)\\b`, 'u'),
+];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Keeps acronyms such as "AWS" or "API" as they are
+const lowerFirst = (text) => (/^\p{Lu}\p{Lu}/u.test(text) ? text : text.charAt(0).toLowerCase() + text.slice(1));
+
+const stripMarker = (line) => line.replace(/^\s*(•|[-*–—])\s*/, '').replace(/[.;]+$/, '').trim();
+
+const joinList = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0] || '');
+
+const pick = (list, variant = 0) => list[variant % list.length];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "Backend engineer with 6 years..." becomes "I am a backend engineer with
+// 6 years...". Summaries that open with a verb or a pronoun stay as written.
+const summarySentence = (summary) => {
+  const first = summary.split(/\s+/)[0].toLowerCase();
+  if (/^(i|my|we|our)$/.test(first) || /(ing|ed)$/.test(first)) return `${capitalize(summary)}.`;
+  return `I am ${/^[aeiou]/.test(first) ? 'an' : 'a'} ${lowerFirst(summary)}.`;
+};
+
+const findCompany = (jobDesc) => {
+  for (const pattern of COMPANY_PATTERNS) {
+    const match = (jobDesc || '').match(pattern);
+    if (match) return match[1].trim();
+  }
+  return null;
+};
+
+// Everything the templates may say, all of it taken from the two inputs
+const gatherFacts = (resumeText, jobDesc, softSkills) => {
+  const sections = blocksToSections(textToBlocks(resumeText));
+  const summaryItem = sections.find(section => section.key === 'summary')?.items.find(item => item.text.trim());
+  const summary = summaryItem ? stripMarker(splitClaimSentences(summaryItem.text)[0] || '') || null : null;
+
+  // Strongest bullets first, weak ones left out. Ones that open with an
+  // action verb read as "I <bullet>"; the rest are quoted as they are.
+  const highlights = scoreBullets(resumeText).lines
+    .filter(line => line.result && line.result.grade !== 'weak')
+    .sort((a, b) => b.result.score - a.result.score || a.number - b.number)
+    .map(line => ({
+      text: stripMarker(line.text),
+      isVerb: Boolean(line.result.checks.find(check => check.id === 'verb')?.passed),
+    }))
+    .filter(item => item.text);
+
+  const match = matchKeywords(jobDesc, resumeText);
+  const skills = (match
+    ? match.matched.slice().sort((a, b) => b.weight - a.weight).map(kw => kw.keyword)
+    : extractKeywords(resumeText).filter(kw => kw.source === 'skill').map(kw => kw.keyword)
+  ).slice(0, MAX_SKILLS);
+
+  return {
+    summary,
+    highlights,
+    skills,
+    // Soft skills are inferred from the wording, so only ones the resume names count
+    softSkills: softSkills
+      .filter(skill => new RegExp(`\\b${escapeRegExp(skill)}\\b`, 'i').test(resumeText))
+      .slice(0, 2)
+      .map(skill => skill.toLowerCase()),
+    role: guessRoleTitle(jobDesc, null),
+    company: findCompany(jobDesc),
+  };
+};
+
+const highlightSentence = ({ text, isVerb }) => (isVerb ? `I ${lowerFirst(text)}.` : `${capitalize(text)}.`);
+
+// Two highlights per body paragraph; a regenerated paragraph moves on to
+// the next ones. Empty once the highlights run out.
+const highlightsFor = (facts, slot, variant) => {
+  const { highlights } = facts;
+  if (slot * 2 >= highlights.length) return [];
+  const start = (slot * 2 + variant * 2) % highlights.length;
+  return highlights.slice(start, start + 2);
+};
+
+// ==========================================
+// ✉️ COVER LETTER
+// ==========================================
+const LETTER_OPENINGS = {
+  professional: [
+    ({ role, at }) => `I am writing to apply for the ${role} position${at}.`,
+    ({ role, at }) => `Please accept my application for the ${role} role${at}.`,
+  ],
+  confident: [
+    ({ role, at }) => `My track record makes me a strong fit for the ${role} role${at}.`,
+    ({ role, at }) => `I am applying for the ${role} role${at}, and the results below show what I would bring.`,
+  ],
+  warm: [
+    ({ role, at }) => `I was glad to come across the ${role} opening${at}, and I would love to be considered.`,
+    ({ role, at }) => `Thank you for taking the time to read my application for the ${role} role${at}.`,
+  ],
+  enthusiastic: [
+    ({ role, at }) => `I am excited to apply for the ${role} role${at}.`,
+    ({ role, at }) => `The ${role} role${at} is exactly the kind of opportunity I have been looking for.`,
+  ],
+};
+
+const LETTER_BODIES = [
+  (sentences) => `Here is some of what I have delivered. ${sentences}`,
+  (sentences) => `A few results stand out from my recent work. ${sentences}`,
+  (sentences) => `${sentences} I would bring the same focus on results to this role.`,
+];
+
+const LETTER_CLOSINGS = {
+  professional: [
+    ({ team }) => `I would welcome the opportunity to discuss how I can contribute to ${team}. Thank you for your time and consideration.`,
+    () => "Thank you for considering my application. I would be glad to discuss the role in more detail.",
+  ],
+  confident: [
+    ({ team }) => `I am confident I can deliver results like these for ${team}, and I would like to discuss how. Thank you for your time.`,
+    () => "I would like to talk about what I can deliver in this role. Thank you for your consideration.",
+  ],
+  warm: [
+    ({ team }) => `I would love to learn more about ${team} and to share more about my work. Thank you so much for your time.`,
+    () => "It would be a pleasure to talk further. Thank you for reading my application.",
+  ],
+  enthusiastic: [
+    ({ team }) => `I would be thrilled to bring this energy to ${team} and would love to talk further. Thank you for your consideration.`,
+    () => "I can't wait to hear more about the role. Thank you for your time and consideration.",
+  ],
+};
+
+const skillsSentence = (facts) => {
+  const parts = [];
+  if (facts.skills.length) parts.push(`My experience with ${joinList(facts.skills)} lines up with what this role needs.`);
+  if (facts.softSkills.length) parts.push(`My work also shows strengths in ${joinList(facts.softSkills)}.`);
+  return parts.join(' ');
+};
+
+const letterParagraph = (kind, facts, tone, slot, variant) => {
+  const context = {
+    role: facts.role || 'open',
+    at: ` at ${facts.company || '[Company]'}`,
+    team: facts.company || 'your team',
+  };
+  if (kind === 'opening') {
+    return [pick(LETTER_OPENINGS[tone], variant)(context), facts.summary && summarySentence(facts.summary)]
+      .filter(Boolean).join(' ');
+  }
+  if (kind === 'closing') return pick(LETTER_CLOSINGS[tone], variant)(context);
+
+  // Past the highlights (or without any), a body paragraph covers the skills
+  const sentences = highlightsFor(facts, slot, variant).map(highlightSentence).join(' ');
+  return sentences
+    ? pick(LETTER_BODIES, variant + slot)(sentences)
+    : skillsSentence(facts) || "[Add an example from your experience that fits this role.]";
+};
+
+// ==========================================
+// 💼 LINKEDIN PROFILE
+// ==========================================
+const LINKEDIN_SKILL_LINES = {
+  professional: (skills) => `My core skills include ${skills}.`,
+  confident: (skills) => `I bring hands-on depth in ${skills}.`,
+  warm: (skills) => `I enjoy my work with ${skills}.`,
+  enthusiastic: (skills) => `I love working with ${skills}.`,
+};
+
+const LINKEDIN_OUTROS = {
+  professional: [
+    ({ role }) => `I am open to ${role} opportunities. Feel free to connect or send me a message.`,
+    () => "I am always glad to connect with people in my field.",
+  ],
+  confident: [
+    ({ role }) => `I am looking for my next ${role} role. If you are hiring, let's talk.`,
+    () => "If you need someone who delivers results like these, send me a message.",
+  ],
+  warm: [
+    ({ role }) => `I'd love to hear about ${role} opportunities, or just to connect and swap ideas.`,
+    () => "Always happy to connect, so feel free to reach out.",
+  ],
+  enthusiastic: [
+    ({ role }) => `I'm excited about ${role} opportunities, so let's connect.`,
+    () => "I love meeting people who care about this work as much as I do, so say hello.",
+  ],
+};
+
+const LINKEDIN_HIGHLIGHTS = [
+  (sentences) => `Some highlights from my work: ${sentences}`,
+  (sentences) => `What I have delivered recently: ${sentences}`,
+];
+
+const linkedinParagraph = (kind, facts, tone, slot, variant) => {
+  if (kind === 'intro') {
+    const skillLine = facts.skills.length ? LINKEDIN_SKILL_LINES[tone](joinList(facts.skills)) : '';
+    const summary = facts.summary && summarySentence(facts.summary);
+    const intros = [[summary, skillLine], [skillLine, summary]];
+    return pick(intros, variant).filter(Boolean).join(' ') || "[Describe what you do and the skills you are known for.]";
+  }
+  if (kind === 'outro') return pick(LINKEDIN_OUTROS[tone], variant)({ role: facts.role || 'new' });
+
+  const sentences = highlightsFor(facts, slot, variant).map(highlightSentence).join(' ');
+  return sentences
+    ? pick(LINKEDIN_HIGHLIGHTS, variant + slot)(sentences)
+    : skillsSentence(facts) || "[Add a result you are proud of.]";
+};
+
+// Role title and top skills, e.g. "Backend engineer | Node.js · Redis"
+const linkedinHeadline = (facts) => {
+  const title = facts.summary ? capitalize(facts.summary.split(/\s+(?:with|who|and)\s+|[,.;:]/)[0].trim()) : '';
+  const headline = [title, facts.skills.join(' · ')].filter(Boolean).join(' | ');
+  return (headline || "[Your title] | [Your top skills]").slice(0, MAX_HEADLINE_CHARS);
+};
+
+// ==========================================
+// 🧩 DOCUMENTS
+// ==========================================
+
+// Paragraph kinds in order, e.g. opening, body, body, closing. There are
+// only as many body paragraphs as the resume has material for: one per two
+// highlights, plus one for the skills.
+const paragraphPlan = (type, length, facts) => {
+  const count = (LENGTHS[length] || LENGTHS[DEFAULT_LENGTH])[type].paragraphs;
+  const available = Math.ceil(facts.highlights.length / 2) + (facts.skills.length || facts.softSkills.length ? 1 : 0);
+  const [first, middle, last] = type === 'coverLetter' ? ['opening', 'body', 'closing'] : ['intro', 'highlights', 'outro'];
+  if (count < 3) return [first, middle];
+  return [first, ...Array(Math.max(1, Math.min(count - 2, available))).fill(middle), last];
+};
+
+const writeParagraph = (type, facts, tone, plan, index, variant) => {
+  const kind = plan[index];
+  // Position among the body paragraphs, so each covers different highlights
+  const slot = plan.slice(0, index).filter(other => other === kind).length;
+  return (type === 'coverLetter' ? letterParagraph : linkedinParagraph)(kind, facts, tone, slot, variant);
+};
+
+// `input` is { resumeText, jobDesc, tone, length, softSkills }; `variants`
+// maps a paragraph index to the template variant to use for it.
+export const generateOffline = (type, { resumeText, jobDesc = '', tone = DEFAULT_TONE, length = DEFAULT_LENGTH, softSkills = [] }, variants = {}) => {
+  const facts = gatherFacts(resumeText, jobDesc, softSkills);
+  const voice = TONES[tone] ? tone : DEFAULT_TONE;
+  const plan = paragraphPlan(type, length, facts);
+  const isLetter = type === 'coverLetter';
+  return {
+    type,
+    headline: isLetter ? '' : linkedinHeadline(facts),
+    greeting: isLetter ? DEFAULT_GREETING : '',
+    paragraphs: plan.map((kind, i) => writeParagraph(type, facts, voice, plan, i, variants[i] || 0)),
+    signOff: isLetter ? TONES[voice].signOff : '',
+    isOffline: true,
+  };
+};
+
+// Same input as generateOffline; the paragraph at `index` in the template
+// `variant`
+export const regenerateParagraphOffline = (type, input, index, variant) => {
+  const facts = gatherFacts(input.resumeText, input.jobDesc || '', input.softSkills || []);
+  const voice = TONES[input.tone] ? input.tone : DEFAULT_TONE;
+  return writeParagraph(type, facts, voice, paragraphPlan(type, input.length, facts), index, variant);
+};
@@ -0,0 +1,125 @@
+// ==========================================
+// 🗄️ SCAN HISTORY (IndexedDB)
+// Every completed scan is kept in the browser so candidates can follow
+// their progress across resume versions. Scans only leave the device when
+// the user signs in and local-only mode is off: then they are synced to the
+// account (see sync.js).
+// A scan record is:
+//   { id, uid, createdAt, updatedAt?, version, label?, resumeText, jobDesc,
+//     stats, aiResult, keywordMatch, atsReport, fatalFlaws }
+// `id` is local to this browser; `uid` identifies the scan across devices
+// once it is synced to an account. `label` is only set once the user
+// renames a scan; until then it is shown as its version (see scanLabel).
+// ==========================================
+
+const DB_NAME = 'cv-pulse';
+const DB_VERSION = 1;
+const STORE = 'scans';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error("IndexedDB is not available in this browser"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again (e.g. after the user leaves private mode)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Run `work(store)` in a transaction and resolve with the request's result.
+const withStore = async (mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = work(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Brings scans saved by older versions up to date:
+// - before `version` existed, scans carried an English "Version N" label;
+// - scans taken without an AI backend once held canned demo results
+//   (`aiResult.isDemo`). They are dropped here, so the rest of the app only
+//   ever sees real results or none.
+const fromStore = (scan) => {
+  const legacy = !scan.version && scan.label?.match(/^Version (\d+)$/);
+  const { label: _label, ...unlabelled } = scan;
+  const upgraded = legacy ? { ...unlabelled, version: Number(legacy[1]) } : scan;
+  return upgraded.aiResult?.isDemo ? { ...upgraded, aiResult: null } : upgraded;
+};
+
+// Oldest first, which is the order the trend chart wants.
+export const listScans = async () => {
+  const scans = await withStore('readonly', store => store.index('createdAt').getAll());
+  return (scans || []).map(fromStore);
+};
+
+export const getScan = async (id) => {
+  const scan = await withStore('readonly', store => store.get(id));
+  return scan && fromStore(scan);
+};
+
+const newUid = () => (globalThis.crypto?.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+// Scans saved before uids existed are identified by their timestamp
+export const scanUid = (scan) => scan.uid || `local-${scan.createdAt}`;
+
+// Saves a scan and resolves with its id. Scans are numbered 1, 2, ... in
+// the order they were taken.
+export const saveScan = async (scan) => {
+  const version = (await withStore('readonly', store => store.count())) + 1;
+  return withStore('readwrite', store => store.add({ ...scan, uid: scan.uid || newUid(), version, createdAt: scan.createdAt || Date.now() }));
+};
+
+// The user's name for a scan, else "Version N" in the interface language
+export const scanLabel = (scan, t) => scan.label || t('history.version', { number: scan.version });
+
+export const renameScan = async (id, label) => {
+  const scan = await getScan(id);
+  if (!scan) return;
+  await withStore('readwrite', store => store.put({ ...scan, label, updatedAt: Date.now() }));
+};
+
+// Adds scans that came from elsewhere (an account sync) under new local ids.
+// Uids already in the store are skipped inside the same transaction, so two
+// overlapping syncs cannot import a scan twice.
+export const importScans = async (scans) => {
+  if (!scans.length) return;
+  await withStore('readwrite', store => {
+    const existing = store.getAll();
+    existing.onsuccess = () => {
+      const known = new Set(existing.result.map(scanUid));
+      scans.filter(scan => !known.has(scanUid(scan))).forEach(scan => {
+        const copy = { ...scan };
+        delete copy.id;
+        store.add(copy);
+      });
+    };
+    return existing;
+  });
+};
+
+export const deleteScan = (id) => withStore('readwrite', store => store.delete(id));
+
+// Overall score only counts when it came from a real AI analysis.
+export const scanScores = (scan) => ({
+  overall: typeof scan.aiResult?.score === 'number' ? scan.aiResult.score : null,
+  impact: scan.stats?.impactScore ?? null,
+  verbs: scan.stats?.verbScore ?? null,
+  brevity: scan.stats?.brevityScore ?? null,
+});
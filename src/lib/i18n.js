@@ -0,0 +1,71 @@
+// ==========================================
+// 🌐 INTERFACE LANGUAGE
+// All interface copy, one table per language in locales/, plus the
+// translator and the remembered choice. That covers every component and
+// the messages the local checks write (flaws.js, ats.js, bullets.js,
+// tone.js, the offline analyzer and reviewer). Missing entries fall back
+// to English. This is the language of the interface, not of the resume
+// (see language.js).
+// ==========================================
+import { LANGUAGES } from './language.js';
+import { EN } from './locales/en.js';
+import { DE } from './locales/de.js';
+import { ES } from './locales/es.js';
+import { FR } from './locales/fr.js';
+
+export const DEFAULT_UI_LANGUAGE = 'en';
+
+const STORAGE_KEY = 'cv-pulse:ui-language';
+
+const MESSAGES = { en: EN, de: DE, es: ES, fr: FR };
+
+// Every interface language, labelled in its own language
+export const UI_LANGUAGES = Object.fromEntries(Object.keys(MESSAGES).map(id => [id, LANGUAGES[id].nativeLabel]));
+
+// `{name}` placeholders are filled from `vars`
+export const translate = (locale, key, vars = {}) => {
+  const template = MESSAGES[locale]?.[key] ?? EN[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (Object.hasOwn(vars, name) ? String(vars[name]) : match));
+};
+
+export const createTranslator = (locale) => (key, vars) => translate(locale, key, vars);
+
+// `key.one` for a count of 1, else `key.other`
+export const pluralKey = (key, count) => `${key}.${count === 1 ? 'one' : 'other'}`;
+
+// An import warning or error (see import/index.js) in the interface
+// language. Errors without a code come from the parsers and keep their text.
+export const importMessage = (issue, t) => {
+  if (!issue.code) return issue.message;
+  const key = `import.${issue.code}`;
+  return t(issue.count === undefined ? key : pluralKey(key, issue.count), issue);
+};
+
+// describeError() output with the title and hint in the interface language
+export const localizeError = (error, t) => ({
+  ...error,
+  title: t(`error.${error.code}.title`),
+  hint: t(`error.${error.code}.hint`),
+});
+
+// The saved choice, else the browser's preferred language when we have it
+export const loadUiLanguage = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (Object.hasOwn(MESSAGES, saved)) return saved;
+  } catch {
+    // Storage unavailable: fall through to the browser language
+  }
+  const preferred = (typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language])
+    .map(tag => (tag || '').slice(0, 2).toLowerCase())
+    .find(id => Object.hasOwn(MESSAGES, id));
+  return preferred || DEFAULT_UI_LANGUAGE;
+};
+
+export const saveUiLanguage = (locale) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Private mode or quota exceeded: the choice just won't persist
+  }
+};
@@ -0,0 +1,16 @@
+// ==========================================
+// 🌐 INTERFACE LANGUAGE CONTEXT
+// Hands the interface language and its translator to every component, so
+// none of them needs `t` passed down. TranslationProvider fills it in.
+// ==========================================
+import { createContext, useContext } from 'react';
+import { DEFAULT_UI_LANGUAGE, createTranslator } from './i18n.js';
+
+export const TranslationContext = createContext({
+  locale: DEFAULT_UI_LANGUAGE,
+  t: createTranslator(DEFAULT_UI_LANGUAGE),
+  setLocale: () => {},
+});
+
+// { locale, t, setLocale }
+export const useTranslation = () => useContext(TranslationContext);
@@ -0,0 +1,76 @@
+// ==========================================
+// 📝 DOCX IMPORTER
+// mammoth turns the Word document into semantic HTML, which we walk to
+// recover headings, (nested) lists and table rows as blocks.
+// ==========================================
+import { blocksToText, blocksToSections, isLikelyHeading } from './sections.js';
+
+let mammothPromise = null;
+
+const loadMammoth = () => {
+  if (!mammothPromise) {
+    mammothPromise = import('mammoth/mammoth.browser.js').then(mod => mod.default || mod);
+  }
+  return mammothPromise;
+};
+
+const textOf = (node) => (node.textContent || '').replace(/\s+/g, ' ').trim();
+
+// List items can contain nested lists; the item's own text excludes them.
+const listItemText = (li) => {
+  const clone = li.cloneNode(true);
+  clone.querySelectorAll('ul, ol').forEach(nested => nested.remove());
+  return textOf(clone);
+};
+
+const walk = (elements, blocks, stats) => {
+  Array.from(elements).forEach(el => {
+    const tag = el.tagName.toLowerCase();
+
+    if (/^h[1-6]$/.test(tag)) {
+      const text = textOf(el);
+      if (text) blocks.push({ type: 'heading', text });
+    } else if (tag === 'ul' || tag === 'ol') {
+      Array.from(el.children).forEach(li => {
+        const text = listItemText(li);
+        if (text) blocks.push({ type: 'bullet', text });
+        walk(li.querySelectorAll(':scope > ul, :scope > ol'), blocks, stats);
+      });
+    } else if (tag === 'table') {
+      stats.tables++;
+      el.querySelectorAll('tr').forEach(tr => {
+        const cells = Array.from(tr.children).map(textOf);
+        if (cells.some(Boolean)) blocks.push({ type: 'table-row', cells });
+      });
+    } else if (tag === 'p') {
+      const text = textOf(el);
+      if (!text) return;
+      // Many resumes fake headings with a bold paragraph instead of a Heading style
+      const onlyBold = el.children.length === 1 && el.firstElementChild.tagName === 'STRONG' && textOf(el.firstElementChild) === text;
+      blocks.push({ type: onlyBold && isLikelyHeading(text.toUpperCase()) ? 'heading' : 'paragraph', text });
+    } else {
+      walk(el.children, blocks, stats);
+    }
+  });
+};
+
+export const extractDocxText = async (file) => {
+  const mammoth = await loadMammoth();
+  const arrayBuffer = await file.arrayBuffer();
+  const { value: html } = await mammoth.convertToHtml({ arrayBuffer });
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const blocks = [];
+  const stats = { tables: 0 };
+  walk(doc.body.children, blocks, stats);
+
+  const warnings = [];
+  if (!blocks.length) {
+    warnings.push({ code: 'empty-document' });
+  }
+  if (stats.tables > 0) {
+    warnings.push({ code: 'tables', count: stats.tables });
+  }
+
+  return { text: blocksToText(blocks), sections: blocksToSections(blocks), warnings };
+};
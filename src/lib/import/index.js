@@ -0,0 +1,47 @@
+// ==========================================
+// 📥 RESUME IMPORT
+// Single entry point for every supported file type. Each importer returns
+// { text, sections, warnings } so the UI does not care where text came from;
+// PDFs add pageCount and pageBreaks (see joinPages in normalize.js).
+// Warnings and the errors thrown here carry a `code` (plus `count` and
+// `pages` where they apply); the UI words them with the `import.<code>`
+// keys (see importMessage in i18n.js).
+// ==========================================
+import { extractPdfText } from './pdf.js';
+import { extractDocxText } from './docx.js';
+import { extractPlainText } from './text.js';
+import { textToBlocks, blocksToSections } from './sections.js';
+
+export const ACCEPTED_FILE_TYPES = '.pdf,.docx,.txt,.md,.markdown,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain,text/markdown';
+
+export const detectFormat = (file) => {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.pdf') || file.type === 'application/pdf') return 'pdf';
+  if (name.endsWith('.docx')) return 'docx';
+  if (name.endsWith('.doc')) return 'doc';
+  if (/\.(md|markdown)$/.test(name)) return 'markdown';
+  if (name.endsWith('.txt') || file.type === 'text/plain') return 'text';
+  return null;
+};
+
+export const importResumeFile = async (file) => {
+  const format = detectFormat(file);
+
+  if (format === 'pdf') {
+    const result = await extractPdfText(file);
+    return { ...result, format, sections: blocksToSections(textToBlocks(result.text)) };
+  }
+  if (format === 'docx') {
+    return { ...(await extractDocxText(file)), format };
+  }
+  if (format === 'markdown' || format === 'text') {
+    return { ...(await extractPlainText(file)), format };
+  }
+  if (format === 'doc') {
+    throw Object.assign(new Error("Legacy .doc files are not supported."), { code: 'legacy-doc' });
+  }
+  throw Object.assign(new Error("Unsupported file type."), { code: 'unsupported-type' });
+};
+
+// Pasted text gets the same structural view as imported files.
+export const sectionsFromText = (text) => blocksToSections(textToBlocks(text));
@@ -0,0 +1,55 @@
+// ==========================================
+// 🧹 TEXT NORMALIZATION
+// Every importer funnels its output through here so that handleAnalyze and
+// calculateStats always receive the same shape of plain text.
+// ==========================================
+
+// Glyphs that word processors and PDF exporters use as list markers.
+// They are rewritten to a plain "•" so ATS checks see one consistent marker.
+export const BULLET_GLYPHS = ['•', '●', '○', '◦', '▪', '■', '□', '‣', '∙', '⁃', '➢', '➤', '►', '▶', '✓', '✔', '❖', '\uf0b7', '\uf0a7', '\uf076'];
+
+const BULLET_GLYPH_PATTERN = new RegExp(`^[${BULLET_GLYPHS.join('')}]\\s*`);
+
+export const isBulletLine = (line) => BULLET_GLYPH_PATTERN.test(line) || /^[-*–—]\s+/.test(line);
+
+export const normalizeResumeText = (text) => {
+  if (!text) return '';
+
+  const lines = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u00a0\u2007\u202f\t]/g, ' ')
+    .replace(/[\u200b-\u200d\ufeff]/g, '')
+    .replace(/\f/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/ {2,}/g, ' ').trim())
+    .map(line => line.replace(BULLET_GLYPH_PATTERN, '• '));
+
+  return lines
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Page boundaries travel next to the text, never inside it: the text is
+// what the user edits, sends and copies. Pages are normalized one by one
+// and joined by a blank line; `pageBreaks` holds the offset in `text` where
+// each page after the first begins. An empty page (a scanned one, say)
+// adds no text but keeps its place as a zero-length range, so page N is
+// always range N.
+export const joinPages = (pages) => {
+  let text = '';
+  const starts = pages.map(normalizeResumeText).map(page => {
+    if (!page) return null;
+    if (text) text += '\n\n';
+    const start = text.length;
+    text += page;
+    return start;
+  });
+  const nextStart = (i) => starts.slice(i).find(start => start !== null) ?? text.length;
+  return { text, pageBreaks: starts.slice(1).map((start, i) => start ?? nextStart(i + 1)) };
+};
+
+// The pages of `text` at the offsets from joinPages; one page without them
+export const splitPages = (text, pageBreaks = []) => (
+  [0, ...pageBreaks].map((start, i) => text.slice(start, pageBreaks[i] ?? text.length))
+);
@@ -0,0 +1,206 @@
+// ==========================================
+// 📄 PDF IMPORTER (runs entirely in the browser)
+// ==========================================
+import { joinPages, isBulletLine } from './normalize.js';
+
+// Fewer extractable characters than this per page means the PDF is most
+// likely a scan or an exported image with no text layer.
+const MIN_CHARS_PER_PAGE = 40;
+
+// A page is treated as two-column when at least this share of its lines
+// sits entirely on one side of a shared vertical gutter.
+const COLUMN_LINE_RATIO = 0.35;
+const MIN_COLUMN_LINES = 4;
+
+let pdfjsPromise = null;
+
+// pdf.js is large, so it is only fetched the first time someone drops a PDF.
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+};
+
+const toItem = (raw) => ({
+  str: raw.str,
+  x: raw.transform[4],
+  y: raw.transform[5],
+  width: raw.width,
+  size: Math.hypot(raw.transform[2], raw.transform[3]) || raw.height || 10,
+});
+
+// Group text items that share a baseline into visual lines, top to bottom.
+const groupIntoLines = (items) => {
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  sorted.forEach(item => {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) < Math.max(line.size, item.size) * 0.5) {
+      line.items.push(item);
+      line.size = Math.max(line.size, item.size);
+    } else {
+      lines.push({ y: item.y, size: item.size, items: [item] });
+    }
+  });
+
+  lines.forEach(line => {
+    line.items.sort((a, b) => a.x - b.x);
+    line.left = line.items[0].x;
+    const last = line.items[line.items.length - 1];
+    line.right = last.x + last.width;
+  });
+
+  return lines;
+};
+
+const lineText = (line) => line.items.reduce((acc, item, i) => {
+  if (i === 0) return item.str;
+  const prev = line.items[i - 1];
+  const gap = item.x - (prev.x + prev.width);
+  const needsSpace = gap > item.size * 0.15 && !acc.endsWith(' ') && !item.str.startsWith(' ');
+  return acc + (needsSpace ? ' ' : '') + item.str;
+}, '').trim();
+
+// Look for a vertical strip in the middle of the page that no line crosses
+// while text sits on both sides of it, and that most lines stay on one side
+// of. Returns the gutter x or null.
+const findGutter = (lines, pageWidth) => {
+  if (lines.length < MIN_COLUMN_LINES * 2) return null;
+
+  for (let ratio = 0.3; ratio <= 0.7; ratio += 0.05) {
+    const gutter = pageWidth * ratio;
+    let left = 0;
+    let right = 0;
+    let crossing = 0;
+    let spanning = 0;
+
+    lines.forEach(line => {
+      const crosses = line.items.some(item => item.x < gutter && item.x + item.width > gutter);
+      if (crosses) crossing++;
+      else if (line.right <= gutter) left++;
+      else if (line.left >= gutter) right++;
+      else {
+        // Items on both sides without touching the gutter: two columns that
+        // share a baseline, or a single-column row like a job title with its
+        // dates aligned right. Neither side gets the line.
+        spanning++;
+      }
+    });
+
+    const total = lines.length;
+    if (
+      left >= MIN_COLUMN_LINES &&
+      right >= MIN_COLUMN_LINES &&
+      right / total >= COLUMN_LINE_RATIO &&
+      crossing / total < 0.15 &&
+      spanning / total <= 0.5
+    ) {
+      return gutter;
+    }
+  }
+  return null;
+};
+
+// Turn visual lines back into text, keeping paragraph breaks and joining
+// bullets that were wrapped onto several lines.
+const linesToText = (lines) => {
+  const gaps = lines.slice(1).map((line, i) => lines[i].y - line.y).filter(g => g > 0);
+  const typicalGap = gaps.length ? [...gaps].sort((a, b) => a - b)[Math.floor(gaps.length / 2)] : 12;
+
+  const out = [];
+  lines.forEach((line, i) => {
+    const text = lineText(line);
+    if (!text) return;
+
+    const prev = lines[i - 1];
+    const gap = prev ? prev.y - line.y : 0;
+    const last = out[out.length - 1];
+    const isHeading = text.length < 40 && text === text.toUpperCase() && /[A-Z]/.test(text);
+
+    if (prev && (gap > typicalGap * 1.6 || isHeading) && last !== '') {
+      out.push('');
+    }
+
+    const current = out[out.length - 1];
+    const continuesBullet = current && isBulletLine(current) && !isBulletLine(text) && !isHeading &&
+      gap <= typicalGap * 1.3 && line.left > prev.left + 1;
+
+    if (continuesBullet) {
+      out[out.length - 1] = current.endsWith('-')
+        ? current.slice(0, -1) + text
+        : `${current} ${text}`;
+    } else {
+      out.push(text);
+    }
+  });
+
+  return out.join('\n');
+};
+
+export const extractPdfText = async (file) => {
+  const pdfjs = await loadPdfjs();
+  const data = new Uint8Array(await file.arrayBuffer());
+  const doc = await pdfjs.getDocument({ data }).promise;
+
+  const pageCount = doc.numPages;
+  const pages = [];
+  const emptyPages = [];
+  const multiColumnPages = [];
+
+  // Free the worker's copy of the document even when a page fails to parse
+  try {
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      try {
+        const { width } = page.getViewport({ scale: 1 });
+        const content = await page.getTextContent();
+        const items = content.items.filter(item => item.str && item.str.trim()).map(toItem);
+
+        const charCount = items.reduce((sum, item) => sum + item.str.length, 0);
+        if (charCount < MIN_CHARS_PER_PAGE) emptyPages.push(pageNumber);
+
+        const lines = groupIntoLines(items);
+        const gutter = findGutter(lines, width);
+
+        if (gutter === null) {
+          pages.push(linesToText(lines));
+        } else {
+          // Read the left column top to bottom, then the right one, which is
+          // the order a human reads it (and the order most ATS parsers do not).
+          multiColumnPages.push(pageNumber);
+          const leftItems = items.filter(item => item.x < gutter);
+          const rightItems = items.filter(item => item.x >= gutter);
+          pages.push(`${linesToText(groupIntoLines(leftItems))}\n\n${linesToText(groupIntoLines(rightItems))}`);
+        }
+      } finally {
+        page.cleanup();
+      }
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  const warnings = [];
+  if (emptyPages.length === pageCount) {
+    warnings.push({ code: 'image-only' });
+  } else if (emptyPages.length > 0) {
+    warnings.push({ code: 'image-pages', count: emptyPages.length, pages: emptyPages.join(', ') });
+  }
+  if (multiColumnPages.length > 0) {
+    warnings.push({ code: 'multi-column', count: multiColumnPages.length, pages: multiColumnPages.join(', ') });
+  }
+
+  return {
+    ...joinPages(pages),
+    pageCount,
+    warnings,
+  };
+};
@@ -0,0 +1,133 @@
+// ==========================================
+// 🗂️ RESUME STRUCTURE
+// Importers describe a document as a flat list of blocks:
+//   { type: 'heading' | 'paragraph' | 'bullet' | 'table-row', text, cells? }
+// From those we derive both the plain text the stats engine reads and a
+// section-by-section view of the resume.
+// ==========================================
+import { normalizeResumeText, isBulletLine } from './normalize.js';
+
+// Canonical section keys and the headings people actually use for them,
+// in English, German, Spanish and French.
+export const SECTION_HEADINGS = {
+  summary: [
+    'summary', 'professional summary', 'profile', 'professional profile', 'objective', 'career objective', 'about', 'about me', 'overview',
+    'profil', 'kurzprofil', 'zusammenfassung', 'über mich', 'berufsziel',
+    'perfil', 'perfil profesional', 'resumen', 'resumen profesional', 'sobre mí', 'objetivo', 'objetivo profesional',
+    'profil professionnel', 'résumé', 'à propos', 'objectif', 'objectif professionnel',
+  ],
+  experience: [
+    'experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history', 'relevant experience',
+    'berufserfahrung', 'erfahrung', 'berufliche erfahrung', 'beruflicher werdegang', 'werdegang', 'praxiserfahrung',
+    'experiencia', 'experiencia laboral', 'experiencia profesional', 'trayectoria profesional', 'historial laboral',
+    'expérience', 'expériences', 'expérience professionnelle', 'expériences professionnelles', 'parcours professionnel',
+  ],
+  education: [
+    'education', 'academic background', 'education and training', 'qualifications', 'academic history',
+    'ausbildung', 'bildung', 'bildungsweg', 'studium', 'schulbildung', 'aus und weiterbildung',
+    'educación', 'formación', 'formación académica', 'estudios',
+    'formation', 'formations', 'éducation', 'études', 'parcours académique', 'diplômes',
+  ],
+  skills: [
+    'skills', 'technical skills', 'core skills', 'key skills', 'core competencies', 'competencies', 'technologies', 'tools', 'expertise',
+    'kenntnisse', 'fähigkeiten', 'kompetenzen', 'fachkenntnisse', 'it kenntnisse', 'edv kenntnisse', 'technologien',
+    'habilidades', 'competencias', 'conocimientos', 'aptitudes', 'habilidades técnicas', 'tecnologías',
+    'compétences', 'compétences techniques', 'savoir faire', 'connaissances', 'outils', 'technologies maîtrisées',
+  ],
+  projects: [
+    'projects', 'personal projects', 'selected projects', 'key projects',
+    'projekte', 'ausgewählte projekte', 'proyectos', 'proyectos destacados', 'projets', 'projets personnels',
+  ],
+  certifications: [
+    'certifications', 'certificates', 'licenses', 'licenses and certifications', 'courses',
+    'zertifikate', 'zertifizierungen', 'weiterbildung', 'weiterbildungen', 'kurse',
+    'certificaciones', 'certificados', 'cursos', 'licences', 'certificats', 'cours',
+  ],
+  awards: [
+    'awards', 'honors', 'honours', 'achievements', 'awards and honors',
+    'auszeichnungen', 'erfolge', 'premios', 'logros', 'reconocimientos', 'distinctions', 'prix', 'réalisations',
+  ],
+  languages: ['languages', 'sprachen', 'sprachkenntnisse', 'idiomas', 'langues', 'compétences linguistiques'],
+  volunteer: [
+    'volunteer', 'volunteering', 'volunteer experience', 'community',
+    'ehrenamt', 'ehrenamtliches engagement', 'engagement', 'voluntariado', 'bénévolat',
+  ],
+  publications: ['publications', 'research', 'papers', 'publikationen', 'veröffentlichungen', 'forschung', 'publicaciones', 'investigación', 'recherche'],
+  contact: [
+    'contact', 'contact information', 'contact details', 'personal details', 'personal information',
+    'kontakt', 'persönliche daten', 'contacto', 'datos personales', 'coordonnées', 'informations personnelles',
+  ],
+};
+
+// Keeps letters in any alphabet, so "Über mich" and "Expérience" match
+const cleanHeading = (text) => text
+  .toLowerCase()
+  .replace(/[:：]$/, '')
+  .replace(/&/g, 'and')
+  .replace(/[^\p{L}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Returns the canonical section key for a heading, or null if unknown.
+export const classifyHeading = (text) => {
+  const cleaned = cleanHeading(text);
+  if (!cleaned) return null;
+  const match = Object.entries(SECTION_HEADINGS).find(([, names]) => names.includes(cleaned));
+  return match ? match[0] : null;
+};
+
+// Guess whether a plain-text line is a section heading.
+export const isLikelyHeading = (line) => {
+  const text = line.trim();
+  if (!text || text.length > 40 || isBulletLine(text)) return false;
+  if (classifyHeading(text)) return true;
+  const words = text.replace(/:$/, '').split(/\s+/);
+  return words.length <= 4 && /[A-Z]/.test(text) && text === text.toUpperCase() && !/\d{3,}/.test(text);
+};
+
+// Used for pasted text and PDFs, where we only have lines to go on.
+export const textToBlocks = (text) => normalizeResumeText(text)
+  .split('\n')
+  .filter(line => line.trim())
+  .map(line => {
+    if (isBulletLine(line)) return { type: 'bullet', text: line.replace(/^(•|[-*–—])\s*/, '') };
+    if (isLikelyHeading(line)) return { type: 'heading', text: line.replace(/:$/, '') };
+    return { type: 'paragraph', text: line };
+  });
+
+export const blocksToText = (blocks) => {
+  const lines = [];
+  blocks.forEach(block => {
+    if (block.type === 'heading') {
+      if (lines.length) lines.push('');
+      lines.push(block.text);
+    } else if (block.type === 'bullet') {
+      lines.push(`• ${block.text}`);
+    } else if (block.type === 'table-row') {
+      lines.push(block.cells.filter(Boolean).join(' | '));
+    } else {
+      lines.push(block.text);
+    }
+  });
+  return normalizeResumeText(lines.join('\n'));
+};
+
+// Everything before the first heading is treated as the contact header.
+export const blocksToSections = (blocks) => {
+  const sections = [{ key: 'contact', heading: null, items: [] }];
+  blocks.forEach(block => {
+    const isNameHeading = block.type === 'heading' && sections.length === 1 &&
+      !sections[0].items.length && !classifyHeading(block.text);
+
+    if (isNameHeading) {
+      // A leading heading that is not a known section is the candidate's name
+      sections[0].items.push({ type: 'paragraph', text: block.text });
+    } else if (block.type === 'heading') {
+      sections.push({ key: classifyHeading(block.text) || 'other', heading: block.text, items: [] });
+    } else {
+      const text = block.type === 'table-row' ? block.cells.filter(Boolean).join(' | ') : block.text;
+      sections[sections.length - 1].items.push({ type: block.type, text });
+    }
+  });
+  return sections.filter(section => section.heading || section.items.length);
+};
@@ -0,0 +1,62 @@
+// ==========================================
+// 🔤 PLAIN TEXT & MARKDOWN IMPORTER
+// ==========================================
+import { textToBlocks, blocksToText, blocksToSections } from './sections.js';
+
+const stripInline = (text) => text
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, label, url) => (label === url ? url : `${label} (${url})`))
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/(\*|_)(.+?)\1/g, '$2')
+  .replace(/`([^`]+)`/g, '$1')
+  .replace(/<[^>]+>/g, '')
+  .trim();
+
+export const markdownToBlocks = (markdown) => {
+  const blocks = [];
+  let inCode = false;
+
+  markdown.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    if (line.startsWith('```')) {
+      inCode = !inCode;
+      return;
+    }
+    if (!line) return;
+    if (inCode) {
+      blocks.push({ type: 'paragraph', text: line });
+      return;
+    }
+
+    const heading = line.match(/^#{1,6}\s+(.*?)\s*#*$/);
+    const bullet = line.match(/^(?:[-*+]|\d+[.)])\s+(.*)$/);
+    const quote = line.match(/^>\s?(.*)$/);
+
+    if (heading) {
+      blocks.push({ type: 'heading', text: stripInline(heading[1]) });
+    } else if (/^([-*_])(\s*\1){2,}$/.test(line)) {
+      // horizontal rule, purely decorative
+    } else if (/^\|?\s*:?-{3,}/.test(line)) {
+      // table alignment row
+    } else if (line.startsWith('|')) {
+      const cells = line.replace(/^\||\|$/g, '').split('|').map(cell => stripInline(cell));
+      blocks.push({ type: 'table-row', cells });
+    } else if (bullet) {
+      blocks.push({ type: 'bullet', text: stripInline(bullet[1]) });
+    } else if (quote) {
+      blocks.push({ type: 'paragraph', text: stripInline(quote[1]) });
+    } else {
+      blocks.push({ type: 'paragraph', text: stripInline(line) });
+    }
+  });
+
+  return blocks.filter(block => block.type === 'table-row' || block.text);
+};
+
+export const extractPlainText = async (file) => {
+  const raw = await file.text();
+  const isMarkdown = /\.(md|markdown)$/i.test(file.name);
+  const blocks = isMarkdown ? markdownToBlocks(raw) : textToBlocks(raw);
+
+  return { text: blocksToText(blocks), sections: blocksToSections(blocks), warnings: [] };
+};
@@ -0,0 +1,298 @@
+// ==========================================
+// 🔑 LOCAL KEYWORD ENGINE
+// Pulls skills, tools and phrases out of a job description and checks which
+// of them the resume covers. Runs fully offline, no API key needed.
+// ==========================================
+
+// Known skills and tools with the spellings people use for them. Aliases
+// are matched case-insensitively as whole words or phrases; `exact`
+// patterns are matched as written, for names that are also everyday words.
+export const SKILL_SYNONYMS = [
+  // Languages
+  { name: 'JavaScript', aliases: ['javascript', 'js', 'ecmascript', 'es6'] },
+  { name: 'TypeScript', aliases: ['typescript', 'ts'] },
+  { name: 'Python', aliases: ['python', 'python3'] },
+  { name: 'Java', aliases: ['java'] },
+  // "Go" only when capitalized, and not as in "Go to market" or "go-live"
+  { name: 'Go', aliases: ['golang', 'go lang'], exact: [/(?<![\w.+#-])Go(?![\w+#-]|\s+(?:to|live|above|beyond|further)\b)/g] },
+  { name: 'Rust', aliases: ['rust'] },
+  { name: 'C++', aliases: ['c++', 'cpp'] },
+  { name: 'C#', aliases: ['c#', 'csharp', 'c sharp'] },
+  { name: 'Ruby', aliases: ['ruby'] },
+  { name: 'PHP', aliases: ['php'] },
+  { name: 'Kotlin', aliases: ['kotlin'] },
+  { name: 'Swift', aliases: ['swift'] },
+  { name: 'Scala', aliases: ['scala'] },
+  { name: 'SQL', aliases: ['sql'] },
+  { name: 'HTML', aliases: ['html', 'html5'] },
+  { name: 'CSS', aliases: ['css', 'css3', 'sass', 'scss'] },
+  // Frameworks & libraries
+  { name: 'React', aliases: ['react', 'react.js', 'reactjs'] },
+  { name: 'React Native', aliases: ['react native'] },
+  { name: 'Angular', aliases: ['angular', 'angularjs'] },
+  { name: 'Vue', aliases: ['vue', 'vue.js', 'vuejs'] },
+  { name: 'Next.js', aliases: ['next.js', 'nextjs'] },
+  { name: 'Node.js', aliases: ['node.js', 'nodejs', 'node'] },
+  { name: 'Express', aliases: ['express.js', 'expressjs'] },
+  { name: 'Django', aliases: ['django'] },
+  { name: 'Flask', aliases: ['flask'] },
+  { name: 'FastAPI', aliases: ['fastapi'] },
+  { name: 'Spring', aliases: ['spring', 'spring boot', 'springboot'] },
+  { name: 'Ruby on Rails', aliases: ['ruby on rails', 'rails', 'ror'] },
+  { name: '.NET', aliases: ['.net', 'dotnet', 'asp.net'] },
+  { name: 'GraphQL', aliases: ['graphql'] },
+  { name: 'REST APIs', aliases: ['restful', 'rest api', 'rest apis', 'restful apis'] },
+  { name: 'Redux', aliases: ['redux'] },
+  { name: 'Tailwind CSS', aliases: ['tailwind', 'tailwindcss', 'tailwind css'] },
+  // Data & ML
+  { name: 'Machine Learning', aliases: ['machine learning', 'ml'] },
+  { name: 'Deep Learning', aliases: ['deep learning'] },
+  { name: 'Artificial Intelligence', aliases: ['artificial intelligence', 'ai'] },
+  { name: 'NLP', aliases: ['nlp', 'natural language processing'] },
+  { name: 'LLMs', aliases: ['llm', 'llms', 'large language models', 'large language model'] },
+  { name: 'TensorFlow', aliases: ['tensorflow'] },
+  { name: 'PyTorch', aliases: ['pytorch'] },
+  { name: 'scikit-learn', aliases: ['scikit-learn', 'sklearn', 'scikit learn'] },
+  { name: 'Pandas', aliases: ['pandas'] },
+  { name: 'NumPy', aliases: ['numpy'] },
+  { name: 'Spark', aliases: ['spark', 'apache spark', 'pyspark'] },
+  { name: 'Hadoop', aliases: ['hadoop'] },
+  { name: 'Kafka', aliases: ['kafka', 'apache kafka'] },
+  { name: 'Airflow', aliases: ['airflow', 'apache airflow'] },
+  { name: 'ETL', aliases: ['etl', 'elt', 'data pipelines', 'data pipeline'] },
+  { name: 'Data Analysis', aliases: ['data analysis', 'data analytics', 'analytics'] },
+  { name: 'Data Visualization', aliases: ['data visualization', 'data visualisation'] },
+  { name: 'Tableau', aliases: ['tableau'] },
+  { name: 'Power BI', aliases: ['power bi', 'powerbi'] },
+  { name: 'Excel', aliases: ['excel', 'microsoft excel', 'ms excel'] },
+  { name: 'Statistics', aliases: ['statistics', 'statistical analysis', 'statistical modeling'] },
+  { name: 'A/B Testing', aliases: ['a/b testing', 'ab testing', 'a/b tests', 'experimentation'] },
+  // Databases
+  { name: 'PostgreSQL', aliases: ['postgresql', 'postgres', 'psql'] },
+  { name: 'MySQL', aliases: ['mysql'] },
+  { name: 'MongoDB', aliases: ['mongodb', 'mongo'] },
+  { name: 'Redis', aliases: ['redis'] },
+  { name: 'Elasticsearch', aliases: ['elasticsearch', 'elastic search', 'opensearch'] },
+  { name: 'DynamoDB', aliases: ['dynamodb'] },
+  { name: 'Snowflake', aliases: ['snowflake'] },
+  { name: 'BigQuery', aliases: ['bigquery', 'big query'] },
+  { name: 'NoSQL', aliases: ['nosql'] },
+  // Cloud & infrastructure
+  { name: 'AWS', aliases: ['aws', 'amazon web services'] },
+  { name: 'Azure', aliases: ['azure', 'microsoft azure'] },
+  { name: 'GCP', aliases: ['gcp', 'google cloud', 'google cloud platform'] },
+  { name: 'Kubernetes', aliases: ['kubernetes', 'k8s', 'eks', 'gke', 'aks'] },
+  { name: 'Docker', aliases: ['docker', 'containers', 'containerization'] },
+  { name: 'Terraform', aliases: ['terraform'] },
+  { name: 'Ansible', aliases: ['ansible'] },
+  { name: 'CI/CD', aliases: ['ci/cd', 'ci cd', 'cicd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+  { name: 'Jenkins', aliases: ['jenkins'] },
+  { name: 'GitHub Actions', aliases: ['github actions'] },
+  { name: 'Git', aliases: ['git', 'github', 'gitlab', 'bitbucket'] },
+  { name: 'Linux', aliases: ['linux', 'unix'] },
+  { name: 'Serverless', aliases: ['serverless', 'lambda', 'aws lambda', 'cloud functions'] },
+  { name: 'Microservices', aliases: ['microservices', 'microservice', 'micro-services'] },
+  { name: 'Distributed Systems', aliases: ['distributed systems', 'distributed system'] },
+  { name: 'System Design', aliases: ['system design', 'systems design', 'software architecture'] },
+  { name: 'Observability', aliases: ['observability', 'monitoring', 'prometheus', 'grafana', 'datadog'] },
+  { name: 'Infrastructure as Code', aliases: ['infrastructure as code', 'iac'] },
+  { name: 'DevOps', aliases: ['devops'] },
+  { name: 'SRE', aliases: ['sre', 'site reliability', 'site reliability engineering'] },
+  // Practices
+  { name: 'Agile', aliases: ['agile', 'scrum', 'kanban'] },
+  { name: 'Unit Testing', aliases: ['unit testing', 'unit tests', 'tdd', 'test-driven development', 'jest', 'pytest', 'junit'] },
+  { name: 'Security', aliases: ['security', 'cybersecurity', 'application security', 'owasp'] },
+  { name: 'Performance Optimization', aliases: ['performance optimization', 'performance tuning', 'optimization'] },
+  { name: 'Accessibility', aliases: ['accessibility', 'a11y', 'wcag'] },
+  { name: 'UX Design', aliases: ['ux', 'ux design', 'user experience'] },
+  { name: 'UI Design', aliases: ['ui design', 'user interface design'] },
+  { name: 'Figma', aliases: ['figma'] },
+  { name: 'Mobile Development', aliases: ['mobile development', 'ios', 'android'] },
+  { name: 'SEO', aliases: ['seo', 'search engine optimization'] },
+  // Business
+  { name: 'Project Management', aliases: ['project management', 'pmp', 'program management'] },
+  { name: 'Product Management', aliases: ['product management', 'product manager', 'product roadmap', 'roadmapping'] },
+  { name: 'Stakeholder Management', aliases: ['stakeholder management', 'stakeholders', 'stakeholder'] },
+  { name: 'Leadership', aliases: ['leadership', 'team lead', 'people management', 'mentoring', 'mentorship'] },
+  { name: 'Communication', aliases: ['communication', 'communication skills'] },
+  { name: 'Cross-functional Collaboration', aliases: ['cross-functional', 'cross functional'] },
+  { name: 'Salesforce', aliases: ['salesforce', 'sfdc'] },
+  { name: 'CRM', aliases: ['crm'] },
+  { name: 'Jira', aliases: ['jira', 'confluence'] },
+  { name: 'Budgeting', aliases: ['budgeting', 'budget management', 'p&l'] },
+  { name: 'Digital Marketing', aliases: ['digital marketing', 'performance marketing', 'growth marketing'] },
+];
+
+const STOPWORDS = new Set(`
+a about above across after again against all also am an and any are as at be because been before being below between both but by
+can could did do does doing down during each either else etc every few for from further had has have having he her here hers him his
+how i if in into is it its itself just least less like made make many may me might more most much must my no nor not now of off on once
+only or other our ours out over own per same she should so some such than that the their them then there these they this those through
+to too under until up upon us very via was we well were what when where which while who whom why will with within without would you
+your yours able ability across new using use used strong excellent good great proven solid deep plus including include includes
+experience experienced years year role team teams work working company candidate candidates ideal looking join position job responsibilities
+requirements required preferred qualifications skills skill knowledge understanding familiarity opportunity opportunities environment
+help helps ensure ensuring across based related relevant level high highly etc e.g i.e day days time fast paced fast-paced passion
+passionate self motivated self-motivated minimum least bonus nice closely within benefits salary equal employer apply application
+`.split(/\s+/).filter(Boolean));
+
+// Uppercase tokens that show up in postings but are not skills.
+const IGNORED_ACRONYMS = new Set(['US', 'USA', 'UK', 'EU', 'EEO', 'EOE', 'HR', 'PTO', 'WFH', 'OR', 'AND', 'THE', 'TBD', 'CV', 'FAQ', 'CEO', 'CTO', 'CFO', 'VP', 'NYC', 'SF', 'LA', 'ASAP', 'OK', 'BS', 'BA', 'MS', 'MBA', 'PHD', 'USD', 'EUR', 'GBP', 'KPI', 'OKR', 'AM', 'PM', 'IT']);
+
+// Base weight by how a keyword was found; a curated skill beats a guessed phrase.
+const SOURCE_WEIGHTS = { skill: 3, acronym: 2, phrase: 2, term: 1 };
+
+const MAX_KEYWORDS = 25;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+const aliasPattern = (alias) => new RegExp(`(?<![a-z0-9+#.])${escapeRegExp(alias)}(?![a-z0-9+#]|\\.[a-z0-9])`, 'gi');
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+const skillHits = ({ aliases, exact = [] }, text) => (
+  aliases.reduce((sum, alias) => sum + countMatches(text, aliasPattern(alias)), 0) +
+  exact.reduce((sum, pattern) => sum + countMatches(text, pattern), 0)
+);
+
+export const stem = (word) => word
+  .toLowerCase()
+  .replace(/(ies)$/, 'y')
+  .replace(/(ing|ed|es|s)$/, '')
+  .replace(/(.)\1$/, '$1');
+
+const tokenize = (text) => text.toLowerCase().match(/[a-z0-9][a-z0-9+#./-]*[a-z0-9+#]|[a-z0-9]/g) || [];
+
+// Lines that contain these are must-haves; "nice to have" sections count less.
+const lineImportance = (line) => {
+  if (/nice to have|bonus|preferred|a plus|desirable|optional/i.test(line)) return 0.75;
+  if (/required|requirement|must|minimum|essential|you have|you will need/i.test(line)) return 1.5;
+  return 1;
+};
+
+const addCandidate = (candidates, key, data, importance) => {
+  const existing = candidates.get(key);
+  if (existing) {
+    existing.count++;
+    existing.importance = Math.max(existing.importance, importance);
+  } else {
+    candidates.set(key, { ...data, count: 1, importance });
+  }
+};
+
+// Extract weighted keywords from a job description.
+export const extractKeywords = (jobDesc) => {
+  if (!jobDesc || !jobDesc.trim()) return [];
+
+  const candidates = new Map();
+  const coveredTokens = new Set();
+  const lines = jobDesc.split(/\n|(?<=[.;])\s+/).filter(line => line.trim());
+
+  // Headings such as "Requirements:" or "Nice to have:" set the importance
+  // of the bullet lines that follow them.
+  let sectionImportance = 1;
+
+  lines.forEach(line => {
+    const isHeading = line.trim().length < 50 && (/:\s*$/.test(line) || line.trim().split(/\s+/).length <= 4);
+    if (isHeading && lineImportance(line) !== 1) {
+      sectionImportance = lineImportance(line);
+    } else if (isHeading && /:\s*$/.test(line)) {
+      sectionImportance = 1;
+    }
+    const importance = lineImportance(line) !== 1 ? lineImportance(line) : sectionImportance;
+
+    // 1. Curated skills and their synonyms
+    SKILL_SYNONYMS.forEach(skill => {
+      const hits = skillHits(skill, line);
+      for (let i = 0; i < hits; i++) {
+        addCandidate(candidates, skill.name.toLowerCase(), { keyword: skill.name, source: 'skill', aliases: skill.aliases, exact: skill.exact }, importance);
+      }
+      if (hits) skill.aliases.forEach(alias => tokenize(alias).forEach(token => coveredTokens.add(token)));
+    });
+
+    // 2. Acronyms and mixed-case product names (SaaS, OKRs, HIPAA...)
+    (line.match(/\b[A-Za-z]*[A-Z][a-z]*[A-Z][A-Za-z0-9]*\b/g) || []).forEach(token => {
+      const clean = token.replace(/s$/, '');
+      if (clean.length < 2 || clean.length > 8 || IGNORED_ACRONYMS.has(clean.toUpperCase())) return;
+      if (coveredTokens.has(clean.toLowerCase())) return;
+      addCandidate(candidates, clean.toLowerCase(), { keyword: clean, source: 'acronym', aliases: [clean.toLowerCase()] }, importance);
+    });
+
+    // 3. Two and three word phrases made only of content words
+    line.split(/[,;:()•/|]+|\s[-–—]\s|^[-–—]\s|\band\b|\bor\b/i).forEach(fragment => {
+      const words = tokenize(fragment).filter(w => !/^\d+$/.test(w));
+      for (let size = 3; size >= 2; size--) {
+        for (let i = 0; i + size <= words.length; i++) {
+          const gram = words.slice(i, i + size);
+          if (gram.some(w => STOPWORDS.has(w) || w.length < 3)) continue;
+          if (gram.every(w => coveredTokens.has(w))) continue;
+          const key = gram.map(stem).join(' ');
+          addCandidate(candidates, key, { keyword: gram.join(' '), source: 'phrase', stems: gram.map(stem) }, importance);
+        }
+      }
+    });
+
+    // 4. Single content words, kept only if they repeat
+    tokenize(line).forEach(word => {
+      if (word.length < 4 || STOPWORDS.has(word) || coveredTokens.has(word) || /\d/.test(word)) return;
+      addCandidate(candidates, `term:${stem(word)}`, { keyword: word, source: 'term', stems: [stem(word)] }, importance);
+    });
+  });
+
+  const keywords = Array.from(candidates.values())
+    .filter(c => c.source === 'skill' || c.source === 'acronym' || c.count >= 2)
+    .map(c => ({
+      ...c,
+      weight: Math.round(SOURCE_WEIGHTS[c.source] * c.importance * (1 + Math.log2(c.count)) * 10) / 10,
+    }))
+    .sort((a, b) => b.weight - a.weight);
+
+  // Drop single terms and short phrases that are already part of a longer kept phrase
+  const kept = [];
+  keywords.forEach(kw => {
+    const redundant = kw.stems && kept.some(k => k.stems && k.stems.length > kw.stems.length &&
+      kw.stems.every(s => k.stems.includes(s)));
+    if (!redundant) kept.push(kw);
+  });
+
+  return kept.slice(0, MAX_KEYWORDS).map(({ keyword, source, weight, aliases, exact, stems }) => ({ keyword, source, weight, aliases, exact, stems }));
+};
+
+const resumeHasKeyword = (resumeText, resumeStems, kw) => {
+  if (kw.aliases) return skillHits(kw, resumeText) > 0;
+  // Phrases match when their stems appear consecutively in the resume
+  const joined = ` ${resumeStems.join(' ')} `;
+  return joined.includes(` ${kw.stems.join(' ')} `);
+};
+
+// Score how well the resume covers the job description. `points` is the
+// share of the match score each keyword is worth, so adding a missing one
+// raises the score by roughly that amount.
+export const matchKeywords = (jobDesc, resumeText) => {
+  const keywords = extractKeywords(jobDesc);
+  if (!keywords.length) return null;
+
+  const resumeStems = tokenize(resumeText || '').map(stem);
+  const totalWeight = keywords.reduce((sum, kw) => sum + kw.weight, 0);
+
+  const matched = [];
+  const missing = [];
+  keywords.forEach(kw => {
+    const entry = {
+      keyword: kw.keyword,
+      source: kw.source,
+      weight: kw.weight,
+      points: Math.max(1, Math.round((kw.weight / totalWeight) * 100)),
+    };
+    (resumeHasKeyword(resumeText || '', resumeStems, kw) ? matched : missing).push(entry);
+  });
+
+  const matchedWeight = matched.reduce((sum, kw) => sum + kw.weight, 0);
+
+  return {
+    score: Math.round((matchedWeight / totalWeight) * 100),
+    matched,
+    missing,
+    total: keywords.length,
+  };
+};
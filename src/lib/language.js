@@ -0,0 +1,153 @@
+// ==========================================
+// 🌍 RESUME LANGUAGES
+// Which language a resume is written in, and what the local checks need to
+// read it: verb lexicons, pronouns, weak openers, number formats and a
+// sentence splitter that knows the language's abbreviations. The interface
+// language is separate (see i18n.js): a German resume can be reviewed in an
+// English interface. Shared by the client and the server.
+// ==========================================
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Fewer words than this and detection falls back to the default
+const MIN_DETECT_WORDS = 20;
+const MIN_STOPWORD_HITS = 3;
+
+// `verbs` and `connectors` are null for English: the rubric profile's
+// lexicon is used there, and the English connectors (the "by doing Z" of a
+// bullet) live in bullets.js. Profiles can add words to the other languages'
+// `verbs` (see rubricVerbs in rubrics.js).
+// `quantifiers` are added to the rubric's patterns (regular expression
+// sources, matched case-insensitively). `abbreviations` keep "z. B." or
+// "p. ej." from ending a sentence.
+export const LANGUAGES = {
+  en: {
+    label: "English",
+    nativeLabel: "English",
+    stopwords: ['the', 'and', 'of', 'to', 'in', 'for', 'with', 'on', 'at', 'by', 'from', 'as', 'is', 'was', 'were', 'this', 'that', 'an', 'which', 'using'],
+    verbs: null,
+    connectors: null,
+    // "I" is matched case-sensitively so the Roman numeral in "Level II" and
+    // words like "it" stay out of it. "We" and "our" are left out: they
+    // speak for the team rather than about the candidate, and tone.js
+    // reports them as a voice of their own.
+    pronouns: [/\b(I|I'm|I've|I'd|I'll)\b/g, /\b(me|my|mine|myself)\b/gi],
+    pronounExamples: ['I', 'me', 'my'],
+    weakOpeners: [
+      'helped', 'worked on', 'worked with', 'worked', 'responsible for', 'assisted', 'participated in',
+      'involved in', 'tasked with', 'duties included', 'contributed to', 'in charge of',
+    ],
+    openerExamples: ['Helped', 'Worked on', 'Responsible for'],
+    quantifiers: [],
+    abbreviations: null,
+    // Added to offline rewrites: we can't know the number, only that one is missing
+    metricPlaceholder: "resulting in [measurable result, e.g. 20% faster, $50k saved, 3x users]",
+  },
+  de: {
+    label: "German",
+    nativeLabel: "Deutsch",
+    stopwords: ['und', 'der', 'die', 'das', 'mit', 'für', 'von', 'im', 'den', 'zu', 'auf', 'bei', 'des', 'ein', 'eine', 'einer', 'als', 'ist', 'wurde', 'sowie', 'durch', 'dem', 'über'],
+    verbs: {
+      strong: ['entwickelt', 'geleitet', 'eingeführt', 'optimiert', 'gesteigert', 'reduziert', 'aufgebaut', 'automatisiert', 'implementiert', 'verantwortet', 'konzipiert', 'gegründet', 'verbessert', 'eingespart', 'umgesetzt', 'etabliert', 'gestartet', 'verhandelt', 'gewonnen'],
+      weak: ['geholfen', 'unterstützt', 'mitgewirkt', 'mitgearbeitet', 'beteiligt', 'zuständig', 'verantwortlich', 'mithilfe', 'tätig'],
+    },
+    connectors: /(?<!\p{L})(durch|mittels|dadurch|wodurch|was zu|mit dem ergebnis|sodass)(?!\p{L})/iu,
+    pronouns: [/(?<!\p{L})(ich|mich|mir|mein|meine|meinen|meinem|meiner|meines)(?!\p{L})/giu],
+    pronounExamples: ['ich', 'mich', 'mein'],
+    weakOpeners: ['verantwortlich für', 'zuständig für', 'mitgewirkt an', 'mitgewirkt bei', 'mitgearbeitet an', 'unterstützung bei', 'unterstützt', 'beteiligt an', 'geholfen', 'mithilfe bei', 'tätig als', 'tätig in', 'aufgaben'],
+    openerExamples: ['Verantwortlich für', 'Zuständig für', 'Mitgewirkt an'],
+    quantifiers: ['\\d+\\s?%', '\\d+\\s?€', '€\\s?\\d+', '\\d+([.,]\\d+)?\\s?(Mio|Mrd|Tsd)\\.?', '\\d+\\s?Prozent'],
+    abbreviations: ['z. B.', 'z.B.', 'd. h.', 'd.h.', 'u. a.', 'u.a.', 'bzw.', 'ca.', 'usw.', 'etc.', 'inkl.', 'ggf.', 'evtl.', 'bspw.', 'Dr.', 'Nr.', 'Mio.', 'Mrd.', 'Tsd.'],
+    metricPlaceholder: "mit dem Ergebnis [messbares Ergebnis, z. B. 20 % schneller, 50.000 € gespart, 3x mehr Nutzer]",
+  },
+  es: {
+    label: "Spanish",
+    nativeLabel: "Español",
+    stopwords: ['el', 'la', 'los', 'las', 'de', 'del', 'y', 'en', 'con', 'para', 'por', 'un', 'una', 'que', 'se', 'al', 'como', 'sus', 'mediante', 'más'],
+    verbs: {
+      strong: ['desarrollé', 'desarrolló', 'lideré', 'lideró', 'implementé', 'implementó', 'optimicé', 'optimizó', 'aumenté', 'aumentó', 'reduje', 'redujo', 'lancé', 'lanzó', 'automaticé', 'automatizó', 'diseñé', 'diseñó', 'dirigí', 'dirigió', 'logré', 'logró', 'negocié', 'negoció', 'creé', 'creó'],
+      weak: ['ayudé', 'ayudó', 'colaboré', 'colaboró', 'participé', 'participó', 'apoyé', 'apoyó', 'responsable', 'encargado', 'encargada', 'trabajé', 'trabajó'],
+    },
+    connectors: /(?<!\p{L})(mediante|gracias a|a través de|lo que|logrando|consiguiendo|con el resultado de)(?!\p{L})/iu,
+    pronouns: [/(?<!\p{L})(yo|me|mi|mis|mí|conmigo|mío|mía|míos|mías)(?!\p{L})/giu],
+    pronounExamples: ['yo', 'me', 'mi'],
+    weakOpeners: ['responsable de', 'encargado de', 'encargada de', 'ayudé', 'ayudar', 'colaboré en', 'participé en', 'participación en', 'apoyo en', 'apoyé', 'trabajé en', 'funciones'],
+    openerExamples: ['Responsable de', 'Ayudé', 'Participé en'],
+    quantifiers: ['\\d+\\s?%', '\\d+\\s?€', '€\\s?\\d+', '\\d+([.,]\\d+)?\\s?(millones|mil)\\b'],
+    abbreviations: ['p. ej.', 'p.ej.', 'etc.', 'aprox.', 'Sr.', 'Sra.', 'Dr.', 'Dra.', 'núm.', 'pág.', 'EE. UU.', 'EE.UU.'],
+    metricPlaceholder: "con el resultado de [resultado medible, p. ej. 20 % más rápido, 50.000 € ahorrados, 3x más usuarios]",
+  },
+  fr: {
+    label: "French",
+    nativeLabel: "Français",
+    stopwords: ['le', 'la', 'les', 'de', 'des', 'du', 'et', 'en', 'avec', 'pour', 'dans', 'sur', 'un', 'une', 'au', 'aux', 'par', 'que', 'est', 'grâce', 'afin'],
+    verbs: {
+      strong: ['développé', 'dirigé', 'piloté', 'lancé', 'optimisé', 'augmenté', 'réduit', 'automatisé', 'conçu', 'géré', 'implémenté', 'créé', 'mis', 'négocié', 'obtenu', 'encadré', 'déployé', 'amélioré'],
+      weak: ['aidé', 'participé', 'contribué', 'responsable', 'assisté', 'chargé', 'chargée', 'impliqué', 'impliquée', 'travaillé'],
+    },
+    connectors: /(?<!\p{L})(grâce à|via|permettant|ce qui a|afin de|avec pour résultat)(?!\p{L})/iu,
+    pronouns: [/(?<!\p{L})(je|moi|mon|ma|mes)(?!\p{L})/giu, /(?<!\p{L})[jm]['’](?=\p{L})/giu],
+    pronounExamples: ['je', 'moi', 'mon'],
+    weakOpeners: ['responsable de', 'responsable du', 'responsable des', 'chargé de', 'chargée de', 'en charge de', 'aidé', 'participé à', 'participation à', 'contribué à', 'travaillé sur', 'assisté', 'missions'],
+    openerExamples: ['Responsable de', 'Chargé de', 'Participé à'],
+    quantifiers: ['\\d+\\s?%', '\\d+\\s?€', '\\d+([.,]\\d+)?\\s?(millions?|milliards?|M€|k€)'],
+    abbreviations: ['p. ex.', 'p.ex.', 'etc.', 'env.', 'cf.', 'Dr.', 'Mme.'],
+    metricPlaceholder: "avec pour résultat [résultat mesurable, p. ex. 20 % plus rapide, 50 000 € économisés, 3x plus d'utilisateurs]",
+  },
+};
+
+const STOPWORDS = Object.fromEntries(Object.entries(LANGUAGES).map(([id, language]) => [id, new Set(language.stopwords)]));
+
+// The language whose common function words appear most often. Short or
+// ambiguous text is treated as English.
+export const detectLanguage = (text) => {
+  const words = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < MIN_DETECT_WORDS) return DEFAULT_LANGUAGE;
+  const ranked = Object.keys(LANGUAGES)
+    .map(id => ({ id, hits: words.filter(word => STOPWORDS[id].has(word)).length }))
+    .sort((a, b) => b.hits - a.hits);
+  return ranked[0].hits >= MIN_STOPWORD_HITS ? ranked[0].id : DEFAULT_LANGUAGE;
+};
+
+// A language the client asked for, or the detected one
+export const resolveLanguage = (requested, text) => (
+  Object.hasOwn(LANGUAGES, requested) ? requested : detectLanguage(text)
+);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Dots inside abbreviations are swapped for a character that does not end
+// a sentence before splitting
+const ABBREVIATION_PATTERNS = Object.fromEntries(Object.entries(LANGUAGES)
+  .filter(([, language]) => language.abbreviations)
+  .map(([id, language]) => [id, new RegExp(language.abbreviations.map(escapeRegExp).join('|'), 'gi')]));
+
+// English keeps the original splitter so existing scores do not move. The
+// others only split on punctuation followed by a space, so "1.000" and
+// "3.5" stay one sentence.
+export const splitSentences = (text, language = DEFAULT_LANGUAGE) => {
+  const abbreviations = ABBREVIATION_PATTERNS[language];
+  if (!abbreviations) return text.split(/[.!?]+/).filter(s => s.length > 0);
+  return text
+    .replace(abbreviations, match => match.replace(/\./g, '·'))
+    .split(/[.!?]+(?=\s|$)/)
+    .filter(s => s.trim().length > 0);
+};
+
+// Lower case without surrounding punctuation, so "Entwickelt," and "(led"
+// still match the lexicon
+export const normalizeWord = (word) => word.toLowerCase().replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+
+// Bullets starting with one of the language's weak openers
+const OPENER_PATTERNS = Object.fromEntries(Object.entries(LANGUAGES).map(([id, language]) => [
+  id,
+  new RegExp(`^(${language.weakOpeners.map(escapeRegExp).join('|')})(?![\\p{L}\\d])`, 'iu'),
+]));
+
+export const weakOpenerPattern = (language = DEFAULT_LANGUAGE) => OPENER_PATTERNS[language] || OPENER_PATTERNS[DEFAULT_LANGUAGE];
+
+// "I", "me" and "my"
+export const listQuoted = (words, conjunction = 'and') => {
+  const quoted = words.map(word => `"${word}"`);
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} ${conjunction} ${quoted[quoted.length - 1]}` : quoted.join('');
+};
@@ -0,0 +1,649 @@
+// ==========================================
+// 🇩🇪 GERMAN (DEUTSCH)
+// Interface copy in German. Keys missing here fall back to English.
+// ==========================================
+export const DE = {
+  'nav.history': "Verlauf",
+  'nav.batch': "Recruiter-Stapel",
+  'nav.signIn': "Anmelden",
+  'nav.goPro': "Pro holen",
+  'nav.comparison': "Vergleich",
+  'nav.newScan': "Neuer Scan",
+  'nav.language': "Sprache der Oberfläche",
+  'common.dismiss': "Schließen",
+  'billing.pending': "Zahlung eingegangen. Pro wird freigeschaltet, sobald der Zahlungsanbieter sie bestätigt.",
+  'billing.active': "Sie nutzen Pro. Alle Funktionen sind freigeschaltet.",
+  'billing.cancelled': "Der Bezahlvorgang wurde abgebrochen. Ihnen wurde nichts berechnet.",
+  'billing.updated': "Ihre Änderungen am Abonnement wurden gespeichert.",
+  'hero.before': "Bringt Ihr Lebenslauf die ",
+  'hero.hired': "Zusage",
+  'hero.between': " oder die ",
+  'hero.fired': "Absage?",
+  'hero.subtitle': "Erhalten Sie in Sekunden eine professionelle Kritik, ATS-Kompatibilitätsprüfungen und KI-gestützte Verbesserungsvorschläge.",
+  'input.paste': "Text einfügen",
+  'input.upload': "Datei hochladen",
+  'input.importedFrom': "Importiert aus",
+  'input.pages.one': "({count} Seite)",
+  'input.pages.other': "({count} Seiten)",
+  'input.review': "Prüfen Sie den Text unten vor dem Scan.",
+  'input.importFailed': "Diese Datei konnte nicht gelesen werden: {message}",
+  'import.image-only': "Dieses PDF enthält keinen markierbaren Text. Es sieht nach einem Scan oder Bild aus, das die meisten ATS-Parser nicht lesen können. Exportiere es aus deinem Editor erneut als Text-PDF.",
+  'import.image-pages.one': "Seite {pages} enthält kaum oder keinen markierbaren Text und ist womöglich ein Bild.",
+  'import.image-pages.other': "Die Seiten {pages} enthalten kaum oder keinen markierbaren Text und sind womöglich Bilder.",
+  'import.multi-column.one': "Auf Seite {pages} wurde ein mehrspaltiges Layout erkannt. Viele ATS-Parser lesen quer über die Spalten und bringen den Inhalt durcheinander. Ein einspaltiges Layout ist sicherer.",
+  'import.multi-column.other': "Auf den Seiten {pages} wurde ein mehrspaltiges Layout erkannt. Viele ATS-Parser lesen quer über die Spalten und bringen den Inhalt durcheinander. Ein einspaltiges Layout ist sicherer.",
+  'import.empty-document': "In diesem Dokument wurde kein Text gefunden. Steht dein Lebenslauf in Textfeldern oder Bildern, füge ihn stattdessen als Text ein.",
+  'import.tables.one': "Dieses Dokument nutzt {count} Tabelle für das Layout. Viele ATS-Parser lesen Tabellen Zelle für Zelle und verlieren den Zusammenhang.",
+  'import.tables.other': "Dieses Dokument nutzt {count} Tabellen für das Layout. Viele ATS-Parser lesen Tabellen Zelle für Zelle und verlieren den Zusammenhang.",
+  'import.legacy-doc': "Alte .doc-Dateien werden nicht unterstützt. Speichere die Datei als .docx oder PDF und versuche es erneut.",
+  'import.unsupported-type': "Nicht unterstützter Dateityp. Verwende PDF, DOCX, TXT oder Markdown.",
+  'input.resumeLabel': "Inhalt des Lebenslaufs",
+  'input.resumePlaceholder': "Fügen Sie hier Ihren Lebenslauf ein... (z. B. Umsatz um 20 % gesteigert...)",
+  'input.minimum': "{count}/50 Zeichen Minimum",
+  'input.language': "Sprache des Lebenslaufs",
+  'input.languageAuto': "Erkennen ({language})",
+  'input.extracting': "Text wird extrahiert...",
+  'input.drop': "Lebenslauf hier ablegen",
+  'input.dropHint': "PDF, DOCX, TXT oder Markdown. Wird in Ihrem Browser verarbeitet, nie hochgeladen.",
+  'input.tooShort': "Bitte geben Sie einen längeren Lebenslauf ein (mindestens 50 Zeichen).",
+  'input.needTwoRoles': "Fügen Sie mindestens zwei Stellenbeschreibungen zum Vergleichen hinzu.",
+  'jd.compareLabel': "Zu vergleichende Stellenbeschreibungen",
+  'jd.label': "Ziel-Stellenbeschreibung (optional)",
+  'jd.single': "Eine Stelle",
+  'jd.multi': "Mehrere Stellen vergleichen",
+  'jd.placeholder': "Fügen Sie die Stellenbeschreibung ein, auf die Sie sich bewerben...",
+  'jd.role': "Stelle {number}",
+  'jd.roleTitle': "Titel von Stelle {number} (optional)",
+  'jd.removeRole': "Stelle entfernen",
+  'jd.rolePlaceholder': "Stellenbeschreibung einfügen...",
+  'jd.addRole': "Weitere Stelle hinzufügen",
+  'action.analyzing': "Wird analysiert...",
+  'action.compare': "Stellen vergleichen",
+  'action.analyze': "Lebenslauf analysieren",
+  'action.cancel': "Abbrechen",
+  'action.stop': "Stoppen",
+  'quota.left': "Noch {left} von {limit} kostenlosen KI-Analysen heute.",
+  'quota.upgrade': "Unbegrenzt mit Pro",
+  'offline.notice': "Der Offline-Analysator läuft. Richten Sie auf dem Server einen KI-Anbieter ein, um echte KI-Analysen zu nutzen.",
+  'feature.impact.title': "Wirkung belegen",
+  'feature.impact.text': "Wir finden fehlende Kennzahlen.",
+  'feature.ats.title': "ATS-tauglich",
+  'feature.ats.text': "Sicher maschinenlesbar.",
+  'feature.private.title': "Sicher & privat",
+  'feature.private.text': "Persönliche Daten werden vor der KI-Analyse geschwärzt, oder alles bleibt lokal.",
+  'errorScreen.noResults': "Es wurden keine Ergebnisse erzeugt, daher wird anstelle Ihrer Analyse nichts angezeigt.",
+  'errorScreen.upgrade': "Auf Pro upgraden",
+  'errorScreen.retry': "Erneut versuchen",
+  'errorScreen.localOnly': "Nur lokale Prüfungen ansehen",
+  'errorScreen.edit': "Lebenslauf oder KI-Einstellungen bearbeiten",
+  'loading.title': "Lebenslauf wird analysiert...",
+  'loading.subtitle': "ATS-Kompatibilität, starke Verben und Kennzahlen werden geprüft.",
+  'loading.ai': "Echte KI-Analyse mit {model}",
+  'loading.redacted': ", persönliche Daten geschwärzt",
+  'loading.local': "Vollständig lokale Analyse mit dem Offline-Analysator",
+  'loading.noProvider': "Kein KI-Anbieter eingerichtet: Der Offline-Analysator wird verwendet",
+  'retry.status': "{reason}. Neuer Versuch in {seconds} s (Versuch {attempt} von {retries})",
+  'banner.offlineTitle': "Offline-Analyse.",
+  'banner.offline': "Gesamtwertung, Zusammenfassung und Umformulierungen stammen aus den eingebauten Regeln von CV Pulse statt aus einem Sprachmodell, und Ihr Lebenslauf hat den Browser nie verlassen. Zahlen, die Sie ergänzen müssen, stehen in [eckigen Klammern].",
+  'banner.incomplete': "Die KI-Analyse wurde nicht abgeschlossen oder abgebrochen. Es werden nur die lokalen Prüfungen angezeigt.",
+  'banner.streaming': "Die KI schreibt noch an ihrer Analyse...",
+  'score.overall': "Gesamtqualität",
+  'score.top': "Top 20 % der Bewerber",
+  'score.needsWork': "Verbesserungsbedarf",
+  'score.writingSummary': "Zusammenfassung wird geschrieben...",
+  'score.noAnalysis': "Keine Analyse verfügbar.",
+  'card.impact.title': "Wirkung",
+  'card.impact.description': "Misst, wie oft Zahlen, Kennzahlen und Beträge den Wert Ihrer Arbeit belegen.",
+  'card.verbs.title': "Aktionsverben",
+  'card.verbs.description': "Verhältnis starker Verben (z. B. „geleitet“) zu passiven Formulierungen.",
+  'card.brevity.title': "Kürze",
+  'card.brevity.description': "Lesbarkeitsanalyse. Kurze, prägnante Sätze schneiden in ATS am besten ab.",
+  'breakdown.title': "Detaillierte Auswertung",
+  'breakdown.critical': "Wichtige Werte",
+  'breakdown.pro': "Pro-Metriken",
+  'breakdown.ats': "ATS-Lesbarkeit",
+  'breakdown.keywords': "Keyword-Abgleich",
+  'breakdown.noJobDesc': "Fügen Sie eine Stellenbeschreibung zum Vergleich hinzu",
+  'breakdown.structure': "Struktur & Formatierung",
+  'breakdown.unlock': "Pro freischalten",
+  'suggestions.title': "KI-Verbesserungsvorschläge",
+  'suggestions.rescan': "Neu scannen",
+  'suggestions.priority': "Hohe Priorität",
+  'suggestions.generating': "Umformulierungen werden erstellt...",
+  'suggestions.none': "Keine Verbesserungsvorschläge verfügbar.",
+  'suggestions.notFound': "Diese Zeile wurde in Ihrem Lebenslauf nicht gefunden. Übernehmen Sie die Umformulierung von Hand.",
+  'suggestions.locked': "{count} weitere Umformulierungen gibt es mit Pro.",
+  'suggestions.unlock': "Alle Umformulierungen freischalten",
+  'keywords.title': "Fehlende Keywords",
+  'keywords.points': "+{points} Pkt.",
+  'keywords.aiHint': "Von der KI-Analyse vorgeschlagen",
+  'keywords.waiting': "Warten auf Keyword-Vorschläge der KI...",
+  'keywords.none': "Keine fehlenden Keywords gefunden.",
+  'keywords.matched': "Gefunden ({matched}/{total})",
+  'report.title': "Pro-Bericht als PDF",
+  'report.text': "Laden Sie alle Werte, Prüfungen und Umformulierungen dieses Scans als PDF herunter, erstellt in Ihrem Browser.",
+  'report.annotate': "Kommentierten Lebenslauf beifügen",
+  'report.generating': "Wird erstellt...",
+  'report.download': "Bericht herunterladen",
+  'report.failed': "Das PDF konnte nicht erstellt werden: {message}",
+  'generator.title': "Anschreiben & LinkedIn",
+  'generator.text': "Erstellen Sie aus Ihrem Lebenslauf ein Anschreiben oder LinkedIn-Profil für diese Stelle. Jede Aussage wird mit dem Lebenslauf abgeglichen.",
+  'generator.open': "Zum Textassistenten",
+  'skills.title': "Empfohlene Kenntnisse",
+  'skills.course': "Kurs ansehen",
+  'skills.affiliate': "Mit Partnerempfehlungen verdienen Sie Provision.",
+  'error.invalid_key.title': "API-Schlüssel abgelehnt",
+  'error.invalid_key.hint': "Der KI-Anbieter hat den API-Schlüssel des Servers abgelehnt. Prüfen Sie den Schlüssel in der Serverumgebung oder wechseln Sie in den KI-Einstellungen den Anbieter.",
+  'error.quota_exceeded.title': "Kontingent aufgebraucht",
+  'error.quota_exceeded.hint': "Das Konto beim Anbieter hat sein Kontingent aufgebraucht. Versuchen Sie es später erneut oder wechseln Sie Modell oder Anbieter.",
+  'error.plan_limit.title': "Kostenlose Analysen für heute aufgebraucht",
+  'error.plan_limit.hint': "Der kostenlose Plan enthält eine begrenzte Zahl von KI-Analysen pro Tag. Upgraden Sie auf Pro für unbegrenzte Analysen, nutzen Sie den lokalen Modus mit dem Offline-Analysator oder kommen Sie morgen wieder.",
+  'error.plan_required.title': "Teil von Pro",
+  'error.plan_required.hint': "Diese Prüfung ist im Pro-Plan enthalten. Upgraden Sie oder melden Sie sich mit dem Konto an, das Pro hat.",
+  'error.rate_limited.title': "Zu viele Anfragen",
+  'error.rate_limited.hint': "Der Anbieter drosselt die Anfragen. Warten Sie einen Moment und versuchen Sie es erneut.",
+  'error.blocked_content.title': "Inhalt wurde blockiert",
+  'error.blocked_content.hint': "Der Sicherheitsfilter des Anbieters hat diesen Lebenslauf oder die Stellenbeschreibung abgelehnt. Entfernen Sie alles, was als heikel gelten könnte, und versuchen Sie es erneut.",
+  'error.network.title': "Verbindungsproblem",
+  'error.network.hint': "Der Server war nicht erreichbar. Prüfen Sie Ihre Internetverbindung und versuchen Sie es erneut.",
+  'error.timeout.title': "Zeitüberschreitung bei der Analyse",
+  'error.timeout.hint': "Das Modell hat zu lange gebraucht. Versuchen Sie es erneut, erhöhen Sie das Zeitlimit in den KI-Einstellungen oder wählen Sie ein schnelleres Modell.",
+  'error.model_unavailable.title': "Modell nicht verfügbar",
+  'error.model_unavailable.hint': "Das gewählte Modell ist bei diesem Anbieter nicht verfügbar. Wählen Sie in den KI-Einstellungen ein anderes Modell.",
+  'error.provider_unavailable.title': "KI-Anbieter nicht eingerichtet",
+  'error.provider_unavailable.hint': "Der gewählte Anbieter ist auf dem Server nicht eingerichtet. Wählen Sie in den KI-Einstellungen einen anderen Anbieter.",
+  'error.server_error.title': "Fehler beim KI-Anbieter",
+  'error.server_error.hint': "Der Anbieter hatte ein vorübergehendes Problem. Versuchen Sie es gleich noch einmal.",
+  'error.invalid_rubric.title': "Bewertungsprofil abgelehnt",
+  'error.invalid_rubric.hint': "Der Server konnte das gewählte Bewertungsprofil nicht verwenden. Wählen Sie ein eingebautes Profil oder korrigieren Sie das importierte und importieren Sie es erneut.",
+  'error.invalid_response.title': "Unlesbare KI-Antwort",
+  'error.invalid_response.hint': "Die Antwort des Modells hatte nicht das erwartete Format, auch nicht nach einer Korrekturanfrage. Ein neuer Versuch funktioniert meistens.",
+  'error.incomplete_stream.title': "Die Antwort wurde abgeschnitten",
+  'error.incomplete_stream.hint': "Die Verbindung wurde geschlossen, bevor die Analyse fertig war. Versuchen Sie es erneut.",
+  'error.unknown.title': "Analyse fehlgeschlagen",
+  'error.unknown.hint': "Etwas Unerwartetes ist schiefgelaufen. Versuchen Sie es erneut.",
+  'common.and': "und",
+  'common.or': "oder",
+  'flaws.title': "Kritische Fehler",
+  'flaws.critical': "{count} kritisch",
+  'flaws.noneCritical': "Keine kritischen",
+  'flaws.quantified': "Bullets mit Zahlen",
+  'flaws.noBullets': "Keine Bullets gefunden",
+  'flaws.none': "Keine kritischen Fehler gefunden.",
+  'flaws.line': "Z{line}",
+  'flaws.more': "und {count} weitere",
+  'flaws.pronouns.label': "Pronomen der ersten Person",
+  'flaws.pronouns.detail': "Lebensläufe verzichten auf das „Ich“. Streichen Sie {examples} und beginnen Sie mit dem Verb.",
+  'flaws.weak-openers.label': "Schwache Bullet-Anfänge",
+  'flaws.weak-openers.detail': "Bullets, die mit {examples} beginnen, beschreiben Aufgaben statt Ergebnisse. Beginnen Sie mit einem starken Verb.",
+  'flaws.typos.label': "Tippfehler",
+  'flaws.typos.detail': "Schon ein einziger Tippfehler reicht vielen Recruitern für eine Absage. Aufgeführt sind Wörter, die im englischen Wörterbuch fehlen, und doppelte Wörter; großgeschriebene Namen und Tools werden übersprungen.",
+  'flaws.typos.repeated': "doppeltes Wort",
+  'flaws.typos.unknown': "nicht im Wörterbuch",
+  'flaws.unquantified.label': "Zu wenige Bullets mit Zahlen",
+  'flaws.unquantified.detail': "Nur {quantified} von {total} Bullets ({percent} %) enthalten eine Zahl. Ziel ist mindestens die Hälfte.",
+  'flaws.passive.label': "Passiv",
+  'flaws.passive.detail': "„Was maintained by“ und „were delivered“ verschleiern, wer die Arbeit gemacht hat. Formulieren Sie aktiv.",
+  'flaws.cliches.label': "Klischees und Buzzwords",
+  'flaws.cliches.detail': "Phrasen wie „team player“ und „results-driven“ stehen in jedem Lebenslauf. Belegen Sie die Eigenschaft lieber mit einem Beispiel.",
+  'ats.noEmail.label': "Keine E-Mail-Adresse",
+  'ats.noEmail.detail': "Recruiter und ATS-Profile brauchen eine E-Mail-Adresse, um Sie zu erreichen.",
+  'ats.noPhone.label': "Keine Telefonnummer",
+  'ats.noPhone.detail': "Geben Sie eine Telefonnummer im internationalen Format an, z. B. +49 30 1234567.",
+  'ats.noLinkedin.label': "Kein LinkedIn-Profil",
+  'ats.noLinkedin.detail': "Eine linkedin.com/in/-URL wird von den meisten ATS ins Kandidatenprofil übernommen.",
+  'ats.table.label': "Tabellenlayout erkannt",
+  'ats.table.detail': "{count} Zeilen sehen wie Tabellenzeilen oder per Tab ausgerichtete Spalten aus. Parser lesen sie oft Zelle für Zelle.",
+  'ats.glyphs.label': "Ungewöhnliche Symbole",
+  'ats.glyphs.detail': "Gefunden: {glyphs}. Icons, Emoji und Sonderzeichen werden beim Parsen oft zu Zeichensalat.",
+  'ats.headerFooter.label': "Inhalt in Kopf-/Fußzeile",
+  'ats.headerFooter.detail': "Seitenzahlen oder Zeilen, die oben oder unten auf jeder Seite wiederkehren, etwa „{line}“. Inhalte in Kopf- und Fußzeilen gehen oft verloren.",
+  'ats.short.label': "Sehr wenig Text",
+  'ats.short.detail': "Nur {count} Wörter. Das ATS-Ranking braucht genug Inhalt zum Abgleichen.",
+  'ats.long.label': "Zu lang",
+  'ats.long.detail': "{count} Wörter. Ziel sind ein bis zwei Seiten (etwa 400–800 Wörter).",
+  'ats.noContact.label': "Kontaktbereich fehlt",
+  'ats.noContact.detail': "Setzen Sie Name und Kontaktdaten an den Anfang.",
+  'ats.missingSection.label': "Abschnitt „{section}“ fehlt",
+  'ats.missingSection.detail': "Keine Überschrift als „{section}“ erkannt. Verwenden Sie die übliche Bezeichnung, damit das ATS sie richtig zuordnet.",
+  'ats.section.experience': "Berufserfahrung",
+  'ats.section.education': "Ausbildung",
+  'ats.section.skills': "Kenntnisse",
+  'ats.section.summary': "Profil",
+  'ats.dates.label': "Uneinheitliche Datumsformate",
+  'ats.dates.detail': "Gemischte Formate: {formats}. Wählen Sie eines und nutzen Sie es überall.",
+  'ats.markers.label': "Gemischte Aufzählungszeichen",
+  'ats.markers.detail': "Verwendet {markers}. Bleiben Sie bei einem Zeichen.",
+  'ats.noBullets.label': "Keine Aufzählungspunkte",
+  'ats.noBullets.detail': "Berufserfahrung in Absätzen ist schwerer zu überfliegen. Nutzen Sie einen Bullet pro Erfolg.",
+  'offline.part.impact': "Wirkung",
+  'offline.part.verbs': "Aktionsverben",
+  'offline.part.brevity': "Kürze",
+  'offline.part.bullets': "Qualität der Bullets",
+  'offline.part.ats': "ATS-Tauglichkeit",
+  'offline.part.keywords': "Keyword-Abgleich",
+  'offline.hint.impact': "Nur {quantified} von {total} Bullets enthalten eine Zahl. Ergänzen Sie Prozente, Beträge oder Mengen.",
+  'offline.hint.verbs': "Beginnen Sie jeden Bullet mit einem starken Verb statt mit „unterstützt“ oder „verantwortlich für“.",
+  'offline.hint.brevity': "Kürzen Sie lange Sätze, damit jeder Bullet genau eine Aussage trägt.",
+  'offline.hint.bullets': "Schreiben Sie die schwächsten Bullets nach dem Muster „X erreicht, gemessen an Y, durch Z“ um.",
+  'offline.hint.ats': "Beheben Sie zuerst die ATS-Probleme, angefangen bei „{issue}“.",
+  'offline.hint.atsClean': "Halten Sie das Layout für ATS-Parser einfach und einspaltig.",
+  'offline.hint.keywords': "Bauen Sie die fehlenden Keywords der Stelle ein, etwa {keywords}.",
+  'offline.summary.single': "{area} erreicht {score}/100. {hint}",
+  'offline.summary.range': "Stärkster Bereich: {strongest} ({strongestScore}/100). Schwächster: {weakest} ({weakestScore}/100). {hint}",
+  'offline.skill.leadership': "Führung",
+  'offline.skill.communication': "Kommunikation",
+  'offline.skill.collaboration': "Teamarbeit",
+  'offline.skill.problemSolving': "Problemlösung",
+  'offline.skill.mentoring': "Mentoring",
+  'offline.skill.stakeholders': "Stakeholder-Management",
+  'offline.skill.ownership': "Eigenverantwortung",
+  'offline.skill.adaptability': "Anpassungsfähigkeit",
+  'common.back': "Zurück",
+  'common.save': "Speichern",
+  'plan.free': "Free",
+  'plan.pro': "Pro",
+  'quota.analyses.label': "KI-Analysen",
+  'quota.documents.label': "KI-geschriebene Dokumente",
+  'account.title': "Konto",
+  'account.profile': "Profil",
+  'account.name': "Name",
+  'account.editName': "Namen bearbeiten",
+  'account.email': "E-Mail",
+  'account.signInMethods': "Anmeldung",
+  'account.password': "E-Mail & Passwort",
+  'account.plan': "Tarif",
+  'account.upgrade': "Auf Pro upgraden",
+  'account.manage': "Abo verwalten",
+  'account.currentPlan': "Aktueller Tarif",
+  'account.subscription': "Abonnement",
+  'account.status.active': "Aktiv",
+  'account.status.trialing': "Testphase",
+  'account.status.past_due': "Zahlung überfällig",
+  'account.status.canceled': "Gekündigt",
+  'account.status.unpaid': "Unbezahlt",
+  'account.ends': "endet am {date}",
+  'account.renews': "verlängert sich am {date}",
+  'account.unlimited': "Unbegrenzt ({used} {period})",
+  'account.period.day': "heute",
+  'account.quotaUsed': "{used} von {limit} genutzt, wird am {date} zurückgesetzt",
+  'account.synced': "Synchronisierte Daten",
+  'account.syncNow': "Jetzt synchronisieren",
+  'account.syncPaused': "Der Nur-lokal-Modus ist aktiv, daher wird nichts aus diesem Browser hochgeladen. Schalten Sie ihn in den Datenschutzeinstellungen aus, um Ihren Entwurf und Ihre gespeicherten Scans zu synchronisieren.",
+  'account.syncInfo': "Ihr Lebenslauf-Entwurf und Ihre gespeicherten Scans werden unverändert in Ihrem Konto gespeichert und stehen so auf Ihren anderen Geräten bereit.",
+  'account.syncing': "Dieser Browser wird mit Ihrem Konto synchronisiert...",
+  'account.syncFailed': "Synchronisierung fehlgeschlagen: {message}",
+  'account.totals': "Ihr Konto enthält {scans} und {resumes}.",
+  'account.scans.one': "{count} Scan",
+  'account.scans.other': "{count} Scans",
+  'account.resumes.one': "{count} gespeicherten Lebenslauf",
+  'account.resumes.other': "{count} gespeicherte Lebensläufe",
+  'account.lastSync': "Die letzte Synchronisierung hat {uploaded} hochgeladen und {downloaded} heruntergeladen.",
+  'account.signOut': "Abmelden",
+  'common.close': "Schließen",
+  'auth.signIn': "Anmelden",
+  'auth.signUp': "Konto erstellen",
+  'auth.tagline': "Behalten Sie Ihre Lebensläufe und Scans auf allen Geräten.",
+  'auth.name': "Name (optional)",
+  'auth.email': "E-Mail",
+  'auth.password': "Passwort",
+  'auth.newPassword': "Passwort (mind. 8 Zeichen)",
+  'auth.or': "oder",
+  'auth.continueWith': "Weiter mit {provider}",
+  'auth.noAccount': "Noch kein Konto? ",
+  'auth.haveAccount': "Sie haben bereits ein Konto? ",
+  'auth.createOne': "Jetzt erstellen",
+  'auth.signInInstead': "Anmelden",
+  'auth.memory': "Entwicklungsserver: Konten liegen im Arbeitsspeicher und werden beim Neustart gelöscht.",
+  'common.remove': "Entfernen",
+  'batch.title': "Stapel-Screening",
+  'batch.jobDesc': "Stellenbeschreibung",
+  'batch.jobDescPlaceholder': "Fügen Sie die Stellenbeschreibung ein, an der alle Kandidaten gemessen werden...",
+  'batch.resumes': "Lebensläufe ({count})",
+  'batch.extracting': "Text wird extrahiert...",
+  'batch.drop': "Lebensläufe hier ablegen oder klicken zum Auswählen (PDF, DOCX, TXT, MD)",
+  'batch.pastePlaceholder': "...oder einen Lebenslauf einfügen und hinzufügen",
+  'batch.addPasted': "Eingefügten Lebenslauf hinzufügen",
+  'batch.noText': "{file}: kein Text gefunden",
+  'batch.importFailed': "{file}: {message}",
+  'batch.pasted': "Eingefügt",
+  'batch.pastedName': "Eingefügter Lebenslauf {number}",
+  'batch.needJobDesc': "Fügen Sie die Stellenbeschreibung ein, an der die Kandidaten gemessen werden.",
+  'batch.needResume': "Fügen Sie mindestens einen Lebenslauf hinzu.",
+  'batch.tooShort.title': "Zu wenig Text",
+  'batch.tooShort.message': "Der Lebenslauf hat weniger als 50 Zeichen.",
+  'batch.stop': "Stopp",
+  'batch.rank': "{count} Kandidaten ranken",
+  'batch.parallel': "Parallele Anfragen",
+  'batch.offlineTitle': "Offline-Analyse.",
+  'batch.offlineText': "Die Spalte KI-Score stammt aus den eingebauten Regeln von CV Pulse, nicht aus einem Sprachmodell.",
+  'batch.status': "Status",
+  'batch.status.queued': "wartet",
+  'batch.status.running': "läuft",
+  'batch.status.done': "fertig",
+  'batch.status.error': "Fehler",
+  'batch.status.cancelled': "abgebrochen",
+  'batch.cached': "(aus dem Cache)",
+  'batch.column.score': "KI-Score",
+  'batch.column.keywords': "Keyword-Abgleich",
+  'batch.column.impact': "Wirkung",
+  'batch.column.verbs': "Aktionsverben",
+  'batch.column.brevity': "Kürze",
+  'batch.column.name': "Kandidat",
+  'common.cancel': "Abbrechen",
+  'docs.title': "Anschreiben & LinkedIn",
+  'docs.back': "Zurück zu den Ergebnissen",
+  'docs.type.coverLetter.label': "Anschreiben",
+  'docs.type.coverLetter.description': "Ein Anschreiben für diese Stelle: warum Sie, warum diese Rolle, und die Belege aus Ihrem Lebenslauf.",
+  'docs.type.linkedin.label': "LinkedIn-Profil",
+  'docs.type.linkedin.description': "Eine Headline und ein Info-Abschnitt, die Sie für Rollen wie diese positionieren.",
+  'docs.tone': "Ton",
+  'docs.tone.professional': "Professionell",
+  'docs.tone.confident': "Selbstbewusst",
+  'docs.tone.warm': "Herzlich",
+  'docs.tone.enthusiastic': "Begeistert",
+  'docs.length': "Länge",
+  'docs.length.short': "Kurz",
+  'docs.length.standard': "Standard",
+  'docs.length.detailed': "Ausführlich",
+  'docs.writing': "Wird geschrieben...",
+  'docs.newDraft': "Neuen Entwurf schreiben",
+  'docs.write.coverLetter': "Anschreiben verfassen",
+  'docs.write.linkedin': "LinkedIn-Profil verfassen",
+  'docs.noJobDesc': "Keine Stellenbeschreibung: Der Entwurf wird allgemein gehalten.",
+  'docs.offlineNote': "Offline-Entwürfe füllen Vorlagen mit Zeilen aus Ihrem Lebenslauf. Aktivieren Sie einen KI-Anbieter für einen eigens geschriebenen Entwurf.",
+  'docs.offlineNoteEnglish': "Offline-Entwürfe füllen englische Vorlagen mit Zeilen aus Ihrem Lebenslauf. Aktivieren Sie einen KI-Anbieter für einen eigens geschriebenen Entwurf.",
+  'docs.claims.inResume': "in Ihrem Lebenslauf",
+  'docs.claims.jobOnly': "nur in der Stellenbeschreibung",
+  'docs.claims.missing': "nicht in Ihrem Lebenslauf",
+  'docs.claims.missingList': "Nicht in Ihrem Lebenslauf: {claims}",
+  'docs.claims.jobOnlyList': "Nur in der Stellenbeschreibung: {claims}",
+  'docs.claims.untraced': "{none} von {total} Aussagen stehen nicht in Ihrem Lebenslauf. Sie sind unten unterstrichen: Bearbeiten Sie sie oder schreiben Sie den Absatz neu, bevor Sie ihn versenden.",
+  'docs.claims.traced': "Jede Aussage lässt sich auf Ihren Lebenslauf zurückführen ({total} geprüft).",
+  'docs.claims.job.one': "{count} steht nur in der Stellenbeschreibung: passend für Arbeitgeber oder Rolle, nicht als Ihre Erfahrung.",
+  'docs.claims.job.other': "{count} stehen nur in der Stellenbeschreibung: passend für Arbeitgeber oder Rolle, nicht als Ihre Erfahrung.",
+  'docs.copied': "Kopiert",
+  'docs.copy': "Kopieren",
+  'docs.headline': "Headline",
+  'docs.about': "Info",
+  'docs.rewriting': "Wird neu geschrieben...",
+  'docs.rewrite': "Diesen Absatz neu schreiben",
+  'docs.offlineRewrite': "Offline-Entwurf: Beim Neuschreiben eines Absatzes wird eine andere Vorlage mit den nächsten Highlights aus Ihrem Lebenslauf verwendet.",
+  'model.title': "KI-Modell:",
+  'model.provider': "Anbieter",
+  'model.model': "Modell",
+  'model.temperature': "Temperatur: {value}",
+  'model.maxTokens': "Max. Ausgabe-Tokens",
+  'model.timeout': "Zeitlimit ohne Antwort (Sekunden)",
+  'model.retries': "Automatische Wiederholungen",
+  'model.retriesOff': "Aus",
+  'model.check': "Verbindung prüfen",
+  'model.responding': "Antwortet ({ms} ms)",
+  'privacy.title': "Datenschutz:",
+  'privacy.status.local': "Vollständig lokal",
+  'privacy.status.redacted': "Persönliche Daten geschwärzt",
+  'privacy.status.asWritten': "Unverändert gesendet",
+  'privacy.local': "Vollständig lokal analysieren.",
+  'privacy.localInfo': "Nichts verlässt Ihren Browser; die Offline-Analyse ersetzt das KI-Modell.",
+  'privacy.redact': "Persönliche Daten vor dem Senden schwärzen.",
+  'privacy.redactInfo': "Ihr Name, Ihre E-Mail, Telefonnummer, Links und Anschrift (US-, UK- und gängige europäische Formate) werden durch Platzhalter ersetzt und in den Ergebnissen wiederhergestellt. Prüfen Sie die Vorschau auf Übersehenes.",
+  'privacy.hidePreview': "Vorschau ausblenden",
+  'privacy.showPreview': "Vorschau der gesendeten Daten",
+  'privacy.replaced': "Ersetzt: {items}.",
+  'privacy.pii.name.one': "{count} Name",
+  'privacy.pii.name.other': "{count} Namen",
+  'privacy.pii.email.one': "{count} E-Mail",
+  'privacy.pii.email.other': "{count} E-Mails",
+  'privacy.pii.phone.one': "{count} Telefonnummer",
+  'privacy.pii.phone.other': "{count} Telefonnummern",
+  'privacy.pii.url.one': "{count} Profil-Link",
+  'privacy.pii.url.other': "{count} Profil-Links",
+  'privacy.pii.address.one': "{count} Anschrift",
+  'privacy.pii.address.other': "{count} Anschriften",
+  'privacy.noneFound': "Es wurden keine persönlichen Daten erkannt.",
+  'privacy.redactOff': "Schwärzung ist aus: Der Lebenslauf wird unverändert gesendet.",
+  'benchmark.industry.software': "Softwareentwicklung",
+  'benchmark.industry.data': "Daten & Analytics",
+  'benchmark.industry.product': "Produkt & Design",
+  'benchmark.industry.marketing': "Marketing",
+  'benchmark.industry.sales': "Vertrieb & Business Development",
+  'benchmark.industry.finance': "Finanzen & Rechnungswesen",
+  'benchmark.industry.healthcare': "Gesundheitswesen",
+  'benchmark.industry.general': "Allgemein",
+  'benchmark.seniority.entry': "Berufseinstieg",
+  'benchmark.seniority.mid': "Mittlere Ebene",
+  'benchmark.seniority.senior': "Senior",
+  'benchmark.metric.impactScore': "Wirkung (Kennzahlen pro Satz)",
+  'benchmark.metric.verbScore': "Aktionsverben",
+  'benchmark.metric.brevityScore': "Kürze",
+  'benchmark.metric.quantifiedRatio': "Bezifferte Stichpunkte",
+  'benchmark.metric.wordCount': "Länge (Wörter)",
+  'benchmark.industry': "Branche",
+  'benchmark.seniority': "Karrierestufe",
+  'benchmark.detected': "{label} (erkannt)",
+  'benchmark.column.metric': "Kennzahl",
+  'benchmark.column.you': "Sie",
+  'benchmark.column.typical': "Typisch",
+  'benchmark.column.standing': "Einordnung",
+  'benchmark.fit': "{percent} % passend",
+  'benchmark.percentile': "~{percent}. Perz.",
+  'benchmark.reference': "Verglichen mit einem Referenzprofil für Lebensläufe im Bereich {industry} ({seniority}). Referenzprofile sind kuratierte Schätzungen, keine Live-Marktdaten, daher sind die Perzentile ungefähre Werte.",
+  'tone.tense.past': "Vergangenheit",
+  'tone.tense.present': "Gegenwart",
+  'tone.tense.gerund': "-ing-Form",
+  'tone.tense.other': "Kein Verb am Anfang",
+  'tone.person.implied': "Implizite erste Person",
+  'tone.person.first': "Explizite erste Person",
+  'tone.person.team': "Team-Perspektive (wir / unser)",
+  'tone.person.third': "Dritte Person",
+  'tone.tenses.label': "Gemischte Zeitformen",
+  'tone.tenses.detail.one': "{count} Stichpunkt steht nicht in der Form der meisten Stichpunkte ({tense}). Verwenden Sie die Vergangenheit für abgeschlossene Stellen und die Gegenwart nur für Ihre aktuelle.",
+  'tone.tenses.detail.other': "{count} Stichpunkte stehen nicht in der Form der meisten Stichpunkte ({tense}). Verwenden Sie die Vergangenheit für abgeschlossene Stellen und die Gegenwart nur für Ihre aktuelle.",
+  'tone.person.label': "Wechselnde Person",
+  'tone.person.detail.one': "{count} Stichpunkt verwendet „ich“, „wir“ oder die dritte Person. Stichpunkte stehen in der impliziten ersten Person: Beginnen Sie mit dem Verb.",
+  'tone.person.detail.other': "{count} Stichpunkte verwenden „ich“, „wir“ oder die dritte Person. Stichpunkte stehen in der impliziten ersten Person: Beginnen Sie mit dem Verb.",
+  'tone.informal.label': "Umgangssprache",
+  'tone.informal.detail': "Gefunden: {markers}. Umgangssprachliche Wörter, Verkürzungen und Ausrufezeichen brechen den professionellen Ton.",
+  'tone.punctuation.label': "Uneinheitliche Zeichensetzung",
+  'tone.punctuation.detail.one': "{count} von {total} Stichpunkten endet mit einem Punkt. Wählen Sie einen Stil für alle.",
+  'tone.punctuation.detail.other': "{count} von {total} Stichpunkten enden mit einem Punkt. Wählen Sie einen Stil für alle.",
+  'tone.drift.tense': "Zeitform",
+  'tone.drift.person': "Person",
+  'tone.drift.formality': "Stil",
+  'tone.tooFew': "Für die Tonalitätsprüfung werden mindestens zwei Stichpunkte zum Vergleich benötigt.",
+  'tone.drifted': "Abweichende Stichpunkte",
+  'tone.line': "Zeile {line}",
+  'tone.consistent': "Alle Stichpunkte klingen einheitlich.",
+  'persona.startupCto.label': "Startup-CTO",
+  'persona.startupCto.description': "Stellt für ein kleines, schnelles Team ein. Sucht Macher, die liefern, Probleme von Anfang bis Ende verantworten und neue Tools schnell lernen.",
+  'persona.faangRecruiter.label': "FAANG-Recruiter",
+  'persona.faangRecruiter.description': "Sichtet Hunderte Lebensläufe für eine Big-Tech-Stelle. Achtet auf Größenordnung, messbare Wirkung und ein sauberes Standardlayout.",
+  'persona.agencyScreener.label': "Personalvermittler",
+  'persona.agencyScreener.description': "Gleicht Kandidaten in unter einer Minute mit dem Anforderungsprofil eines Kunden ab. Prüft Schlüsselwörter, Kontaktdaten und ein ATS-taugliches Format.",
+  'persona.verdict.advance': "Würde weiterleiten",
+  'persona.verdict.maybe': "Unentschieden",
+  'persona.verdict.reject': "Würde absagen",
+  'persona.headline': "{verdict}: {focus}.",
+  'persona.focus.strong': "stark bei {signals}",
+  'persona.focus.none': "nichts sticht positiv oder negativ hervor",
+  'persona.focus.weak': "braucht mehr {signals}",
+  'persona.signal.ownership.name': "Eigenverantwortung",
+  'persona.signal.ownership.strength': "Zeigt Eigenverantwortung: Dinge, die Sie selbst gebaut und ausgeliefert haben.",
+  'persona.signal.ownership.concern': "Liest sich wie eine Aufgabenliste. Wo haben Sie etwas von Anfang bis Ende gebaut oder verantwortet?",
+  'persona.signal.scale.name': "Größenordnung",
+  'persona.signal.scale.strength': "Arbeit in echter Größenordnung (Nutzer, Traffic, Umsatz) ist leicht zu erkennen.",
+  'persona.signal.scale.concern': "Keine Größenordnung erkennbar. Wie viele Nutzer, Anfragen oder Euro betraf Ihre Arbeit?",
+  'persona.signal.impact.name': "messbare Wirkung",
+  'persona.signal.impact.strength': "Ergebnisse sind mit Zahlen belegt.",
+  'persona.signal.impact.concern': "Zu wenige messbare Ergebnisse.",
+  'persona.signal.verbs.name': "Aktionsverben",
+  'persona.signal.verbs.strength': "Stichpunkte beginnen mit starken Aktionsverben.",
+  'persona.signal.verbs.concern': "Stichpunkte beginnen mit schwachen oder passiven Verben.",
+  'persona.signal.brevity.name': "Kürze",
+  'persona.signal.brevity.strength': "Knapp und schnell zu überfliegen.",
+  'persona.signal.brevity.concern': "Die Sätze sind lang; diese Person überfliegt nur.",
+  'persona.signal.keywords.name': "Schlüsselwort-Abdeckung",
+  'persona.signal.keywords.strength': "Deckt die meisten Schlüsselwörter der Stellenbeschreibung ab.",
+  'persona.signal.keywords.concern': "Es fehlen zu viele Schlüsselwörter aus der Stellenbeschreibung.",
+  'persona.signal.readability.name': "ATS-Lesbarkeit",
+  'persona.signal.readability.strength': "Lässt sich von einem ATS sauber auslesen.",
+  'persona.signal.readability.concern': "Layout oder fehlende Angaben könnten das ATS stolpern lassen.",
+  'persona.signal.structure.name': "Struktur",
+  'persona.signal.structure.strength': "Standardabschnitte in der erwarteten Reihenfolge.",
+  'persona.signal.structure.concern': "Unübliche oder fehlende Abschnitte.",
+  'persona.signal.contact.name': "Kontaktdaten",
+  'persona.signal.contact.strength': "Die Kontaktdaten sind vollständig.",
+  'persona.signal.contact.concern': "Die Kontaktdaten sind unvollständig.",
+  'persona.reviewing': "Wird geprüft...",
+  'persona.aiNote': "Jede Persona ist eine eigene KI-Prüfung mit eigenen Prioritäten und Ausschlusskriterien.",
+  'persona.offlineNote': "Offline-Schätzung: Jede Persona gewichtet die lokalen Prüfungen nach eigenen Prioritäten. Aktivieren Sie einen KI-Anbieter für vollständige Prüfungen.",
+  'pro.benchmark': "Branchenvergleich",
+  'pro.personas': "Recruiter-Persona-Check",
+  'pro.tone': "Einheitlicher Ton",
+  'pro.breakdown': "Aufschlüsselung ansehen",
+  'pro.unlock': "Pro freischalten",
+  'pro.notAvailable': "k. A.",
+  'rescan.title': "Änderungen seit dem letzten Scan",
+  'rescan.overall': "Gesamtqualität",
+  'rescan.impact': "Wirkungswert",
+  'rescan.verbs': "Aktionsverben",
+  'rescan.brevity': "Kürze",
+  'rescan.changed.one': "Lebenslauftext: {count} Zeile geändert",
+  'rescan.changed.other': "Lebenslauftext: {count} Zeilen geändert",
+  'rescan.unchanged.one': "{count} unveränderte Zeile",
+  'rescan.unchanged.other': "{count} unveränderte Zeilen",
+  'bullets.grade.strong': "stark",
+  'bullets.grade.fair': "ausbaufähig",
+  'bullets.grade.weak': "schwach",
+  'bullets.metric.label': "Kennzahl",
+  'bullets.metric.measured': "Enthält ein messbares Ergebnis.",
+  'bullets.metric.bareNumber': "Enthält eine Zahl, aber kein %, € oder keine Größenordnung. Können Sie zeigen, wie groß das Ergebnis war?",
+  'bullets.metric.none': "Keine Zahl. Ergänzen Sie einen Prozentsatz, Betrag, eine Anzahl oder eingesparte Zeit.",
+  'bullets.verb.label': "Einleitendes Verb",
+  'bullets.verb.duty': "Beginnt mit „{opener}“, das eine Aufgabe beschreibt, keine Leistung.",
+  'bullets.verb.pronoun': "Beginnt mit einem Pronomen. Beginnen Sie mit dem Aktionsverb.",
+  'bullets.verb.strong': "Beginnt mit dem Aktionsverb „{verb}“.",
+  'bullets.verb.notPastTense': "„{word}“ ist kein Aktionsverb in der Vergangenheitsform.",
+  'bullets.verb.notStrong': "„{word}“ ist kein starkes Aktionsverb.",
+  'bullets.length.label': "Länge",
+  'bullets.length.good': "{count} Wörter.",
+  'bullets.length.short': "Nur {count} Wörter. Ergänzen Sie, was sich geändert hat und wie.",
+  'bullets.length.long': "{count} Wörter. Teilen Sie den Punkt auf oder streichen Sie Füllwörter.",
+  'bullets.length.tooShort': "Nur {count} Wörter.",
+  'bullets.length.tooLong': "{count} Wörter sind zu lang zum Überfliegen.",
+  'bullets.xyz.label': "XYZ-Muster",
+  'bullets.xyz.complete': "Nennt das Ergebnis, die Messgröße und wie es erreicht wurde.",
+  'bullets.xyz.noMethod': "Enthält eine Messgröße, aber nicht, wie Sie es erreicht haben („indem ...“).",
+  'bullets.xyz.noResult': "Nennt das Wie, aber nicht das messbare Ergebnis.",
+  'bullets.xyz.none': "Nutzen Sie „X erreicht, gemessen an Y, indem Z“.",
+  'highlights.title': "Zeile für Zeile",
+  'highlights.none': "Keine Stichpunkte zum Bewerten gefunden.",
+  'highlights.average': "Durchschnittliche Punktzahl",
+  'highlights.noMarkers': " (keine Aufzählungszeichen gefunden, daher wurden längere Zeilen bewertet)",
+  'highlights.startWith': "Beginnen Sie mit:",
+  'highlights.jump': "Z{line} · {score} Pkt.",
+  'compare.title': "Rollenvergleich",
+  'compare.stop': "Stoppen",
+  'compare.editRoles': "Rollen bearbeiten",
+  'compare.offline': "Offline-Analyse.",
+  'compare.offlineInfo': "Die KI-Werte und Umformulierungen stammen aus den integrierten Regeln von CV Pulse, nicht aus einem Sprachmodell.",
+  'compare.bestFit': "Beste Übereinstimmung",
+  'compare.ahead.one': "{count} Punkt vor {role}.",
+  'compare.ahead.other': "{count} Punkte vor {role}.",
+  'compare.tied': "Gleichauf mit {role}.",
+  'compare.sharedGaps': "Fehlt für jede Rolle:",
+  'compare.sharedGapsInfo': "Wenn Sie diese einmal ergänzen, hilft das allen Bewerbungen.",
+  'compare.column.role': "Rolle",
+  'compare.column.fit': "Passung",
+  'compare.column.keywords': "Schlüsselwörter",
+  'compare.column.aiScore': "KI-Wert",
+  'compare.column.missing': "Fehlende Schlüsselwörter",
+  'compare.column.rewrite': "Beste Umformulierung",
+  'compare.status.pending': "Wartet",
+  'compare.status.running': "Wird analysiert...",
+  'compare.status.cancelled': "Abgebrochen",
+  'compare.noKeywords': "Keine Schlüsselwörter gefunden",
+  'compare.fullReport': "Vollständiger Bericht",
+  'compare.tailorTitle': "Was Sie pro Rolle anpassen sollten",
+  'compare.add': "Ergänzen Sie {keywords}",
+  'compare.addGain': " (bis zu +{points} Pkt. Schlüsselwort-Treffer)",
+  'compare.noRoleGaps': "Es fehlen keine rollenspezifischen Schlüsselwörter.",
+  'compare.needsDetail': "Ergänzen Sie diese Ausschreibung um mehr Details, um Schlüsselwörter zu finden.",
+  'compare.rewrite': "Formulieren Sie",
+  'compare.rewriteAs': "um in",
+  'rubric.software.label': "Softwareentwicklung",
+  'rubric.software.description': "Ausgelieferte Systeme, Größenordnung und messbare technische Erfolge. Das ursprüngliche CV-Pulse-Profil.",
+  'rubric.software.impact': "Zahlen ($, %, +)",
+  'rubric.nursing.label': "Pflege & Klinik",
+  'rubric.nursing.description': "Behandlungsergebnisse, Sicherheit, Fallzahlen und Zertifizierungen statt Umsatz- oder Wachstumszahlen.",
+  'rubric.nursing.impact': "Patientenzahlen, Pflegeschlüssel, Stationsgrößen oder Ergebnisquoten",
+  'rubric.design.label': "Produkt- & UX-Design",
+  'rubric.design.description': "Research, Iteration und Nutzerergebnisse, wobei das Portfolio vieles für sich spricht.",
+  'rubric.design.impact': "Nutzerkennzahlen, Research-Umfang oder Nutzungs- und Conversion-Zahlen",
+  'rubric.sales.label': "Vertrieb & Wachstum",
+  'rubric.sales.description': "Zielerreichung, Pipeline und Umsatz. Zahlen in fast jeder Zeile.",
+  'rubric.sales.impact': "Umsatz, Zielerreichung in Prozent, Abschlussgrößen oder Rankings",
+  'rubric.academic.label': "Wissenschaft & Forschung",
+  'rubric.academic.description': "Publikationen, Fördermittel, Lehre und Gremienarbeit. Längere, formellere Texte sind üblich.",
+  'rubric.academic.impact': "Anzahl der Publikationen, Fördersummen, Zitationen oder betreute Studierende",
+  'rubric.title': "Bewertungsprofil:",
+  'rubric.targetRole': "Zielrolle",
+  'rubric.builtIn': "Integriert",
+  'rubric.imported': "Importiert",
+  'rubric.suggestion': "Das sieht nach einem Lebenslauf für {profile} aus.",
+  'rubric.useSuggestion': "Dieses Profil verwenden",
+  'rubric.strongVerbs': "Starke Verben",
+  'rubric.moreVerbs': " und {count} weitere",
+  'rubric.impact': "Zählt als Wirkung",
+  'rubric.idealSentences': "Ideale Sätze",
+  'rubric.idealRange': "{min} bis {max} Wörter",
+  'rubric.info': "Das Profil legt sowohl die lokalen Werte als auch die Anweisungen fest, mit denen das KI-Modell Ihren Lebenslauf prüft.",
+  'rubric.import': "Profil importieren",
+  'rubric.download': "Als JSON herunterladen",
+  'rubric.invalidJson': "{file} ist kein gültiges JSON.",
+  'rubric.importFailed': "Dieses Profil konnte nicht importiert werden:",
+  'rubric.importNotes': "Mit Hinweisen importiert: {notes}.",
+  'rubric.formatInfo': "Importierte Profile sind JSON. Setzen Sie {extends} auf ein integriertes Profil ({profiles}) und geben Sie nur die Felder an, die Sie ändern.",
+  'history.title': "Scan-Verlauf",
+  'history.unavailable': "Der Scan-Verlauf ist nicht verfügbar: {message}",
+  'history.trend': "Punkteverlauf",
+  'history.past': "Frühere Scans",
+  'history.localOnly': "Nur in diesem Browser gespeichert.",
+  'history.empty': "Noch keine Scans. Jede abgeschlossene Analyse wird hier automatisch gespeichert.",
+  'history.version': "Version {number}",
+  'history.rename': "Umbenennen",
+  'history.versus': "vs.",
+  'history.offline': "Offline-Analyse",
+  'history.score.overall': "Gesamt",
+  'history.score.impact': "Wirkung",
+  'history.score.verbs': "Verben",
+  'history.score.brevity': "Kürze",
+  'history.open': "Bericht öffnen",
+  'history.delete': "Löschen",
+  'trend.overall': "Gesamtqualität",
+  'trend.impact': "Wirkung",
+  'trend.verbs': "Aktionsverben",
+  'trend.brevity': "Kürze",
+  'trend.tooFew': "Führen Sie mindestens zwei Scans durch, um einen Verlauf zu sehen.",
+  'trend.aria': "Punkteverlauf über alle Scans",
+  'feature.allRewrites': "KI-gestützte Umformulierungen für Stichpunkte",
+  'feature.proMetrics': "Branchenvergleich, Recruiter-Personas & Tonalitätsprüfung",
+  'feature.pdfReport': "Export als PDF-Bericht",
+  'upgrade.unlimited.day': "Unbegrenzte {quota} (kostenloser Tarif: {limit} pro Tag)",
+  'upgrade.title': "Werden Sie Profi",
+  'upgrade.subtitle': "Tiefe KI-Analysen & Umformulierungen freischalten",
+  'upgrade.unavailable': "Upgrades sind auf diesem Server nicht verfügbar.",
+  'upgrade.signIn': "Zum Upgraden anmelden",
+  'upgrade.redirecting': "Kasse wird geöffnet...",
+  'upgrade.unlock': "Freischalten für {price}",
+  'upgrade.testPayments': "Testzahlungen sind aktiviert. Es wird keine Karte belastet.",
+  'upgrade.later': "Vielleicht später",
+  'suggestion.unlock': "Diese Umformulierung freischalten",
+  'suggestion.apply': "Änderung übernehmen",
+  'suggestion.applied': "In Ihren Lebenslauf übernommen",
+  'suggestion.rejected': "Abgelehnt",
+  'suggestion.undo': "Rückgängig",
+  'suggestion.accept': "Übernehmen",
+  'suggestion.edit': "Bearbeiten",
+  'suggestion.reject': "Ablehnen",
+};
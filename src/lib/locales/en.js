@@ -0,0 +1,629 @@
+// ==========================================
+// 🇬🇧 ENGLISH
+// The reference copy: every key is defined here, and any key another
+// language leaves out falls back to it. Error titles and hints come from
+// errors.js, where the codes are defined.
+// ==========================================
+import { ERROR_TYPES } from '../errors.js';
+
+const errorMessages = (types) => Object.fromEntries(Object.entries(types).flatMap(([code, { title, hint }]) => [
+  [`error.${code}.title`, title],
+  [`error.${code}.hint`, hint],
+]));
+
+export const EN = {
+  'nav.history': "History",
+  'nav.batch': "Recruiter Batch",
+  'nav.signIn': "Sign In",
+  'nav.goPro': "Go Pro",
+  'nav.comparison': "Comparison",
+  'nav.newScan': "New Scan",
+  'nav.language': "Interface language",
+  'common.dismiss': "Dismiss",
+  'billing.pending': "Payment received. Pro unlocks as soon as the payment provider confirms it.",
+  'billing.active': "You're on Pro. Every feature is unlocked.",
+  'billing.cancelled': "Checkout was cancelled. You have not been charged.",
+  'billing.updated': "Your subscription changes have been saved.",
+  'hero.before': "Is your resume ",
+  'hero.hired': "hired",
+  'hero.between': " or ",
+  'hero.fired': "fired?",
+  'hero.subtitle': "Get professional-level critique, ATS compatibility checks, and AI-powered improvement suggestions in seconds.",
+  'input.paste': "Paste Text",
+  'input.upload': "Upload File",
+  'input.importedFrom': "Imported from",
+  'input.pages.one': "({count} page)",
+  'input.pages.other': "({count} pages)",
+  'input.review': "Review the text below before scanning.",
+  'input.importFailed': "Could not read this file: {message}",
+  'import.image-only': "This PDF has no selectable text. It looks like a scan or an image, which most ATS parsers cannot read. Export it again from your editor as a text PDF.",
+  'import.image-pages.one': "Page {pages} contains little or no selectable text and may be an image.",
+  'import.image-pages.other': "Pages {pages} contain little or no selectable text and may be images.",
+  'import.multi-column.one': "A multi-column layout was detected on page {pages}. Many ATS parsers read straight across columns and scramble the content. A single-column layout is safer.",
+  'import.multi-column.other': "A multi-column layout was detected on pages {pages}. Many ATS parsers read straight across columns and scramble the content. A single-column layout is safer.",
+  'import.empty-document': "No text was found in this document. If your resume sits in text boxes or images, paste it as text instead.",
+  'import.tables.one': "This document uses {count} table for layout. Many ATS parsers read tables cell by cell and lose the context.",
+  'import.tables.other': "This document uses {count} tables for layout. Many ATS parsers read tables cell by cell and lose the context.",
+  'import.legacy-doc': "Legacy .doc files are not supported. Save it as .docx or PDF and try again.",
+  'import.unsupported-type': "Unsupported file type. Use PDF, DOCX, TXT or Markdown.",
+  'input.resumeLabel': "Resume Content",
+  'input.resumePlaceholder': "Paste your resume content here... (e.g. Achieved 20% growth...)",
+  'input.minimum': "{count}/50 characters minimum",
+  'input.language': "Resume language",
+  'input.languageAuto': "Detect ({language})",
+  'input.extracting': "Extracting text...",
+  'input.drop': "Drop your resume here",
+  'input.dropHint': "PDF, DOCX, TXT or Markdown. Processed in your browser, never uploaded.",
+  'input.tooShort': "Please enter a longer resume text (minimum 50 characters).",
+  'input.needTwoRoles': "Add at least two job descriptions to compare.",
+  'jd.compareLabel': "Job Descriptions to Compare",
+  'jd.label': "Target Job Description (Optional)",
+  'jd.single': "Single role",
+  'jd.multi': "Compare several roles",
+  'jd.placeholder': "Paste the job description you are applying for...",
+  'jd.role': "Role {number}",
+  'jd.roleTitle': "Role {number} title (optional)",
+  'jd.removeRole': "Remove role",
+  'jd.rolePlaceholder': "Paste the job description...",
+  'jd.addRole': "Add another role",
+  'action.analyzing': "Analyzing...",
+  'action.compare': "Compare Roles",
+  'action.analyze': "Analyze My Resume",
+  'action.cancel': "Cancel",
+  'action.stop': "Stop",
+  'quota.left': "{left} of {limit} free AI analyses left today.",
+  'quota.upgrade': "Go unlimited with Pro",
+  'offline.notice': "Running the offline analyzer. Configure an AI provider on the server to enable real AI analysis.",
+  'feature.impact.title': "Quantify Impact",
+  'feature.impact.text': "We detect missing metrics.",
+  'feature.ats.title': "ATS Friendly",
+  'feature.ats.text': "Ensure parsability.",
+  'feature.private.title': "Secure & Private",
+  'feature.private.text': "Personal details redacted before AI analysis, or keep it fully local.",
+  'errorScreen.noResults': "No results were generated, so nothing is shown in place of your analysis.",
+  'errorScreen.upgrade': "Upgrade to Pro",
+  'errorScreen.retry': "Try Again",
+  'errorScreen.localOnly': "View local checks only",
+  'errorScreen.edit': "Edit resume or AI settings",
+  'loading.title': "Analyzing Resume...",
+  'loading.subtitle': "Checking ATS compatibility, strong verbs, and impact metrics.",
+  'loading.ai': "Using real AI analysis ({model})",
+  'loading.redacted': ", personal details redacted",
+  'loading.local': "Analyzing fully locally with the offline analyzer",
+  'loading.noProvider': "No AI provider configured: using the offline analyzer",
+  'retry.status': "{reason}. Retrying in {seconds}s (retry {attempt} of {retries})",
+  'banner.offlineTitle': "Offline analysis.",
+  'banner.offline': "The overall score, summary and rewrites come from CV Pulse's built-in rules rather than a language model, and your resume never left the browser. Rewrites mark the numbers you need to fill in with [brackets].",
+  'banner.incomplete': "The AI analysis did not complete or was stopped. Only the local checks are shown.",
+  'banner.streaming': "The AI is still writing its analysis...",
+  'score.overall': "Overall Quality",
+  'score.top': "Top 20% of Candidates",
+  'score.needsWork': "Needs Improvement",
+  'score.writingSummary': "Writing summary...",
+  'score.noAnalysis': "No analysis available.",
+  'card.impact.title': "Impact Score",
+  'card.impact.description': "Measures use of numbers, metrics, and dollar signs to prove value.",
+  'card.verbs.title': "Action Verbs",
+  'card.verbs.description': "Ratio of strong leadership verbs (e.g. 'Spearheaded') vs passive ones.",
+  'card.brevity.title': "Brevity",
+  'card.brevity.description': "Readability analysis. Short, punchy sentences perform best in ATS.",
+  'breakdown.title': "Detailed Breakdown",
+  'breakdown.critical': "Critical Stats",
+  'breakdown.pro': "Pro Metrics",
+  'breakdown.ats': "ATS Readability",
+  'breakdown.keywords': "Keyword Match",
+  'breakdown.noJobDesc': "Add a job description to compare",
+  'breakdown.structure': "Structure & Formatting",
+  'breakdown.unlock': "Unlock Pro",
+  'suggestions.title': "AI Improvement Suggestions",
+  'suggestions.rescan': "Rescan",
+  'suggestions.priority': "High Priority",
+  'suggestions.generating': "Generating rewrites...",
+  'suggestions.none': "No improvement suggestions available.",
+  'suggestions.notFound': "Couldn't find this line in your resume. Copy the rewrite in by hand.",
+  'suggestions.locked': "{count} more rewrites come with Pro.",
+  'suggestions.unlock': "Unlock all rewrites",
+  'keywords.title': "Missing Keywords",
+  'keywords.points': "+{points} pts",
+  'keywords.aiHint': "Suggested by the AI analysis",
+  'keywords.waiting': "Waiting for AI keyword suggestions...",
+  'keywords.none': "No missing keywords detected.",
+  'keywords.matched': "Matched ({matched}/{total})",
+  'report.title': "Pro Report PDF",
+  'report.text': "Download every score, check and rewrite from this scan as a paginated PDF, generated in your browser.",
+  'report.annotate': "Include annotated resume",
+  'report.generating': "Generating...",
+  'report.download': "Download Report",
+  'report.failed': "Could not create the PDF: {message}",
+  'generator.title': "Cover letter & LinkedIn",
+  'generator.text': "Write a cover letter or LinkedIn profile for this job from your resume. Every claim is checked against it.",
+  'generator.open': "Open the writer",
+  'skills.title': "Recommended Skills",
+  'skills.course': "View Course",
+  'skills.affiliate': "Affiliate recommendations help you earn commission.",
+  'common.and': "and",
+  'common.or': "or",
+  'flaws.title': "Fatal Flaws",
+  'flaws.critical': "{count} critical",
+  'flaws.noneCritical': "None critical",
+  'flaws.quantified': "Quantified bullets",
+  'flaws.noBullets': "No bullets found",
+  'flaws.none': "No fatal flaws found.",
+  'flaws.line': "L{line}",
+  'flaws.more': "and {count} more",
+  'flaws.pronouns.label': "First-person pronouns",
+  'flaws.pronouns.detail': "Resumes are written in the implied first person. Drop {examples} and start with the verb.",
+  'flaws.weak-openers.label': "Weak bullet openers",
+  'flaws.weak-openers.detail': "Bullets that start with {examples} describe duties, not results. Lead with a strong action verb.",
+  'flaws.typos.label': "Typos",
+  'flaws.typos.detail': "A single typo is enough for many recruiters to reject a resume. Words missing from the English dictionary and repeated words are listed; capitalized names and tools are skipped.",
+  'flaws.typos.repeated': "repeated word",
+  'flaws.typos.unknown': "not in the dictionary",
+  'flaws.unquantified.label': "Too few quantified bullets",
+  'flaws.unquantified.detail': "Only {quantified} of {total} bullets ({percent}%) contain a number. Aim for at least half.",
+  'flaws.passive.label': "Passive voice",
+  'flaws.passive.detail': "\"Was maintained by\" and \"were delivered\" hide who did the work. Rewrite in the active voice.",
+  'flaws.cliches.label': "Clichés and buzzwords",
+  'flaws.cliches.detail': "Phrases like \"team player\" and \"results-driven\" are on every resume. Show the quality with an example instead.",
+  'ats.noEmail.label': "No email address",
+  'ats.noEmail.detail': "Recruiters and ATS profiles need an email to reach you.",
+  'ats.noPhone.label': "No phone number",
+  'ats.noPhone.detail': "Add a phone number in international format, e.g. +1 555 123 4567.",
+  'ats.noLinkedin.label': "No LinkedIn profile",
+  'ats.noLinkedin.detail': "A linkedin.com/in/ URL is parsed into most ATS candidate profiles.",
+  'ats.table.label': "Table layout detected",
+  'ats.table.detail': "{count} lines look like table rows or tab-aligned columns. Parsers often read them cell by cell.",
+  'ats.glyphs.label': "Unusual symbols",
+  'ats.glyphs.detail': "Found {glyphs}. Icons, emoji and special glyphs often turn into garbage after parsing.",
+  'ats.headerFooter.label': "Header/footer content",
+  'ats.headerFooter.detail': "Page numbers or lines repeated at the top or bottom of each page, such as \"{line}\". Content in headers and footers is often dropped.",
+  'ats.short.label': "Very little text",
+  'ats.short.detail': "Only {count} words. ATS ranking relies on enough content to match against.",
+  'ats.long.label': "Too long",
+  'ats.long.detail': "{count} words. Aim for one or two pages (roughly 400-800 words).",
+  'ats.noContact.label': "Missing Contact section",
+  'ats.noContact.detail': "Put your name and contact details at the top.",
+  'ats.missingSection.label': "Missing {section} section",
+  'ats.missingSection.detail': "No heading recognised as \"{section}\". Use the standard name so the ATS files it correctly.",
+  'ats.section.experience': "Experience",
+  'ats.section.education': "Education",
+  'ats.section.skills': "Skills",
+  'ats.section.summary': "Summary",
+  'ats.dates.label': "Inconsistent date formats",
+  'ats.dates.detail': "Mixed formats: {formats}. Pick one and use it everywhere.",
+  'ats.markers.label': "Mixed bullet markers",
+  'ats.markers.detail': "Uses {markers}. Stick to one marker.",
+  'ats.noBullets.label': "No bullet points",
+  'ats.noBullets.detail': "Experience written as paragraphs is harder to scan. Use one bullet per achievement.",
+  'offline.part.impact': "Impact",
+  'offline.part.verbs': "Action verbs",
+  'offline.part.brevity': "Brevity",
+  'offline.part.bullets': "Bullet quality",
+  'offline.part.ats': "ATS readiness",
+  'offline.part.keywords': "Keyword match",
+  'offline.hint.impact': "Only {quantified} of {total} bullets include a number, so add percentages, amounts or counts.",
+  'offline.hint.verbs': "Open each bullet with a strong past-tense verb instead of \"helped\" or \"responsible for\".",
+  'offline.hint.brevity': "Shorten long sentences so each bullet carries one idea.",
+  'offline.hint.bullets': "Rewrite the weakest bullets as \"Accomplished X, as measured by Y, by doing Z\".",
+  'offline.hint.ats': "Fix the ATS issues first, starting with \"{issue}\".",
+  'offline.hint.atsClean': "Keep the layout simple and single-column for ATS parsers.",
+  'offline.hint.keywords': "Work in the missing job keywords, such as {keywords}.",
+  'offline.summary.single': "{area} scores {score}/100. {hint}",
+  'offline.summary.range': "Strongest area: {strongest} ({strongestScore}/100). Weakest: {weakest} ({weakestScore}/100). {hint}",
+  'offline.skill.leadership': "Leadership",
+  'offline.skill.communication': "Communication",
+  'offline.skill.collaboration': "Team Collaboration",
+  'offline.skill.problemSolving': "Problem Solving",
+  'offline.skill.mentoring': "Mentoring",
+  'offline.skill.stakeholders': "Stakeholder Management",
+  'offline.skill.ownership': "Ownership",
+  'offline.skill.adaptability': "Adaptability",
+  'common.back': "Back",
+  'common.save': "Save",
+  'plan.free': "Free",
+  'plan.pro': "Pro",
+  'quota.analyses.label': "AI analyses",
+  'quota.documents.label': "AI-written documents",
+  'account.title': "Account",
+  'account.profile': "Profile",
+  'account.name': "Name",
+  'account.editName': "Edit name",
+  'account.email': "Email",
+  'account.signInMethods': "Sign-in",
+  'account.password': "Email & password",
+  'account.plan': "Plan",
+  'account.upgrade': "Upgrade to Pro",
+  'account.manage': "Manage subscription",
+  'account.currentPlan': "Current plan",
+  'account.subscription': "Subscription",
+  'account.status.active': "Active",
+  'account.status.trialing': "Trial",
+  'account.status.past_due': "Payment overdue",
+  'account.status.canceled': "Cancelled",
+  'account.status.unpaid': "Unpaid",
+  'account.ends': "ends {date}",
+  'account.renews': "renews {date}",
+  'account.unlimited': "Unlimited ({used} this {period})",
+  'account.period.day': "day",
+  'account.quotaUsed': "{used} of {limit} used, resets {date}",
+  'account.synced': "Synced Data",
+  'account.syncNow': "Sync now",
+  'account.syncPaused': "Local-only mode is on, so nothing from this browser is uploaded. Turn it off in the privacy settings to sync your resume draft and saved scans.",
+  'account.syncInfo': "Your resume draft and saved scans are stored with your account, as written, so they are available on your other devices.",
+  'account.syncing': "Syncing this browser with your account...",
+  'account.syncFailed': "Sync failed: {message}",
+  'account.totals': "Your account holds {scans} and {resumes}.",
+  'account.scans.one': "{count} scan",
+  'account.scans.other': "{count} scans",
+  'account.resumes.one': "{count} saved resume",
+  'account.resumes.other': "{count} saved resumes",
+  'account.lastSync': "Last sync uploaded {uploaded} and downloaded {downloaded}.",
+  'account.signOut': "Sign out",
+  'common.close': "Close",
+  'auth.signIn': "Sign In",
+  'auth.signUp': "Create Account",
+  'auth.tagline': "Keep your resumes and scans across devices.",
+  'auth.name': "Name (optional)",
+  'auth.email': "Email",
+  'auth.password': "Password",
+  'auth.newPassword': "Password (8+ characters)",
+  'auth.or': "or",
+  'auth.continueWith': "Continue with {provider}",
+  'auth.noAccount': "No account yet? ",
+  'auth.haveAccount': "Already have an account? ",
+  'auth.createOne': "Create one",
+  'auth.signInInstead': "Sign in",
+  'auth.memory': "Development server: accounts are kept in memory and reset on restart.",
+  'common.remove': "Remove",
+  'batch.title': "Batch Screening",
+  'batch.jobDesc': "Job Description",
+  'batch.jobDescPlaceholder': "Paste the job description every candidate is ranked against...",
+  'batch.resumes': "Resumes ({count})",
+  'batch.extracting': "Extracting text...",
+  'batch.drop': "Drop resumes here or click to choose (PDF, DOCX, TXT, MD)",
+  'batch.pastePlaceholder': "...or paste one resume and add it",
+  'batch.addPasted': "Add pasted resume",
+  'batch.noText': "{file}: no text found",
+  'batch.importFailed': "{file}: {message}",
+  'batch.pasted': "Pasted",
+  'batch.pastedName': "Pasted resume {number}",
+  'batch.needJobDesc': "Paste the job description to rank candidates against.",
+  'batch.needResume': "Add at least one resume.",
+  'batch.tooShort.title': "Too little text",
+  'batch.tooShort.message': "Resume has fewer than 50 characters.",
+  'batch.stop': "Stop",
+  'batch.rank': "Rank {count} Candidates",
+  'batch.parallel': "Parallel requests",
+  'batch.offlineTitle': "Offline analysis.",
+  'batch.offlineText': "The AI Score column comes from CV Pulse's built-in rules, not a language model.",
+  'batch.status': "Status",
+  'batch.status.queued': "queued",
+  'batch.status.running': "running",
+  'batch.status.done': "done",
+  'batch.status.error': "error",
+  'batch.status.cancelled': "cancelled",
+  'batch.cached': "(cached)",
+  'batch.column.score': "AI Score",
+  'batch.column.keywords': "Keyword Match",
+  'batch.column.impact': "Impact",
+  'batch.column.verbs': "Action Verbs",
+  'batch.column.brevity': "Brevity",
+  'batch.column.name': "Candidate",
+  'common.cancel': "Cancel",
+  'docs.title': "Cover Letter & LinkedIn",
+  'docs.back': "Back to results",
+  'docs.type.coverLetter.label': "Cover letter",
+  'docs.type.coverLetter.description': "A letter for this job: why you, why this role, and the evidence from your resume.",
+  'docs.type.linkedin.label': "LinkedIn profile",
+  'docs.type.linkedin.description': "A headline and About section that position you for roles like this one.",
+  'docs.tone': "Tone",
+  'docs.tone.professional': "Professional",
+  'docs.tone.confident': "Confident",
+  'docs.tone.warm': "Warm",
+  'docs.tone.enthusiastic': "Enthusiastic",
+  'docs.length': "Length",
+  'docs.length.short': "Short",
+  'docs.length.standard': "Standard",
+  'docs.length.detailed': "Detailed",
+  'docs.writing': "Writing...",
+  'docs.newDraft': "Write a new draft",
+  'docs.write.coverLetter': "Write cover letter",
+  'docs.write.linkedin': "Write LinkedIn profile",
+  'docs.noJobDesc': "No job description: the draft will be general.",
+  'docs.offlineNote': "Offline drafts fill templates with lines from your resume. Enable an AI provider for a draft written for you.",
+  'docs.offlineNoteEnglish': "Offline drafts fill English templates with lines from your resume. Enable an AI provider for a draft written for you.",
+  'docs.claims.inResume': "in your resume",
+  'docs.claims.jobOnly': "only in the job description",
+  'docs.claims.missing': "not in your resume",
+  'docs.claims.missingList': "Not in your resume: {claims}",
+  'docs.claims.jobOnlyList': "Only in the job description: {claims}",
+  'docs.claims.untraced': "{none} of {total} claims are not in your resume. They are underlined below: edit them or rewrite the paragraph before you send this.",
+  'docs.claims.traced': "Every claim traces back to your resume ({total} checked).",
+  'docs.claims.job.one': "{count} only appears in the job description: fine for the employer or role, not as your experience.",
+  'docs.claims.job.other': "{count} only appear in the job description: fine for the employer or role, not as your experience.",
+  'docs.copied': "Copied",
+  'docs.copy': "Copy",
+  'docs.headline': "Headline",
+  'docs.about': "About",
+  'docs.rewriting': "Rewriting...",
+  'docs.rewrite': "Rewrite this paragraph",
+  'docs.offlineRewrite': "Offline draft: rewriting a paragraph switches to another template and the next highlights from your resume.",
+  'model.title': "AI Model:",
+  'model.provider': "Provider",
+  'model.model': "Model",
+  'model.temperature': "Temperature: {value}",
+  'model.maxTokens': "Max output tokens",
+  'model.timeout': "Timeout without a response (seconds)",
+  'model.retries': "Automatic retries",
+  'model.retriesOff': "Off",
+  'model.check': "Check connection",
+  'model.responding': "Responding ({ms} ms)",
+  'privacy.title': "Privacy:",
+  'privacy.status.local': "Fully local",
+  'privacy.status.redacted': "Personal details redacted",
+  'privacy.status.asWritten': "Sent as written",
+  'privacy.local': "Analyze fully locally.",
+  'privacy.localInfo': "Nothing leaves your browser; the offline analyzer replaces the AI model.",
+  'privacy.redact': "Redact personal details before sending.",
+  'privacy.redactInfo': "Your name, email, phone, links and street address (US, UK and common European formats) are replaced with placeholders and restored in the results. Check the preview for anything that was missed.",
+  'privacy.hidePreview': "Hide preview",
+  'privacy.showPreview': "Preview what will be sent",
+  'privacy.replaced': "Replaced: {items}.",
+  'privacy.pii.name.one': "{count} name",
+  'privacy.pii.name.other': "{count} names",
+  'privacy.pii.email.one': "{count} email",
+  'privacy.pii.email.other': "{count} emails",
+  'privacy.pii.phone.one': "{count} phone",
+  'privacy.pii.phone.other': "{count} phones",
+  'privacy.pii.url.one': "{count} profile link",
+  'privacy.pii.url.other': "{count} profile links",
+  'privacy.pii.address.one': "{count} address",
+  'privacy.pii.address.other': "{count} addresses",
+  'privacy.noneFound': "No personal details were detected.",
+  'privacy.redactOff': "Redaction is off: the resume is sent exactly as written.",
+  'benchmark.industry.software': "Software Engineering",
+  'benchmark.industry.data': "Data & Analytics",
+  'benchmark.industry.product': "Product & Design",
+  'benchmark.industry.marketing': "Marketing",
+  'benchmark.industry.sales': "Sales & Business Development",
+  'benchmark.industry.finance': "Finance & Accounting",
+  'benchmark.industry.healthcare': "Healthcare",
+  'benchmark.industry.general': "General",
+  'benchmark.seniority.entry': "Entry level",
+  'benchmark.seniority.mid': "Mid level",
+  'benchmark.seniority.senior': "Senior",
+  'benchmark.metric.impactScore': "Impact (metrics per sentence)",
+  'benchmark.metric.verbScore': "Action verbs",
+  'benchmark.metric.brevityScore': "Brevity",
+  'benchmark.metric.quantifiedRatio': "Quantified bullets",
+  'benchmark.metric.wordCount': "Length (words)",
+  'benchmark.industry': "Industry",
+  'benchmark.seniority': "Seniority",
+  'benchmark.detected': "{label} (detected)",
+  'benchmark.column.metric': "Metric",
+  'benchmark.column.you': "You",
+  'benchmark.column.typical': "Typical",
+  'benchmark.column.standing': "Standing",
+  'benchmark.fit': "{percent}% fit",
+  'benchmark.percentile': "~{percent}th pct",
+  'benchmark.reference': "Compared with a reference profile for {industry} resumes ({seniority}). Reference profiles are curated estimates, not live market data, so percentiles are approximate.",
+  'tone.tense.past': "Past tense",
+  'tone.tense.present': "Present tense",
+  'tone.tense.gerund': "-ing form",
+  'tone.tense.other': "No leading verb",
+  'tone.person.implied': "Implied first person",
+  'tone.person.first': "Explicit first person",
+  'tone.person.team': "Team voice (we / our)",
+  'tone.person.third': "Third person",
+  'tone.tenses.label': "Mixed tenses",
+  'tone.tenses.detail.one': "{count} bullet is not in the form most bullets use ({tense}). Use past tense for finished roles and present tense only for your current one.",
+  'tone.tenses.detail.other': "{count} bullets are not in the form most bullets use ({tense}). Use past tense for finished roles and present tense only for your current one.",
+  'tone.person.label': "Person drift",
+  'tone.person.detail.one': "{count} bullet uses \"I\", \"we\" or a third-person voice. Bullets are written in the implied first person: start with the verb.",
+  'tone.person.detail.other': "{count} bullets use \"I\", \"we\" or a third-person voice. Bullets are written in the implied first person: start with the verb.",
+  'tone.informal.label': "Informal language",
+  'tone.informal.detail': "Found {markers}. Casual words, contractions and exclamation marks break the professional register.",
+  'tone.punctuation.label': "Inconsistent punctuation",
+  'tone.punctuation.detail.one': "{count} of {total} bullets ends with a period. Pick one style for all of them.",
+  'tone.punctuation.detail.other': "{count} of {total} bullets end with a period. Pick one style for all of them.",
+  'tone.drift.tense': "Tense",
+  'tone.drift.person': "Person",
+  'tone.drift.formality': "Formality",
+  'tone.tooFew': "Tone consistency needs at least two bullet points to compare.",
+  'tone.drifted': "Bullets that drift",
+  'tone.line': "Line {line}",
+  'tone.consistent': "Every bullet reads in one voice.",
+  'persona.startupCto.label': "Startup CTO",
+  'persona.startupCto.description': "Hiring for a small, fast-moving team. Wants builders who ship, own problems end to end and learn new tools quickly.",
+  'persona.faangRecruiter.label': "FAANG Recruiter",
+  'persona.faangRecruiter.description': "Screens hundreds of resumes for a big-tech role. Looks for scale, measurable impact and a clean, standard layout.",
+  'persona.agencyScreener.label': "Agency Screener",
+  'persona.agencyScreener.description': "Matches candidates to a client's job spec in under a minute. Checks keywords, contact details and an ATS-safe format.",
+  'persona.verdict.advance': "Would advance",
+  'persona.verdict.maybe': "On the fence",
+  'persona.verdict.reject': "Would pass",
+  'persona.headline': "{verdict}: {focus}.",
+  'persona.focus.strong': "strong on {signals}",
+  'persona.focus.none': "nothing stands out either way",
+  'persona.focus.weak': "needs more {signals}",
+  'persona.signal.ownership.name': "ownership",
+  'persona.signal.ownership.strength': "Shows ownership: things you built and shipped yourself.",
+  'persona.signal.ownership.concern': "Reads like a list of duties. Where did you build or own something end to end?",
+  'persona.signal.scale.name': "scale",
+  'persona.signal.scale.strength': "Work at real scale (users, traffic, revenue) is easy to spot.",
+  'persona.signal.scale.concern': "No sense of scale. How many users, requests or dollars did your work touch?",
+  'persona.signal.impact.name': "measurable impact",
+  'persona.signal.impact.strength': "Results are backed by numbers.",
+  'persona.signal.impact.concern': "Too few measurable results.",
+  'persona.signal.verbs.name': "action verbs",
+  'persona.signal.verbs.strength': "Bullets lead with strong action verbs.",
+  'persona.signal.verbs.concern': "Bullets open with weak or passive verbs.",
+  'persona.signal.brevity.name': "brevity",
+  'persona.signal.brevity.strength': "Concise and quick to skim.",
+  'persona.signal.brevity.concern': "Sentences run long; this reader skims.",
+  'persona.signal.keywords.name': "keyword coverage",
+  'persona.signal.keywords.strength': "Covers most of the job description's keywords.",
+  'persona.signal.keywords.concern': "Misses too many keywords from the job description.",
+  'persona.signal.readability.name': "ATS readability",
+  'persona.signal.readability.strength': "Parses cleanly for an ATS.",
+  'persona.signal.readability.concern': "Layout or missing details could trip up the ATS.",
+  'persona.signal.structure.name': "structure",
+  'persona.signal.structure.strength': "Standard sections in the expected order.",
+  'persona.signal.structure.concern': "Non-standard or missing sections.",
+  'persona.signal.contact.name': "contact details",
+  'persona.signal.contact.strength': "Contact details are complete.",
+  'persona.signal.contact.concern': "Contact details are incomplete.",
+  'persona.reviewing': "Reviewing...",
+  'persona.aiNote': "Each persona is a separate AI review with its own priorities and deal-breakers.",
+  'persona.offlineNote': "Offline estimate: each persona weighs the local checks by its own priorities. Enable an AI provider for full reviews.",
+  'pro.benchmark': "Industry Benchmark",
+  'pro.personas': "Recruiter Persona Check",
+  'pro.tone': "Tone Consistency",
+  'pro.breakdown': "See breakdown",
+  'pro.unlock': "Unlock Pro",
+  'pro.notAvailable': "n/a",
+  'rescan.title': "Changes Since Last Scan",
+  'rescan.overall': "Overall Quality",
+  'rescan.impact': "Impact Score",
+  'rescan.verbs': "Action Verbs",
+  'rescan.brevity': "Brevity",
+  'rescan.changed.one': "Resume text: {count} line changed",
+  'rescan.changed.other': "Resume text: {count} lines changed",
+  'rescan.unchanged.one': "{count} unchanged line",
+  'rescan.unchanged.other': "{count} unchanged lines",
+  'bullets.grade.strong': "strong",
+  'bullets.grade.fair': "needs work",
+  'bullets.grade.weak': "weak",
+  'bullets.metric.label': "Metric",
+  'bullets.metric.measured': "Contains a measurable result.",
+  'bullets.metric.bareNumber': "Has a number, but no %, $ or scale. Can you show the size of the result?",
+  'bullets.metric.none': "No number. Add a percentage, amount, count or time saved.",
+  'bullets.verb.label': "Leading verb",
+  'bullets.verb.duty': "Starts with \"{opener}\", which describes a duty, not an achievement.",
+  'bullets.verb.pronoun': "Starts with a pronoun. Lead with the action verb.",
+  'bullets.verb.strong': "Opens with the action verb \"{verb}\".",
+  'bullets.verb.notPastTense': "\"{word}\" is not a past-tense action verb.",
+  'bullets.verb.notStrong': "\"{word}\" is not a strong action verb.",
+  'bullets.length.label': "Length",
+  'bullets.length.good': "{count} words.",
+  'bullets.length.short': "Only {count} words. Add what changed and how.",
+  'bullets.length.long': "{count} words. Split it or cut filler.",
+  'bullets.length.tooShort': "Only {count} words.",
+  'bullets.length.tooLong': "{count} words is too long to scan.",
+  'bullets.xyz.label': "XYZ pattern",
+  'bullets.xyz.complete': "States the result, the measure and how it was achieved.",
+  'bullets.xyz.noMethod': "Has a measure but not how you achieved it (\"by doing...\").",
+  'bullets.xyz.noResult': "Says how, but not the measurable result.",
+  'bullets.xyz.none': "Use \"Accomplished X, as measured by Y, by doing Z\".",
+  'highlights.title': "Line-by-Line Review",
+  'highlights.none': "No bullets found to score.",
+  'highlights.average': "Average bullet score",
+  'highlights.noMarkers': " (no bullet markers found, so longer lines were scored)",
+  'highlights.startWith': "Start with:",
+  'highlights.jump': "L{line} · {score} pts",
+  'compare.title': "Role Comparison",
+  'compare.stop': "Stop",
+  'compare.editRoles': "Edit roles",
+  'compare.offline': "Offline analysis.",
+  'compare.offlineInfo': "The AI scores and rewrites come from CV Pulse's built-in rules, not a language model.",
+  'compare.bestFit': "Best fit",
+  'compare.ahead.one': "{count} point ahead of {role}.",
+  'compare.ahead.other': "{count} points ahead of {role}.",
+  'compare.tied': "Tied with {role}.",
+  'compare.sharedGaps': "Missing for every role:",
+  'compare.sharedGapsInfo': "Adding these once helps all applications.",
+  'compare.column.role': "Role",
+  'compare.column.fit': "Fit",
+  'compare.column.keywords': "Keywords",
+  'compare.column.aiScore': "AI Score",
+  'compare.column.missing': "Missing Keywords",
+  'compare.column.rewrite': "Top Rewrite",
+  'compare.status.pending': "Waiting",
+  'compare.status.running': "Analyzing...",
+  'compare.status.cancelled': "Cancelled",
+  'compare.noKeywords': "No keywords found",
+  'compare.fullReport': "Full report",
+  'compare.tailorTitle': "What to Tailor for Each Role",
+  'compare.add': "Add {keywords}",
+  'compare.addGain': " (up to +{points} pts keyword match)",
+  'compare.noRoleGaps': "No role-specific keywords missing.",
+  'compare.needsDetail': "Add more detail to this posting to extract keywords.",
+  'compare.rewrite': "Rewrite",
+  'compare.rewriteAs': "as",
+  'rubric.software.label': "Software Engineering",
+  'rubric.software.description': "Shipped systems, scale and measurable engineering wins. The original CV Pulse rubric.",
+  'rubric.software.impact': "numbers ($, %, +)",
+  'rubric.nursing.label': "Nursing & Clinical",
+  'rubric.nursing.description': "Patient outcomes, safety, caseloads and certifications rather than revenue or growth figures.",
+  'rubric.nursing.impact': "patient numbers, nurse-to-patient ratios, unit sizes or outcome percentages",
+  'rubric.design.label': "Product & UX Design",
+  'rubric.design.description': "Research, iteration and user outcomes, with a portfolio doing much of the talking.",
+  'rubric.design.impact': "user metrics, research volume or adoption and conversion figures",
+  'rubric.sales.label': "Sales & Growth",
+  'rubric.sales.description': "Quota attainment, pipeline and revenue. Numbers on nearly every line.",
+  'rubric.sales.impact': "revenue, quota attainment percentages, deal sizes or rankings",
+  'rubric.academic.label': "Academic & Research",
+  'rubric.academic.description': "Publications, grants, teaching and service. Longer, more formal writing is normal.",
+  'rubric.academic.impact': "publication counts, grant amounts, citations or students supervised",
+  'rubric.title': "Scoring profile:",
+  'rubric.targetRole': "Target role",
+  'rubric.builtIn': "Built-in",
+  'rubric.imported': "Imported",
+  'rubric.suggestion': "This looks like a {profile} resume.",
+  'rubric.useSuggestion': "Use that profile",
+  'rubric.strongVerbs': "Strong verbs",
+  'rubric.moreVerbs': " and {count} more",
+  'rubric.impact': "Counts as impact",
+  'rubric.idealSentences': "Ideal sentences",
+  'rubric.idealRange': "{min} to {max} words",
+  'rubric.info': "The profile sets both the local scores and the instructions the AI model reviews your resume with.",
+  'rubric.import': "Import profile",
+  'rubric.download': "Download as JSON",
+  'rubric.invalidJson': "{file} is not valid JSON.",
+  'rubric.importFailed': "This profile could not be imported:",
+  'rubric.importNotes': "Imported with notes: {notes}.",
+  'rubric.formatInfo': "Imported profiles are JSON. Set {extends} to a built-in profile ({profiles}) and list only the fields you change.",
+  'history.title': "Scan History",
+  'history.unavailable': "Scan history is not available: {message}",
+  'history.trend': "Score Trend",
+  'history.past': "Past Scans",
+  'history.localOnly': "Stored in this browser only.",
+  'history.empty': "No scans yet. Every completed analysis is saved here automatically.",
+  'history.version': "Version {number}",
+  'history.rename': "Rename",
+  'history.versus': "vs.",
+  'history.offline': "offline analysis",
+  'history.score.overall': "Overall",
+  'history.score.impact': "Impact",
+  'history.score.verbs': "Verbs",
+  'history.score.brevity': "Brevity",
+  'history.open': "Open report",
+  'history.delete': "Delete",
+  'trend.overall': "Overall Quality",
+  'trend.impact': "Impact",
+  'trend.verbs': "Action Verbs",
+  'trend.brevity': "Brevity",
+  'trend.tooFew': "Run at least two scans to see a trend.",
+  'trend.aria': "Score trend across scans",
+  'feature.allRewrites': "Get AI-Powered Bullet Point Rewrites",
+  'feature.proMetrics': "Industry Benchmark, Recruiter Persona & Tone Checks",
+  'feature.pdfReport': "Export to PDF Report",
+  'upgrade.unlimited.day': "Unlimited {quota} (free plan: {limit} per day)",
+  'upgrade.title': "Go Professional",
+  'upgrade.subtitle': "Unlock deep AI insights & rewrites",
+  'upgrade.unavailable': "Upgrades are not available on this server.",
+  'upgrade.signIn': "Sign in to upgrade",
+  'upgrade.redirecting': "Opening checkout...",
+  'upgrade.unlock': "Unlock for {price}",
+  'upgrade.testPayments': "Test payments are enabled. No card is charged.",
+  'upgrade.later': "Maybe later",
+  'suggestion.unlock': "Unlock this rewrite",
+  'suggestion.apply': "Apply edit",
+  'suggestion.applied': "Applied to your resume",
+  'suggestion.rejected': "Rejected",
+  'suggestion.undo': "Undo",
+  'suggestion.accept': "Accept",
+  'suggestion.edit': "Edit",
+  'suggestion.reject': "Reject",
+  ...errorMessages(ERROR_TYPES),
+};
@@ -0,0 +1,649 @@
+// ==========================================
+// 🇪🇸 SPANISH (ESPAÑOL)
+// Interface copy in Spanish. Keys missing here fall back to English.
+// ==========================================
+export const ES = {
+  'nav.history': "Historial",
+  'nav.batch': "Lote de reclutador",
+  'nav.signIn': "Iniciar sesión",
+  'nav.goPro': "Hazte Pro",
+  'nav.comparison': "Comparación",
+  'nav.newScan': "Nuevo análisis",
+  'nav.language': "Idioma de la interfaz",
+  'common.dismiss': "Cerrar",
+  'billing.pending': "Pago recibido. Pro se activará en cuanto el proveedor de pagos lo confirme.",
+  'billing.active': "Tienes Pro. Todas las funciones están desbloqueadas.",
+  'billing.cancelled': "Se canceló el pago. No se te ha cobrado nada.",
+  'billing.updated': "Se han guardado los cambios de tu suscripción.",
+  'hero.before': "¿Tu currículum te abre ",
+  'hero.hired': "puertas",
+  'hero.between': " o te las ",
+  'hero.fired': "cierra?",
+  'hero.subtitle': "Obtén en segundos una crítica de nivel profesional, comprobaciones de compatibilidad con ATS y sugerencias de mejora con IA.",
+  'input.paste': "Pegar texto",
+  'input.upload': "Subir archivo",
+  'input.importedFrom': "Importado de",
+  'input.pages.one': "({count} página)",
+  'input.pages.other': "({count} páginas)",
+  'input.review': "Revisa el texto antes de analizarlo.",
+  'input.importFailed': "No se pudo leer este archivo: {message}",
+  'import.image-only': "Este PDF no tiene texto seleccionable. Parece un escaneo o una imagen, que la mayoría de los ATS no pueden leer. Vuelve a exportarlo desde tu editor como PDF de texto.",
+  'import.image-pages.one': "La página {pages} tiene poco o ningún texto seleccionable y puede ser una imagen.",
+  'import.image-pages.other': "Las páginas {pages} tienen poco o ningún texto seleccionable y pueden ser imágenes.",
+  'import.multi-column.one': "Se detectó un diseño de varias columnas en la página {pages}. Muchos ATS leen de lado a lado y mezclan el contenido. Un diseño de una sola columna es más seguro.",
+  'import.multi-column.other': "Se detectó un diseño de varias columnas en las páginas {pages}. Muchos ATS leen de lado a lado y mezclan el contenido. Un diseño de una sola columna es más seguro.",
+  'import.empty-document': "No se encontró texto en este documento. Si tu currículum está en cuadros de texto o imágenes, pégalo como texto.",
+  'import.tables.one': "Este documento usa {count} tabla para el diseño. Muchos ATS leen las tablas celda por celda y pierden el contexto.",
+  'import.tables.other': "Este documento usa {count} tablas para el diseño. Muchos ATS leen las tablas celda por celda y pierden el contexto.",
+  'import.legacy-doc': "Los archivos .doc antiguos no son compatibles. Guárdalo como .docx o PDF e inténtalo de nuevo.",
+  'import.unsupported-type': "Tipo de archivo no compatible. Usa PDF, DOCX, TXT o Markdown.",
+  'input.resumeLabel': "Contenido del currículum",
+  'input.resumePlaceholder': "Pega aquí el contenido de tu currículum... (p. ej. Aumenté las ventas un 20 %...)",
+  'input.minimum': "{count}/50 caracteres como mínimo",
+  'input.language': "Idioma del currículum",
+  'input.languageAuto': "Detectar ({language})",
+  'input.extracting': "Extrayendo texto...",
+  'input.drop': "Suelta aquí tu currículum",
+  'input.dropHint': "PDF, DOCX, TXT o Markdown. Se procesa en tu navegador, nunca se sube.",
+  'input.tooShort': "Introduce un currículum más largo (mínimo 50 caracteres).",
+  'input.needTwoRoles': "Añade al menos dos ofertas de empleo para compararlas.",
+  'jd.compareLabel': "Ofertas de empleo para comparar",
+  'jd.label': "Oferta de empleo objetivo (opcional)",
+  'jd.single': "Un puesto",
+  'jd.multi': "Comparar varios puestos",
+  'jd.placeholder': "Pega la oferta de empleo a la que te presentas...",
+  'jd.role': "Puesto {number}",
+  'jd.roleTitle': "Título del puesto {number} (opcional)",
+  'jd.removeRole': "Quitar puesto",
+  'jd.rolePlaceholder': "Pega la oferta de empleo...",
+  'jd.addRole': "Añadir otro puesto",
+  'action.analyzing': "Analizando...",
+  'action.compare': "Comparar puestos",
+  'action.analyze': "Analizar mi currículum",
+  'action.cancel': "Cancelar",
+  'action.stop': "Detener",
+  'quota.left': "Te quedan {left} de {limit} análisis con IA gratuitos hoy.",
+  'quota.upgrade': "Sin límites con Pro",
+  'offline.notice': "Se está usando el analizador sin conexión. Configura un proveedor de IA en el servidor para activar el análisis con IA real.",
+  'feature.impact.title': "Cuantifica tu impacto",
+  'feature.impact.text': "Detectamos las métricas que faltan.",
+  'feature.ats.title': "Compatible con ATS",
+  'feature.ats.text': "Asegura que se pueda leer.",
+  'feature.private.title': "Seguro y privado",
+  'feature.private.text': "Tus datos personales se ocultan antes del análisis con IA, o todo se queda en tu equipo.",
+  'errorScreen.noResults': "No se generaron resultados, así que no se muestra nada en lugar de tu análisis.",
+  'errorScreen.upgrade': "Pasar a Pro",
+  'errorScreen.retry': "Reintentar",
+  'errorScreen.localOnly': "Ver solo las comprobaciones locales",
+  'errorScreen.edit': "Editar el currículum o la configuración de IA",
+  'loading.title': "Analizando el currículum...",
+  'loading.subtitle': "Comprobando la compatibilidad con ATS, los verbos de acción y las métricas de impacto.",
+  'loading.ai': "Análisis con IA real ({model})",
+  'loading.redacted': ", datos personales ocultos",
+  'loading.local': "Análisis totalmente local con el analizador sin conexión",
+  'loading.noProvider': "No hay ningún proveedor de IA configurado: se usa el analizador sin conexión",
+  'retry.status': "{reason}. Reintentando en {seconds} s (intento {attempt} de {retries})",
+  'banner.offlineTitle': "Análisis sin conexión.",
+  'banner.offline': "La puntuación global, el resumen y las reescrituras salen de las reglas de CV Pulse y no de un modelo de lenguaje, y tu currículum nunca ha salido del navegador. Las cifras que debes completar aparecen entre [corchetes].",
+  'banner.incomplete': "El análisis con IA no terminó o se detuvo. Solo se muestran las comprobaciones locales.",
+  'banner.streaming': "La IA sigue escribiendo su análisis...",
+  'score.overall': "Calidad global",
+  'score.top': "Top 20 % de candidatos",
+  'score.needsWork': "Necesita mejoras",
+  'score.writingSummary': "Escribiendo el resumen...",
+  'score.noAnalysis': "No hay ningún análisis disponible.",
+  'card.impact.title': "Impacto",
+  'card.impact.description': "Mide el uso de cifras, métricas e importes para demostrar tu valor.",
+  'card.verbs.title': "Verbos de acción",
+  'card.verbs.description': "Proporción de verbos de liderazgo (p. ej. «lideré») frente a formulaciones pasivas.",
+  'card.brevity.title': "Brevedad",
+  'card.brevity.description': "Análisis de legibilidad. Las frases cortas y directas funcionan mejor en los ATS.",
+  'breakdown.title': "Desglose detallado",
+  'breakdown.critical': "Estadísticas clave",
+  'breakdown.pro': "Métricas Pro",
+  'breakdown.ats': "Legibilidad para ATS",
+  'breakdown.keywords': "Coincidencia de palabras clave",
+  'breakdown.noJobDesc': "Añade una oferta de empleo para comparar",
+  'breakdown.structure': "Estructura y formato",
+  'breakdown.unlock': "Desbloquear Pro",
+  'suggestions.title': "Sugerencias de mejora de la IA",
+  'suggestions.rescan': "Volver a analizar",
+  'suggestions.priority': "Prioridad alta",
+  'suggestions.generating': "Generando reescrituras...",
+  'suggestions.none': "No hay sugerencias de mejora disponibles.",
+  'suggestions.notFound': "No se encontró esta línea en tu currículum. Copia la reescritura a mano.",
+  'suggestions.locked': "Con Pro tienes {count} reescrituras más.",
+  'suggestions.unlock': "Desbloquear todas las reescrituras",
+  'keywords.title': "Palabras clave que faltan",
+  'keywords.points': "+{points} ptos.",
+  'keywords.aiHint': "Sugerida por el análisis con IA",
+  'keywords.waiting': "Esperando las palabras clave sugeridas por la IA...",
+  'keywords.none': "No se detectaron palabras clave que falten.",
+  'keywords.matched': "Encontradas ({matched}/{total})",
+  'report.title': "Informe Pro en PDF",
+  'report.text': "Descarga todas las puntuaciones, comprobaciones y reescrituras de este análisis en un PDF, generado en tu navegador.",
+  'report.annotate': "Incluir el currículum anotado",
+  'report.generating': "Generando...",
+  'report.download': "Descargar informe",
+  'report.failed': "No se pudo crear el PDF: {message}",
+  'generator.title': "Carta de presentación y LinkedIn",
+  'generator.text': "Redacta una carta de presentación o un perfil de LinkedIn para este puesto a partir de tu currículum. Cada afirmación se comprueba con él.",
+  'generator.open': "Abrir el redactor",
+  'skills.title': "Habilidades recomendadas",
+  'skills.course': "Ver curso",
+  'skills.affiliate': "Las recomendaciones de afiliados te ayudan a ganar comisiones.",
+  'error.invalid_key.title': "Clave de API rechazada",
+  'error.invalid_key.hint': "El proveedor de IA rechazó la clave de API del servidor. Revisa la clave en el entorno del servidor o cambia de proveedor en la configuración de IA.",
+  'error.quota_exceeded.title': "Cuota agotada",
+  'error.quota_exceeded.hint': "La cuenta del proveedor ha agotado su cuota. Inténtalo más tarde o cambia de modelo o de proveedor.",
+  'error.plan_limit.title': "Análisis gratuitos de hoy agotados",
+  'error.plan_limit.hint': "El plan gratuito incluye un número limitado de análisis con IA al día. Pasa a Pro para tener análisis ilimitados, activa el modo local para usar el analizador sin conexión o vuelve mañana.",
+  'error.plan_required.title': "Incluido en Pro",
+  'error.plan_required.hint': "Esta comprobación está incluida en el plan Pro. Mejora tu plan o inicia sesión con la cuenta que tiene Pro.",
+  'error.rate_limited.title': "Demasiadas solicitudes",
+  'error.rate_limited.hint': "El proveedor está limitando las solicitudes. Espera un momento y vuelve a intentarlo.",
+  'error.blocked_content.title': "Contenido bloqueado",
+  'error.blocked_content.hint': "El filtro de seguridad del proveedor rechazó este currículum o la oferta de empleo. Quita todo lo que pueda considerarse sensible y vuelve a intentarlo.",
+  'error.network.title': "Problema de conexión",
+  'error.network.hint': "No pudimos conectar con el servidor. Revisa tu conexión a internet y vuelve a intentarlo.",
+  'error.timeout.title': "El análisis tardó demasiado",
+  'error.timeout.hint': "El modelo tardó demasiado en responder. Vuelve a intentarlo, aumenta el tiempo de espera en la configuración de IA o elige un modelo más rápido.",
+  'error.model_unavailable.title': "Modelo no disponible",
+  'error.model_unavailable.hint': "El modelo seleccionado no está disponible en este proveedor. Elige otro modelo en la configuración de IA.",
+  'error.provider_unavailable.title': "Proveedor de IA no configurado",
+  'error.provider_unavailable.hint': "El proveedor seleccionado no está configurado en el servidor. Elige otro proveedor en la configuración de IA.",
+  'error.server_error.title': "Error del proveedor de IA",
+  'error.server_error.hint': "El proveedor tuvo un problema temporal. Vuelve a intentarlo en un momento.",
+  'error.invalid_rubric.title': "Perfil de puntuación rechazado",
+  'error.invalid_rubric.hint': "El servidor no pudo usar el perfil de puntuación seleccionado. Elige un perfil integrado o corrige el importado y vuelve a importarlo.",
+  'error.invalid_response.title': "Respuesta de la IA ilegible",
+  'error.invalid_response.hint': "La respuesta del modelo no tenía el formato esperado, ni siquiera después de pedirle que la corrigiera. Volver a intentarlo suele funcionar.",
+  'error.incomplete_stream.title': "La respuesta se cortó",
+  'error.incomplete_stream.hint': "La conexión se cerró antes de que terminara el análisis. Vuelve a intentarlo.",
+  'error.unknown.title': "El análisis falló",
+  'error.unknown.hint': "Algo salió mal. Vuelve a intentarlo.",
+  'common.and': "y",
+  'common.or': "o",
+  'flaws.title': "Errores graves",
+  'flaws.critical': "{count} críticos",
+  'flaws.noneCritical': "Ninguno crítico",
+  'flaws.quantified': "Viñetas cuantificadas",
+  'flaws.noBullets': "No se encontraron viñetas",
+  'flaws.none': "No se encontraron errores graves.",
+  'flaws.line': "L{line}",
+  'flaws.more': "y {count} más",
+  'flaws.pronouns.label': "Pronombres en primera persona",
+  'flaws.pronouns.detail': "Los currículums se escriben con la primera persona implícita. Quita {examples} y empieza por el verbo.",
+  'flaws.weak-openers.label': "Inicios de viñeta débiles",
+  'flaws.weak-openers.detail': "Las viñetas que empiezan por {examples} describen tareas, no resultados. Empieza con un verbo de acción fuerte.",
+  'flaws.typos.label': "Erratas",
+  'flaws.typos.detail': "Una sola errata basta para que muchos reclutadores descarten un currículum. Se muestran las palabras que no están en el diccionario inglés y las palabras repetidas; los nombres y herramientas en mayúscula se omiten.",
+  'flaws.typos.repeated': "palabra repetida",
+  'flaws.typos.unknown': "no está en el diccionario",
+  'flaws.unquantified.label': "Muy pocas viñetas cuantificadas",
+  'flaws.unquantified.detail': "Solo {quantified} de {total} viñetas ({percent} %) contienen un número. Apunta al menos a la mitad.",
+  'flaws.passive.label': "Voz pasiva",
+  'flaws.passive.detail': "\"Was maintained by\" y \"were delivered\" ocultan quién hizo el trabajo. Reescríbelo en voz activa.",
+  'flaws.cliches.label': "Clichés y palabras de moda",
+  'flaws.cliches.detail': "Frases como \"team player\" y \"results-driven\" aparecen en todos los currículums. Demuestra la cualidad con un ejemplo.",
+  'ats.noEmail.label': "Sin correo electrónico",
+  'ats.noEmail.detail': "Los reclutadores y los perfiles del ATS necesitan un correo para contactarte.",
+  'ats.noPhone.label': "Sin número de teléfono",
+  'ats.noPhone.detail': "Añade un teléfono en formato internacional, p. ej. +34 600 123 456.",
+  'ats.noLinkedin.label': "Sin perfil de LinkedIn",
+  'ats.noLinkedin.detail': "La mayoría de los ATS incorporan una URL linkedin.com/in/ al perfil del candidato.",
+  'ats.table.label': "Diseño de tabla detectado",
+  'ats.table.detail': "{count} líneas parecen filas de tabla o columnas alineadas con tabuladores. Los analizadores suelen leerlas celda por celda.",
+  'ats.glyphs.label': "Símbolos inusuales",
+  'ats.glyphs.detail': "Encontrados: {glyphs}. Los iconos, emojis y glifos especiales suelen convertirse en basura al analizarse.",
+  'ats.headerFooter.label': "Contenido en encabezado/pie",
+  'ats.headerFooter.detail': "Números de página o líneas repetidas arriba o abajo de cada página, como \"{line}\". El contenido de encabezados y pies suele perderse.",
+  'ats.short.label': "Muy poco texto",
+  'ats.short.detail': "Solo {count} palabras. La clasificación del ATS necesita suficiente contenido para comparar.",
+  'ats.long.label': "Demasiado largo",
+  'ats.long.detail': "{count} palabras. Apunta a una o dos páginas (unas 400-800 palabras).",
+  'ats.noContact.label': "Falta la sección de contacto",
+  'ats.noContact.detail': "Pon tu nombre y tus datos de contacto arriba del todo.",
+  'ats.missingSection.label': "Falta la sección {section}",
+  'ats.missingSection.detail': "No se reconoce ningún encabezado como \"{section}\". Usa el nombre estándar para que el ATS lo clasifique bien.",
+  'ats.section.experience': "Experiencia",
+  'ats.section.education': "Formación",
+  'ats.section.skills': "Habilidades",
+  'ats.section.summary': "Resumen",
+  'ats.dates.label': "Formatos de fecha inconsistentes",
+  'ats.dates.detail': "Formatos mezclados: {formats}. Elige uno y úsalo en todas partes.",
+  'ats.markers.label': "Viñetas mezcladas",
+  'ats.markers.detail': "Usa {markers}. Quédate con una sola viñeta.",
+  'ats.noBullets.label': "Sin viñetas",
+  'ats.noBullets.detail': "La experiencia escrita en párrafos cuesta más de leer. Usa una viñeta por logro.",
+  'offline.part.impact': "Impacto",
+  'offline.part.verbs': "Verbos de acción",
+  'offline.part.brevity': "Concisión",
+  'offline.part.bullets': "Calidad de las viñetas",
+  'offline.part.ats': "Preparación para ATS",
+  'offline.part.keywords': "Coincidencia de palabras clave",
+  'offline.hint.impact': "Solo {quantified} de {total} viñetas incluyen un número: añade porcentajes, importes o cantidades.",
+  'offline.hint.verbs': "Empieza cada viñeta con un verbo fuerte en pasado en lugar de \"ayudé\" o \"responsable de\".",
+  'offline.hint.brevity': "Acorta las frases largas para que cada viñeta transmita una sola idea.",
+  'offline.hint.bullets': "Reescribe las viñetas más débiles como \"Logré X, medido por Y, haciendo Z\".",
+  'offline.hint.ats': "Corrige primero los problemas de ATS, empezando por \"{issue}\".",
+  'offline.hint.atsClean': "Mantén un diseño sencillo y de una sola columna para los analizadores ATS.",
+  'offline.hint.keywords': "Incorpora las palabras clave que faltan, como {keywords}.",
+  'offline.summary.single': "{area} obtiene {score}/100. {hint}",
+  'offline.summary.range': "Área más fuerte: {strongest} ({strongestScore}/100). Más débil: {weakest} ({weakestScore}/100). {hint}",
+  'offline.skill.leadership': "Liderazgo",
+  'offline.skill.communication': "Comunicación",
+  'offline.skill.collaboration': "Trabajo en equipo",
+  'offline.skill.problemSolving': "Resolución de problemas",
+  'offline.skill.mentoring': "Mentoría",
+  'offline.skill.stakeholders': "Gestión de stakeholders",
+  'offline.skill.ownership': "Responsabilidad",
+  'offline.skill.adaptability': "Adaptabilidad",
+  'common.back': "Volver",
+  'common.save': "Guardar",
+  'plan.free': "Gratis",
+  'plan.pro': "Pro",
+  'quota.analyses.label': "Análisis con IA",
+  'quota.documents.label': "Documentos escritos por IA",
+  'account.title': "Cuenta",
+  'account.profile': "Perfil",
+  'account.name': "Nombre",
+  'account.editName': "Editar nombre",
+  'account.email': "Correo electrónico",
+  'account.signInMethods': "Inicio de sesión",
+  'account.password': "Correo y contraseña",
+  'account.plan': "Plan",
+  'account.upgrade': "Pasar a Pro",
+  'account.manage': "Gestionar suscripción",
+  'account.currentPlan': "Plan actual",
+  'account.subscription': "Suscripción",
+  'account.status.active': "Activa",
+  'account.status.trialing': "Prueba",
+  'account.status.past_due': "Pago vencido",
+  'account.status.canceled': "Cancelada",
+  'account.status.unpaid': "Impagada",
+  'account.ends': "termina el {date}",
+  'account.renews': "se renueva el {date}",
+  'account.unlimited': "Ilimitado ({used} {period})",
+  'account.period.day': "hoy",
+  'account.quotaUsed': "{used} de {limit} usados, se reinicia el {date}",
+  'account.synced': "Datos sincronizados",
+  'account.syncNow': "Sincronizar ahora",
+  'account.syncPaused': "El modo solo local está activado, así que no se sube nada desde este navegador. Desactívalo en los ajustes de privacidad para sincronizar tu borrador y tus análisis guardados.",
+  'account.syncInfo': "Tu borrador y tus análisis guardados se almacenan tal cual en tu cuenta, así que están disponibles en tus otros dispositivos.",
+  'account.syncing': "Sincronizando este navegador con tu cuenta...",
+  'account.syncFailed': "Error de sincronización: {message}",
+  'account.totals': "Tu cuenta contiene {scans} y {resumes}.",
+  'account.scans.one': "{count} análisis",
+  'account.scans.other': "{count} análisis",
+  'account.resumes.one': "{count} currículum guardado",
+  'account.resumes.other': "{count} currículums guardados",
+  'account.lastSync': "La última sincronización subió {uploaded} y descargó {downloaded}.",
+  'account.signOut': "Cerrar sesión",
+  'common.close': "Cerrar",
+  'auth.signIn': "Iniciar sesión",
+  'auth.signUp': "Crear cuenta",
+  'auth.tagline': "Conserva tus currículums y análisis en todos tus dispositivos.",
+  'auth.name': "Nombre (opcional)",
+  'auth.email': "Correo electrónico",
+  'auth.password': "Contraseña",
+  'auth.newPassword': "Contraseña (8+ caracteres)",
+  'auth.or': "o",
+  'auth.continueWith': "Continuar con {provider}",
+  'auth.noAccount': "¿Aún no tienes cuenta? ",
+  'auth.haveAccount': "¿Ya tienes cuenta? ",
+  'auth.createOne': "Crea una",
+  'auth.signInInstead': "Inicia sesión",
+  'auth.memory': "Servidor de desarrollo: las cuentas se guardan en memoria y se borran al reiniciar.",
+  'common.remove': "Quitar",
+  'batch.title': "Cribado por lotes",
+  'batch.jobDesc': "Descripción del puesto",
+  'batch.jobDescPlaceholder': "Pega la descripción del puesto con la que se clasificará a cada candidato...",
+  'batch.resumes': "Currículums ({count})",
+  'batch.extracting': "Extrayendo texto...",
+  'batch.drop': "Suelta aquí los currículums o haz clic para elegirlos (PDF, DOCX, TXT, MD)",
+  'batch.pastePlaceholder': "...o pega un currículum y añádelo",
+  'batch.addPasted': "Añadir currículum pegado",
+  'batch.noText': "{file}: no se encontró texto",
+  'batch.importFailed': "{file}: {message}",
+  'batch.pasted': "Pegado",
+  'batch.pastedName': "Currículum pegado {number}",
+  'batch.needJobDesc': "Pega la descripción del puesto para clasificar a los candidatos.",
+  'batch.needResume': "Añade al menos un currículum.",
+  'batch.tooShort.title': "Muy poco texto",
+  'batch.tooShort.message': "El currículum tiene menos de 50 caracteres.",
+  'batch.stop': "Detener",
+  'batch.rank': "Clasificar {count} candidatos",
+  'batch.parallel': "Solicitudes en paralelo",
+  'batch.offlineTitle': "Análisis sin conexión.",
+  'batch.offlineText': "La columna Puntuación IA procede de las reglas integradas de CV Pulse, no de un modelo de lenguaje.",
+  'batch.status': "Estado",
+  'batch.status.queued': "en cola",
+  'batch.status.running': "en curso",
+  'batch.status.done': "listo",
+  'batch.status.error': "error",
+  'batch.status.cancelled': "cancelado",
+  'batch.cached': "(en caché)",
+  'batch.column.score': "Puntuación IA",
+  'batch.column.keywords': "Palabras clave",
+  'batch.column.impact': "Impacto",
+  'batch.column.verbs': "Verbos de acción",
+  'batch.column.brevity': "Concisión",
+  'batch.column.name': "Candidato",
+  'common.cancel': "Cancelar",
+  'docs.title': "Carta de presentación y LinkedIn",
+  'docs.back': "Volver a los resultados",
+  'docs.type.coverLetter.label': "Carta de presentación",
+  'docs.type.coverLetter.description': "Una carta para este puesto: por qué tú, por qué este puesto y las pruebas de tu currículum.",
+  'docs.type.linkedin.label': "Perfil de LinkedIn",
+  'docs.type.linkedin.description': "Un titular y una sección Acerca de que te posicionan para puestos como este.",
+  'docs.tone': "Tono",
+  'docs.tone.professional': "Profesional",
+  'docs.tone.confident': "Seguro",
+  'docs.tone.warm': "Cercano",
+  'docs.tone.enthusiastic': "Entusiasta",
+  'docs.length': "Extensión",
+  'docs.length.short': "Corta",
+  'docs.length.standard': "Estándar",
+  'docs.length.detailed': "Detallada",
+  'docs.writing': "Escribiendo...",
+  'docs.newDraft': "Escribir un nuevo borrador",
+  'docs.write.coverLetter': "Escribir carta de presentación",
+  'docs.write.linkedin': "Escribir perfil de LinkedIn",
+  'docs.noJobDesc': "Sin descripción del puesto: el borrador será genérico.",
+  'docs.offlineNote': "Los borradores sin conexión rellenan plantillas con líneas de tu currículum. Activa un proveedor de IA para un borrador escrito para ti.",
+  'docs.offlineNoteEnglish': "Los borradores sin conexión rellenan plantillas en inglés con líneas de tu currículum. Activa un proveedor de IA para un borrador escrito para ti.",
+  'docs.claims.inResume': "en tu currículum",
+  'docs.claims.jobOnly': "solo en la descripción del puesto",
+  'docs.claims.missing': "no está en tu currículum",
+  'docs.claims.missingList': "No está en tu currículum: {claims}",
+  'docs.claims.jobOnlyList': "Solo en la descripción del puesto: {claims}",
+  'docs.claims.untraced': "{none} de {total} afirmaciones no están en tu currículum. Aparecen subrayadas abajo: edítalas o reescribe el párrafo antes de enviarlo.",
+  'docs.claims.traced': "Cada afirmación se remonta a tu currículum ({total} comprobadas).",
+  'docs.claims.job.one': "{count} solo aparece en la descripción del puesto: válido para la empresa o el puesto, no como tu experiencia.",
+  'docs.claims.job.other': "{count} solo aparecen en la descripción del puesto: válido para la empresa o el puesto, no como tu experiencia.",
+  'docs.copied': "Copiado",
+  'docs.copy': "Copiar",
+  'docs.headline': "Titular",
+  'docs.about': "Acerca de",
+  'docs.rewriting': "Reescribiendo...",
+  'docs.rewrite': "Reescribir este párrafo",
+  'docs.offlineRewrite': "Borrador sin conexión: reescribir un párrafo cambia a otra plantilla y a los siguientes puntos destacados de tu currículum.",
+  'model.title': "Modelo de IA:",
+  'model.provider': "Proveedor",
+  'model.model': "Modelo",
+  'model.temperature': "Temperatura: {value}",
+  'model.maxTokens': "Máx. tokens de salida",
+  'model.timeout': "Tiempo de espera sin respuesta (segundos)",
+  'model.retries': "Reintentos automáticos",
+  'model.retriesOff': "Desactivados",
+  'model.check': "Comprobar conexión",
+  'model.responding': "Responde ({ms} ms)",
+  'privacy.title': "Privacidad:",
+  'privacy.status.local': "Totalmente local",
+  'privacy.status.redacted': "Datos personales ocultos",
+  'privacy.status.asWritten': "Se envía tal cual",
+  'privacy.local': "Analizar totalmente en local.",
+  'privacy.localInfo': "Nada sale de tu navegador; el análisis sin conexión sustituye al modelo de IA.",
+  'privacy.redact': "Ocultar los datos personales antes de enviar.",
+  'privacy.redactInfo': "Tu nombre, email, teléfono, enlaces y dirección postal (formatos de EE. UU., Reino Unido y los europeos habituales) se sustituyen por marcadores y se restauran en los resultados. Revisa la vista previa por si se escapa algo.",
+  'privacy.hidePreview': "Ocultar vista previa",
+  'privacy.showPreview': "Ver lo que se enviará",
+  'privacy.replaced': "Sustituido: {items}.",
+  'privacy.pii.name.one': "{count} nombre",
+  'privacy.pii.name.other': "{count} nombres",
+  'privacy.pii.email.one': "{count} email",
+  'privacy.pii.email.other': "{count} emails",
+  'privacy.pii.phone.one': "{count} teléfono",
+  'privacy.pii.phone.other': "{count} teléfonos",
+  'privacy.pii.url.one': "{count} enlace de perfil",
+  'privacy.pii.url.other': "{count} enlaces de perfil",
+  'privacy.pii.address.one': "{count} dirección",
+  'privacy.pii.address.other': "{count} direcciones",
+  'privacy.noneFound': "No se detectaron datos personales.",
+  'privacy.redactOff': "La ocultación está desactivada: el currículum se envía tal cual.",
+  'benchmark.industry.software': "Ingeniería de software",
+  'benchmark.industry.data': "Datos y analítica",
+  'benchmark.industry.product': "Producto y diseño",
+  'benchmark.industry.marketing': "Marketing",
+  'benchmark.industry.sales': "Ventas y desarrollo de negocio",
+  'benchmark.industry.finance': "Finanzas y contabilidad",
+  'benchmark.industry.healthcare': "Sanidad",
+  'benchmark.industry.general': "General",
+  'benchmark.seniority.entry': "Nivel inicial",
+  'benchmark.seniority.mid': "Nivel intermedio",
+  'benchmark.seniority.senior': "Sénior",
+  'benchmark.metric.impactScore': "Impacto (métricas por frase)",
+  'benchmark.metric.verbScore': "Verbos de acción",
+  'benchmark.metric.brevityScore': "Brevedad",
+  'benchmark.metric.quantifiedRatio': "Viñetas cuantificadas",
+  'benchmark.metric.wordCount': "Extensión (palabras)",
+  'benchmark.industry': "Sector",
+  'benchmark.seniority': "Nivel",
+  'benchmark.detected': "{label} (detectado)",
+  'benchmark.column.metric': "Métrica",
+  'benchmark.column.you': "Tú",
+  'benchmark.column.typical': "Típico",
+  'benchmark.column.standing': "Posición",
+  'benchmark.fit': "{percent} % de ajuste",
+  'benchmark.percentile': "~percentil {percent}",
+  'benchmark.reference': "Comparado con un perfil de referencia para currículums de {industry} ({seniority}). Los perfiles de referencia son estimaciones seleccionadas, no datos de mercado en directo, así que los percentiles son aproximados.",
+  'tone.tense.past': "Pasado",
+  'tone.tense.present': "Presente",
+  'tone.tense.gerund': "Forma en -ing",
+  'tone.tense.other': "Sin verbo inicial",
+  'tone.person.implied': "Primera persona implícita",
+  'tone.person.first': "Primera persona explícita",
+  'tone.person.team': "Voz de equipo (nosotros / nuestro)",
+  'tone.person.third': "Tercera persona",
+  'tone.tenses.label': "Tiempos verbales mezclados",
+  'tone.tenses.detail.one': "{count} viñeta no está en la forma que usan la mayoría ({tense}). Usa el pasado para puestos terminados y el presente solo para el actual.",
+  'tone.tenses.detail.other': "{count} viñetas no están en la forma que usan la mayoría ({tense}). Usa el pasado para puestos terminados y el presente solo para el actual.",
+  'tone.person.label': "Cambio de persona",
+  'tone.person.detail.one': "{count} viñeta usa \"yo\", \"nosotros\" o la tercera persona. Las viñetas se escriben en primera persona implícita: empieza por el verbo.",
+  'tone.person.detail.other': "{count} viñetas usan \"yo\", \"nosotros\" o la tercera persona. Las viñetas se escriben en primera persona implícita: empieza por el verbo.",
+  'tone.informal.label': "Lenguaje informal",
+  'tone.informal.detail': "Encontrado: {markers}. Las palabras coloquiales, contracciones y exclamaciones rompen el registro profesional.",
+  'tone.punctuation.label': "Puntuación incoherente",
+  'tone.punctuation.detail.one': "{count} de {total} viñetas termina en punto. Elige un estilo para todas.",
+  'tone.punctuation.detail.other': "{count} de {total} viñetas terminan en punto. Elige un estilo para todas.",
+  'tone.drift.tense': "Tiempo",
+  'tone.drift.person': "Persona",
+  'tone.drift.formality': "Formalidad",
+  'tone.tooFew': "La coherencia del tono necesita al menos dos viñetas para comparar.",
+  'tone.drifted': "Viñetas que se desvían",
+  'tone.line': "Línea {line}",
+  'tone.consistent': "Todas las viñetas suenan con una sola voz.",
+  'persona.startupCto.label': "CTO de startup",
+  'persona.startupCto.description': "Contrata para un equipo pequeño y ágil. Busca gente que construya y entregue, que se haga cargo de los problemas de principio a fin y aprenda herramientas nuevas rápido.",
+  'persona.faangRecruiter.label': "Reclutador FAANG",
+  'persona.faangRecruiter.description': "Revisa cientos de currículums para un puesto en una gran tecnológica. Busca escala, impacto medible y un formato limpio y estándar.",
+  'persona.agencyScreener.label': "Seleccionador de agencia",
+  'persona.agencyScreener.description': "Compara candidatos con el perfil de un cliente en menos de un minuto. Revisa palabras clave, datos de contacto y un formato apto para ATS.",
+  'persona.verdict.advance': "Lo pasaría",
+  'persona.verdict.maybe': "Indeciso",
+  'persona.verdict.reject': "Lo descartaría",
+  'persona.headline': "{verdict}: {focus}.",
+  'persona.focus.strong': "fuerte en {signals}",
+  'persona.focus.none': "nada destaca para bien ni para mal",
+  'persona.focus.weak': "necesita más {signals}",
+  'persona.signal.ownership.name': "iniciativa propia",
+  'persona.signal.ownership.strength': "Muestra iniciativa: cosas que construiste y lanzaste tú.",
+  'persona.signal.ownership.concern': "Parece una lista de tareas. ¿Dónde construiste o te hiciste cargo de algo de principio a fin?",
+  'persona.signal.scale.name': "escala",
+  'persona.signal.scale.strength': "El trabajo a gran escala (usuarios, tráfico, ingresos) se ve enseguida.",
+  'persona.signal.scale.concern': "No se aprecia la escala. ¿A cuántos usuarios, peticiones o euros afectó tu trabajo?",
+  'persona.signal.impact.name': "impacto medible",
+  'persona.signal.impact.strength': "Los resultados están respaldados por cifras.",
+  'persona.signal.impact.concern': "Muy pocos resultados medibles.",
+  'persona.signal.verbs.name': "verbos de acción",
+  'persona.signal.verbs.strength': "Las viñetas empiezan con verbos de acción potentes.",
+  'persona.signal.verbs.concern': "Las viñetas empiezan con verbos débiles o pasivos.",
+  'persona.signal.brevity.name': "brevedad",
+  'persona.signal.brevity.strength': "Conciso y fácil de leer por encima.",
+  'persona.signal.brevity.concern': "Las frases son largas; este lector lee por encima.",
+  'persona.signal.keywords.name': "cobertura de palabras clave",
+  'persona.signal.keywords.strength': "Cubre la mayoría de las palabras clave de la descripción del puesto.",
+  'persona.signal.keywords.concern': "Faltan demasiadas palabras clave de la descripción del puesto.",
+  'persona.signal.readability.name': "legibilidad para ATS",
+  'persona.signal.readability.strength': "Un ATS lo procesa sin problemas.",
+  'persona.signal.readability.concern': "El formato o los datos que faltan podrían confundir al ATS.",
+  'persona.signal.structure.name': "estructura",
+  'persona.signal.structure.strength': "Secciones estándar en el orden esperado.",
+  'persona.signal.structure.concern': "Secciones no estándar o ausentes.",
+  'persona.signal.contact.name': "datos de contacto",
+  'persona.signal.contact.strength': "Los datos de contacto están completos.",
+  'persona.signal.contact.concern': "Los datos de contacto están incompletos.",
+  'persona.reviewing': "Revisando...",
+  'persona.aiNote': "Cada perfil es una revisión de IA independiente con sus propias prioridades y motivos de descarte.",
+  'persona.offlineNote': "Estimación sin conexión: cada perfil pondera las comprobaciones locales según sus prioridades. Activa un proveedor de IA para revisiones completas.",
+  'pro.benchmark': "Comparativa del sector",
+  'pro.personas': "Revisión por perfiles de reclutador",
+  'pro.tone': "Coherencia del tono",
+  'pro.breakdown': "Ver desglose",
+  'pro.unlock': "Desbloquear Pro",
+  'pro.notAvailable': "n/d",
+  'rescan.title': "Cambios desde el último análisis",
+  'rescan.overall': "Calidad general",
+  'rescan.impact': "Puntuación de impacto",
+  'rescan.verbs': "Verbos de acción",
+  'rescan.brevity': "Brevedad",
+  'rescan.changed.one': "Texto del currículum: {count} línea cambiada",
+  'rescan.changed.other': "Texto del currículum: {count} líneas cambiadas",
+  'rescan.unchanged.one': "{count} línea sin cambios",
+  'rescan.unchanged.other': "{count} líneas sin cambios",
+  'bullets.grade.strong': "sólidas",
+  'bullets.grade.fair': "mejorables",
+  'bullets.grade.weak': "débiles",
+  'bullets.metric.label': "Métrica",
+  'bullets.metric.measured': "Incluye un resultado medible.",
+  'bullets.metric.bareNumber': "Tiene un número, pero sin %, € ni escala. ¿Puedes mostrar el tamaño del resultado?",
+  'bullets.metric.none': "Sin números. Añade un porcentaje, importe, cantidad o tiempo ahorrado.",
+  'bullets.verb.label': "Verbo inicial",
+  'bullets.verb.duty': "Empieza por \"{opener}\", que describe una tarea, no un logro.",
+  'bullets.verb.pronoun': "Empieza por un pronombre. Empieza por el verbo de acción.",
+  'bullets.verb.strong': "Empieza con el verbo de acción \"{verb}\".",
+  'bullets.verb.notPastTense': "\"{word}\" no es un verbo de acción en pasado.",
+  'bullets.verb.notStrong': "\"{word}\" no es un verbo de acción potente.",
+  'bullets.length.label': "Extensión",
+  'bullets.length.good': "{count} palabras.",
+  'bullets.length.short': "Solo {count} palabras. Añade qué cambió y cómo.",
+  'bullets.length.long': "{count} palabras. Divídela o quita relleno.",
+  'bullets.length.tooShort': "Solo {count} palabras.",
+  'bullets.length.tooLong': "{count} palabras es demasiado para leer por encima.",
+  'bullets.xyz.label': "Patrón XYZ",
+  'bullets.xyz.complete': "Indica el resultado, la medida y cómo se logró.",
+  'bullets.xyz.noMethod': "Tiene una medida, pero no cómo lo lograste (\"mediante...\").",
+  'bullets.xyz.noResult': "Dice cómo, pero no el resultado medible.",
+  'bullets.xyz.none': "Usa \"Logré X, medido por Y, haciendo Z\".",
+  'highlights.title': "Revisión línea a línea",
+  'highlights.none': "No se encontraron viñetas que puntuar.",
+  'highlights.average': "Puntuación media por viñeta",
+  'highlights.noMarkers': " (no hay marcas de viñeta, así que se puntuaron las líneas largas)",
+  'highlights.startWith': "Empieza por:",
+  'highlights.jump': "L{line} · {score} pts",
+  'compare.title': "Comparación de puestos",
+  'compare.stop': "Detener",
+  'compare.editRoles': "Editar puestos",
+  'compare.offline': "Análisis sin conexión.",
+  'compare.offlineInfo': "Las puntuaciones y reescrituras de IA vienen de las reglas integradas de CV Pulse, no de un modelo de lenguaje.",
+  'compare.bestFit': "Mejor encaje",
+  'compare.ahead.one': "{count} punto por delante de {role}.",
+  'compare.ahead.other': "{count} puntos por delante de {role}.",
+  'compare.tied': "Empate con {role}.",
+  'compare.sharedGaps': "Falta en todos los puestos:",
+  'compare.sharedGapsInfo': "Añadirlas una vez ayuda a todas las candidaturas.",
+  'compare.column.role': "Puesto",
+  'compare.column.fit': "Encaje",
+  'compare.column.keywords': "Palabras clave",
+  'compare.column.aiScore': "Puntuación IA",
+  'compare.column.missing': "Palabras clave ausentes",
+  'compare.column.rewrite': "Mejor reescritura",
+  'compare.status.pending': "En espera",
+  'compare.status.running': "Analizando...",
+  'compare.status.cancelled': "Cancelado",
+  'compare.noKeywords': "No se encontraron palabras clave",
+  'compare.fullReport': "Informe completo",
+  'compare.tailorTitle': "Qué adaptar para cada puesto",
+  'compare.add': "Añade {keywords}",
+  'compare.addGain': " (hasta +{points} pts de coincidencia de palabras clave)",
+  'compare.noRoleGaps': "No faltan palabras clave específicas del puesto.",
+  'compare.needsDetail': "Añade más detalle a esta oferta para extraer palabras clave.",
+  'compare.rewrite': "Reescribe",
+  'compare.rewriteAs': "como",
+  'rubric.software.label': "Ingeniería de software",
+  'rubric.software.description': "Sistemas lanzados, escala y logros técnicos medibles. El perfil original de CV Pulse.",
+  'rubric.software.impact': "cifras ($, %, +)",
+  'rubric.nursing.label': "Enfermería y clínica",
+  'rubric.nursing.description': "Resultados en pacientes, seguridad, carga asistencial y certificaciones en lugar de cifras de ingresos o crecimiento.",
+  'rubric.nursing.impact': "número de pacientes, ratios enfermera-paciente, tamaño de unidades o porcentajes de resultados",
+  'rubric.design.label': "Diseño de producto y UX",
+  'rubric.design.description': "Investigación, iteración y resultados para el usuario, con un portafolio que habla por sí solo.",
+  'rubric.design.impact': "métricas de usuario, volumen de investigación o cifras de adopción y conversión",
+  'rubric.sales.label': "Ventas y crecimiento",
+  'rubric.sales.description': "Cumplimiento de cuota, pipeline e ingresos. Cifras en casi cada línea.",
+  'rubric.sales.impact': "ingresos, porcentajes de cumplimiento de cuota, tamaño de las operaciones o rankings",
+  'rubric.academic.label': "Académico e investigación",
+  'rubric.academic.description': "Publicaciones, becas, docencia y servicio. Lo normal es una redacción más larga y formal.",
+  'rubric.academic.impact': "número de publicaciones, importes de becas, citas o estudiantes dirigidos",
+  'rubric.title': "Perfil de puntuación:",
+  'rubric.targetRole': "Puesto objetivo",
+  'rubric.builtIn': "Integrados",
+  'rubric.imported': "Importados",
+  'rubric.suggestion': "Parece un currículum de {profile}.",
+  'rubric.useSuggestion': "Usar ese perfil",
+  'rubric.strongVerbs': "Verbos potentes",
+  'rubric.moreVerbs': " y {count} más",
+  'rubric.impact': "Cuenta como impacto",
+  'rubric.idealSentences': "Frases ideales",
+  'rubric.idealRange': "De {min} a {max} palabras",
+  'rubric.info': "El perfil define tanto las puntuaciones locales como las instrucciones con las que el modelo de IA revisa tu currículum.",
+  'rubric.import': "Importar perfil",
+  'rubric.download': "Descargar como JSON",
+  'rubric.invalidJson': "{file} no es un JSON válido.",
+  'rubric.importFailed': "No se pudo importar este perfil:",
+  'rubric.importNotes': "Importado con observaciones: {notes}.",
+  'rubric.formatInfo': "Los perfiles importados son JSON. Pon {extends} con un perfil integrado ({profiles}) y enumera solo los campos que cambies.",
+  'history.title': "Historial de análisis",
+  'history.unavailable': "El historial de análisis no está disponible: {message}",
+  'history.trend': "Evolución de la puntuación",
+  'history.past': "Análisis anteriores",
+  'history.localOnly': "Guardado solo en este navegador.",
+  'history.empty': "Aún no hay análisis. Cada análisis completado se guarda aquí automáticamente.",
+  'history.version': "Versión {number}",
+  'history.rename': "Renombrar",
+  'history.versus': "vs.",
+  'history.offline': "análisis sin conexión",
+  'history.score.overall': "General",
+  'history.score.impact': "Impacto",
+  'history.score.verbs': "Verbos",
+  'history.score.brevity': "Brevedad",
+  'history.open': "Abrir informe",
+  'history.delete': "Eliminar",
+  'trend.overall': "Calidad general",
+  'trend.impact': "Impacto",
+  'trend.verbs': "Verbos de acción",
+  'trend.brevity': "Brevedad",
+  'trend.tooFew': "Haz al menos dos análisis para ver una tendencia.",
+  'trend.aria': "Evolución de la puntuación entre análisis",
+  'feature.allRewrites': "Reescrituras de viñetas con IA",
+  'feature.proMetrics': "Comparativa del sector, perfiles de reclutador y revisión del tono",
+  'feature.pdfReport': "Exportar a informe PDF",
+  'upgrade.unlimited.day': "{quota} ilimitados (plan gratuito: {limit} al día)",
+  'upgrade.title': "Hazte profesional",
+  'upgrade.subtitle': "Desbloquea análisis de IA a fondo y reescrituras",
+  'upgrade.unavailable': "Las mejoras de plan no están disponibles en este servidor.",
+  'upgrade.signIn': "Inicia sesión para mejorar tu plan",
+  'upgrade.redirecting': "Abriendo el pago...",
+  'upgrade.unlock': "Desbloquear por {price}",
+  'upgrade.testPayments': "Los pagos de prueba están activados. No se cobra ninguna tarjeta.",
+  'upgrade.later': "Quizá más tarde",
+  'suggestion.unlock': "Desbloquear esta reescritura",
+  'suggestion.apply': "Aplicar cambio",
+  'suggestion.applied': "Aplicado a tu currículum",
+  'suggestion.rejected': "Rechazado",
+  'suggestion.undo': "Deshacer",
+  'suggestion.accept': "Aceptar",
+  'suggestion.edit': "Editar",
+  'suggestion.reject': "Rechazar",
+};
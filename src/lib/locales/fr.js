@@ -0,0 +1,649 @@
+// ==========================================
+// 🇫🇷 FRENCH (FRANÇAIS)
+// Interface copy in French. Keys missing here fall back to English.
+// ==========================================
+export const FR = {
+  'nav.history': "Historique",
+  'nav.batch': "Lot recruteur",
+  'nav.signIn': "Se connecter",
+  'nav.goPro': "Passer à Pro",
+  'nav.comparison': "Comparaison",
+  'nav.newScan': "Nouvelle analyse",
+  'nav.language': "Langue de l'interface",
+  'common.dismiss': "Fermer",
+  'billing.pending': "Paiement reçu. Pro sera activé dès que le prestataire de paiement l'aura confirmé.",
+  'billing.active': "Vous êtes sur Pro. Toutes les fonctionnalités sont débloquées.",
+  'billing.cancelled': "Le paiement a été annulé. Vous n'avez pas été débité.",
+  'billing.updated': "Les modifications de votre abonnement ont été enregistrées.",
+  'hero.before': "Votre CV vous fait-il ",
+  'hero.hired': "embaucher",
+  'hero.between': " ou ",
+  'hero.fired': "écarter ?",
+  'hero.subtitle': "Obtenez en quelques secondes une critique de niveau professionnel, des contrôles de compatibilité ATS et des suggestions d'amélioration par IA.",
+  'input.paste': "Coller le texte",
+  'input.upload': "Importer un fichier",
+  'input.importedFrom': "Importé depuis",
+  'input.pages.one': "({count} page)",
+  'input.pages.other': "({count} pages)",
+  'input.review': "Relisez le texte ci-dessous avant l'analyse.",
+  'input.importFailed': "Impossible de lire ce fichier : {message}",
+  'import.image-only': "Ce PDF ne contient aucun texte sélectionnable. Il ressemble à un scan ou à une image, que la plupart des ATS ne savent pas lire. Exportez-le de nouveau depuis votre éditeur en PDF texte.",
+  'import.image-pages.one': "La page {pages} contient peu ou pas de texte sélectionnable et pourrait être une image.",
+  'import.image-pages.other': "Les pages {pages} contiennent peu ou pas de texte sélectionnable et pourraient être des images.",
+  'import.multi-column.one': "Une mise en page sur plusieurs colonnes a été détectée à la page {pages}. Beaucoup d'ATS lisent d'un bord à l'autre et mélangent le contenu. Une seule colonne est plus sûre.",
+  'import.multi-column.other': "Une mise en page sur plusieurs colonnes a été détectée aux pages {pages}. Beaucoup d'ATS lisent d'un bord à l'autre et mélangent le contenu. Une seule colonne est plus sûre.",
+  'import.empty-document': "Aucun texte n'a été trouvé dans ce document. Si votre CV est dans des zones de texte ou des images, collez-le plutôt en texte.",
+  'import.tables.one': "Ce document utilise {count} tableau pour la mise en page. Beaucoup d'ATS lisent les tableaux cellule par cellule et perdent le contexte.",
+  'import.tables.other': "Ce document utilise {count} tableaux pour la mise en page. Beaucoup d'ATS lisent les tableaux cellule par cellule et perdent le contexte.",
+  'import.legacy-doc': "Les anciens fichiers .doc ne sont pas pris en charge. Enregistrez-le en .docx ou en PDF et réessayez.",
+  'import.unsupported-type': "Type de fichier non pris en charge. Utilisez PDF, DOCX, TXT ou Markdown.",
+  'input.resumeLabel': "Contenu du CV",
+  'input.resumePlaceholder': "Collez ici le contenu de votre CV... (p. ex. Hausse de 20 % du chiffre d'affaires...)",
+  'input.minimum': "{count}/50 caractères minimum",
+  'input.language': "Langue du CV",
+  'input.languageAuto': "Détecter ({language})",
+  'input.extracting': "Extraction du texte...",
+  'input.drop': "Déposez votre CV ici",
+  'input.dropHint': "PDF, DOCX, TXT ou Markdown. Traité dans votre navigateur, jamais envoyé.",
+  'input.tooShort': "Saisissez un CV plus long (50 caractères minimum).",
+  'input.needTwoRoles': "Ajoutez au moins deux offres d'emploi à comparer.",
+  'jd.compareLabel': "Offres d'emploi à comparer",
+  'jd.label': "Offre d'emploi visée (facultatif)",
+  'jd.single': "Un seul poste",
+  'jd.multi': "Comparer plusieurs postes",
+  'jd.placeholder': "Collez l'offre d'emploi à laquelle vous postulez...",
+  'jd.role': "Poste {number}",
+  'jd.roleTitle': "Intitulé du poste {number} (facultatif)",
+  'jd.removeRole': "Retirer le poste",
+  'jd.rolePlaceholder': "Collez l'offre d'emploi...",
+  'jd.addRole': "Ajouter un poste",
+  'action.analyzing': "Analyse en cours...",
+  'action.compare': "Comparer les postes",
+  'action.analyze': "Analyser mon CV",
+  'action.cancel': "Annuler",
+  'action.stop': "Arrêter",
+  'quota.left': "Il vous reste {left} analyses IA gratuites sur {limit} aujourd'hui.",
+  'quota.upgrade': "Illimité avec Pro",
+  'offline.notice': "L'analyseur hors ligne est utilisé. Configurez un fournisseur d'IA sur le serveur pour activer une vraie analyse par IA.",
+  'feature.impact.title': "Chiffrez votre impact",
+  'feature.impact.text': "Nous repérons les indicateurs manquants.",
+  'feature.ats.title': "Compatible ATS",
+  'feature.ats.text': "Un CV lisible par les logiciels.",
+  'feature.private.title': "Sécurisé et privé",
+  'feature.private.text': "Vos données personnelles sont masquées avant l'analyse par IA, ou tout reste en local.",
+  'errorScreen.noResults': "Aucun résultat n'a été produit : rien n'est affiché à la place de votre analyse.",
+  'errorScreen.upgrade': "Passer à Pro",
+  'errorScreen.retry': "Réessayer",
+  'errorScreen.localOnly': "Voir seulement les contrôles locaux",
+  'errorScreen.edit': "Modifier le CV ou les réglages IA",
+  'loading.title': "Analyse du CV...",
+  'loading.subtitle': "Vérification de la compatibilité ATS, des verbes d'action et des indicateurs d'impact.",
+  'loading.ai': "Analyse par IA réelle ({model})",
+  'loading.redacted': ", données personnelles masquées",
+  'loading.local': "Analyse entièrement locale avec l'analyseur hors ligne",
+  'loading.noProvider': "Aucun fournisseur d'IA configuré : l'analyseur hors ligne est utilisé",
+  'retry.status': "{reason}. Nouvel essai dans {seconds} s (essai {attempt} sur {retries})",
+  'banner.offlineTitle': "Analyse hors ligne.",
+  'banner.offline': "Le score global, le résumé et les reformulations viennent des règles intégrées de CV Pulse et non d'un modèle de langage, et votre CV n'a jamais quitté le navigateur. Les chiffres à compléter sont indiqués entre [crochets].",
+  'banner.incomplete': "L'analyse par IA n'a pas abouti ou a été arrêtée. Seuls les contrôles locaux sont affichés.",
+  'banner.streaming': "L'IA rédige encore son analyse...",
+  'score.overall': "Qualité globale",
+  'score.top': "Top 20 % des candidats",
+  'score.needsWork': "À améliorer",
+  'score.writingSummary': "Rédaction du résumé...",
+  'score.noAnalysis': "Aucune analyse disponible.",
+  'card.impact.title': "Impact",
+  'card.impact.description': "Mesure l'usage de chiffres, d'indicateurs et de montants pour prouver votre valeur.",
+  'card.verbs.title': "Verbes d'action",
+  'card.verbs.description': "Proportion de verbes forts (p. ex. « piloté ») par rapport aux tournures passives.",
+  'card.brevity.title': "Concision",
+  'card.brevity.description': "Analyse de lisibilité. Les phrases courtes et percutantes passent le mieux dans les ATS.",
+  'breakdown.title': "Analyse détaillée",
+  'breakdown.critical': "Statistiques clés",
+  'breakdown.pro': "Indicateurs Pro",
+  'breakdown.ats': "Lisibilité ATS",
+  'breakdown.keywords': "Correspondance des mots-clés",
+  'breakdown.noJobDesc': "Ajoutez une offre d'emploi pour comparer",
+  'breakdown.structure': "Structure et mise en forme",
+  'breakdown.unlock': "Débloquer Pro",
+  'suggestions.title': "Suggestions d'amélioration de l'IA",
+  'suggestions.rescan': "Relancer l'analyse",
+  'suggestions.priority': "Priorité haute",
+  'suggestions.generating': "Génération des reformulations...",
+  'suggestions.none': "Aucune suggestion d'amélioration disponible.",
+  'suggestions.notFound': "Cette ligne est introuvable dans votre CV. Recopiez la reformulation à la main.",
+  'suggestions.locked': "{count} reformulations supplémentaires avec Pro.",
+  'suggestions.unlock': "Débloquer toutes les reformulations",
+  'keywords.title': "Mots-clés manquants",
+  'keywords.points': "+{points} pts",
+  'keywords.aiHint': "Suggéré par l'analyse IA",
+  'keywords.waiting': "En attente des mots-clés suggérés par l'IA...",
+  'keywords.none': "Aucun mot-clé manquant détecté.",
+  'keywords.matched': "Trouvés ({matched}/{total})",
+  'report.title': "Rapport Pro en PDF",
+  'report.text': "Téléchargez chaque score, contrôle et reformulation de cette analyse dans un PDF, généré dans votre navigateur.",
+  'report.annotate': "Inclure le CV annoté",
+  'report.generating': "Génération...",
+  'report.download': "Télécharger le rapport",
+  'report.failed': "Impossible de créer le PDF : {message}",
+  'generator.title': "Lettre de motivation et LinkedIn",
+  'generator.text': "Rédigez une lettre de motivation ou un profil LinkedIn pour ce poste à partir de votre CV. Chaque affirmation est vérifiée avec celui-ci.",
+  'generator.open': "Ouvrir l'assistant de rédaction",
+  'skills.title': "Compétences recommandées",
+  'skills.course': "Voir la formation",
+  'skills.affiliate': "Les recommandations affiliées vous permettent de toucher une commission.",
+  'error.invalid_key.title': "Clé d'API refusée",
+  'error.invalid_key.hint': "Le fournisseur d'IA a refusé la clé d'API du serveur. Vérifiez la clé dans l'environnement du serveur ou changez de fournisseur dans les réglages IA.",
+  'error.quota_exceeded.title': "Quota épuisé",
+  'error.quota_exceeded.hint': "Le compte du fournisseur a épuisé son quota. Réessayez plus tard ou changez de modèle ou de fournisseur.",
+  'error.plan_limit.title': "Analyses gratuites épuisées pour aujourd'hui",
+  'error.plan_limit.hint': "L'offre gratuite comprend un nombre limité d'analyses IA par jour. Passez à Pro pour des analyses illimitées, activez le mode local pour utiliser l'analyseur hors ligne, ou revenez demain.",
+  'error.plan_required.title': "Inclus dans Pro",
+  'error.plan_required.hint': "Ce contrôle est inclus dans l'offre Pro. Passez à Pro ou connectez-vous avec le compte qui en dispose.",
+  'error.rate_limited.title': "Trop de requêtes",
+  'error.rate_limited.hint': "Le fournisseur limite le nombre de requêtes. Patientez un instant puis réessayez.",
+  'error.blocked_content.title': "Contenu bloqué",
+  'error.blocked_content.hint': "Le filtre de sécurité du fournisseur a refusé ce CV ou cette offre d'emploi. Retirez tout ce qui pourrait être jugé sensible et réessayez.",
+  'error.network.title': "Problème de connexion",
+  'error.network.hint': "Impossible de joindre le serveur. Vérifiez votre connexion internet et réessayez.",
+  'error.timeout.title': "L'analyse a expiré",
+  'error.timeout.hint': "Le modèle a mis trop de temps à répondre. Réessayez, augmentez le délai dans les réglages IA ou choisissez un modèle plus rapide.",
+  'error.model_unavailable.title': "Modèle indisponible",
+  'error.model_unavailable.hint': "Le modèle choisi n'est pas disponible chez ce fournisseur. Choisissez-en un autre dans les réglages IA.",
+  'error.provider_unavailable.title': "Fournisseur d'IA non configuré",
+  'error.provider_unavailable.hint': "Le fournisseur choisi n'est pas configuré sur le serveur. Choisissez-en un autre dans les réglages IA.",
+  'error.server_error.title': "Erreur du fournisseur d'IA",
+  'error.server_error.hint': "Le fournisseur a rencontré un problème temporaire. Réessayez dans un instant.",
+  'error.invalid_rubric.title': "Profil de notation refusé",
+  'error.invalid_rubric.hint': "Le serveur n'a pas pu utiliser le profil de notation choisi. Choisissez un profil intégré, ou corrigez le profil importé puis importez-le à nouveau.",
+  'error.invalid_response.title': "Réponse de l'IA illisible",
+  'error.invalid_response.hint': "La réponse du modèle n'avait pas le format attendu, même après lui avoir demandé de la corriger. Un nouvel essai suffit généralement.",
+  'error.incomplete_stream.title': "La réponse a été coupée",
+  'error.incomplete_stream.hint': "La connexion s'est fermée avant la fin de l'analyse. Réessayez.",
+  'error.unknown.title': "L'analyse a échoué",
+  'error.unknown.hint': "Un problème inattendu est survenu. Réessayez.",
+  'common.and': "et",
+  'common.or': "ou",
+  'flaws.title': "Erreurs critiques",
+  'flaws.critical': "{count} critiques",
+  'flaws.noneCritical': "Aucune critique",
+  'flaws.quantified': "Puces chiffrées",
+  'flaws.noBullets': "Aucune puce trouvée",
+  'flaws.none': "Aucune erreur critique trouvée.",
+  'flaws.line': "L{line}",
+  'flaws.more': "et {count} de plus",
+  'flaws.pronouns.label': "Pronoms à la première personne",
+  'flaws.pronouns.detail': "Un CV s'écrit sans « je ». Supprimez {examples} et commencez par le verbe.",
+  'flaws.weak-openers.label': "Débuts de puce faibles",
+  'flaws.weak-openers.detail': "Les puces qui commencent par {examples} décrivent des tâches, pas des résultats. Commencez par un verbe d'action fort.",
+  'flaws.typos.label': "Fautes de frappe",
+  'flaws.typos.detail': "Une seule faute de frappe suffit à de nombreux recruteurs pour écarter un CV. Les mots absents du dictionnaire anglais et les mots répétés sont listés ; les noms et outils avec une majuscule sont ignorés.",
+  'flaws.typos.repeated': "mot répété",
+  'flaws.typos.unknown': "absent du dictionnaire",
+  'flaws.unquantified.label': "Trop peu de puces chiffrées",
+  'flaws.unquantified.detail': "Seules {quantified} puces sur {total} ({percent} %) contiennent un chiffre. Visez au moins la moitié.",
+  'flaws.passive.label': "Voix passive",
+  'flaws.passive.detail': "« Was maintained by » et « were delivered » cachent qui a fait le travail. Réécrivez à la voix active.",
+  'flaws.cliches.label': "Clichés et mots à la mode",
+  'flaws.cliches.detail': "Des expressions comme « team player » et « results-driven » figurent dans tous les CV. Illustrez plutôt la qualité par un exemple.",
+  'ats.noEmail.label': "Pas d'adresse e-mail",
+  'ats.noEmail.detail': "Les recruteurs et les profils ATS ont besoin d'un e-mail pour vous joindre.",
+  'ats.noPhone.label': "Pas de numéro de téléphone",
+  'ats.noPhone.detail': "Ajoutez un numéro au format international, par ex. +33 6 12 34 56 78.",
+  'ats.noLinkedin.label': "Pas de profil LinkedIn",
+  'ats.noLinkedin.detail': "La plupart des ATS reprennent une URL linkedin.com/in/ dans le profil du candidat.",
+  'ats.table.label': "Mise en page en tableau détectée",
+  'ats.table.detail': "{count} lignes ressemblent à des lignes de tableau ou à des colonnes alignées par tabulation. Les analyseurs les lisent souvent cellule par cellule.",
+  'ats.glyphs.label': "Symboles inhabituels",
+  'ats.glyphs.detail': "Trouvés : {glyphs}. Les icônes, emoji et glyphes spéciaux deviennent souvent illisibles après l'analyse.",
+  'ats.headerFooter.label': "Contenu en en-tête/pied de page",
+  'ats.headerFooter.detail': "Numéros de page ou lignes répétées en haut ou en bas de chaque page, comme « {line} ». Le contenu des en-têtes et pieds de page est souvent ignoré.",
+  'ats.short.label': "Très peu de texte",
+  'ats.short.detail': "Seulement {count} mots. Le classement ATS a besoin d'assez de contenu pour comparer.",
+  'ats.long.label': "Trop long",
+  'ats.long.detail': "{count} mots. Visez une ou deux pages (environ 400 à 800 mots).",
+  'ats.noContact.label': "Section Contact manquante",
+  'ats.noContact.detail': "Placez votre nom et vos coordonnées en haut.",
+  'ats.missingSection.label': "Section {section} manquante",
+  'ats.missingSection.detail': "Aucun titre reconnu comme « {section} ». Utilisez l'intitulé standard pour que l'ATS le classe correctement.",
+  'ats.section.experience': "Expérience",
+  'ats.section.education': "Formation",
+  'ats.section.skills': "Compétences",
+  'ats.section.summary': "Résumé",
+  'ats.dates.label': "Formats de date incohérents",
+  'ats.dates.detail': "Formats mélangés : {formats}. Choisissez-en un et utilisez-le partout.",
+  'ats.markers.label': "Puces mélangées",
+  'ats.markers.detail': "Utilise {markers}. Tenez-vous-en à une seule puce.",
+  'ats.noBullets.label': "Pas de puces",
+  'ats.noBullets.detail': "Une expérience rédigée en paragraphes se parcourt mal. Utilisez une puce par réalisation.",
+  'offline.part.impact': "Impact",
+  'offline.part.verbs': "Verbes d'action",
+  'offline.part.brevity': "Concision",
+  'offline.part.bullets': "Qualité des puces",
+  'offline.part.ats': "Compatibilité ATS",
+  'offline.part.keywords': "Correspondance des mots-clés",
+  'offline.hint.impact': "Seules {quantified} puces sur {total} contiennent un chiffre : ajoutez des pourcentages, des montants ou des quantités.",
+  'offline.hint.verbs': "Commencez chaque puce par un verbe fort au passé plutôt que « aidé » ou « responsable de ».",
+  'offline.hint.brevity': "Raccourcissez les phrases longues pour que chaque puce porte une seule idée.",
+  'offline.hint.bullets': "Réécrivez les puces les plus faibles sur le modèle « Obtenu X, mesuré par Y, en faisant Z ».",
+  'offline.hint.ats': "Corrigez d'abord les problèmes ATS, en commençant par « {issue} ».",
+  'offline.hint.atsClean': "Gardez une mise en page simple, sur une seule colonne, pour les analyseurs ATS.",
+  'offline.hint.keywords': "Intégrez les mots-clés manquants de l'offre, comme {keywords}.",
+  'offline.summary.single': "{area} obtient {score}/100. {hint}",
+  'offline.summary.range': "Point le plus fort : {strongest} ({strongestScore}/100). Le plus faible : {weakest} ({weakestScore}/100). {hint}",
+  'offline.skill.leadership': "Leadership",
+  'offline.skill.communication': "Communication",
+  'offline.skill.collaboration': "Travail en équipe",
+  'offline.skill.problemSolving': "Résolution de problèmes",
+  'offline.skill.mentoring': "Mentorat",
+  'offline.skill.stakeholders': "Gestion des parties prenantes",
+  'offline.skill.ownership': "Sens des responsabilités",
+  'offline.skill.adaptability': "Adaptabilité",
+  'common.back': "Retour",
+  'common.save': "Enregistrer",
+  'plan.free': "Gratuit",
+  'plan.pro': "Pro",
+  'quota.analyses.label': "Analyses IA",
+  'quota.documents.label': "Documents rédigés par IA",
+  'account.title': "Compte",
+  'account.profile': "Profil",
+  'account.name': "Nom",
+  'account.editName': "Modifier le nom",
+  'account.email': "E-mail",
+  'account.signInMethods': "Connexion",
+  'account.password': "E-mail et mot de passe",
+  'account.plan': "Formule",
+  'account.upgrade': "Passer à Pro",
+  'account.manage': "Gérer l'abonnement",
+  'account.currentPlan': "Formule actuelle",
+  'account.subscription': "Abonnement",
+  'account.status.active': "Actif",
+  'account.status.trialing': "Essai",
+  'account.status.past_due': "Paiement en retard",
+  'account.status.canceled': "Résilié",
+  'account.status.unpaid': "Impayé",
+  'account.ends': "se termine le {date}",
+  'account.renews': "se renouvelle le {date}",
+  'account.unlimited': "Illimité ({used} {period})",
+  'account.period.day': "aujourd'hui",
+  'account.quotaUsed': "{used} sur {limit} utilisés, remis à zéro le {date}",
+  'account.synced': "Données synchronisées",
+  'account.syncNow': "Synchroniser",
+  'account.syncPaused': "Le mode local uniquement est activé : rien n'est envoyé depuis ce navigateur. Désactivez-le dans les réglages de confidentialité pour synchroniser votre brouillon et vos analyses enregistrées.",
+  'account.syncInfo': "Votre brouillon de CV et vos analyses enregistrées sont stockés tels quels avec votre compte, et donc disponibles sur vos autres appareils.",
+  'account.syncing': "Synchronisation de ce navigateur avec votre compte...",
+  'account.syncFailed': "Échec de la synchronisation : {message}",
+  'account.totals': "Votre compte contient {scans} et {resumes}.",
+  'account.scans.one': "{count} analyse",
+  'account.scans.other': "{count} analyses",
+  'account.resumes.one': "{count} CV enregistré",
+  'account.resumes.other': "{count} CV enregistrés",
+  'account.lastSync': "La dernière synchronisation a envoyé {uploaded} et récupéré {downloaded}.",
+  'account.signOut': "Se déconnecter",
+  'common.close': "Fermer",
+  'auth.signIn': "Se connecter",
+  'auth.signUp': "Créer un compte",
+  'auth.tagline': "Retrouvez vos CV et analyses sur tous vos appareils.",
+  'auth.name': "Nom (facultatif)",
+  'auth.email': "E-mail",
+  'auth.password': "Mot de passe",
+  'auth.newPassword': "Mot de passe (8 caractères min.)",
+  'auth.or': "ou",
+  'auth.continueWith': "Continuer avec {provider}",
+  'auth.noAccount': "Pas encore de compte ? ",
+  'auth.haveAccount': "Vous avez déjà un compte ? ",
+  'auth.createOne': "En créer un",
+  'auth.signInInstead': "Se connecter",
+  'auth.memory': "Serveur de développement : les comptes sont gardés en mémoire et effacés au redémarrage.",
+  'common.remove': "Retirer",
+  'batch.title': "Présélection groupée",
+  'batch.jobDesc': "Offre d'emploi",
+  'batch.jobDescPlaceholder': "Collez l'offre d'emploi à laquelle chaque candidat sera comparé...",
+  'batch.resumes': "CV ({count})",
+  'batch.extracting': "Extraction du texte...",
+  'batch.drop': "Déposez les CV ici ou cliquez pour les choisir (PDF, DOCX, TXT, MD)",
+  'batch.pastePlaceholder': "...ou collez un CV et ajoutez-le",
+  'batch.addPasted': "Ajouter le CV collé",
+  'batch.noText': "{file} : aucun texte trouvé",
+  'batch.importFailed': "{file} : {message}",
+  'batch.pasted': "Collé",
+  'batch.pastedName': "CV collé {number}",
+  'batch.needJobDesc': "Collez l'offre d'emploi à laquelle comparer les candidats.",
+  'batch.needResume': "Ajoutez au moins un CV.",
+  'batch.tooShort.title': "Trop peu de texte",
+  'batch.tooShort.message': "Le CV compte moins de 50 caractères.",
+  'batch.stop': "Arrêter",
+  'batch.rank': "Classer {count} candidats",
+  'batch.parallel': "Requêtes parallèles",
+  'batch.offlineTitle': "Analyse hors ligne.",
+  'batch.offlineText': "La colonne Score IA provient des règles intégrées de CV Pulse, pas d'un modèle de langage.",
+  'batch.status': "Statut",
+  'batch.status.queued': "en attente",
+  'batch.status.running': "en cours",
+  'batch.status.done': "terminé",
+  'batch.status.error': "erreur",
+  'batch.status.cancelled': "annulé",
+  'batch.cached': "(en cache)",
+  'batch.column.score': "Score IA",
+  'batch.column.keywords': "Mots-clés",
+  'batch.column.impact': "Impact",
+  'batch.column.verbs': "Verbes d'action",
+  'batch.column.brevity': "Concision",
+  'batch.column.name': "Candidat",
+  'common.cancel': "Annuler",
+  'docs.title': "Lettre de motivation et LinkedIn",
+  'docs.back': "Retour aux résultats",
+  'docs.type.coverLetter.label': "Lettre de motivation",
+  'docs.type.coverLetter.description': "Une lettre pour ce poste : pourquoi vous, pourquoi ce rôle, avec les preuves tirées de votre CV.",
+  'docs.type.linkedin.label': "Profil LinkedIn",
+  'docs.type.linkedin.description': "Un titre et une section Infos qui vous positionnent pour des postes comme celui-ci.",
+  'docs.tone': "Ton",
+  'docs.tone.professional': "Professionnel",
+  'docs.tone.confident': "Assuré",
+  'docs.tone.warm': "Chaleureux",
+  'docs.tone.enthusiastic': "Enthousiaste",
+  'docs.length': "Longueur",
+  'docs.length.short': "Courte",
+  'docs.length.standard': "Standard",
+  'docs.length.detailed': "Détaillée",
+  'docs.writing': "Rédaction...",
+  'docs.newDraft': "Rédiger un nouveau brouillon",
+  'docs.write.coverLetter': "Rédiger la lettre de motivation",
+  'docs.write.linkedin': "Rédiger le profil LinkedIn",
+  'docs.noJobDesc': "Pas d'offre d'emploi : le brouillon restera général.",
+  'docs.offlineNote': "Les brouillons hors ligne remplissent des modèles avec des lignes de votre CV. Activez un fournisseur d'IA pour un brouillon rédigé pour vous.",
+  'docs.offlineNoteEnglish': "Les brouillons hors ligne remplissent des modèles en anglais avec des lignes de votre CV. Activez un fournisseur d'IA pour un brouillon rédigé pour vous.",
+  'docs.claims.inResume': "dans votre CV",
+  'docs.claims.jobOnly': "uniquement dans l'offre d'emploi",
+  'docs.claims.missing': "absent de votre CV",
+  'docs.claims.missingList': "Absent de votre CV : {claims}",
+  'docs.claims.jobOnlyList': "Uniquement dans l'offre d'emploi : {claims}",
+  'docs.claims.untraced': "{none} affirmations sur {total} ne figurent pas dans votre CV. Elles sont soulignées ci-dessous : modifiez-les ou réécrivez le paragraphe avant l'envoi.",
+  'docs.claims.traced': "Chaque affirmation provient de votre CV ({total} vérifiées).",
+  'docs.claims.job.one': "{count} n'apparaît que dans l'offre d'emploi : valable pour l'employeur ou le poste, pas comme votre expérience.",
+  'docs.claims.job.other': "{count} n'apparaissent que dans l'offre d'emploi : valable pour l'employeur ou le poste, pas comme votre expérience.",
+  'docs.copied': "Copié",
+  'docs.copy': "Copier",
+  'docs.headline': "Titre",
+  'docs.about': "Infos",
+  'docs.rewriting': "Réécriture...",
+  'docs.rewrite': "Réécrire ce paragraphe",
+  'docs.offlineRewrite': "Brouillon hors ligne : réécrire un paragraphe passe à un autre modèle et aux points forts suivants de votre CV.",
+  'model.title': "Modèle d'IA :",
+  'model.provider': "Fournisseur",
+  'model.model': "Modèle",
+  'model.temperature': "Température : {value}",
+  'model.maxTokens': "Tokens de sortie max.",
+  'model.timeout': "Délai sans réponse (secondes)",
+  'model.retries': "Nouvelles tentatives automatiques",
+  'model.retriesOff': "Désactivées",
+  'model.check': "Tester la connexion",
+  'model.responding': "Répond ({ms} ms)",
+  'privacy.title': "Confidentialité :",
+  'privacy.status.local': "Entièrement local",
+  'privacy.status.redacted': "Données personnelles masquées",
+  'privacy.status.asWritten': "Envoyé tel quel",
+  'privacy.local': "Analyser entièrement en local.",
+  'privacy.localInfo': "Rien ne quitte votre navigateur ; l'analyse hors ligne remplace le modèle d'IA.",
+  'privacy.redact': "Masquer les données personnelles avant l'envoi.",
+  'privacy.redactInfo': "Votre nom, e-mail, téléphone, liens et adresse postale (formats américains, britanniques et européens courants) sont remplacés par des marqueurs puis restaurés dans les résultats. Vérifiez l'aperçu pour repérer un oubli.",
+  'privacy.hidePreview': "Masquer l'aperçu",
+  'privacy.showPreview': "Aperçu de ce qui sera envoyé",
+  'privacy.replaced': "Remplacé : {items}.",
+  'privacy.pii.name.one': "{count} nom",
+  'privacy.pii.name.other': "{count} noms",
+  'privacy.pii.email.one': "{count} e-mail",
+  'privacy.pii.email.other': "{count} e-mails",
+  'privacy.pii.phone.one': "{count} téléphone",
+  'privacy.pii.phone.other': "{count} téléphones",
+  'privacy.pii.url.one': "{count} lien de profil",
+  'privacy.pii.url.other': "{count} liens de profil",
+  'privacy.pii.address.one': "{count} adresse",
+  'privacy.pii.address.other': "{count} adresses",
+  'privacy.noneFound': "Aucune donnée personnelle détectée.",
+  'privacy.redactOff': "Le masquage est désactivé : le CV est envoyé tel quel.",
+  'benchmark.industry.software': "Génie logiciel",
+  'benchmark.industry.data': "Données et analytique",
+  'benchmark.industry.product': "Produit et design",
+  'benchmark.industry.marketing': "Marketing",
+  'benchmark.industry.sales': "Ventes et développement commercial",
+  'benchmark.industry.finance': "Finance et comptabilité",
+  'benchmark.industry.healthcare': "Santé",
+  'benchmark.industry.general': "Général",
+  'benchmark.seniority.entry': "Débutant",
+  'benchmark.seniority.mid': "Confirmé",
+  'benchmark.seniority.senior': "Senior",
+  'benchmark.metric.impactScore': "Impact (chiffres par phrase)",
+  'benchmark.metric.verbScore': "Verbes d'action",
+  'benchmark.metric.brevityScore': "Concision",
+  'benchmark.metric.quantifiedRatio': "Puces chiffrées",
+  'benchmark.metric.wordCount': "Longueur (mots)",
+  'benchmark.industry': "Secteur",
+  'benchmark.seniority': "Niveau",
+  'benchmark.detected': "{label} (détecté)",
+  'benchmark.column.metric': "Indicateur",
+  'benchmark.column.you': "Vous",
+  'benchmark.column.typical': "Typique",
+  'benchmark.column.standing': "Position",
+  'benchmark.fit': "{percent} % d'adéquation",
+  'benchmark.percentile': "~{percent}e centile",
+  'benchmark.reference': "Comparé à un profil de référence pour les CV du secteur {industry} ({seniority}). Les profils de référence sont des estimations, pas des données de marché en temps réel : les centiles sont donc approximatifs.",
+  'tone.tense.past': "Passé",
+  'tone.tense.present': "Présent",
+  'tone.tense.gerund': "Forme en -ing",
+  'tone.tense.other': "Sans verbe initial",
+  'tone.person.implied': "Première personne implicite",
+  'tone.person.first': "Première personne explicite",
+  'tone.person.team': "Voix d'équipe (nous / notre)",
+  'tone.person.third': "Troisième personne",
+  'tone.tenses.label': "Temps mélangés",
+  'tone.tenses.detail.one': "{count} puce n'utilise pas la forme de la plupart des puces ({tense}). Utilisez le passé pour les postes terminés et le présent uniquement pour le poste actuel.",
+  'tone.tenses.detail.other': "{count} puces n'utilisent pas la forme de la plupart des puces ({tense}). Utilisez le passé pour les postes terminés et le présent uniquement pour le poste actuel.",
+  'tone.person.label': "Changement de personne",
+  'tone.person.detail.one': "{count} puce utilise « je », « nous » ou la troisième personne. Les puces s'écrivent à la première personne implicite : commencez par le verbe.",
+  'tone.person.detail.other': "{count} puces utilisent « je », « nous » ou la troisième personne. Les puces s'écrivent à la première personne implicite : commencez par le verbe.",
+  'tone.informal.label': "Langage familier",
+  'tone.informal.detail': "Trouvé : {markers}. Les mots familiers, contractions et points d'exclamation cassent le registre professionnel.",
+  'tone.punctuation.label': "Ponctuation incohérente",
+  'tone.punctuation.detail.one': "{count} puce sur {total} se termine par un point. Choisissez un style pour toutes.",
+  'tone.punctuation.detail.other': "{count} puces sur {total} se terminent par un point. Choisissez un style pour toutes.",
+  'tone.drift.tense': "Temps",
+  'tone.drift.person': "Personne",
+  'tone.drift.formality': "Registre",
+  'tone.tooFew': "La cohérence du ton nécessite au moins deux puces à comparer.",
+  'tone.drifted': "Puces qui dévient",
+  'tone.line': "Ligne {line}",
+  'tone.consistent': "Toutes les puces ont la même voix.",
+  'persona.startupCto.label': "CTO de start-up",
+  'persona.startupCto.description': "Recrute pour une petite équipe qui avance vite. Cherche des bâtisseurs qui livrent, prennent les problèmes en main de bout en bout et apprennent vite de nouveaux outils.",
+  'persona.faangRecruiter.label': "Recruteur FAANG",
+  'persona.faangRecruiter.description': "Examine des centaines de CV pour un poste dans la big tech. Cherche de l'envergure, un impact mesurable et une mise en page propre et standard.",
+  'persona.agencyScreener.label': "Chargé de présélection en cabinet",
+  'persona.agencyScreener.description': "Compare les candidats à la fiche de poste d'un client en moins d'une minute. Vérifie les mots-clés, les coordonnées et un format compatible ATS.",
+  'persona.verdict.advance': "Retiendrait",
+  'persona.verdict.maybe': "Hésitant",
+  'persona.verdict.reject': "Écarterait",
+  'persona.headline': "{verdict} : {focus}.",
+  'persona.focus.strong': "solide sur {signals}",
+  'persona.focus.none': "rien ne ressort dans un sens ou dans l'autre",
+  'persona.focus.weak': "manque de {signals}",
+  'persona.signal.ownership.name': "prise en main",
+  'persona.signal.ownership.strength': "Montre votre prise en main : des choses que vous avez construites et livrées vous-même.",
+  'persona.signal.ownership.concern': "Se lit comme une liste de tâches. Où avez-vous construit ou porté quelque chose de bout en bout ?",
+  'persona.signal.scale.name': "envergure",
+  'persona.signal.scale.strength': "Le travail à grande échelle (utilisateurs, trafic, chiffre d'affaires) saute aux yeux.",
+  'persona.signal.scale.concern': "Aucune idée de l'envergure. Combien d'utilisateurs, de requêtes ou d'euros votre travail a-t-il touchés ?",
+  'persona.signal.impact.name': "impact mesurable",
+  'persona.signal.impact.strength': "Les résultats sont appuyés par des chiffres.",
+  'persona.signal.impact.concern': "Trop peu de résultats mesurables.",
+  'persona.signal.verbs.name': "verbes d'action",
+  'persona.signal.verbs.strength': "Les puces commencent par des verbes d'action forts.",
+  'persona.signal.verbs.concern': "Les puces commencent par des verbes faibles ou passifs.",
+  'persona.signal.brevity.name': "concision",
+  'persona.signal.brevity.strength': "Concis et rapide à parcourir.",
+  'persona.signal.brevity.concern': "Les phrases sont longues ; ce lecteur survole.",
+  'persona.signal.keywords.name': "couverture des mots-clés",
+  'persona.signal.keywords.strength': "Couvre la plupart des mots-clés de l'offre d'emploi.",
+  'persona.signal.keywords.concern': "Il manque trop de mots-clés de l'offre d'emploi.",
+  'persona.signal.readability.name': "lisibilité ATS",
+  'persona.signal.readability.strength': "Un ATS le lit sans problème.",
+  'persona.signal.readability.concern': "La mise en page ou des informations manquantes pourraient gêner l'ATS.",
+  'persona.signal.structure.name': "structure",
+  'persona.signal.structure.strength': "Sections standard dans l'ordre attendu.",
+  'persona.signal.structure.concern': "Sections non standard ou manquantes.",
+  'persona.signal.contact.name': "coordonnées",
+  'persona.signal.contact.strength': "Les coordonnées sont complètes.",
+  'persona.signal.contact.concern': "Les coordonnées sont incomplètes.",
+  'persona.reviewing': "Analyse...",
+  'persona.aiNote': "Chaque persona est une analyse d'IA distincte, avec ses propres priorités et critères éliminatoires.",
+  'persona.offlineNote': "Estimation hors ligne : chaque persona pondère les vérifications locales selon ses priorités. Activez un fournisseur d'IA pour des analyses complètes.",
+  'pro.benchmark': "Comparaison sectorielle",
+  'pro.personas': "Avis de profils de recruteurs",
+  'pro.tone': "Cohérence du ton",
+  'pro.breakdown': "Voir le détail",
+  'pro.unlock': "Débloquer Pro",
+  'pro.notAvailable': "n/d",
+  'rescan.title': "Changements depuis la dernière analyse",
+  'rescan.overall': "Qualité globale",
+  'rescan.impact': "Score d'impact",
+  'rescan.verbs': "Verbes d'action",
+  'rescan.brevity': "Concision",
+  'rescan.changed.one': "Texte du CV : {count} ligne modifiée",
+  'rescan.changed.other': "Texte du CV : {count} lignes modifiées",
+  'rescan.unchanged.one': "{count} ligne inchangée",
+  'rescan.unchanged.other': "{count} lignes inchangées",
+  'bullets.grade.strong': "solides",
+  'bullets.grade.fair': "à retravailler",
+  'bullets.grade.weak': "faibles",
+  'bullets.metric.label': "Chiffre",
+  'bullets.metric.measured': "Contient un résultat mesurable.",
+  'bullets.metric.bareNumber': "Contient un nombre, mais ni %, ni €, ni ordre de grandeur. Pouvez-vous montrer l'ampleur du résultat ?",
+  'bullets.metric.none': "Aucun nombre. Ajoutez un pourcentage, un montant, une quantité ou un gain de temps.",
+  'bullets.verb.label': "Verbe initial",
+  'bullets.verb.duty': "Commence par « {opener} », qui décrit une tâche, pas une réussite.",
+  'bullets.verb.pronoun': "Commence par un pronom. Commencez par le verbe d'action.",
+  'bullets.verb.strong': "Commence par le verbe d'action « {verb} ».",
+  'bullets.verb.notPastTense': "« {word} » n'est pas un verbe d'action au passé.",
+  'bullets.verb.notStrong': "« {word} » n'est pas un verbe d'action fort.",
+  'bullets.length.label': "Longueur",
+  'bullets.length.good': "{count} mots.",
+  'bullets.length.short': "Seulement {count} mots. Ajoutez ce qui a changé et comment.",
+  'bullets.length.long': "{count} mots. Coupez-la en deux ou supprimez le superflu.",
+  'bullets.length.tooShort': "Seulement {count} mots.",
+  'bullets.length.tooLong': "{count} mots, c'est trop long pour une lecture rapide.",
+  'bullets.xyz.label': "Modèle XYZ",
+  'bullets.xyz.complete': "Indique le résultat, la mesure et la manière de l'obtenir.",
+  'bullets.xyz.noMethod': "Contient une mesure, mais pas la manière (« en faisant... »).",
+  'bullets.xyz.noResult': "Dit comment, mais pas le résultat mesurable.",
+  'bullets.xyz.none': "Utilisez « Obtenu X, mesuré par Y, en faisant Z ».",
+  'highlights.title': "Revue ligne par ligne",
+  'highlights.none': "Aucune puce à noter.",
+  'highlights.average': "Score moyen par puce",
+  'highlights.noMarkers': " (aucune puce trouvée, les lignes longues ont donc été notées)",
+  'highlights.startWith': "Commencez par :",
+  'highlights.jump': "L{line} · {score} pts",
+  'compare.title': "Comparaison de postes",
+  'compare.stop': "Arrêter",
+  'compare.editRoles': "Modifier les postes",
+  'compare.offline': "Analyse hors ligne.",
+  'compare.offlineInfo': "Les scores et reformulations IA proviennent des règles intégrées de CV Pulse, pas d'un modèle de langage.",
+  'compare.bestFit': "Meilleure adéquation",
+  'compare.ahead.one': "{count} point d'avance sur {role}.",
+  'compare.ahead.other': "{count} points d'avance sur {role}.",
+  'compare.tied': "À égalité avec {role}.",
+  'compare.sharedGaps': "Manquant pour tous les postes :",
+  'compare.sharedGapsInfo': "Les ajouter une fois aide toutes vos candidatures.",
+  'compare.column.role': "Poste",
+  'compare.column.fit': "Adéquation",
+  'compare.column.keywords': "Mots-clés",
+  'compare.column.aiScore': "Score IA",
+  'compare.column.missing': "Mots-clés manquants",
+  'compare.column.rewrite': "Meilleure reformulation",
+  'compare.status.pending': "En attente",
+  'compare.status.running': "Analyse...",
+  'compare.status.cancelled': "Annulé",
+  'compare.noKeywords': "Aucun mot-clé trouvé",
+  'compare.fullReport': "Rapport complet",
+  'compare.tailorTitle': "Quoi adapter pour chaque poste",
+  'compare.add': "Ajoutez {keywords}",
+  'compare.addGain': " (jusqu'à +{points} pts de correspondance des mots-clés)",
+  'compare.noRoleGaps': "Aucun mot-clé propre au poste ne manque.",
+  'compare.needsDetail': "Ajoutez plus de détails à cette offre pour en extraire des mots-clés.",
+  'compare.rewrite': "Reformulez",
+  'compare.rewriteAs': "en",
+  'rubric.software.label': "Génie logiciel",
+  'rubric.software.description': "Systèmes livrés, envergure et réussites techniques mesurables. Le profil d'origine de CV Pulse.",
+  'rubric.software.impact': "chiffres ($, %, +)",
+  'rubric.nursing.label': "Soins infirmiers et clinique",
+  'rubric.nursing.description': "Résultats pour les patients, sécurité, charge de travail et certifications plutôt que chiffre d'affaires ou croissance.",
+  'rubric.nursing.impact': "nombre de patients, ratios infirmier-patient, taille des services ou pourcentages de résultats",
+  'rubric.design.label': "Design produit et UX",
+  'rubric.design.description': "Recherche, itération et résultats utilisateurs, avec un portfolio qui parle de lui-même.",
+  'rubric.design.impact': "indicateurs utilisateurs, volume de recherche ou chiffres d'adoption et de conversion",
+  'rubric.sales.label': "Ventes et croissance",
+  'rubric.sales.description': "Atteinte des objectifs, pipeline et chiffre d'affaires. Des chiffres presque à chaque ligne.",
+  'rubric.sales.impact': "chiffre d'affaires, pourcentages d'atteinte des objectifs, taille des contrats ou classements",
+  'rubric.academic.label': "Recherche et enseignement",
+  'rubric.academic.description': "Publications, financements, enseignement et responsabilités. Une rédaction plus longue et formelle est la norme.",
+  'rubric.academic.impact': "nombre de publications, montants des financements, citations ou étudiants encadrés",
+  'rubric.title': "Profil de notation :",
+  'rubric.targetRole': "Poste visé",
+  'rubric.builtIn': "Intégrés",
+  'rubric.imported': "Importés",
+  'rubric.suggestion': "Cela ressemble à un CV du domaine {profile}.",
+  'rubric.useSuggestion': "Utiliser ce profil",
+  'rubric.strongVerbs': "Verbes forts",
+  'rubric.moreVerbs': " et {count} autres",
+  'rubric.impact': "Compte comme impact",
+  'rubric.idealSentences': "Phrases idéales",
+  'rubric.idealRange': "De {min} à {max} mots",
+  'rubric.info': "Le profil définit à la fois les scores locaux et les instructions avec lesquelles le modèle d'IA analyse votre CV.",
+  'rubric.import': "Importer un profil",
+  'rubric.download': "Télécharger en JSON",
+  'rubric.invalidJson': "{file} n'est pas un JSON valide.",
+  'rubric.importFailed': "Ce profil n'a pas pu être importé :",
+  'rubric.importNotes': "Importé avec des remarques : {notes}.",
+  'rubric.formatInfo': "Les profils importés sont en JSON. Réglez {extends} sur un profil intégré ({profiles}) et ne listez que les champs modifiés.",
+  'history.title': "Historique des analyses",
+  'history.unavailable': "L'historique des analyses n'est pas disponible : {message}",
+  'history.trend': "Évolution du score",
+  'history.past': "Analyses précédentes",
+  'history.localOnly': "Stocké uniquement dans ce navigateur.",
+  'history.empty': "Aucune analyse pour l'instant. Chaque analyse terminée est enregistrée ici automatiquement.",
+  'history.version': "Version {number}",
+  'history.rename': "Renommer",
+  'history.versus': "vs",
+  'history.offline': "analyse hors ligne",
+  'history.score.overall': "Global",
+  'history.score.impact': "Impact",
+  'history.score.verbs': "Verbes",
+  'history.score.brevity': "Concision",
+  'history.open': "Ouvrir le rapport",
+  'history.delete': "Supprimer",
+  'trend.overall': "Qualité globale",
+  'trend.impact': "Impact",
+  'trend.verbs': "Verbes d'action",
+  'trend.brevity': "Concision",
+  'trend.tooFew': "Lancez au moins deux analyses pour voir une tendance.",
+  'trend.aria': "Évolution du score au fil des analyses",
+  'feature.allRewrites': "Reformulations des puces par l'IA",
+  'feature.proMetrics': "Comparaison sectorielle, profils de recruteurs et vérification du ton",
+  'feature.pdfReport': "Export en rapport PDF",
+  'upgrade.unlimited.day': "{quota} illimités (offre gratuite : {limit} par jour)",
+  'upgrade.title': "Passez en Pro",
+  'upgrade.subtitle': "Débloquez des analyses IA approfondies et des reformulations",
+  'upgrade.unavailable': "Les mises à niveau ne sont pas disponibles sur ce serveur.",
+  'upgrade.signIn': "Connectez-vous pour passer en Pro",
+  'upgrade.redirecting': "Ouverture du paiement...",
+  'upgrade.unlock': "Débloquer pour {price}",
+  'upgrade.testPayments': "Les paiements de test sont activés. Aucune carte n'est débitée.",
+  'upgrade.later': "Plus tard",
+  'suggestion.unlock': "Débloquer cette reformulation",
+  'suggestion.apply': "Appliquer la modification",
+  'suggestion.applied': "Appliqué à votre CV",
+  'suggestion.rejected': "Refusé",
+  'suggestion.undo': "Annuler",
+  'suggestion.accept': "Accepter",
+  'suggestion.edit': "Modifier",
+  'suggestion.reject': "Refuser",
+};
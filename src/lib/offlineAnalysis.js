@@ -0,0 +1,172 @@
+// ==========================================
+// 🔌 OFFLINE ANALYZER
+// Used when no AI provider is configured. Builds an AI-shaped result from
+// the resume itself with the local checks, so the results view renders the
+// same way. Deterministic: the same input always gives the same result.
+// Results are flagged `isOffline` so the UI can say where they came from.
+// The summary and soft skills are written in the interface language.
+// ==========================================
+import { calculateStats } from './stats.js';
+import { matchKeywords } from './keywords.js';
+import { analyzeAts } from './ats.js';
+import { detectFatalFlaws } from './flaws.js';
+import { scoreBullets } from './bullets.js';
+import { DEFAULT_RUBRIC_PROFILE } from './rubrics.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, detectLanguage } from './language.js';
+import { DEFAULT_UI_LANGUAGE, createTranslator } from './i18n.js';
+
+const MAX_REWRITES = 3;
+const MAX_KEYWORDS = 5;
+
+// Points off per high-severity fatal flaw, capped
+const FLAW_PENALTY = 4;
+const MAX_FLAW_PENALTY = 12;
+
+// English weak openers and the verb that replaces them. When the opener is
+// followed by an "-ing" verb, that verb leads instead ("Responsible for
+// managing" -> "Managed").
+const OPENER_REWRITES = [
+  { pattern: /^(responsible for|in charge of|tasked with|duties included)\s+/i, verb: 'Owned' },
+  { pattern: /^(helped|assisted)(\s+(with|in|to))?\s+/i, verb: 'Supported' },
+  { pattern: /^worked with\s+/i, verb: 'Partnered with' },
+  { pattern: /^worked (on|as)\s+/i, verb: 'Delivered' },
+  { pattern: /^(participated in|(was )?involved in)\s+/i, verb: 'Collaborated on' },
+  { pattern: /^contributed to\s+/i, verb: 'Delivered' },
+  { pattern: /^(I|we)\s+/, verb: '' },
+];
+
+const IRREGULAR_PAST = {
+  leading: 'led', building: 'built', running: 'ran', writing: 'wrote', making: 'made', driving: 'drove',
+  setting: 'set', overseeing: 'oversaw', teaching: 'taught', selling: 'sold', bringing: 'brought',
+  growing: 'grew', cutting: 'cut', taking: 'took', winning: 'won', doing: 'did',
+};
+
+const SOFT_SKILLS = [
+  { id: 'leadership', pattern: /\b(led|leading|managed|headed|directed|supervised|spearheaded)\b/i },
+  { id: 'communication', pattern: /\b(presented|presentations?|communicat\w*|documented|public speaking)\b/i },
+  { id: 'collaboration', pattern: /\b(collaborat\w*|cross-functional|partnered|teamwork)\b/i },
+  { id: 'problemSolving', pattern: /\b(solved|resolved|troubleshoot\w*|debugg\w*|diagnos\w*|root cause)\b/i },
+  { id: 'mentoring', pattern: /\b(mentor\w*|coach\w*|onboard\w*)\b/i },
+  { id: 'stakeholders', pattern: /\b(stakeholders?|clients?|executives?)\b/i },
+  { id: 'ownership', pattern: /\b(owned|ownership|end-to-end)\b/i },
+  { id: 'adaptability', pattern: /\b(adapt\w*|pivot\w*|fast-paced|ambiguity)\b/i },
+];
+
+const toPastTense = (gerund) => {
+  const word = gerund.toLowerCase();
+  if (IRREGULAR_PAST[word]) return IRREGULAR_PAST[word];
+  const stem = word.slice(0, -3);
+  if (/[^aeiou]y$/.test(stem)) return `${stem.slice(0, -1)}ied`;
+  return `${stem}ed`;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const stripMarker = (line) => line.replace(/^\s*(•|[-*–—])\s*/, '').trim();
+
+// Swap a weak opener for a strong verb. Runs twice so "Responsible for
+// helping" does not just become "Helped".
+const replaceOpener = (text) => {
+  let result = text;
+  for (let pass = 0; pass < 2; pass++) {
+    const rule = OPENER_REWRITES.find(r => r.pattern.test(result));
+    if (!rule) break;
+    const rest = result.replace(rule.pattern, '');
+    const [next, ...after] = rest.split(/\s+/);
+    result = capitalize(/^[a-z]{3,}ing$/i.test(next) && after.length
+      ? `${toPastTense(next)} ${after.join(' ')}`
+      : `${rule.verb} ${rest}`.trim());
+  }
+  return result;
+};
+
+// Template rewrite of one bullet: a strong lead verb and, where there is no
+// number at all, a placeholder for the result. The verb templates are
+// English, so other languages only get the placeholder, in their language.
+export const rewriteBullet = (text, checks, language = DEFAULT_LANGUAGE) => {
+  let improved = text.replace(/[.;]+$/, '');
+  if (language === DEFAULT_LANGUAGE && !checks.find(c => c.id === 'verb')?.passed) improved = replaceOpener(improved);
+  if (!/\d/.test(improved)) improved = `${improved}, ${LANGUAGES[language].metricPlaceholder}`;
+
+  return improved === text.replace(/[.;]+$/, '') ? null : improved;
+};
+
+const weightedScore = (parts) => {
+  const used = parts.filter(part => typeof part.score === 'number');
+  const weight = used.reduce((sum, part) => sum + part.weight, 0);
+  return used.reduce((sum, part) => sum + part.score * part.weight, 0) / (weight || 1);
+};
+
+// `rubric` is a profile from rubrics.js: it sets the stats and how much
+// each local check counts towards the overall score. Keyword match only
+// counts when there is a job description to match against. `language` is
+// the resume's, detected when not given; `t` translates into the interface
+// language (English by default).
+export const analyzeOffline = (text, jobDesc = '', { rubric = DEFAULT_RUBRIC_PROFILE, language = detectLanguage(text), t = createTranslator(DEFAULT_UI_LANGUAGE) } = {}) => {
+  const stats = calculateStats(text, rubric, language);
+  const keywordMatch = matchKeywords(jobDesc, text);
+  const atsReport = analyzeAts(text, undefined, { t });
+  const { flaws, bullets: bulletCounts } = detectFatalFlaws(text, { language, t });
+  const { lines, summary: bulletSummary } = scoreBullets(text, { language, t });
+
+  // Weakest real bullets first, skipping any the templates can't improve
+  const bulletPoints = lines
+    .filter(line => line.result && line.result.grade !== 'strong')
+    .sort((a, b) => a.result.score - b.result.score || a.number - b.number)
+    .map(line => {
+      const original = stripMarker(line.text);
+      return { original, improved: rewriteBullet(original, line.result.checks, language) };
+    })
+    .filter(item => item.improved)
+    .slice(0, MAX_REWRITES);
+
+  const missingKeywords = (keywordMatch?.missing || [])
+    .slice()
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, MAX_KEYWORDS)
+    .map(kw => kw.keyword);
+
+  const atsScore = atsReport ? Math.round((atsReport.readability.score + atsReport.structure.score) / 2) : null;
+  const parts = [
+    { id: 'impact', score: stats.impactScore, weight: rubric.weights.impact },
+    { id: 'verbs', score: stats.verbScore, weight: rubric.weights.verbs },
+    { id: 'brevity', score: stats.brevityScore, weight: rubric.weights.brevity },
+    { id: 'bullets', score: bulletSummary.average, weight: rubric.weights.bullets },
+    { id: 'ats', score: atsScore, weight: rubric.weights.ats },
+    { id: 'keywords', score: keywordMatch?.score ?? null, weight: rubric.weights.keywords },
+  ];
+  const penalty = Math.min(MAX_FLAW_PENALTY, flaws.filter(f => f.severity === 'high').length * FLAW_PENALTY);
+  const score = Math.max(0, Math.min(100, Math.round(weightedScore(parts) - penalty)));
+
+  const ranked = parts.filter(part => typeof part.score === 'number').sort((a, b) => b.score - a.score);
+  const strongest = ranked[0];
+  const weakest = ranked[ranked.length - 1];
+  const atsIssue = [...(atsReport?.readability.deductions || []), ...(atsReport?.structure.deductions || [])][0];
+  const hints = {
+    impact: t('offline.hint.impact', { quantified: bulletCounts.quantified, total: bulletCounts.total }),
+    verbs: t('offline.hint.verbs'),
+    brevity: t('offline.hint.brevity'),
+    bullets: t('offline.hint.bullets'),
+    ats: atsIssue ? t('offline.hint.ats', { issue: atsIssue.label }) : t('offline.hint.atsClean'),
+    keywords: t('offline.hint.keywords', { keywords: missingKeywords.slice(0, 3).join(', ') }),
+  };
+  const area = (part) => t(`offline.part.${part.id}`);
+  const summary = strongest === weakest
+    ? t('offline.summary.single', { area: area(strongest), score: strongest.score, hint: hints[strongest.id] })
+    : t('offline.summary.range', {
+      strongest: area(strongest),
+      strongestScore: strongest.score,
+      weakest: area(weakest),
+      weakestScore: weakest.score,
+      hint: hints[weakest.id],
+    });
+
+  return {
+    score,
+    summary,
+    bulletPoints,
+    missingKeywords,
+    softSkills: SOFT_SKILLS.filter(s => s.pattern.test(text)).map(s => t(`offline.skill.${s.id}`)),
+    isOffline: true,
+  };
+};
@@ -0,0 +1,123 @@
+// ==========================================
+// 🕵️ RECRUITER PERSONAS
+// The same resume read by different kinds of recruiter. With an AI provider
+// each persona is its own prompt variant (see server/prompt.js); offline,
+// each one weighs the local checks its own way. Shared by the server (to
+// validate model output) and the client. Persona and verdict names are
+// interface copy (`persona.*`).
+// ==========================================
+import { DEFAULT_UI_LANGUAGE, createTranslator } from './i18n.js';
+
+// `weights` drive the offline review; they are renormalized when a signal
+// is missing (no job description means no keyword signal).
+export const PERSONAS = {
+  startupCto: { weights: { ownership: 0.3, impact: 0.2, verbs: 0.2, brevity: 0.1, keywords: 0.15, structure: 0.05 } },
+  faangRecruiter: { weights: { impact: 0.3, scale: 0.2, verbs: 0.15, structure: 0.15, brevity: 0.1, keywords: 0.1 } },
+  agencyScreener: { weights: { keywords: 0.4, readability: 0.25, structure: 0.15, contact: 0.1, brevity: 0.1 } },
+};
+
+export const VERDICTS = {
+  advance: { min: 70 },
+  maybe: { min: 50 },
+  reject: { min: 0 },
+};
+
+export const verdictFor = (score) => Object.keys(VERDICTS).find(id => score >= VERDICTS[id].min);
+
+export const PERSONA_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    verdict: { type: 'string', enum: Object.keys(VERDICTS) },
+    score: { type: 'integer', description: "How likely this recruiter is to move the candidate forward, 0 to 100" },
+    headline: { type: 'string', description: "One sentence in the recruiter's voice" },
+    strengths: { type: 'array', items: { type: 'string' } },
+    concerns: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['verdict', 'score', 'headline', 'strengths', 'concerns'],
+};
+
+const toStringList = (value) => (Array.isArray(value) ? value : [])
+  .map(item => (typeof item === 'string' ? item.trim() : ''))
+  .filter(Boolean);
+
+// Same contract as validateAnalysis: { valid, errors, warnings, value }
+export const validatePersonaReview = (input) => {
+  const errors = [];
+  const warnings = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ["Response is not a JSON object"], warnings, value: null };
+  }
+
+  let score = typeof input.score === 'string' ? parseFloat(input.score) : input.score;
+  if (typeof score !== 'number' || Number.isNaN(score)) {
+    errors.push("score must be a number between 0 and 100");
+  } else {
+    score = Math.round(Math.min(100, Math.max(0, score)));
+  }
+
+  const headline = typeof input.headline === 'string' ? input.headline.trim() : '';
+  if (!headline) errors.push("headline must be a non-empty string");
+
+  let verdict = input.verdict;
+  if (!VERDICTS[verdict] && errors.length === 0) {
+    warnings.push(`verdict "${verdict}" was replaced with one derived from the score`);
+    verdict = verdictFor(score);
+  }
+
+  const value = { verdict, score, headline, strengths: toStringList(input.strengths), concerns: toStringList(input.concerns) };
+  return { valid: errors.length === 0, errors, warnings, value: errors.length === 0 ? value : null };
+};
+
+// ==========================================
+// 🧮 OFFLINE REVIEW
+// ==========================================
+const OWNERSHIP_PATTERN = /\b(built|shipped|launched|founded|co-founded|owned|created|prototyped|end[- ]to[- ]end|from scratch|side project|open[- ]source|github)\b/gi;
+const SCALE_PATTERN = /\b(\d+(\.\d+)?\s?(k|m|b|million|billion)\b|millions?|billions?|scale|distributed|high[- ]traffic|global|\d+\+?\s?(users|customers|requests|countries))/gi;
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+// Every signal is 0-100; `keywords` is null without a job description
+export const personaSignals = (local, resumeText) => {
+  const { stats, keywordMatch, atsReport } = local;
+  const contact = atsReport?.contact;
+  return {
+    ownership: Math.min(100, countMatches(resumeText, OWNERSHIP_PATTERN) * 20),
+    scale: Math.min(100, countMatches(resumeText, SCALE_PATTERN) * 25),
+    impact: stats?.impactScore ?? 0,
+    verbs: stats?.verbScore ?? 0,
+    brevity: stats?.brevityScore ?? 0,
+    keywords: keywordMatch ? keywordMatch.score : null,
+    readability: atsReport?.readability.score ?? 0,
+    structure: atsReport?.structure.score ?? 0,
+    contact: contact ? Math.round(([contact.email, contact.phone, contact.linkedin].filter(Boolean).length / 3) * 100) : 0,
+  };
+};
+
+// Deterministic stand-in for the AI review, built from the local checks.
+// Each signal's name, strength and concern are `persona.signal.<id>.*`;
+// `t` is the translator for the interface language (English by default).
+export const reviewLocally = (personaId, local, resumeText, { t = createTranslator(DEFAULT_UI_LANGUAGE) } = {}) => {
+  const persona = PERSONAS[personaId];
+  const signals = personaSignals(local, resumeText);
+  const weighted = Object.entries(persona.weights).filter(([signal]) => signals[signal] !== null);
+  const totalWeight = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+  const score = Math.round(weighted.reduce((sum, [signal, weight]) => sum + signals[signal] * weight, 0) / totalWeight);
+
+  // Most heavily weighted signals first, so the copy reflects what this persona cares about
+  const ranked = weighted.sort((a, b) => b[1] - a[1]).map(([signal]) => signal);
+  const strong = ranked.filter(signal => signals[signal] >= 70).slice(0, 3);
+  const weak = ranked.filter(signal => signals[signal] < 50).slice(0, 3);
+  const verdict = verdictFor(score);
+  const names = (list) => list.slice(0, 2).map(signal => t(`persona.signal.${signal}.name`)).join(` ${t('common.and')} `);
+  const focus = verdict === 'advance' || !weak.length
+    ? (strong.length ? t('persona.focus.strong', { signals: names(strong) }) : t('persona.focus.none'))
+    : t('persona.focus.weak', { signals: names(weak) });
+  return {
+    verdict,
+    score,
+    headline: t('persona.headline', { verdict: t(`persona.verdict.${verdict}`), focus }),
+    strengths: strong.map(signal => t(`persona.signal.${signal}.strength`)),
+    concerns: weak.map(signal => t(`persona.signal.${signal}.concern`)),
+    isOffline: true,
+  };
+};
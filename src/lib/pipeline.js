@@ -0,0 +1,65 @@
+// ==========================================
+// 🧪 ANALYSIS PIPELINE
+// Everything a scan computes, free of React and browser APIs, so the web
+// app, the CLI and scripts all run exactly the same checks.
+// ==========================================
+import { calculateStats } from './stats.js';
+import { matchKeywords } from './keywords.js';
+import { analyzeAts } from './ats.js';
+import { detectFatalFlaws } from './flaws.js';
+import { scoreBullets } from './bullets.js';
+import { textToBlocks, blocksToSections } from './import/sections.js';
+import { analyzeOffline } from './offlineAnalysis.js';
+import { detectLanguage } from './language.js';
+import { prepareDictionary } from './dictionary.js';
+
+// The instant, local half of a scan. `sections` and `pageBreaks` can be
+// passed when an importer already recovered the document structure; `rubric` is the
+// scoring profile from rubrics.js and `language` the resume's language,
+// detected when not given. `t` writes the findings in the interface
+// language, English when not given.
+export const analyzeLocally = (resumeText, jobDesc = '', { sections, pageBreaks, rubric, language = detectLanguage(resumeText), t } = {}) => {
+  const resolvedSections = sections || blocksToSections(textToBlocks(resumeText));
+  return {
+    language,
+    stats: calculateStats(resumeText, rubric, language),
+    keywordMatch: matchKeywords(jobDesc, resumeText),
+    sections: resolvedSections,
+    atsReport: analyzeAts(resumeText, resolvedSections, { t, pageBreaks }),
+    fatalFlaws: detectFatalFlaws(resumeText, { language, t }),
+    bulletScores: scoreBullets(resumeText, { language, t }),
+  };
+};
+
+// A full scan. `analyzeWithAi(text, jobDesc, { signal, rubric, language })`
+// is whatever reaches a model: the HTTP API in the browser, a provider
+// directly in Node. Without one the offline analyzer runs. Both halves
+// score against `rubric` and read the resume in the same language.
+export const runAnalysis = async (resumeText, jobDesc = '', { analyzeWithAi, sections, rubric, language, signal } = {}) => {
+  await prepareDictionary(language || detectLanguage(resumeText));
+  const local = analyzeLocally(resumeText, jobDesc, { sections, rubric, language });
+  const aiResult = analyzeWithAi
+    ? await analyzeWithAi(resumeText, jobDesc, { signal, rubric, language: local.language })
+    : analyzeOffline(resumeText, jobDesc, { rubric, language: local.language });
+  return { resumeText, jobDesc, ...local, aiResult };
+};
+
+// The score a scan is judged by
+export const overallScore = (report) => report.aiResult?.score ?? null;
+
+// Serializable summary for scripts: everything except the raw inputs.
+export const reportToJson = (report) => ({
+  score: overallScore(report),
+  isOffline: Boolean(report.aiResult?.isOffline),
+  language: report.language,
+  stats: report.stats,
+  keywordMatch: report.keywordMatch,
+  ats: {
+    readability: report.atsReport?.readability,
+    structure: report.atsReport?.structure,
+    sections: report.atsReport?.sections,
+  },
+  fatalFlaws: report.fatalFlaws,
+  bullets: report.bulletScores?.summary,
+  ai: report.aiResult,
+});
@@ -0,0 +1,25 @@
+// ==========================================
+// 🔒 PRIVACY SETTINGS
+// Whether personal details are redacted before analysis and whether the
+// resume may leave the browser at all. Remembered in localStorage.
+// ==========================================
+
+const STORAGE_KEY = 'cv-pulse:privacy-settings';
+
+export const DEFAULT_PRIVACY_SETTINGS = { redact: true, localOnly: false };
+
+export const loadPrivacySettings = () => {
+  try {
+    return { ...DEFAULT_PRIVACY_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return DEFAULT_PRIVACY_SETTINGS;
+  }
+};
+
+export const savePrivacySettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Private mode or quota exceeded: the choice just won't persist
+  }
+};
@@ -0,0 +1,44 @@
+// ==========================================
+// 🎛️ MODEL PICKER SETTINGS
+// The user's provider/model choice, remembered in localStorage and
+// reconciled with what the server actually offers.
+// ==========================================
+
+const STORAGE_KEY = 'cv-pulse:provider-settings';
+
+export const loadProviderSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveProviderSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Private mode or quota exceeded: the choice just won't persist
+  }
+};
+
+export const settingsForProvider = (provider) => ({
+  id: provider.id,
+  model: provider.models[0],
+  temperature: provider.defaults.temperature,
+  maxTokens: provider.defaults.maxTokens,
+});
+
+// Keep the saved choice if the server still offers it, otherwise fall back
+// to the server's default provider.
+export const reconcileProviderSettings = (status, saved) => {
+  const providers = status?.providers || [];
+  if (!providers.length) return null;
+
+  const savedProvider = saved && providers.find(p => p.id === saved.id);
+  if (savedProvider && (savedProvider.allowCustomModel || savedProvider.models.includes(saved.model))) {
+    return saved;
+  }
+  const fallback = providers.find(p => p.id === status.defaultProvider) || providers[0];
+  return settingsForProvider(fallback);
+};
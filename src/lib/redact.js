@@ -0,0 +1,142 @@
+// ==========================================
+// 🕶️ PII REDACTION
+// Personal details are swapped for tokens such as [EMAIL_1] before the
+// resume leaves the browser, and swapped back into whatever the model
+// returns. The same value always gets the same token, so the model can
+// still tell that two mentions refer to one thing.
+// ==========================================
+import { EMAIL_PATTERN, isLikelyPhone } from './ats.js';
+import { classifyHeading } from './import/sections.js';
+
+export const PII_TYPES = {
+  name: { token: 'NAME' },
+  email: { token: 'EMAIL' },
+  phone: { token: 'PHONE' },
+  url: { token: 'URL' },
+  address: { token: 'ADDRESS' },
+};
+
+const URL_PATTERN = /\b(?:https?:\/\/\S+|(?:www\.)?(?:linkedin\.com|github\.com|gitlab\.com|twitter\.com|x\.com|behance\.net|dribbble\.com)\/[\w\-./%]+)/gi;
+
+// Like the ATS phone pattern, but keeps a leading "(" and stays on one line
+const PHONE_PATTERN = /\+?\(?\d[\d \t().-]{7,}\d/g;
+
+const STREET_TYPES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Way|Court|Ct|Place|Pl|Terrace|Square|Sq|Parkway|Pkwy';
+// Continental street names: the type comes first ("Calle Mayor 5", "12 rue
+// de la Paix") or is the end of the word ("Hauptstraße 12", "Kerkstraat 4")
+const STREET_PREFIXES = 'Calle|C/|Avenida|Avda\\.?|Paseo|Plaza|Camino|Carrer|Ronda|Via|Viale|Piazza|Corso|Rua|Largo';
+const FRENCH_STREET_TYPES = '[Rr]ue|[Aa]venue|[Bb]oulevard|[Bb]d|[Pp]lace|[Cc]hemin|[Aa]llée|[Ii]mpasse|[Qq]uai|[Rr]oute|[Cc]ours';
+const STREET_SUFFIXES = 'straße|strasse|str\\.|weg|platz|allee|gasse|damm|ufer|straat|laan|plein|gracht';
+const NAME_WORD = "\\p{Lu}[\\p{L}'.-]*";
+const CONNECTOR = "(?:de|del|de la|de los|de las|di|della|do|da|dos|das|du|des|d'|l')";
+// ", 28013 Madrid", " - 10115 Berlin", "1012 AB Amsterdam"
+const POSTCODE_CITY = `(?:[A-Z]-)?\\d{4,5}(?:[ \\t]?[A-Z]{2})?[ \\t]+${NAME_WORD}(?:[ \\t-]${NAME_WORD})?`;
+const CITY_TAIL = `(?:[ \\t]*[,–-][ \\t]*${POSTCODE_CITY}|,[ \\t]*${NAME_WORD})?`;
+// "NW1 6XE", "SW1A 1AA"
+const UK_POSTCODE = '[A-Z]{1,2}\\d[A-Z\\d]?[ \\t]+\\d[A-Z]{2}';
+// "12 Baker Street" (optionally ", London" and a UK postcode or a US state
+// + ZIP; city words start with "Xx", so the "NW" of "NW1 6XE" or a "TX"
+// stays with the postcode), a bare "Austin, TX 78701", continental streets
+// with an optional postcode and city, a postcode and city on their own, and
+// UK postcodes
+const ADDRESS_PATTERNS = [
+  new RegExp(`\\b\\d{1,5}[ \\t]+(?:[A-Z][\\w'-]*[ \\t]+){1,3}(?:${STREET_TYPES})\\b\\.?(?:,[ \\t]*[A-Z][a-z][a-zA-Z]*(?: [A-Z][a-z][a-zA-Z]*)?\\b)?(?:,?[ \\t]*${UK_POSTCODE}\\b|,?[ \\t]*[A-Z]{2}[ \\t]+\\d{5}(?:-\\d{4})?)?`, 'g'),
+  /\b[A-Z][a-z]+(?: [A-Z][a-z]+)?,[ \t]*[A-Z]{2}[ \t]+\d{5}(?:-\d{4})?\b/g,
+  new RegExp(`(?<![\\p{L}/])(?:${STREET_PREFIXES})[ \\t]+(?:${CONNECTOR}[ \\t]*)?${NAME_WORD}(?:[ \\t]+(?:${CONNECTOR}|${NAME_WORD})){0,3},?[ \\t]+\\d{1,4}[a-zA-Z]?\\b${CITY_TAIL}`, 'gu'),
+  new RegExp(`\\b\\d{1,4}(?:[ \\t]?(?:bis|ter))?,?[ \\t]+(?:${FRENCH_STREET_TYPES})[ \\t]+(?:${CONNECTOR}[ \\t]*)*${NAME_WORD}(?:[ \\t]+(?:${CONNECTOR}|${NAME_WORD})){0,3}${CITY_TAIL}`, 'gu'),
+  new RegExp(`(?<![\\p{L}])(?:${NAME_WORD}[ \\t]+)?(?:\\p{Lu}[\\p{L}-]*?(?:${STREET_SUFFIXES})|Straße|Str\\.)[ \\t]+\\d{1,4}[a-zA-Z]?\\b${CITY_TAIL}`, 'gu'),
+  new RegExp(`(?<=^|,[ \\t]*|[|•·][ \\t]*)${POSTCODE_CITY}(?=[ \\t]*(?:$|[,|•·]))`, 'gmu'),
+  new RegExp(`\\b${UK_POSTCODE}\\b`, 'g'),
+];
+
+const TOKEN_PATTERN = new RegExp(`\\[(?:${Object.values(PII_TYPES).map(t => t.token).join('|')})(?:_\\d+)?\\]`, 'g');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lowercase particles inside a name ("Anna de Vries", "Ludwig van Beethoven")
+const NAME_PARTICLES = new Set(['de', 'del', 'della', 'di', 'da', 'das', 'do', 'dos', 'du', 'la', 'le', 'van', 'von', 'der', 'den', 'ter', 'ten', 'y', 'e', 'bin', 'al']);
+
+// The candidate's name is usually the first line: two to four capitalised
+// words in any alphabet (plus particles), no digits or symbols, and not a
+// section heading.
+export const findName = (text) => {
+  const first = (text || '').split('\n').map(line => line.trim()).find(Boolean);
+  if (!first || classifyHeading(first)) return null;
+  const words = first.split(/\s+/);
+  const capitalised = words.filter(word => /^\p{Lu}[\p{L}'’.-]*$/u.test(word));
+  const isPart = (word, i) => capitalised.includes(word) || (i > 0 && i < words.length - 1 && NAME_PARTICLES.has(word));
+  const isName = capitalised.length >= 2 && capitalised.length <= 4 && words.every(isPart);
+  return isName ? first : null;
+};
+
+// Returns { text, replacements: [{ token, type, value }] }.
+export const redactPii = (input) => {
+  const replacements = [];
+  const counters = {};
+
+  const tokenFor = (type, value) => {
+    const existing = replacements.find(r => r.type === type && r.value.toLowerCase() === value.toLowerCase());
+    if (existing) return existing.token;
+    counters[type] = (counters[type] || 0) + 1;
+    const token = type === 'name' ? `[${PII_TYPES.name.token}]` : `[${PII_TYPES[type].token}_${counters[type]}]`;
+    replacements.push({ token, type, value });
+    return token;
+  };
+
+  // Emails and links go first so the name inside "jane.doe@..." is not split up
+  let text = input || '';
+  text = text.replace(new RegExp(EMAIL_PATTERN.source, 'g'), match => tokenFor('email', match));
+  text = text.replace(URL_PATTERN, match => {
+    const trailing = match.match(/[.,;:)]+$/)?.[0] || '';
+    return tokenFor('url', match.slice(0, match.length - trailing.length)) + trailing;
+  });
+  ADDRESS_PATTERNS.forEach(pattern => {
+    text = text.replace(pattern, match => tokenFor('address', match));
+  });
+  text = text.replace(PHONE_PATTERN, match => (isLikelyPhone(match) ? tokenFor('phone', match.trim()) : match));
+
+  const name = findName(input);
+  if (name) text = text.replace(new RegExp(`(?<![\\p{L}\\d])${escapeRegExp(name)}(?![\\p{L}\\d])`, 'giu'), () => tokenFor('name', name));
+
+  return { text, replacements };
+};
+
+export const restorePii = (text, replacements) => {
+  if (typeof text !== 'string' || !replacements.length) return text;
+  return text.replace(TOKEN_PATTERN, token => replacements.find(r => r.token === token)?.value ?? token);
+};
+
+// The reverse of restorePii: swaps details already found in the resume for
+// their tokens, e.g. in text generated from it that is sent back out
+export const reapplyRedactions = (text, replacements) => replacements.reduce(
+  (current, { token, value }) => current.replace(new RegExp(escapeRegExp(value), 'gi'), token),
+  text || '',
+);
+
+// Puts the personal details back into a (partial or final) analysis result
+export const restoreAnalysis = (result, replacements) => {
+  if (!result || !replacements.length) return result;
+  const restore = (text) => restorePii(text, replacements);
+  return {
+    ...result,
+    ...(result.summary !== undefined && { summary: restore(result.summary) }),
+    ...(result.bulletPoints && {
+      bulletPoints: result.bulletPoints.map(item => ({ ...item, original: restore(item.original), improved: restore(item.improved) })),
+    }),
+    ...(result.missingKeywords && { missingKeywords: result.missingKeywords.map(restore) }),
+    ...(result.softSkills && { softSkills: result.softSkills.map(restore) }),
+  };
+};
+
+// Splits redacted text into plain and token segments for the preview
+export const splitTokens = (text) => {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    parts.push({ text: match[0], token: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+};
@@ -0,0 +1,32 @@
+// ==========================================
+// 🖍️ RESUME ANNOTATIONS
+// Pins each issue to the line of the resume where it was found, for the
+// annotated copy in the PDF report.
+// ==========================================
+import { QUANTIFIER_PATTERN, WEAK_VERBS } from '../stats.js';
+import { isBulletLine } from '../import/normalize.js';
+import { findSuggestionLine } from '../rewrites.js';
+
+const LONG_LINE_WORDS = 30;
+const HAS_QUANTIFIER = new RegExp(QUANTIFIER_PATTERN.source, 'i');
+
+// Returns one entry per line: { number, text, notes: [string] }.
+export const annotateResume = (text, { bulletPoints = [] } = {}) => {
+  const lines = (text || '').split('\n');
+  const notes = lines.map(() => []);
+
+  bulletPoints.forEach((item, i) => {
+    const index = findSuggestionLine(text, item.original);
+    if (index !== -1) notes[index].push(`AI rewrite #${i + 1} suggested`);
+  });
+
+  lines.forEach((line, i) => {
+    const words = line.split(/\s+/).filter(Boolean);
+    const weak = words.map(w => w.toLowerCase().replace(/[^a-z]/g, '')).filter(w => WEAK_VERBS.includes(w));
+    if (weak.length) notes[i].push(`Weak verb: ${[...new Set(weak)].map(w => `"${w}"`).join(', ')}`);
+    if (isBulletLine(line) && !HAS_QUANTIFIER.test(line)) notes[i].push("No measurable result");
+    if (words.length > LONG_LINE_WORDS) notes[i].push(`Long line (${words.length} words)`);
+  });
+
+  return lines.map((line, i) => ({ number: i + 1, text: line, notes: notes[i] }));
+};
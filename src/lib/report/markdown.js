@@ -0,0 +1,76 @@
+// ==========================================
+// 📝 MARKDOWN REPORT
+// The same sections as the PDF report, as plain Markdown for terminals,
+// tickets and email. `report` is the object returned by runAnalysis.
+// ==========================================
+import { overallScore } from '../pipeline.js';
+import { DEFAULT_LANGUAGE, LANGUAGES } from '../language.js';
+
+const SCORE_ROWS = [
+  { key: 'impactScore', title: "Impact Score" },
+  { key: 'verbScore', title: "Action Verbs" },
+  { key: 'brevityScore', title: "Brevity" },
+];
+
+// Bullets worth rewriting first
+const WEAKEST_BULLETS = 3;
+
+export const reportToMarkdown = (report) => {
+  const { stats, aiResult, keywordMatch, atsReport, fatalFlaws, bulletScores, jobDesc, language } = report;
+  const score = overallScore(report);
+  const out = ["# CV Pulse Resume Report", ""];
+
+  out.push(score === null ? "**Overall score:** n/a" : `**Overall score:** ${score}/100${aiResult.isOffline ? " (offline analysis)" : ''}`);
+  if (aiResult?.summary) out.push("", `> ${aiResult.summary}`);
+
+  out.push("", "## Scores", "", "| Check | Score |", "| --- | --- |");
+  SCORE_ROWS.forEach(row => out.push(`| ${row.title} | ${stats[row.key]}/100 |`));
+  if (atsReport) {
+    out.push(`| ATS Readability | ${atsReport.readability.score}/100 |`);
+    out.push(`| Structure & Formatting | ${atsReport.structure.score}/100 |`);
+  }
+  out.push(`| Keyword Match | ${keywordMatch ? `${keywordMatch.score}/100` : 'n/a'} |`);
+  out.push("", language && language !== DEFAULT_LANGUAGE ? `${stats.wordCount} words, written in ${LANGUAGES[language].label}.` : `${stats.wordCount} words.`);
+
+  if (atsReport) {
+    const deductions = [...atsReport.readability.deductions, ...atsReport.structure.deductions];
+    if (deductions.length) out.push("", "## ATS Issues", "", ...deductions.map(d => `- −${d.points} **${d.label}**: ${d.detail}`));
+  }
+
+  if (fatalFlaws?.flaws.length) {
+    out.push("", "## Fatal Flaws", "");
+    fatalFlaws.flaws.forEach(flaw => {
+      out.push(`- **${flaw.label}** (${flaw.severity}): ${flaw.detail}`);
+      flaw.examples.slice(0, 2).forEach(example => out.push(`  - Line ${example.line}: ${example.text.trim()}`));
+    });
+  }
+
+  const weakest = (bulletScores?.lines || [])
+    .filter(line => line.result && line.result.grade !== 'strong')
+    .sort((a, b) => a.result.score - b.result.score)
+    .slice(0, WEAKEST_BULLETS);
+  if (weakest.length) {
+    out.push("", "## Weakest Bullets", "");
+    weakest.forEach(line => out.push(`- Line ${line.number} (${line.result.score}/100): ${line.text.trim()}`));
+  }
+
+  out.push("", "## Missing Keywords", "");
+  if (!keywordMatch) {
+    out.push(jobDesc ? "No keywords could be extracted from the job description." : "Add a job description (`--jd`) to compare against.");
+  } else if (!keywordMatch.missing.length) {
+    out.push("No missing keywords found.");
+  } else {
+    out.push(keywordMatch.missing.map(kw => `${kw.keyword} (+${kw.points} pts)`).join(', '));
+  }
+
+  if (aiResult) {
+    out.push("", aiResult.isOffline ? "## Improvement Suggestions" : "## AI Improvement Suggestions", "");
+    if (!aiResult.bulletPoints.length) out.push("No rewrites were suggested.");
+    aiResult.bulletPoints.forEach((item, i) => {
+      out.push(`${i + 1}. ~~${item.original}~~`, `   ${item.improved}`);
+    });
+    if (aiResult.softSkills.length) out.push("", `**Soft skills detected:** ${aiResult.softSkills.join(', ')}`);
+  }
+
+  return out.join('\n') + '\n';
+};
@@ -0,0 +1,309 @@
+// ==========================================
+// 🧾 PDF REPORT
+// Builds the downloadable report entirely in the browser, so nothing about
+// the scan leaves it. jsPDF is only fetched the first time someone downloads
+// a report.
+// `report` is { stats, aiResult, keywordMatch, atsReport, aiKeywords,
+// resumeText, jobDesc }; everything except stats and resumeText is optional.
+// ==========================================
+import { annotateResume } from './annotations.js';
+
+const MARGIN = 48;
+const HEADER_HEIGHT = 40;
+const FOOTER_HEIGHT = 28;
+
+const COLORS = {
+  brand: [79, 70, 229],
+  ink: [30, 41, 59],
+  muted: [100, 116, 139],
+  faint: [148, 163, 184],
+  line: [226, 232, 240],
+  green: [22, 163, 74],
+  rose: [225, 29, 72],
+  amber: [245, 158, 11],
+  highlight: [254, 243, 199],
+};
+
+const SCORE_CARDS = [
+  { key: 'impactScore', title: "Impact Score", color: [16, 185, 129], description: "Use of numbers, metrics and dollar signs to prove value." },
+  { key: 'verbScore', title: "Action Verbs", color: [59, 130, 246], description: "Strong leadership verbs vs passive ones." },
+  { key: 'brevityScore', title: "Brevity", color: [168, 85, 247], description: "Short, punchy sentences perform best in ATS." },
+];
+
+// The built-in PDF fonts only cover Latin-1, so swap typographic characters
+// for plain ones and drop anything else that would print as garbage.
+const pdfSafe = (text) => String(text ?? '')
+  .replace(/[•●○◦▪■□‣∙⁃➢➤►▶✓✔❖]/g, '-')
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/…/g, '...')
+  .replace(/→/g, '->')
+  .replace(/[^\t\n\r\x20-\x7E\xA0-\xFF]/g, '');
+
+let jsPdfPromise = null;
+const loadJsPdf = () => {
+  if (!jsPdfPromise) jsPdfPromise = import('jspdf').then(module => module.jsPDF);
+  return jsPdfPromise;
+};
+
+// A cursor that flows text down the page and starts a new one when full.
+const createWriter = (doc) => {
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  const top = MARGIN + HEADER_HEIGHT;
+  const bottom = height - MARGIN - FOOTER_HEIGHT;
+  const contentWidth = width - MARGIN * 2;
+  let y = top;
+
+  const writer = {
+    width,
+    contentWidth,
+    get y() { return y; },
+    set y(value) { y = value; },
+
+    ensure(space) {
+      if (y + space > bottom) {
+        doc.addPage();
+        y = top;
+      }
+    },
+
+    setStyle({ size = 10, style = 'normal', color = COLORS.ink } = {}) {
+      doc.setFont('helvetica', style);
+      doc.setFontSize(size);
+      doc.setTextColor(...color);
+    },
+
+    // Wrapped text; returns the lines written so callers can measure.
+    paragraph(text, { size = 10, style = 'normal', color = COLORS.ink, indent = 0, gap = 6, maxWidth } = {}) {
+      writer.setStyle({ size, style, color });
+      const lineHeight = size * 1.35;
+      const lines = doc.splitTextToSize(pdfSafe(text), maxWidth || contentWidth - indent);
+      lines.forEach(line => {
+        writer.ensure(lineHeight);
+        doc.text(line, MARGIN + indent, y + size);
+        y += lineHeight;
+      });
+      y += gap;
+      return lines;
+    },
+
+    heading(text) {
+      writer.ensure(40);
+      y += 8;
+      writer.paragraph(text, { size: 14, style: 'bold', gap: 2 });
+      doc.setDrawColor(...COLORS.brand);
+      doc.setLineWidth(1.5);
+      doc.line(MARGIN, y, MARGIN + 36, y);
+      y += 12;
+    },
+
+    bar(label, value, color) {
+      writer.ensure(30);
+      writer.setStyle({ size: 10, style: 'bold' });
+      doc.text(pdfSafe(label), MARGIN, y + 10);
+      doc.text(`${value}%`, MARGIN + contentWidth, y + 10, { align: 'right' });
+      y += 16;
+      doc.setFillColor(...COLORS.line);
+      doc.roundedRect(MARGIN, y, contentWidth, 6, 3, 3, 'F');
+      if (value > 0) {
+        doc.setFillColor(...color);
+        doc.roundedRect(MARGIN, y, Math.max(6, contentWidth * value / 100), 6, 3, 3, 'F');
+      }
+      y += 14;
+    },
+  };
+  return writer;
+};
+
+const writeOverview = (doc, w, { stats, aiResult, jobDesc }) => {
+  w.paragraph("Resume Report", { size: 22, style: 'bold', gap: 2 });
+  w.paragraph(`Generated ${new Date().toLocaleString()}`, { size: 9, color: COLORS.muted, gap: 2 });
+  if (jobDesc) {
+    w.paragraph(`Compared against: "${jobDesc.slice(0, 140).trim()}${jobDesc.length > 140 ? '...' : ''}"`, { size: 9, color: COLORS.muted, gap: 2 });
+  }
+  if (aiResult?.isOffline) {
+    w.paragraph("Offline analysis: the overall score, summary and rewrites come from CV Pulse's built-in rules, not a language model.", { size: 9, color: COLORS.muted, gap: 2 });
+  }
+  w.y += 10;
+
+  // Overall score panel
+  w.ensure(110);
+  const panelTop = w.y;
+  doc.setFillColor(15, 23, 42);
+  doc.roundedRect(MARGIN, panelTop, w.contentWidth, 96, 8, 8, 'F');
+  const score = aiResult?.score ?? null;
+  w.setStyle({ size: 10, color: [203, 213, 225] });
+  doc.text("Overall Quality", MARGIN + 20, panelTop + 24);
+  const scoreText = score === null ? '-' : String(score);
+  w.setStyle({ size: 36, style: 'bold', color: [255, 255, 255] });
+  doc.text(scoreText, MARGIN + 20, panelTop + 66);
+  const scoreWidth = doc.getTextWidth(scoreText);
+  w.setStyle({ size: 12, color: COLORS.faint });
+  doc.text("/100", MARGIN + 20 + scoreWidth + 6, panelTop + 66);
+  w.setStyle({ size: 10, style: 'italic', color: [226, 232, 240] });
+  const summaryLines = doc.splitTextToSize(pdfSafe(aiResult?.summary ? `"${aiResult.summary}"` : "No AI analysis available."), w.contentWidth - 190);
+  doc.text(summaryLines.slice(0, 5), MARGIN + 170, panelTop + 26);
+  w.y = panelTop + 112;
+
+  // The three score cards, side by side
+  w.ensure(96);
+  const gap = 12;
+  const cardWidth = (w.contentWidth - gap * 2) / 3;
+  const cardTop = w.y;
+  SCORE_CARDS.forEach((card, i) => {
+    const x = MARGIN + i * (cardWidth + gap);
+    doc.setDrawColor(...COLORS.line);
+    doc.setLineWidth(1);
+    doc.roundedRect(x, cardTop, cardWidth, 84, 6, 6, 'S');
+    doc.setFillColor(...card.color);
+    doc.rect(x, cardTop + 8, 3, 20, 'F');
+    w.setStyle({ size: 9, color: COLORS.muted });
+    doc.text(card.title, x + 12, cardTop + 20);
+    w.setStyle({ size: 18, style: 'bold' });
+    doc.text(`${stats?.[card.key] ?? 0}/100`, x + 12, cardTop + 44);
+    w.setStyle({ size: 7.5, color: COLORS.faint });
+    doc.text(doc.splitTextToSize(card.description, cardWidth - 20).slice(0, 3), x + 12, cardTop + 58);
+  });
+  w.y = cardTop + 96;
+};
+
+const writeDeductions = (w, deductions) => {
+  deductions.forEach(d => {
+    w.paragraph(`-${d.points}  ${d.label}: ${d.detail}`, { size: 8.5, color: COLORS.muted, indent: 10, gap: 1 });
+  });
+  w.y += 6;
+};
+
+const writeBreakdown = (doc, w, { atsReport, keywordMatch, jobDesc }) => {
+  w.heading("Detailed Breakdown");
+  if (atsReport) {
+    w.bar("ATS Readability", atsReport.readability.score, [79, 70, 229]);
+    writeDeductions(w, atsReport.readability.deductions);
+  }
+  if (keywordMatch) {
+    w.bar("Keyword Match", keywordMatch.score, COLORS.amber);
+    w.y += 6;
+  } else {
+    w.paragraph(jobDesc ? "Keyword Match: no keywords could be extracted from the job description." : "Keyword Match: add a job description to compare against.", { size: 9, color: COLORS.muted });
+  }
+  if (atsReport) {
+    w.bar("Structure & Formatting", atsReport.structure.score, [16, 185, 129]);
+    writeDeductions(w, atsReport.structure.deductions);
+  }
+};
+
+const writeRewrites = (doc, w, { aiResult }) => {
+  const bullets = aiResult?.bulletPoints || [];
+  w.heading("AI Improvement Suggestions");
+  if (!bullets.length) {
+    w.paragraph("No rewrites were suggested.", { size: 9, color: COLORS.muted });
+    return;
+  }
+  bullets.forEach((item, i) => {
+    w.ensure(60);
+    w.paragraph(`#${i + 1}  Before`, { size: 8, style: 'bold', color: COLORS.rose, gap: 1 });
+    w.paragraph(item.original, { size: 9.5, color: COLORS.muted, indent: 10, gap: 3 });
+    w.paragraph("After", { size: 8, style: 'bold', color: COLORS.green, gap: 1 });
+    w.paragraph(item.improved, { size: 9.5, style: 'bold', indent: 10, gap: 10 });
+  });
+};
+
+const writeSkills = (doc, w, { keywordMatch, aiKeywords = [], aiResult }) => {
+  w.heading("Missing Skills & Keywords");
+  const missing = keywordMatch?.missing || [];
+  if (!missing.length && !aiKeywords.length) {
+    w.paragraph(keywordMatch ? "No missing keywords found." : "Add a job description to find missing keywords.", { size: 9, color: COLORS.muted });
+  }
+  if (missing.length) {
+    w.paragraph(missing.map(kw => `${kw.keyword} (+${kw.points} pts)`).join(',  '), { size: 9.5 });
+  }
+  if (aiKeywords.length) {
+    w.paragraph(`Suggested by the AI: ${aiKeywords.join(', ')}`, { size: 9.5, color: COLORS.muted });
+  }
+  if (keywordMatch?.matched?.length) {
+    w.paragraph(`Already matched: ${keywordMatch.matched.map(kw => kw.keyword).join(', ')}`, { size: 9, color: COLORS.green });
+  }
+
+  w.heading("Soft Skills Detected");
+  const softSkills = aiResult?.softSkills || [];
+  w.paragraph(softSkills.length ? softSkills.join(', ') : "None detected.", { size: 9.5, color: softSkills.length ? COLORS.ink : COLORS.muted });
+};
+
+// Every line of the resume, numbered, with flagged lines highlighted and
+// their issues listed underneath.
+const writeAnnotatedResume = (doc, w, { resumeText, aiResult }) => {
+  doc.addPage();
+  w.y = MARGIN + HEADER_HEIGHT;
+  w.heading("Annotated Resume");
+  w.paragraph("Highlighted lines have issues listed beneath them.", { size: 9, color: COLORS.muted, gap: 10 });
+
+  const lines = annotateResume(resumeText, { bulletPoints: aiResult?.bulletPoints });
+  lines.forEach(({ number, text, notes }) => {
+    w.setStyle({ size: 9 });
+    const wrapped = doc.splitTextToSize(pdfSafe(text) || ' ', w.contentWidth - 34);
+    const blockHeight = wrapped.length * 12 + notes.length * 11;
+    w.ensure(Math.min(blockHeight, 120) + 2);
+
+    if (notes.length) {
+      doc.setFillColor(...COLORS.highlight);
+      doc.rect(MARGIN + 26, w.y, w.contentWidth - 26, wrapped.length * 12 + 2, 'F');
+    }
+    w.setStyle({ size: 7.5, color: COLORS.faint });
+    doc.text(String(number), MARGIN + 18, w.y + 9, { align: 'right' });
+    w.setStyle({ size: 9 });
+    wrapped.forEach(line => {
+      w.ensure(12);
+      doc.text(line, MARGIN + 30, w.y + 9);
+      w.y += 12;
+    });
+    notes.forEach(note => {
+      w.ensure(11);
+      w.setStyle({ size: 7.5, style: 'bold', color: COLORS.rose });
+      doc.text(`^ ${note}`, MARGIN + 30, w.y + 8);
+      w.y += 11;
+    });
+    w.y += 1;
+  });
+};
+
+const writeChrome = (doc, w) => {
+  const pages = doc.getNumberOfPages();
+  const height = doc.internal.pageSize.getHeight();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setFillColor(...COLORS.brand);
+    doc.rect(0, 0, w.width, 6, 'F');
+    w.setStyle({ size: 11, style: 'bold', color: COLORS.brand });
+    doc.text("CV Pulse", MARGIN, MARGIN);
+    w.setStyle({ size: 8, color: COLORS.faint });
+    doc.text("Resume Report", w.width - MARGIN, MARGIN, { align: 'right' });
+    doc.setDrawColor(...COLORS.line);
+    doc.setLineWidth(0.5);
+    doc.line(MARGIN, height - MARGIN - 8, w.width - MARGIN, height - MARGIN - 8);
+    doc.text("Generated with CV Pulse", MARGIN, height - MARGIN + 6);
+    doc.text(`Page ${page} of ${pages}`, w.width - MARGIN, height - MARGIN + 6, { align: 'right' });
+  }
+};
+
+// Resolves with a jsPDF document; call .save(filename) or .output('blob').
+export const buildReportPdf = async (report, { annotate = false } = {}) => {
+  const JsPdf = await loadJsPdf();
+  const doc = new JsPdf({ unit: 'pt', format: 'a4' });
+  const w = createWriter(doc);
+
+  writeOverview(doc, w, report);
+  writeBreakdown(doc, w, report);
+  writeRewrites(doc, w, report);
+  writeSkills(doc, w, report);
+  if (annotate && report.resumeText) writeAnnotatedResume(doc, w, report);
+  writeChrome(doc, w);
+
+  return doc;
+};
+
+export const downloadReportPdf = async (report, options) => {
+  const doc = await buildReportPdf(report, options);
+  doc.save(`cv-pulse-report-${new Date().toISOString().slice(0, 10)}.pdf`);
+};
@@ -0,0 +1,90 @@
+// ==========================================
+// 🔁 REQUEST LIFECYCLE
+// Runs a request with cancellation, a timeout and automatic retries.
+// ==========================================
+import { createAnalysisError } from './errors.js';
+
+export const DEFAULT_REQUEST_SETTINGS = { timeoutSec: 60, retries: 2 };
+const TIMEOUT_RANGE = [10, 300];
+const MAX_RETRIES = 5;
+
+// Pull the request settings out of the model picker's settings, clamped to
+// sane values (the inputs are free-form while the user types).
+export const requestSettingsFrom = (settings) => {
+  const timeoutSec = Number(settings?.timeoutSec) || DEFAULT_REQUEST_SETTINGS.timeoutSec;
+  const retries = Number.isInteger(settings?.retries) ? settings.retries : DEFAULT_REQUEST_SETTINGS.retries;
+  return {
+    timeoutSec: Math.min(TIMEOUT_RANGE[1], Math.max(TIMEOUT_RANGE[0], timeoutSec)),
+    retries: Math.min(MAX_RETRIES, Math.max(0, retries)),
+  };
+};
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 15000;
+
+// Exponential backoff with jitter: ~1s, ~2s, ~4s, ... capped at 15s.
+export const backoffDelay = (attempt) =>
+  Math.round(Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt) * (0.75 + Math.random() * 0.5));
+
+const cancelledError = () => createAnalysisError('cancelled', "The analysis was cancelled.");
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(cancelledError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// `task({ signal, touch, attempt })` must honour `signal`. The timeout is an
+// idle timeout: a streaming task calls `touch()` whenever data arrives, so a
+// long answer that keeps producing output is never cut off.
+// Failures marked `retryable` (rate limits, 5xx, network, timeouts) are retried
+// up to `retries` times; `onRetry` hears about each wait. Aborting `signal`
+// rejects with code 'cancelled', including while waiting to retry.
+export const runWithRetry = async (task, {
+  signal,
+  timeoutSec = DEFAULT_REQUEST_SETTINGS.timeoutSec,
+  retries = DEFAULT_REQUEST_SETTINGS.retries,
+  onRetry,
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw cancelledError();
+
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    let timer;
+    const touch = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutSec * 1000);
+    };
+    signal?.addEventListener('abort', abort, { once: true });
+    touch();
+
+    let failure;
+    try {
+      return await task({ signal: controller.signal, touch, attempt });
+    } catch (error) {
+      if (signal?.aborted) throw cancelledError();
+      failure = timedOut
+        ? createAnalysisError('timeout', `No response from the AI within ${timeoutSec} seconds.`, { retryable: true })
+        : error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+
+    if (!failure.retryable || attempt >= retries) throw failure;
+    const delayMs = backoffDelay(attempt);
+    onRetry?.({ attempt: attempt + 1, retries, delayMs, error: failure });
+    await sleep(delayMs, signal);
+  }
+};
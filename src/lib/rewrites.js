@@ -0,0 +1,75 @@
+// ==========================================
+// ✍️ APPLYING REWRITES
+// The AI quotes the bullet it wants to improve, but rarely character for
+// character: it drops the bullet marker, fixes a typo or trims the end.
+// We find the resume line it meant and swap in the rewrite, keeping the
+// line's own marker and indentation.
+// ==========================================
+import { BULLET_GLYPHS } from './import/normalize.js';
+
+const MARKER_PATTERN = new RegExp(`^(\\s*(?:[${BULLET_GLYPHS.join('')}]|[-*–—+])\\s*)`);
+const MIN_OVERLAP = 0.6;
+
+const stripMarker = (line) => line.replace(MARKER_PATTERN, '');
+
+const comparable = (line) => stripMarker(line)
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const overlap = (a, b) => {
+  const wordsA = new Set(a.split(' '));
+  const wordsB = new Set(b.split(' '));
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / Math.max(wordsA.size, wordsB.size);
+};
+
+// Index of the line the suggestion refers to, or -1. Tries an exact match,
+// then containment (the AI quoted half a line), then word overlap.
+export const findSuggestionLine = (text, original) => {
+  const target = comparable(original || '');
+  if (!target) return -1;
+  const lines = (text || '').split('\n').map(comparable);
+
+  const exact = lines.indexOf(target);
+  if (exact !== -1) return exact;
+
+  const contained = lines.findIndex(line => line.length >= 20 && (line.includes(target) || target.includes(line)));
+  if (contained !== -1) return contained;
+
+  let best = -1;
+  let bestOverlap = MIN_OVERLAP;
+  lines.forEach((line, i) => {
+    if (!line) return;
+    const score = overlap(line, target);
+    if (score >= bestOverlap) {
+      best = i;
+      bestOverlap = score;
+    }
+  });
+  return best;
+};
+
+// Returns { text, change: { before, after } } with the exact lines swapped
+// (kept so the change can be undone), or null when the line cannot be found.
+export const applyRewrite = (text, original, replacement) => {
+  const index = findSuggestionLine(text, original);
+  if (index === -1) return null;
+
+  const lines = text.split('\n');
+  const before = lines[index];
+  const marker = (before.match(MARKER_PATTERN) || [''])[0];
+  lines[index] = marker + stripMarker(replacement.trim());
+  return { text: lines.join('\n'), change: { before, after: lines[index] } };
+};
+
+// Put back the line an applyRewrite change replaced. Returns null if the
+// rewritten line is no longer in the text.
+export const revertRewrite = (text, { before, after }) => {
+  const lines = text.split('\n');
+  const index = lines.indexOf(after);
+  if (index === -1) return null;
+  lines[index] = before;
+  return lines.join('\n');
+};
@@ -0,0 +1,64 @@
+// ==========================================
+// 📐 RUBRIC SETTINGS
+// Which scoring profile is selected, plus the profiles the user imported.
+// Remembered in localStorage.
+// ==========================================
+import { DEFAULT_RUBRIC, getRubric, validateRubric } from './rubrics.js';
+
+const STORAGE_KEY = 'cv-pulse:rubric-settings';
+
+export const DEFAULT_RUBRIC_SETTINGS = { selected: DEFAULT_RUBRIC, imported: [] };
+
+// Stored profiles are validated again, so an older or hand-edited entry
+// cannot break scoring
+export const loadRubricSettings = () => {
+  try {
+    const saved = { ...DEFAULT_RUBRIC_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+    const imported = (Array.isArray(saved.imported) ? saved.imported : [])
+      .map(profile => ({ id: profile?.id, check: validateRubric(profile) }))
+      .filter(({ id, check }) => typeof id === 'string' && check.valid)
+      .map(({ id, check }) => ({ ...check.value, id }));
+    return { selected: saved.selected, imported };
+  } catch {
+    return DEFAULT_RUBRIC_SETTINGS;
+  }
+};
+
+export const saveRubricSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Private mode or quota exceeded: the choice just won't persist
+  }
+};
+
+// The profile to score with; falls back to the default when the selected
+// one was removed
+export const selectedRubric = (settings) => (
+  getRubric(settings.selected) || settings.imported.find(profile => profile.id === settings.selected) || getRubric(DEFAULT_RUBRIC)
+);
+
+// Imported ids are prefixed so they never collide with a built-in profile
+const importedId = (label, imported) => {
+  const base = `custom-${label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile'}`;
+  let id = base;
+  for (let n = 2; imported.some(profile => profile.id === id); n++) id = `${base}-${n}`;
+  return id;
+};
+
+// Adds and selects an imported profile. Returns { settings, warnings }, or
+// { errors } when the profile is not valid.
+export const importRubric = (settings, input) => {
+  const { valid, errors, warnings, value } = validateRubric(input);
+  if (!valid) return { errors };
+  const profile = { ...value, id: importedId(value.label, settings.imported) };
+  return {
+    settings: { selected: profile.id, imported: [...settings.imported, profile] },
+    warnings,
+  };
+};
+
+export const removeImportedRubric = (settings, id) => ({
+  selected: settings.selected === id ? DEFAULT_RUBRIC : settings.selected,
+  imported: settings.imported.filter(profile => profile.id !== id),
+});
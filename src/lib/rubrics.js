@@ -0,0 +1,328 @@
+// ==========================================
+// 📐 SCORING RUBRICS
+// What counts as a strong verb, a measurable result or a readable sentence
+// depends on the field. A rubric profile declares all of it, plus how the
+// checks are weighted and what the model is told, so the local scores and
+// the AI prompt judge a resume by the same standard. Profiles are plain
+// JSON so users can import their own. Shared by the client and the server.
+// ==========================================
+import { detectIndustry } from './benchmark.js';
+import { DEFAULT_LANGUAGE, LANGUAGES } from './language.js';
+
+export const DEFAULT_RUBRIC = 'software';
+
+// `verbs.strong` and `verbs.weak` are English. For other languages the
+// built-in lexicon in language.js is used, plus any words a profile lists
+// under `verbs.byLanguage`, e.g. { de: { strong: ['skaliert'], weak: [] } }.
+// `quantifiers` are regular expression sources, matched case-insensitively.
+// Brevity: an average sentence above `idealMax` words scores `long`, one
+// above `idealMin` scores `ideal`, anything shorter `short`.
+// `weights` are how much each local check counts towards the offline score.
+// `industries` link a profile to the fields detectIndustry() recognizes.
+export const RUBRIC_PROFILES = {
+  software: {
+    label: "Software Engineering",
+    description: "Shipped systems, scale and measurable engineering wins. The original CV Pulse rubric.",
+    role: "Software Engineering",
+    industries: ['software', 'data'],
+    verbs: {
+      strong: ['spearheaded', 'orchestrated', 'developed', 'engineered', 'implemented', 'generated', 'increased', 'reduced', 'launched', 'optimized', 'automated'],
+      weak: ['helped', 'worked', 'responsible', 'assisted', 'participated', 'involved', 'contributed'],
+    },
+    quantifiers: ['\\d+%', '\\$\\d+', '\\d+k', '\\d+m', '\\d+\\+'],
+    impact: { multiplier: 1.5 },
+    brevity: { idealMin: 15, idealMax: 25, scores: { short: 80, ideal: 100, long: 40 } },
+    weights: { impact: 0.25, verbs: 0.15, brevity: 0.1, bullets: 0.2, ats: 0.15, keywords: 0.15 },
+    prompt: {
+      reviewer: "an elite Technical Recruiter and Resume Strategist with 15 years of experience at FAANG companies",
+      impact: "numbers ($, %, +)",
+      rewrite: "the Google XYZ formula: \"Accomplished [X] as measured by [Y], by doing [Z].\"",
+      notes: [],
+    },
+  },
+  nursing: {
+    label: "Nursing & Clinical",
+    description: "Patient outcomes, safety, caseloads and certifications rather than revenue or growth figures.",
+    role: "Registered Nurse",
+    industries: ['healthcare'],
+    verbs: {
+      strong: ['administered', 'assessed', 'triaged', 'monitored', 'stabilized', 'educated', 'advocated', 'coordinated', 'implemented', 'reduced', 'improved', 'precepted', 'documented', 'managed', 'trained'],
+      weak: ['helped', 'worked', 'responsible', 'participated', 'involved', 'tasked'],
+    },
+    quantifiers: ['\\d+%', '\\d+:\\d+', '\\d+[- ]bed', '\\d+\\s?patients', '\\d+\\s?(hours|shifts|beds|units)', '\\d+\\+'],
+    impact: { multiplier: 2 },
+    brevity: { idealMin: 10, idealMax: 22, scores: { short: 85, ideal: 100, long: 45 } },
+    weights: { impact: 0.15, verbs: 0.15, brevity: 0.1, bullets: 0.15, ats: 0.2, keywords: 0.25 },
+    prompt: {
+      reviewer: "a senior Nurse Recruiter and former charge nurse who has hired for hospitals, clinics and long-term care",
+      impact: "patient numbers, nurse-to-patient ratios, unit sizes or outcome percentages",
+      rewrite: "a clinical achievement format: \"[Action] for [patient population or unit], resulting in [patient, safety or efficiency outcome].\"",
+      notes: [
+        "Licenses and certifications (RN, BLS, ACLS, PALS, specialty certifications) are required keywords; flag any that the job description asks for but the resume lacks.",
+        "Do not penalize the absence of revenue or growth figures. Patient safety, satisfaction scores, ratios and unit type are the evidence of impact here.",
+      ],
+    },
+  },
+  design: {
+    label: "Product & UX Design",
+    description: "Research, iteration and user outcomes, with a portfolio doing much of the talking.",
+    role: "Product Designer",
+    industries: ['product'],
+    verbs: {
+      strong: ['designed', 'redesigned', 'prototyped', 'researched', 'validated', 'launched', 'simplified', 'crafted', 'established', 'facilitated', 'increased', 'reduced', 'improved'],
+      weak: ['helped', 'worked', 'responsible', 'assisted', 'participated', 'involved', 'contributed'],
+    },
+    quantifiers: ['\\d+%', '\\d+x', '\\$\\d+', '\\d+k', '\\d+m', '\\d+\\+', '\\d+\\s?(users|participants|interviews|screens|flows)'],
+    impact: { multiplier: 1.8 },
+    brevity: { idealMin: 12, idealMax: 24, scores: { short: 85, ideal: 100, long: 40 } },
+    weights: { impact: 0.2, verbs: 0.2, brevity: 0.15, bullets: 0.2, ats: 0.1, keywords: 0.15 },
+    prompt: {
+      reviewer: "a Design Hiring Manager who has built product design teams at consumer and B2B companies",
+      impact: "user metrics, research volume or adoption and conversion figures",
+      rewrite: "a problem, process, outcome format: \"[Designed X] for [users or problem] through [research or process], improving [measurable outcome].\"",
+      notes: [
+        "A portfolio link is expected. Flag its absence as a serious gap.",
+        "Credit evidence of user research, testing and iteration as highly as final visual output.",
+      ],
+    },
+  },
+  sales: {
+    label: "Sales & Growth",
+    description: "Quota attainment, pipeline and revenue. Numbers on nearly every line.",
+    role: "Account Executive",
+    industries: ['sales', 'marketing'],
+    verbs: {
+      strong: ['closed', 'exceeded', 'generated', 'grew', 'won', 'negotiated', 'expanded', 'acquired', 'launched', 'increased', 'converted', 'prospected', 'secured'],
+      weak: ['helped', 'worked', 'responsible', 'assisted', 'participated', 'involved', 'contributed', 'handled'],
+    },
+    quantifiers: ['\\d+%', '\\$\\d+', '\\d+k', '\\d+m', '\\d+\\+', '\\d+x', '#\\d+', 'top \\d+'],
+    impact: { multiplier: 1.2 },
+    brevity: { idealMin: 10, idealMax: 22, scores: { short: 90, ideal: 100, long: 40 } },
+    weights: { impact: 0.35, verbs: 0.15, brevity: 0.1, bullets: 0.15, ats: 0.1, keywords: 0.15 },
+    prompt: {
+      reviewer: "a VP of Sales who has hired and managed quota-carrying teams for 15 years",
+      impact: "revenue, quota attainment percentages, deal sizes or rankings",
+      rewrite: "a results-first format: \"[Achieved X% of quota or $Y revenue] by [how], [context such as territory or deal size].\"",
+      notes: [
+        "Quota attainment and revenue numbers are expected on most bullets; treat their absence as a serious weakness.",
+      ],
+    },
+  },
+  academic: {
+    label: "Academic & Research",
+    description: "Publications, grants, teaching and service. Longer, more formal writing is normal.",
+    role: "Academic Research",
+    industries: [],
+    verbs: {
+      strong: ['published', 'authored', 'presented', 'secured', 'awarded', 'investigated', 'supervised', 'taught', 'designed', 'developed', 'led', 'established', 'co-authored'],
+      weak: ['helped', 'worked', 'responsible', 'assisted', 'participated', 'involved'],
+    },
+    quantifiers: ['\\d+%', '\\$\\d+', '\\d+k', '\\d+m', '\\d+\\+', '\\d+\\s?(publications|papers|articles|citations|students|courses)', 'h-index'],
+    impact: { multiplier: 2 },
+    brevity: { idealMin: 18, idealMax: 32, scores: { short: 80, ideal: 100, long: 55 } },
+    weights: { impact: 0.15, verbs: 0.1, brevity: 0.05, bullets: 0.15, ats: 0.3, keywords: 0.25 },
+    prompt: {
+      reviewer: "a tenured professor who has chaired faculty and postdoctoral search committees",
+      impact: "publication counts, grant amounts, citations or students supervised",
+      rewrite: "a contribution format: \"[Action] [research, teaching or service contribution], [venue, funder or scale], [outcome].\"",
+      notes: [
+        "This is an academic CV: length beyond two pages is normal and not a flaw.",
+        "Expect sections for publications, grants, teaching and service; flag missing ones the role would require.",
+      ],
+    },
+  },
+};
+
+const BRANCHES = ['verbs', 'impact', 'brevity', 'weights', 'prompt'];
+const WEIGHT_KEYS = Object.keys(RUBRIC_PROFILES[DEFAULT_RUBRIC].weights);
+const BREVITY_SCORES = ['short', 'ideal', 'long'];
+
+// Imported profiles go into the prompt, so their size is capped
+const LIMITS = { verbs: 100, quantifiers: 20, pattern: 100, label: 60, text: 500, notes: 10 };
+
+// Built-in profiles with their ids, created once so per-profile caches hit
+const BUILT_IN = Object.fromEntries(Object.entries(RUBRIC_PROFILES).map(([id, profile]) => [id, { id, ...profile }]));
+
+export const getRubric = (id) => (Object.hasOwn(BUILT_IN, id) ? BUILT_IN[id] : null);
+
+export const DEFAULT_RUBRIC_PROFILE = getRubric(DEFAULT_RUBRIC);
+
+const isNumberIn = (value, min, max) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+const checkVerbs = (list, name, errors, { required }) => {
+  if (!Array.isArray(list) || (required && list.length === 0) || list.length > LIMITS.verbs) {
+    errors.push(`verbs.${name} must be a list of up to ${LIMITS.verbs} words${required ? ' (at least one)' : ''}`);
+    return [];
+  }
+  const words = list.map(word => (typeof word === 'string' ? word.trim().toLowerCase().normalize('NFC') : ''));
+  if (words.some(word => !/^\p{L}[\p{L}'-]{0,29}$/u.test(word))) {
+    errors.push(`verbs.${name} may only contain single words`);
+  }
+  return Array.from(new Set(words));
+};
+
+// { de: { strong, weak }, ... } for the languages that have their own lexicon
+const checkLanguageVerbs = (input, errors) => {
+  if (input === undefined) return {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    errors.push("verbs.byLanguage must map language codes to { strong, weak } lists");
+    return {};
+  }
+  const byLanguage = {};
+  Object.entries(input).forEach(([language, lists]) => {
+    if (!Object.hasOwn(LANGUAGES, language) || !LANGUAGES[language].verbs) {
+      const supported = Object.keys(LANGUAGES).filter(id => LANGUAGES[id].verbs);
+      errors.push(`verbs.byLanguage.${language}: use one of ${supported.join(', ')} (English verbs go in verbs.strong and verbs.weak)`);
+      return;
+    }
+    if (!lists || typeof lists !== 'object' || Array.isArray(lists)) {
+      errors.push(`verbs.byLanguage.${language} must be { strong, weak }`);
+      return;
+    }
+    byLanguage[language] = {
+      strong: checkVerbs(lists.strong ?? [], `byLanguage.${language}.strong`, errors, { required: false }),
+      weak: checkVerbs(lists.weak ?? [], `byLanguage.${language}.weak`, errors, { required: false }),
+    };
+  });
+  return byLanguage;
+};
+
+// Same contract as validateAnalysis: { valid, errors, warnings, value }.
+// `extends` names a built-in profile to start from, so an imported profile
+// only needs the fields it changes.
+export const validateRubric = (input) => {
+  const errors = [];
+  const warnings = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, errors: ["Profile is not a JSON object"], warnings, value: null };
+  }
+  if (input.extends !== undefined && !getRubric(input.extends)) {
+    return { valid: false, errors: [`extends: unknown profile "${input.extends}"`], warnings, value: null };
+  }
+
+  const base = RUBRIC_PROFILES[input.extends || DEFAULT_RUBRIC];
+  const merged = { ...base, ...input };
+  BRANCHES.forEach(branch => {
+    merged[branch] = { ...base[branch], ...(input[branch] && typeof input[branch] === 'object' ? input[branch] : {}) };
+  });
+  merged.brevity.scores = { ...base.brevity.scores, ...merged.brevity.scores };
+
+  if (!isText(merged.label, LIMITS.label)) errors.push(`label must be text of up to ${LIMITS.label} characters`);
+  if (merged.description !== undefined && typeof merged.description !== 'string') errors.push("description must be text");
+  if (!isText(merged.role, LIMITS.label)) errors.push(`role must be text of up to ${LIMITS.label} characters`);
+
+  const strong = checkVerbs(merged.verbs.strong, 'strong', errors, { required: true });
+  const weak = checkVerbs(merged.verbs.weak, 'weak', errors, { required: false });
+  const byLanguage = checkLanguageVerbs(merged.verbs.byLanguage, errors);
+
+  const quantifiers = Array.isArray(merged.quantifiers) ? merged.quantifiers : [];
+  if (!quantifiers.length || quantifiers.length > LIMITS.quantifiers) {
+    errors.push(`quantifiers must be a list of 1 to ${LIMITS.quantifiers} patterns`);
+  }
+  quantifiers.forEach(source => {
+    if (!isText(source, LIMITS.pattern)) {
+      errors.push(`quantifier patterns must be text of up to ${LIMITS.pattern} characters`);
+      return;
+    }
+    try {
+      new RegExp(source, 'i');
+    } catch {
+      errors.push(`quantifier "${source}" is not a valid regular expression`);
+    }
+  });
+
+  if (!isNumberIn(merged.impact.multiplier, 0.1, 10)) errors.push("impact.multiplier must be a number from 0.1 to 10");
+
+  const { idealMin, idealMax, scores } = merged.brevity;
+  if (!isNumberIn(idealMin, 1, 100) || !isNumberIn(idealMax, 1, 100) || idealMin >= idealMax) {
+    errors.push("brevity.idealMin and brevity.idealMax must be word counts from 1 to 100, with idealMin below idealMax");
+  }
+  if (!BREVITY_SCORES.every(key => isNumberIn(scores[key], 0, 100))) {
+    errors.push("brevity.scores.short, .ideal and .long must be numbers from 0 to 100");
+  }
+
+  const unknownWeights = Object.keys(merged.weights).filter(key => !WEIGHT_KEYS.includes(key));
+  if (unknownWeights.length) warnings.push(`ignored unknown weights: ${unknownWeights.join(', ')}`);
+  const weights = Object.fromEntries(WEIGHT_KEYS.map(key => [key, merged.weights[key]]));
+  if (!Object.values(weights).every(weight => isNumberIn(weight, 0, 100)) || Object.values(weights).every(weight => weight === 0)) {
+    errors.push(`weights (${WEIGHT_KEYS.join(', ')}) must be non-negative numbers, not all zero`);
+  }
+
+  const { reviewer, impact, rewrite, notes } = merged.prompt;
+  if (![reviewer, impact, rewrite].every(text => isText(text, LIMITS.text))) {
+    errors.push(`prompt.reviewer, prompt.impact and prompt.rewrite must be text of up to ${LIMITS.text} characters`);
+  }
+  if (!Array.isArray(notes) || notes.length > LIMITS.notes || !notes.every(note => isText(note, LIMITS.text))) {
+    errors.push(`prompt.notes must be a list of up to ${LIMITS.notes} short texts`);
+  }
+
+  if (errors.length) return { valid: false, errors, warnings, value: null };
+
+  const value = {
+    label: merged.label.trim(),
+    description: merged.description || '',
+    role: merged.role.trim(),
+    industries: Array.isArray(merged.industries) ? merged.industries.filter(id => typeof id === 'string') : [],
+    verbs: { strong, weak, byLanguage },
+    quantifiers,
+    impact: { multiplier: merged.impact.multiplier },
+    brevity: { idealMin, idealMax, scores: Object.fromEntries(BREVITY_SCORES.map(key => [key, scores[key]])) },
+    weights,
+    prompt: { reviewer, impact, rewrite, notes },
+  };
+  return { valid: true, errors, warnings, value };
+};
+
+// What the client sends: the id of a built-in profile, or an imported
+// profile in full. Returns the validation contract either way.
+export const resolveRubric = (input) => {
+  if (input === undefined || input === null) return { valid: true, errors: [], warnings: [], value: DEFAULT_RUBRIC_PROFILE };
+  if (typeof input === 'string') {
+    const rubric = getRubric(input);
+    return rubric
+      ? { valid: true, errors: [], warnings: [], value: rubric }
+      : { valid: false, errors: [`Unknown rubric profile "${input}"`], warnings: [], value: null };
+  }
+  return validateRubric(input);
+};
+
+export const rubricForRequest = (rubric) => (getRubric(rubric.id) ? rubric.id : rubric);
+
+// A profile's quantifiers, plus the number formats of the resume's
+// language, as one global pattern compiled once per profile and language
+const compiledPatterns = new WeakMap();
+export const quantifierPattern = (rubric, language = DEFAULT_LANGUAGE) => {
+  if (!compiledPatterns.has(rubric)) compiledPatterns.set(rubric, new Map());
+  const byLanguage = compiledPatterns.get(rubric);
+  if (!byLanguage.has(language)) {
+    const sources = [...rubric.quantifiers, ...(LANGUAGES[language]?.quantifiers || [])];
+    byLanguage.set(language, new RegExp(`(${sources.join('|')})`, 'gi'));
+  }
+  return byLanguage.get(language);
+};
+
+// A profile's own verbs are English. Other languages use their lexicon, so a
+// German resume is not scored against "led" and "built", plus the words the
+// profile adds for that language; merged once per profile and language.
+const mergedVerbs = new WeakMap();
+export const rubricVerbs = (rubric, language = DEFAULT_LANGUAGE) => {
+  const lexicon = LANGUAGES[language]?.verbs;
+  if (!lexicon) return rubric.verbs;
+  if (!mergedVerbs.has(rubric)) mergedVerbs.set(rubric, new Map());
+  const byLanguage = mergedVerbs.get(rubric);
+  if (!byLanguage.has(language)) {
+    const own = rubric.verbs.byLanguage?.[language] || {};
+    byLanguage.set(language, {
+      strong: Array.from(new Set([...lexicon.strong, ...(own.strong || [])])),
+      weak: Array.from(new Set([...lexicon.weak, ...(own.weak || [])])),
+    });
+  }
+  return byLanguage.get(language);
+};
+
+// The built-in profile for the field the resume and job description are in
+export const suggestRubric = (resumeText, jobDesc = '') => {
+  const industry = detectIndustry(resumeText, jobDesc);
+  return Object.keys(RUBRIC_PROFILES).find(id => RUBRIC_PROFILES[id].industries.includes(industry)) || DEFAULT_RUBRIC;
+};
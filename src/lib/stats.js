@@ -0,0 +1,44 @@
+// ==========================================
+// 🧮 REAL-TIME STATS ENGINE
+// Scored against a rubric profile (see rubrics.js); without one, the
+// default Software Engineering profile. Words, sentences and numbers are
+// read in the resume's language, detected when not given.
+// ==========================================
+import { DEFAULT_RUBRIC_PROFILE, quantifierPattern, rubricVerbs } from './rubrics.js';
+import { DEFAULT_LANGUAGE, detectLanguage, splitSentences, normalizeWord } from './language.js';
+
+// Numbers, percentages, currency and "10k"/"5m"/"20+" style amounts
+export const QUANTIFIER_PATTERN = quantifierPattern(DEFAULT_RUBRIC_PROFILE);
+
+export const STRONG_VERBS = DEFAULT_RUBRIC_PROFILE.verbs.strong;
+export const WEAK_VERBS = DEFAULT_RUBRIC_PROFILE.verbs.weak;
+
+export const calculateStats = (text, rubric = DEFAULT_RUBRIC_PROFILE, language = detectLanguage(text)) => {
+  if (!text) return null;
+
+  const words = text.split(/\s+/).filter(w => w.length > 0);
+  const sentences = splitSentences(text, language);
+
+  // Impact Score: Detect numbers, percentages, currency
+  const quantifiers = text.match(quantifierPattern(rubric, language)) || [];
+  const impactScore = Math.min(100, Math.round((quantifiers.length / (sentences.length || 1)) * 100 * rubric.impact.multiplier));
+
+  // Action Verbs. English compares whole tokens, as it always has.
+  const verbs = rubricVerbs(rubric, language);
+  const toWord = language === DEFAULT_LANGUAGE ? (w => w.toLowerCase()) : normalizeWord;
+  let strongCount = 0;
+  let weakCount = 0;
+  words.forEach(w => {
+    if (verbs.strong.includes(toWord(w))) strongCount++;
+    if (verbs.weak.includes(toWord(w))) weakCount++;
+  });
+
+  const verbScore = Math.min(100, Math.round((strongCount / (strongCount + weakCount + 1)) * 100));
+
+  // Brevity
+  const { idealMin, idealMax, scores } = rubric.brevity;
+  const avgSentenceLength = words.length / (sentences.length || 1);
+  const brevityScore = avgSentenceLength > idealMax ? scores.long : avgSentenceLength > idealMin ? scores.ideal : scores.short;
+
+  return { wordCount: words.length, impactScore, verbScore, brevityScore, language };
+};
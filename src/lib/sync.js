@@ -0,0 +1,85 @@
+// ==========================================
+// 🔄 ACCOUNT SYNC
+// After sign-in everything saved in this browser is uploaded to the account,
+// and whatever the account has that this browser does not is brought down.
+// App skips both while local-only mode is on.
+// Scans are matched by uid; the resume draft is a single entry and the most
+// recently edited copy wins.
+// Uploads go out in batches below the server's request size, and any scan
+// larger than one synced item may be stays on this device only.
+// ==========================================
+import { listScans, importScans, scanUid } from './history.js';
+import { loadDraft, saveDraft } from './draft.js';
+import { syncAccount } from './auth.js';
+import { SYNC_LIMITS, jsonBytes } from './syncLimits.js';
+
+const DRAFT_UID = 'current-draft';
+
+const toSyncedScan = (scan) => {
+  const synced = { ...scan, uid: scanUid(scan) };
+  delete synced.id;
+  return synced;
+};
+
+const fitsItem = (item) => jsonBytes(item) <= SYNC_LIMITS.itemBytes;
+
+// Splits scans into request-sized groups, leaving room for the resumes that
+// ride along with the first one
+const batchScans = (scans, reservedBytes) => {
+  const batches = [[]];
+  let bytes = reservedBytes;
+  scans.forEach(scan => {
+    const size = jsonBytes(scan) + 1;
+    const current = batches[batches.length - 1];
+    if (current.length && (bytes + size > SYNC_LIMITS.requestBytes - 1024 || current.length >= SYNC_LIMITS.scans)) {
+      batches.push([]);
+      bytes = 0;
+    }
+    batches[batches.length - 1].push(scan);
+    bytes += size;
+  });
+  return batches;
+};
+
+// Resolves with { user, uploaded, downloaded, totals, restoredDraft }.
+// `restoredDraft` is set when the account's draft is newer than this one.
+export const syncLocalData = async (token) => {
+  const localScans = (await listScans().catch(() => [])).map(toSyncedScan);
+  const scans = localScans.filter(fitsItem);
+  const draft = loadDraft();
+  const resumes = [
+    draft?.resumeText && { uid: DRAFT_UID, label: "Current draft", text: draft.resumeText, jobDesc: draft.jobDesc || '', updatedAt: draft.updatedAt },
+  ].filter(resume => resume && fitsItem(resume));
+
+  // Batches go one after another; the last reply holds the merged account data
+  let reply = null;
+  for (const [index, batch] of batchScans(scans, jsonBytes(resumes)).entries()) {
+    reply = await syncAccount(token, { resumes: index === 0 ? resumes : [], scans: batch });
+  }
+  const { user, data } = reply;
+
+  const known = new Set(localScans.map(scan => scan.uid));
+  const missing = data.scans.filter(scan => !known.has(scan.uid));
+  await importScans(missing);
+
+  const remoteDraft = data.resumes.find(resume => resume.uid === DRAFT_UID);
+  let restoredDraft = null;
+  if (remoteDraft && remoteDraft.updatedAt > (draft?.updatedAt || 0)) {
+    restoredDraft = { resumeText: remoteDraft.text, jobDesc: remoteDraft.jobDesc || '', updatedAt: remoteDraft.updatedAt };
+    saveDraft(restoredDraft);
+  }
+
+  return {
+    user,
+    uploaded: scans.length,
+    downloaded: missing.length,
+    totals: { resumes: data.resumes.length, scans: data.scans.length },
+    restoredDraft,
+  };
+};
+
+// Sends one freshly saved scan without re-uploading the whole history
+export const pushScan = async (token, scan) => {
+  const synced = toSyncedScan(scan);
+  return fitsItem(synced) ? syncAccount(token, { scans: [synced] }) : null;
+};
@@ -0,0 +1,18 @@
+// ==========================================
+// 📦 SYNC LIMITS
+// How much account data the server keeps, and how large one synced item
+// and one upload may be. Shared by the client (to batch its uploads) and
+// the server (to refuse anything larger).
+// ==========================================
+
+export const SYNC_LIMITS = {
+  // Per account, oldest dropped first
+  scans: 200,
+  resumes: 20,
+  // One scan or resume, serialized as JSON
+  itemBytes: 512 * 1024,
+  // One sync request; Vercel refuses bodies over 4.5 MB anyway
+  requestBytes: 4 * 1024 * 1024,
+};
+
+export const jsonBytes = (value) => new TextEncoder().encode(JSON.stringify(value)).length;
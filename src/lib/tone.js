@@ -0,0 +1,152 @@
+// ==========================================
+// 🎚️ TONE CONSISTENCY
+// Bullets should read as one voice: the same tense, the implied first
+// person, and a professional register throughout. Each bullet is classified
+// on those three axes and every kind of drift is an itemized deduction, the
+// same way the ATS checks score. Tense and person names are interface copy
+// (`tone.tense.*`, `tone.person.*`). The verb, team-voice and slang lists
+// are English, so other resumes are only checked for first-person pronouns
+// in their own language, emoji and exclamation marks, and punctuation.
+// ==========================================
+import { isBulletLine } from './import/normalize.js';
+import { IRREGULAR_VERBS } from './bullets.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, detectLanguage } from './language.js';
+import { DEFAULT_UI_LANGUAGE, createTranslator, pluralKey } from './i18n.js';
+
+// Base-form verbs that open present-tense bullets ("Manage a team of 5")
+const BASE_VERBS = [
+  'lead', 'manage', 'build', 'develop', 'design', 'drive', 'own', 'run', 'create', 'maintain', 'oversee',
+  'support', 'coordinate', 'deliver', 'write', 'implement', 'plan', 'analyze', 'analyse', 'mentor', 'partner',
+  'collaborate', 'handle', 'prepare', 'ensure', 'provide', 'conduct', 'monitor', 'review', 'train', 'work',
+  'bring',
+];
+
+// Words that end in -ing without being the -ing form of a verb
+const NOT_GERUNDS = [
+  'bring', 'string', 'spring', 'swing', 'sting', 'sling', 'cling', 'fling', 'wring', 'thing', 'nothing',
+  'something', 'anything', 'everything', 'during', 'morning', 'evening', 'ceiling',
+];
+
+const INFORMAL_WORDS = [
+  'stuff', 'things', 'lots of', 'a lot of', 'tons of', 'awesome', 'super', 'cool', 'kinda', 'sorta', 'gonna',
+  'wanna', 'basically', 'totally', 'pretty much', 'crazy', 'huge', 'ok', 'okay', 'etc', 'a bunch of', 'got to',
+];
+const INFORMAL_PATTERN = new RegExp(`\\b(${INFORMAL_WORDS.join('|')})\\b`, 'gi');
+const CONTRACTION_PATTERN = /\b\w+(n't|'re|'ve|'ll|'d|'m)\b/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+
+// Lower-case "us" only, so "US market" is not read as a team voice
+const TEAM_PATTERN = /\b([Ww]e|[Oo]ur|us|[Oo]urselves)\b/g;
+const THIRD_PERSON_PATTERN = /\b(he|she|his|her|him)\b/gi;
+
+const bulletBody = (line) => line.replace(/^\s*(•|[-*–—])\s*/, '').trim();
+
+const tenseOf = (text) => {
+  const first = (text.split(/\s+/)[0] || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (IRREGULAR_VERBS.includes(first) || (first.length > 3 && first.endsWith('ed'))) return 'past';
+  if (first.length > 4 && first.endsWith('ing') && !NOT_GERUNDS.includes(first)) return 'gerund';
+  // "Leads", "Manages", "Coaches": the base form plus -s or -es
+  const baseForms = first.endsWith('s') ? [first.slice(0, -1), first.slice(0, -2)] : [];
+  if ([first, ...baseForms].some(form => BASE_VERBS.includes(form))) return 'present';
+  return 'other';
+};
+
+const personOf = (text, language) => {
+  const { pronouns } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  if (pronouns.some(pattern => text.match(pattern))) return 'first';
+  if (language !== DEFAULT_LANGUAGE) return 'implied';
+  if (text.match(TEAM_PATTERN)) return 'team';
+  if (text.match(THIRD_PERSON_PATTERN)) return 'third';
+  return 'implied';
+};
+
+const informalMarkers = (text, language) => [
+  ...(language === DEFAULT_LANGUAGE ? text.match(INFORMAL_PATTERN) || [] : []),
+  ...(language === DEFAULT_LANGUAGE ? text.match(CONTRACTION_PATTERN) || [] : []),
+  ...(text.match(EMOJI_PATTERN) || []),
+  ...(text.includes('!') ? ['!'] : []),
+];
+
+// Items without a value for `key` (the tense of a non-English bullet) are left out
+const tally = (items, key) => items.reduce((counts, item) => (
+  item[key] === null ? counts : { ...counts, [item[key]]: (counts[item[key]] || 0) + 1 }
+), {});
+
+// Returns { score, deductions, bullets: [{ line, text, tense, person,
+// informal, endsWithPeriod, drift: [] }], dominantTense, counts }.
+// `score` is null when the resume has no bullets to compare; `tense` (and
+// `dominantTense`) is null for resumes not in English. `language` is the
+// resume's language, detected when not given; `t` is the translator for the
+// interface language (English by default).
+export const analyzeTone = (text, { language = detectLanguage(text), t = createTranslator(DEFAULT_UI_LANGUAGE) } = {}) => {
+  const isEnglish = language === DEFAULT_LANGUAGE;
+  const bullets = (text || '').split('\n')
+    .map((line, i) => ({ line: i + 1, raw: line }))
+    .filter(({ raw }) => isBulletLine(raw))
+    .map(({ line, raw }) => {
+      const body = bulletBody(raw);
+      return {
+        line,
+        text: body,
+        tense: isEnglish ? tenseOf(body) : null,
+        person: personOf(body, language),
+        informal: informalMarkers(body, language),
+        endsWithPeriod: /\.$/.test(body),
+      };
+    });
+
+  const tenseCounts = tally(bullets, 'tense');
+  const personCounts = tally(bullets, 'person');
+  const counts = { tense: tenseCounts, person: personCounts, informal: bullets.filter(b => b.informal.length).length };
+
+  if (bullets.length < 2) {
+    return { score: null, deductions: [], bullets, dominantTense: null, counts };
+  }
+
+  const deductions = [];
+  // Details with a `count` have singular and plural forms
+  const deduct = (id, points, vars = {}) => {
+    const detailKey = vars.count === undefined ? `tone.${id}.detail` : pluralKey(`tone.${id}.detail`, vars.count);
+    deductions.push({ label: t(`tone.${id}.label`), points, detail: t(detailKey, vars) });
+  };
+
+  // Tense drift: anything outside the most common verb tense
+  const verbTenses = ['past', 'present', 'gerund'].filter(tense => tenseCounts[tense]);
+  const dominantTense = verbTenses.sort((a, b) => tenseCounts[b] - tenseCounts[a])[0] || null;
+  const offTense = bullets.filter(b => b.tense !== null && b.tense !== 'other' && b.tense !== dominantTense);
+  if (offTense.length) {
+    deduct('tenses', Math.min(35, offTense.length * 7), { count: offTense.length, tense: t(`tone.tense.${dominantTense}`) });
+  }
+
+  const explicit = bullets.filter(b => b.person !== 'implied');
+  if (explicit.length) {
+    deduct('person', Math.min(25, explicit.length * 6), { count: explicit.length });
+  }
+
+  const informal = bullets.filter(b => b.informal.length);
+  if (informal.length) {
+    const markers = Array.from(new Set(informal.flatMap(b => b.informal.map(m => m.toLowerCase())))).slice(0, 5);
+    deduct('informal', Math.min(25, informal.length * 5), { markers: markers.map(m => `"${m}"`).join(', ') });
+  }
+
+  const withPeriod = bullets.filter(b => b.endsWithPeriod).length;
+  const minority = Math.min(withPeriod, bullets.length - withPeriod);
+  if (minority > 0) {
+    deduct('punctuation', Math.min(10, minority * 2), { count: withPeriod, total: bullets.length });
+  }
+
+  const score = Math.max(0, 100 - deductions.reduce((sum, d) => sum + d.points, 0));
+  const driftFor = (bullet) => [
+    ...(bullet.tense !== null && bullet.tense !== 'other' && bullet.tense !== dominantTense ? ['tense'] : []),
+    ...(bullet.person !== 'implied' ? ['person'] : []),
+    ...(bullet.informal.length ? ['formality'] : []),
+  ];
+
+  return {
+    score,
+    deductions,
+    bullets: bullets.map(bullet => ({ ...bullet, drift: driftFor(bullet) })),
+    dominantTense,
+    counts,
+  };
+};
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../server/storage/memory.js';
+import { createMemoryAuthAdapter } from '../server/auth/memory.js';
+import { claimQuota, applySubscriptionEvent } from '../server/billing/entitlements.js';
+import { quotaLimit } from '../src/lib/entitlements.js';
+
+const anonymous = { key: 'ip:203.0.113.7', plan: 'free' };
+
+test('claimQuota allows uses up to the limit and refuses the next one', async () => {
+  const store = createMemoryStore();
+  const limit = quotaLimit('free', 'analyses');
+  for (let i = 1; i <= limit; i++) {
+    assert.equal((await claimQuota(store, anonymous, 'analyses')).used, i);
+  }
+  const refused = await claimQuota(store, anonymous, 'analyses');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.used, limit);
+  // A refused claim is not counted, so the next one is refused the same way
+  assert.equal((await claimQuota(store, anonymous, 'analyses')).allowed, false);
+});
+
+test('release gives the use back exactly once', async () => {
+  const store = createMemoryStore();
+  await claimQuota(store, anonymous, 'analyses');
+  const claim = await claimQuota(store, anonymous, 'analyses');
+  await claim.release();
+  await claim.release();
+  assert.equal((await claimQuota(store, anonymous, 'analyses')).used, 2);
+});
+
+test('a refused claim cannot give back a use it never took', async () => {
+  const store = createMemoryStore();
+  const limit = quotaLimit('free', 'analyses');
+  for (let i = 0; i < limit; i++) await claimQuota(store, anonymous, 'analyses');
+  const refused = await claimQuota(store, anonymous, 'analyses');
+  await refused.release();
+  assert.equal((await claimQuota(store, anonymous, 'analyses')).allowed, false);
+});
+
+test('unlimited plans are never refused', async () => {
+  const store = createMemoryStore();
+  const claim = await claimQuota(store, { key: 'user:1', plan: 'pro' }, 'analyses');
+  assert.equal(claim.allowed, true);
+  assert.equal(claim.limit, null);
+});
+
+const event = (userId, status, createdAt) => ({
+  userId, plan: 'pro', status, provider: 'stripe', subscriptionId: 'sub_1', createdAt,
+});
+
+test('applySubscriptionEvent ignores events older than the stored subscription', async () => {
+  const adapter = createMemoryAuthAdapter();
+  const user = await adapter.createUser({ email: 'ada@example.com', name: 'Ada', plan: 'free', providers: ['password'] });
+
+  await applySubscriptionEvent(adapter, event(user.id, 'canceled', 2000));
+  // The activation was sent first but arrives after the cancellation
+  const after = await applySubscriptionEvent(adapter, event(user.id, 'active', 1000));
+  assert.equal(after.plan, 'free');
+  assert.equal(after.subscription.status, 'canceled');
+
+  const renewed = await applySubscriptionEvent(adapter, event(user.id, 'active', 3000));
+  assert.equal(renewed.plan, 'pro');
+  assert.equal(renewed.subscription.updatedAt, 3000);
+});
+
+test('applySubscriptionEvent rejects unknown users and plans', async () => {
+  const adapter = createMemoryAuthAdapter();
+  const user = await adapter.createUser({ email: 'ada@example.com', name: 'Ada', plan: 'free', providers: ['password'] });
+  await assert.rejects(applySubscriptionEvent(adapter, event('missing', 'active', 1000)), { code: 'unknown_user' });
+  await assert.rejects(applySubscriptionEvent(adapter, { ...event(user.id, 'active', 1000), plan: 'enterprise' }), { code: 'unknown_plan' });
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { loadDictionary } from '../src/lib/dictionary.js';
+import { detectFatalFlaws } from '../src/lib/flaws.js';
+
+const FIXTURES = new URL('../fixtures/resumes/', import.meta.url);
+
+const typosIn = (text, dictionary) => (
+  detectFatalFlaws(text, { language: 'en', dictionary }).flaws.find(flaw => flaw.id === 'typos')?.examples || []
+);
+
+for (const name of readdirSync(FIXTURES)) {
+  test(`fixtures/resumes/${name} has no typos`, async () => {
+    const text = readFileSync(new URL(name, FIXTURES), 'utf8');
+    assert.deepEqual(typosIn(text, await loadDictionary()), []);
+  });
+}
+
+test('common misspellings are found with or without the dictionary', async () => {
+  const text = "• Wrote teh onboarding guide for new hires";
+  assert.notDeepEqual(typosIn(text, null), []);
+  assert.notDeepEqual(typosIn(text, await loadDictionary()), []);
+});
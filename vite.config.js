@@ -1,13 +1,20 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { devApiPlugin } from './server/devApi.js'
 
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  build: {
-    target: 'esnext' // Forces modern JavaScript that supports import.meta
-  },
-  esbuild: {
-    target: 'esnext' // Ensures the dev server also supports it
+export default defineConfig(({ mode }) => {
+  // Load every variable (not just VITE_*) for the server-side /api routes.
+  // None of these are exposed to the client bundle.
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [react(), devApiPlugin(env)],
+    build: {
+      target: 'esnext' // Forces modern JavaScript that supports import.meta
+    },
+    esbuild: {
+      target: 'esnext' // Ensures the dev server also supports it
+    }
   }
-})
\ No newline at end of file
+})